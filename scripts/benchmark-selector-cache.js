@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Selector cache benchmark
+ *
+ * Replays a dashboard workload (live values, status badges, an append-only
+ * log) against two invalidation strategies and reports the hit rates:
+ *
+ *   - previous: any childList mutation clears the whole cache, attribute
+ *     changes drop every selector containing the changed token
+ *   - precise:  entries are only dropped when a changed id, class or
+ *     attribute, or an added/removed subtree, matches part of the selector
+ *
+ * Usage: node scripts/benchmark-selector-cache.js [ticks]
+ */
+
+const { JSDOM } = require('jsdom');
+const { ProductionSelectorHelper } = require('../src/querySelector-helper.js');
+
+const WIDGETS = 30;
+const TICKS = Number(process.argv[2]) || 200;
+
+class PreviousInvalidationHelper extends ProductionSelectorHelper {
+  _processMutations(mutations) {
+    if (this.isDestroyed) return;
+
+    const affected = new Set();
+    mutations.forEach(mutation => {
+      if (mutation.type === 'childList') {
+        affected.add('*');
+      } else if (mutation.attributeName === 'class') {
+        const classes = `${mutation.oldValue || ''} ${mutation.target.getAttribute('class') || ''}`;
+        classes.split(/\s+/).filter(Boolean).forEach(cls => affected.add(`.${cls}`));
+      } else {
+        affected.add(`[${mutation.attributeName}]`);
+      }
+    });
+
+    for (const key of [...this.cache.keys()]) {
+      const selector = key.slice(key.indexOf(':') + 1);
+      if (affected.has('*') || [...affected].some(token => selector.includes(token))) {
+        this._removeFromCache(key, 'mutation');
+      }
+    }
+    this.stats.cacheSize = this.cache.size;
+  }
+}
+
+function createDashboard() {
+  const widgets = Array.from({ length: WIDGETS }, (_, i) => `
+    <article class="widget" id="widget-${i}">
+      <h3 class="title">Widget ${i}</h3>
+      <span class="value">0</span>
+      <span class="status status-ok">ok</span>
+    </article>`).join('');
+
+  return new JSDOM(`<!DOCTYPE html><body><section id="dashboard">${widgets}</section><ul id="log"></ul></body>`).window;
+}
+
+function run(name, Helper) {
+  const window = createDashboard();
+  const document = window.document;
+  const helper = new Helper({ window, autoCleanup: false });
+
+  const start = performance.now();
+
+  for (let tick = 0; tick < TICKS; tick++) {
+    // Reads a render loop would do every frame
+    for (let i = 0; i < WIDGETS; i++) {
+      helper.query(`#widget-${i} .value`);
+    }
+    helper.queryAll('.status-ok');
+    helper.queryAll('.status-alert');
+    helper.queryAll('.widget .title');
+    helper.queryAll('#log li');
+
+    // Live values change every tick
+    for (let i = 0; i < 5; i++) {
+      const widget = (tick * 5 + i) % WIDGETS;
+      document.querySelector(`#widget-${widget} .value`).textContent = String(tick);
+    }
+
+    // A status flips now and then
+    if (tick % 10 === 0) {
+      const status = document.querySelector(`#widget-${tick % WIDGETS} .status`);
+      status.classList.toggle('status-ok');
+      status.classList.toggle('status-alert');
+    }
+
+    // And the log grows
+    if (tick % 5 === 0) {
+      const entry = document.createElement('li');
+      entry.textContent = `Tick ${tick}`;
+      document.getElementById('log').appendChild(entry);
+    }
+
+    helper._flushMutations();
+  }
+
+  const elapsed = performance.now() - start;
+  const stats = helper.getStats();
+
+  helper.destroy();
+  window.close();
+
+  return {
+    strategy: name,
+    lookups: stats.lookups,
+    hits: stats.hits,
+    misses: stats.misses,
+    hitRate: `${(stats.hitRate * 100).toFixed(1)}%`,
+    invalidated: stats.invalidations.mutation,
+    'time (ms)': Number(elapsed.toFixed(1))
+  };
+}
+
+console.log(`📊 Selector cache invalidation: ${WIDGETS} widgets, ${TICKS} ticks`);
+console.table([
+  run('previous', PreviousInvalidationHelper),
+  run('precise', ProductionSelectorHelper)
+]);
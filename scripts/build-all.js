@@ -11,6 +11,7 @@ if (!fs.existsSync(distDir)) {
 }
 
 const srcDir = path.join(__dirname, '..', 'src');
+const typesDir = path.join(__dirname, '..', 'types');
 
 console.log('🔨 Building all distribution files...');
 
@@ -106,21 +107,6 @@ async function minifyCode(code, filename) {
   }
 }
 
-/**
- * Extract helper code from UMD wrapper for embedding
- */
-function extractHelperCode(content) {
-  // Remove the outer UMD wrapper and return the inner code
-  const match = content.match(/\(function\(global\)\s*\{\s*'use strict';([\s\S]*)\}\)\(typeof window[^)]+\);?\s*$/);
-  
-  if (!match) {
-    // If no UMD wrapper found, return content as-is
-    return content;
-  }
-  
-  return match[1].trim();
-}
-
 /**
  * Build individual Elements Helper files
  */
@@ -166,22 +152,38 @@ async function buildSelector() {
   console.log('✅ Selector Helper built successfully');
 }
 
+// Modules in the combined bundle, in the order they load with script tags
+const BUNDLED_MODULES = [
+  'enhanced-update-utility.js',
+  'elements-helper.js',
+  'collections.js',
+  'querySelector-helper.js',
+  'reactive-store.js',
+  'virtual-list.js',
+  'element-factory.js',
+  'form-helper.js',
+  'form-validation.js',
+  'update-history.js',
+  'template.js',
+  'components.js',
+  'a11y.js'
+];
+
 /**
  * Build Combined Bundle files
+ *
+ * The entry is src/index.js itself. Each module keeps its UMD wrapper: with
+ * CommonJS or AMD it gets a module object and a require() resolving the
+ * other bundled files, as in Node; with script tags it gets neither and
+ * registers its browser globals, as a separate script tag would.
  */
 async function buildCombined() {
   console.log('📦 Building Combined Bundle...');
-  
-  const updateUtilityContent = readSourceFile('enhanced-update-utility.js');
-  const elementsContent = readSourceFile('elements-helper.js');
-  const collectionsContent = readSourceFile('collections.js');
-  const selectorContent = readSourceFile('querySelector-helper.js');
-  
-  // Remove EnhancedUpdateUtility imports from individual helpers for combined bundle
-  const cleanElementsContent = elementsContent.replace(/\/\/ Import Enhanced UpdateUtility[\s\S]*?EnhancedUpdateUtility = global\.EnhancedUpdateUtility;\s*}/g, '');
-  const cleanCollectionsContent = collectionsContent.replace(/\/\/ Import Enhanced UpdateUtility[\s\S]*?EnhancedUpdateUtility = global\.EnhancedUpdateUtility;\s*}/g, '');
-  const cleanSelectorContent = selectorContent.replace(/\/\/ Import Enhanced UpdateUtility[\s\S]*?EnhancedUpdateUtility = global\.EnhancedUpdateUtility;\s*}/g, '');
-  
+
+  const modules = BUNDLED_MODULES
+    .map(file => `    './${file}': function(module, exports, require) {\n${readSourceFile(file)}\n    }`)
+    .join(',\n\n');
+
   // Create combined unminified bundle: dom-helpers.bundle.js
   const combinedBundle = `/**
  * DOM Helpers - Combined Bundle (Unminified)
@@ -192,151 +194,51 @@ async function buildCombined() {
  * - Elements Helper (ID-based DOM access)
  * - Collections Helper (Class/Tag/Name-based DOM access)
  * - Selector Helper (querySelector/querySelectorAll with caching)
+ * - Reactive Store (observable state for Elements.bind())
+ * - Virtual List (recycled rows for long lists)
+ * - Element Factory (declarative element creation)
+ * - Form Helper (form values, filling and serialization)
+ * - Form Validation (declarative rules and error rendering)
+ * - Update History (undo/redo for .update() changes)
+ * - Templates (<template> rendering with bindings, loops and conditionals)
+ * - Components (behaviors mounted on matching elements)
+ * - Accessibility (focus trapping, announcements and roving tabindex)
  * 
  * @version 2.1.0
  * @license MIT
  */
 
-(function(global) {
+(function(require) {
+${readSourceFile('index.js')}
+})((function() {
   'use strict';
 
-  // ===== UPDATE UTILITY =====
-  ${extractHelperCode(updateUtilityContent)}
-
-  // ===== ELEMENTS HELPER =====
-  ${extractHelperCode(cleanElementsContent)}
-
-  // ===== COLLECTIONS HELPER =====
-  ${extractHelperCode(cleanCollectionsContent)}
-
-  // ===== SELECTOR HELPER =====
-  ${extractHelperCode(cleanSelectorContent)}
-
-  // ===== COMBINED API =====
-  const DOMHelpers = {
-    // Individual helpers
-    Elements: global.Elements,
-    Collections: global.Collections,
-    Selector: global.Selector,
-    
-    // Helper classes
-    ProductionElementsHelper: global.ProductionElementsHelper,
-    ProductionCollectionHelper: global.ProductionCollectionHelper,
-    ProductionSelectorHelper: global.ProductionSelectorHelper,
-    
-    // Utility methods
-    version: '2.0.0',
-    
-    // Check if all helpers are available
-    isReady() {
-      return !!(this.Elements && this.Collections && this.Selector);
-    },
-    
-    // Get combined statistics
-    getStats() {
-      const stats = {};
-      
-      if (this.Elements && typeof this.Elements.stats === 'function') {
-        stats.elements = this.Elements.stats();
-      }
-      
-      if (this.Collections && typeof this.Collections.stats === 'function') {
-        stats.collections = this.Collections.stats();
-      }
-      
-      if (this.Selector && typeof this.Selector.stats === 'function') {
-        stats.selector = this.Selector.stats();
-      }
-      
-      return stats;
-    },
-    
-    // Clear all caches
-    clearAll() {
-      if (this.Elements && typeof this.Elements.clear === 'function') {
-        this.Elements.clear();
-      }
-      
-      if (this.Collections && typeof this.Collections.clear === 'function') {
-        this.Collections.clear();
-      }
-      
-      if (this.Selector && typeof this.Selector.clear === 'function') {
-        this.Selector.clear();
-      }
-    },
-    
-    // Destroy all helpers
-    destroyAll() {
-      if (this.Elements && typeof this.Elements.destroy === 'function') {
-        this.Elements.destroy();
-      }
-      
-      if (this.Collections && typeof this.Collections.destroy === 'function') {
-        this.Collections.destroy();
-      }
-      
-      if (this.Selector && typeof this.Selector.destroy === 'function') {
-        this.Selector.destroy();
-      }
-    },
-    
-    // Configure all helpers
-    configure(options = {}) {
-      if (this.Elements && typeof this.Elements.configure === 'function') {
-        this.Elements.configure(options.elements || options);
-      }
-      
-      if (this.Collections && typeof this.Collections.configure === 'function') {
-        this.Collections.configure(options.collections || options);
-      }
-      
-      if (this.Selector && typeof this.Selector.configure === 'function') {
-        this.Selector.configure(options.selector || options);
-      }
-      
-      return this;
-    }
+  const modules = {
+${modules}
   };
 
-  // Export for different environments
-  if (typeof module !== 'undefined' && module.exports) {
-    // Node.js/CommonJS
-    module.exports = {
-      DOMHelpers,
-      Elements: global.Elements,
-      Collections: global.Collections,
-      Selector: global.Selector,
-      ProductionElementsHelper: global.ProductionElementsHelper,
-      ProductionCollectionHelper: global.ProductionCollectionHelper,
-      ProductionSelectorHelper: global.ProductionSelectorHelper
-    };
-  } else if (typeof define === 'function' && define.amd) {
-    // AMD/RequireJS
-    define([], function() {
-      return {
-        DOMHelpers,
-        Elements: global.Elements,
-        Collections: global.Collections,
-        Selector: global.Selector,
-        ProductionElementsHelper: global.ProductionElementsHelper,
-        ProductionCollectionHelper: global.ProductionCollectionHelper,
-        ProductionSelectorHelper: global.ProductionSelectorHelper
-      };
-    });
-  } else {
-    // Browser globals
-    global.DOMHelpers = DOMHelpers;
-  }
+  const hasModuleSystem = (typeof module !== 'undefined' && module.exports) ||
+    (typeof define === 'function' && define.amd);
 
-  // Auto-cleanup on page unload
-  if (typeof window !== 'undefined') {
-    window.addEventListener('beforeunload', () => {
-      DOMHelpers.destroyAll();
-    });
+  // Script tags: run every module now; index.js then reads their globals
+  if (!hasModuleSystem) {
+    Object.keys(modules).forEach(name => modules[name].call(undefined));
+    return undefined;
   }
 
-})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this);
+  const cache = {};
+  return function bundledRequire(name) {
+    if (!Object.prototype.hasOwnProperty.call(modules, name)) {
+      throw new Error(\`Cannot find module '\${name}'\`);
+    }
+    if (!cache[name]) {
+      const bundledModule = { exports: {} };
+      cache[name] = bundledModule;
+      modules[name].call(bundledModule.exports, bundledModule, bundledModule.exports, bundledRequire);
+    }
+    return cache[name].exports;
+  };
+})());
 `;
 
   // Write unminified combined bundle
@@ -350,186 +252,20 @@ async function buildCombined() {
 }
 
 /**
- * Create TypeScript declaration files
+ * Copy TypeScript declaration files from types/
+ * @returns {string[]} Names of the copied files
  */
 function createTypeScriptDeclarations() {
-  console.log('📝 Creating TypeScript declarations...');
+  console.log('📝 Copying TypeScript declarations...');
   
-  // Elements Helper declarations
-  const elementsDeclaration = `/**
- * Elements Helper - TypeScript Declarations
- */
-
-export interface ElementsStats {
-  hits: number;
-  misses: number;
-  cacheSize: number;
-  hitRate: number;
-  uptime: number;
-  lastCleanup: number;
-}
-
-export interface ElementsOptions {
-  enableLogging?: boolean;
-  autoCleanup?: boolean;
-  cleanupInterval?: number;
-  maxCacheSize?: number;
-  debounceDelay?: number;
-}
-
-export interface ElementsProxy {
-  [key: string]: HTMLElement | null;
-  stats(): ElementsStats;
-  clear(): void;
-  destroy(): void;
-  configure(options: ElementsOptions): ElementsProxy;
-  isCached(id: string): boolean;
-  destructure(...ids: string[]): Record<string, HTMLElement | null>;
-  getRequired(...ids: string[]): Record<string, HTMLElement>;
-  waitFor(...ids: string[]): Promise<Record<string, HTMLElement>>;
-}
-
-export declare class ProductionElementsHelper {
-  constructor(options?: ElementsOptions);
-  getStats(): ElementsStats;
-  clearCache(): void;
-  destroy(): void;
-  isCached(id: string): boolean;
-  getCacheSnapshot(): string[];
-  destructure(...ids: string[]): Record<string, HTMLElement | null>;
-  getRequired(...ids: string[]): Record<string, HTMLElement>;
-  waitFor(...ids: string[]): Promise<Record<string, HTMLElement>>;
-}
-
-export declare const Elements: ElementsProxy;
-`;
-
-  // Collections Helper declarations
-  const collectionsDeclaration = `/**
- * Collections Helper - TypeScript Declarations
- */
-
-export interface CollectionsStats {
-  hits: number;
-  misses: number;
-  cacheSize: number;
-  hitRate: number;
-  uptime: number;
-  lastCleanup: number;
-}
-
-export interface CollectionsOptions {
-  enableLogging?: boolean;
-  autoCleanup?: boolean;
-  cleanupInterval?: number;
-  maxCacheSize?: number;
-  debounceDelay?: number;
-}
-
-export interface EnhancedCollection {
-  readonly length: number;
-  item(index: number): Element | null;
-  namedItem?(name: string): Element | null;
-  toArray(): Element[];
-  forEach(callback: (element: Element, index: number, collection: EnhancedCollection) => void, thisArg?: any): void;
-  map<T>(callback: (element: Element, index: number, collection: EnhancedCollection) => T, thisArg?: any): T[];
-  filter(callback: (element: Element, index: number, collection: EnhancedCollection) => boolean, thisArg?: any): Element[];
-  find(callback: (element: Element, index: number, collection: EnhancedCollection) => boolean, thisArg?: any): Element | undefined;
-  some(callback: (element: Element, index: number, collection: EnhancedCollection) => boolean, thisArg?: any): boolean;
-  every(callback: (element: Element, index: number, collection: EnhancedCollection) => boolean, thisArg?: any): boolean;
-  first(): Element | null;
-  last(): Element | null;
-  at(index: number): Element | null;
-  isEmpty(): boolean;
-  [index: number]: Element;
-  [Symbol.iterator](): Iterator<Element>;
-}
-
-export interface CollectionProxy {
-  [key: string]: EnhancedCollection;
-}
-
-export interface CollectionsAPI {
-  ClassName: CollectionProxy;
-  TagName: CollectionProxy;
-  Name: CollectionProxy;
-  stats(): CollectionsStats;
-  clear(): void;
-  destroy(): void;
-  configure(options: CollectionsOptions): CollectionsAPI;
-  isCached(type: string, value: string): boolean;
-  getMultiple(requests: Array<{type: string, value: string, as?: string}>): Record<string, EnhancedCollection>;
-  waitFor(type: string, value: string, minCount?: number, timeout?: number): Promise<EnhancedCollection>;
-}
-
-export declare class ProductionCollectionHelper {
-  constructor(options?: CollectionsOptions);
-  getStats(): CollectionsStats;
-  clearCache(): void;
-  destroy(): void;
-  isCached(type: string, value: string): boolean;
-  getCacheSnapshot(): string[];
-  getMultiple(requests: Array<{type: string, value: string, as?: string}>): Record<string, EnhancedCollection>;
-  waitForElements(type: string, value: string, minCount?: number, timeout?: number): Promise<EnhancedCollection>;
-}
-
-export declare const Collections: CollectionsAPI;
-`;
-
-  // Combined DOM Helpers declarations
-  const domHelpersDeclaration = `/**
- * DOM Helpers - Combined TypeScript Declarations
- */
-
-import { ElementsProxy, ElementsStats, ElementsOptions, ProductionElementsHelper } from './elements';
-import { CollectionsAPI, CollectionsStats, CollectionsOptions, ProductionCollectionHelper } from './collections';
-import { SelectorAPI, SelectorStats, SelectorOptions, ProductionSelectorHelper } from './selector';
-
-export interface DOMHelpersStats {
-  elements?: ElementsStats;
-  collections?: CollectionsStats;
-  selector?: SelectorStats;
-}
-
-export interface DOMHelpersOptions {
-  elements?: ElementsOptions;
-  collections?: CollectionsOptions;
-  selector?: SelectorOptions;
-}
-
-export interface DOMHelpersAPI {
-  Elements: ElementsProxy;
-  Collections: CollectionsAPI;
-  Selector: SelectorAPI;
-  ProductionElementsHelper: typeof ProductionElementsHelper;
-  ProductionCollectionHelper: typeof ProductionCollectionHelper;
-  ProductionSelectorHelper: typeof ProductionSelectorHelper;
-  version: string;
-  isReady(): boolean;
-  getStats(): DOMHelpersStats;
-  clearAll(): void;
-  destroyAll(): void;
-  configure(options: DOMHelpersOptions): DOMHelpersAPI;
-}
-
-export declare const DOMHelpers: DOMHelpersAPI;
-export declare const Elements: ElementsProxy;
-export declare const Collections: CollectionsAPI;
-export declare const Selector: SelectorAPI;
-export { ProductionElementsHelper, ProductionCollectionHelper, ProductionSelectorHelper };
-
-// Re-export types
-export * from './elements';
-export * from './collections';
-export * from './selector';
-`;
-
-  // Write declaration files
-  fs.writeFileSync(path.join(distDir, 'elements.d.ts'), elementsDeclaration, 'utf8');
-  fs.writeFileSync(path.join(distDir, 'collections.d.ts'), collectionsDeclaration, 'utf8');
-  fs.writeFileSync(path.join(distDir, 'dom-helpers.d.ts'), domHelpersDeclaration, 'utf8');
+  const declarationFiles = fs.readdirSync(typesDir).filter(file => file.endsWith('.d.ts'));
+  
+  declarationFiles.forEach(file => {
+    fs.copyFileSync(path.join(typesDir, file), path.join(distDir, file));
+  });
   
-  console.log('✅ TypeScript declarations created');
+  console.log(`✅ TypeScript declarations copied (${declarationFiles.length} files)`);
+  return declarationFiles;
 }
 
 /**
@@ -548,7 +284,7 @@ async function buildAll() {
     await buildCombined();
     
     // Create TypeScript declarations
-    createTypeScriptDeclarations();
+    const declarationFiles = createTypeScriptDeclarations();
     
     console.log('\n🎉 All distribution files built successfully!');
     console.log('\nGenerated files:');
@@ -560,9 +296,7 @@ async function buildAll() {
     console.log('  - dom-helpers.bundle.js (unminified)');
     console.log('  - dom-helpers.min.js (minified)');
     console.log('📁 TypeScript declarations:');
-    console.log('  - elements.d.ts');
-    console.log('  - collections.d.ts');
-    console.log('  - dom-helpers.d.ts');
+    declarationFiles.forEach(file => console.log(`  - ${file}`));
     
   } catch (error) {
     console.error(`❌ Build failed:`, error.message);
@@ -5,6 +5,7 @@ const path = require('path');
 const { minify } = require('terser');
 
 const distDir = path.join(__dirname, '..', 'dist');
+const typesDir = path.join(__dirname, '..', 'types');
 
 console.log('🗜️  Minifying distribution files...');
 
@@ -108,179 +109,18 @@ async function minifyAll() {
 }
 
 /**
- * Create TypeScript declaration files
+ * Copy TypeScript declaration files from types/
  */
 function createTypeScriptDeclarations() {
-  console.log('📝 Creating TypeScript declarations...');
+  console.log('📝 Copying TypeScript declarations...');
   
-  // Elements Helper declarations
-  const elementsDeclaration = `/**
- * Elements Helper - TypeScript Declarations
- */
-
-export interface ElementsStats {
-  hits: number;
-  misses: number;
-  cacheSize: number;
-  hitRate: number;
-  uptime: number;
-  lastCleanup: number;
-}
-
-export interface ElementsOptions {
-  enableLogging?: boolean;
-  autoCleanup?: boolean;
-  cleanupInterval?: number;
-  maxCacheSize?: number;
-  debounceDelay?: number;
-}
-
-export interface ElementsProxy {
-  [key: string]: HTMLElement | null;
-  stats(): ElementsStats;
-  clear(): void;
-  destroy(): void;
-  configure(options: ElementsOptions): ElementsProxy;
-  isCached(id: string): boolean;
-  destructure(...ids: string[]): Record<string, HTMLElement | null>;
-  getRequired(...ids: string[]): Record<string, HTMLElement>;
-  waitFor(...ids: string[]): Promise<Record<string, HTMLElement>>;
-}
-
-export declare class ProductionElementsHelper {
-  constructor(options?: ElementsOptions);
-  getStats(): ElementsStats;
-  clearCache(): void;
-  destroy(): void;
-  isCached(id: string): boolean;
-  getCacheSnapshot(): string[];
-  destructure(...ids: string[]): Record<string, HTMLElement | null>;
-  getRequired(...ids: string[]): Record<string, HTMLElement>;
-  waitFor(...ids: string[]): Promise<Record<string, HTMLElement>>;
-}
-
-export declare const Elements: ElementsProxy;
-`;
-
-  // Collections Helper declarations
-  const collectionsDeclaration = `/**
- * Collections Helper - TypeScript Declarations
- */
-
-export interface CollectionsStats {
-  hits: number;
-  misses: number;
-  cacheSize: number;
-  hitRate: number;
-  uptime: number;
-  lastCleanup: number;
-}
-
-export interface CollectionsOptions {
-  enableLogging?: boolean;
-  autoCleanup?: boolean;
-  cleanupInterval?: number;
-  maxCacheSize?: number;
-  debounceDelay?: number;
-}
-
-export interface EnhancedCollection {
-  readonly length: number;
-  item(index: number): Element | null;
-  namedItem?(name: string): Element | null;
-  toArray(): Element[];
-  forEach(callback: (element: Element, index: number, collection: EnhancedCollection) => void, thisArg?: any): void;
-  map<T>(callback: (element: Element, index: number, collection: EnhancedCollection) => T, thisArg?: any): T[];
-  filter(callback: (element: Element, index: number, collection: EnhancedCollection) => boolean, thisArg?: any): Element[];
-  find(callback: (element: Element, index: number, collection: EnhancedCollection) => boolean, thisArg?: any): Element | undefined;
-  some(callback: (element: Element, index: number, collection: EnhancedCollection) => boolean, thisArg?: any): boolean;
-  every(callback: (element: Element, index: number, collection: EnhancedCollection) => boolean, thisArg?: any): boolean;
-  first(): Element | null;
-  last(): Element | null;
-  at(index: number): Element | null;
-  isEmpty(): boolean;
-  [index: number]: Element;
-  [Symbol.iterator](): Iterator<Element>;
-}
-
-export interface CollectionProxy {
-  [key: string]: EnhancedCollection;
-}
-
-export interface CollectionsAPI {
-  ClassName: CollectionProxy;
-  TagName: CollectionProxy;
-  Name: CollectionProxy;
-  stats(): CollectionsStats;
-  clear(): void;
-  destroy(): void;
-  configure(options: CollectionsOptions): CollectionsAPI;
-  isCached(type: string, value: string): boolean;
-  getMultiple(requests: Array<{type: string, value: string, as?: string}>): Record<string, EnhancedCollection>;
-  waitFor(type: string, value: string, minCount?: number, timeout?: number): Promise<EnhancedCollection>;
-}
-
-export declare class ProductionCollectionHelper {
-  constructor(options?: CollectionsOptions);
-  getStats(): CollectionsStats;
-  clearCache(): void;
-  destroy(): void;
-  isCached(type: string, value: string): boolean;
-  getCacheSnapshot(): string[];
-  getMultiple(requests: Array<{type: string, value: string, as?: string}>): Record<string, EnhancedCollection>;
-  waitForElements(type: string, value: string, minCount?: number, timeout?: number): Promise<EnhancedCollection>;
-}
-
-export declare const Collections: CollectionsAPI;
-`;
-
-  // Combined DOM Helpers declarations
-  const domHelpersDeclaration = `/**
- * DOM Helpers - Combined TypeScript Declarations
- */
-
-import { ElementsProxy, ElementsStats, ElementsOptions, ProductionElementsHelper } from './elements';
-import { CollectionsAPI, CollectionsStats, CollectionsOptions, ProductionCollectionHelper } from './collections';
-
-export interface DOMHelpersStats {
-  elements?: ElementsStats;
-  collections?: CollectionsStats;
-}
-
-export interface DOMHelpersOptions {
-  elements?: ElementsOptions;
-  collections?: CollectionsOptions;
-}
-
-export interface DOMHelpersAPI {
-  Elements: ElementsProxy;
-  Collections: CollectionsAPI;
-  ProductionElementsHelper: typeof ProductionElementsHelper;
-  ProductionCollectionHelper: typeof ProductionCollectionHelper;
-  version: string;
-  isReady(): boolean;
-  getStats(): DOMHelpersStats;
-  clearAll(): void;
-  destroyAll(): void;
-  configure(options: DOMHelpersOptions): DOMHelpersAPI;
-}
-
-export declare const DOMHelpers: DOMHelpersAPI;
-export declare const Elements: ElementsProxy;
-export declare const Collections: CollectionsAPI;
-export { ProductionElementsHelper, ProductionCollectionHelper };
-
-// Re-export types
-export * from './elements';
-export * from './collections';
-`;
-
-  // Write declaration files
-  fs.writeFileSync(path.join(distDir, 'elements.d.ts'), elementsDeclaration, 'utf8');
-  fs.writeFileSync(path.join(distDir, 'collections.d.ts'), collectionsDeclaration, 'utf8');
-  fs.writeFileSync(path.join(distDir, 'dom-helpers.d.ts'), domHelpersDeclaration, 'utf8');
+  const declarationFiles = fs.readdirSync(typesDir).filter(file => file.endsWith('.d.ts'));
+  
+  declarationFiles.forEach(file => {
+    fs.copyFileSync(path.join(typesDir, file), path.join(distDir, file));
+  });
   
-  console.log('✅ TypeScript declarations created');
+  console.log(`✅ TypeScript declarations copied (${declarationFiles.length} files)`);
 }
 
 // Run minification
@@ -0,0 +1,427 @@
+/**
+ * Accessibility helpers for DOM Helpers
+ * Focus trapping, live region announcements and roving tabindex
+ *
+ * Features:
+ * - trapFocus() keeps Tab and Shift+Tab inside a dialog or menu and
+ *   restores the previous focus on release; nested traps stack
+ * - announce() reads a message to screen readers through a shared,
+ *   visually hidden live region
+ * - rovingTabindex() makes a group of items a single Tab stop navigated
+ *   with the arrow keys, Home and End; live collections stay in sync
+ */
+
+(function(global) {
+  'use strict';
+
+  // Import Enhanced UpdateUtility if available
+  let EnhancedUpdateUtility;
+  if (typeof require !== 'undefined') {
+    try {
+      EnhancedUpdateUtility = require('./enhanced-update-utility.js');
+    } catch (e) {
+      // EnhancedUpdateUtility not available in this environment
+    }
+  } else if (typeof global !== 'undefined' && global.EnhancedUpdateUtility) {
+    EnhancedUpdateUtility = global.EnhancedUpdateUtility;
+  }
+
+  const FOCUSABLE = [
+    'a[href]',
+    'area[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'iframe',
+    'audio[controls]',
+    'video[controls]',
+    '[contenteditable]:not([contenteditable="false"])',
+    '[tabindex]'
+  ].join(',');
+
+  const ROVING_KEYS = {
+    horizontal: { ArrowLeft: -1, ArrowRight: 1 },
+    vertical: { ArrowUp: -1, ArrowDown: 1 }
+  };
+
+  // Active traps, innermost last; only the last one handles events
+  const focusTraps = [];
+
+  // One polite and one assertive region per document
+  const liveRegions = new WeakMap();
+
+  function addListener(element, eventName, handler, options) {
+    if (EnhancedUpdateUtility && EnhancedUpdateUtility.addTrackedListener) {
+      EnhancedUpdateUtility.addTrackedListener(element, eventName, handler, options);
+    } else {
+      element.addEventListener(eventName.split('.')[0], handler, options);
+    }
+  }
+
+  function removeListener(element, eventName, handler, options) {
+    if (EnhancedUpdateUtility && EnhancedUpdateUtility.removeTrackedListeners) {
+      EnhancedUpdateUtility.removeTrackedListeners(element, eventName, handler, options);
+    } else {
+      element.removeEventListener(eventName.split('.')[0], handler, options);
+    }
+  }
+
+  function resolveElement(elementOrId) {
+    if (typeof elementOrId === 'string') {
+      return typeof document !== 'undefined' ? document.getElementById(elementOrId) : null;
+    }
+    return elementOrId && elementOrId.nodeType === 1 ? elementOrId : null;
+  }
+
+  // Hidden, inert or display: none between the element and the container
+  function isHidden(element, container) {
+    const view = element.ownerDocument.defaultView;
+
+    for (let node = element; node && node !== container.parentNode; node = node.parentElement) {
+      if (node.hidden || node.hasAttribute('inert')) return true;
+      if (view && view.getComputedStyle(node).display === 'none') return true;
+    }
+    return false;
+  }
+
+  /**
+   * List the elements inside a container that Tab can reach, in DOM order
+   * @param {Element} container - Element to search
+   * @returns {Element[]} Focusable descendants
+   */
+  function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE)).filter(element => {
+      return element.tabIndex >= 0 && !isHidden(element, container);
+    });
+  }
+
+  /**
+   * Keep keyboard focus inside a container until released
+   * @param {Element|string} containerOrId - Dialog, menu or other container
+   * @param {Object} [options] - { initialFocus, returnFocus = true, onEscape }
+   * @returns {Function} Releases the trap and restores the previous focus
+   */
+  function trapFocus(containerOrId, options = {}) {
+    const container = resolveElement(containerOrId);
+    if (!container) {
+      throw new TypeError(`trapFocus() could not find container "${containerOrId}"`);
+    }
+
+    const doc = container.ownerDocument;
+    const { initialFocus = null, returnFocus = true, onEscape = null } = options;
+    const previous = doc.activeElement;
+
+    const trap = {
+      container,
+      first() {
+        const focusable = getFocusableElements(container);
+        if (focusable.length > 0) return focusable[0];
+
+        // Nothing focusable inside; hold focus on the container itself
+        if (!container.hasAttribute('tabindex')) {
+          container.setAttribute('tabindex', '-1');
+          trap.addedTabindex = true;
+        }
+        return container;
+      },
+      addedTabindex: false
+    };
+
+    const isActive = () => focusTraps[focusTraps.length - 1] === trap;
+
+    const onKeydown = (event) => {
+      if (!isActive()) return;
+
+      if (event.key === 'Escape' && typeof onEscape === 'function') {
+        onEscape(event);
+        return;
+      }
+      if (event.key !== 'Tab') return;
+
+      const focusable = getFocusableElements(container);
+      if (focusable.length === 0) {
+        event.preventDefault();
+        trap.first().focus();
+        return;
+      }
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const current = doc.activeElement;
+
+      if (event.shiftKey && (current === first || !container.contains(current))) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && (current === last || !container.contains(current))) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+
+    // Focus that escapes, e.g. from a click or a script, is pulled back
+    const onFocusin = (event) => {
+      if (!isActive() || container.contains(event.target)) return;
+      trap.first().focus();
+    };
+
+    addListener(doc, 'keydown.focustrap', onKeydown, true);
+    addListener(doc, 'focusin.focustrap', onFocusin, true);
+    focusTraps.push(trap);
+
+    const target = resolveElement(initialFocus) || trap.first();
+    target.focus();
+
+    let released = false;
+    return function release() {
+      if (released) return;
+      released = true;
+
+      removeListener(doc, 'keydown.focustrap', onKeydown, true);
+      removeListener(doc, 'focusin.focustrap', onFocusin, true);
+      focusTraps.splice(focusTraps.indexOf(trap), 1);
+
+      if (trap.addedTabindex) {
+        container.removeAttribute('tabindex');
+      }
+      if (returnFocus && previous && typeof previous.focus === 'function' && previous.isConnected) {
+        previous.focus();
+      }
+    };
+  }
+
+  function getLiveRegion(doc, politeness) {
+    let regions = liveRegions.get(doc);
+    if (!regions) {
+      regions = {};
+      liveRegions.set(doc, regions);
+    }
+
+    let region = regions[politeness];
+    if (!region || !region.isConnected) {
+      region = doc.createElement('div');
+      region.setAttribute('aria-live', politeness);
+      region.setAttribute('aria-atomic', 'true');
+      region.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+      region.setAttribute('data-dom-helpers-live', politeness);
+      // Visually hidden, but still read by screen readers
+      Object.assign(region.style, {
+        position: 'absolute',
+        width: '1px',
+        height: '1px',
+        margin: '-1px',
+        padding: '0',
+        overflow: 'hidden',
+        clip: 'rect(0 0 0 0)',
+        whiteSpace: 'nowrap',
+        border: '0'
+      });
+      doc.body.appendChild(region);
+      regions[politeness] = region;
+    }
+    return region;
+  }
+
+  /**
+   * Announce a message to screen readers through a live region
+   * @param {string} message - Text to read
+   * @param {Object} [options] - { politeness: 'polite' | 'assertive', delay = 100, document }
+   * @returns {Promise<Element>} Resolves with the live region once the message is set
+   */
+  function announce(message, options = {}) {
+    const { politeness = 'polite', delay = 100 } = options;
+    const doc = options.document || (typeof document !== 'undefined' ? document : null);
+
+    if (politeness !== 'polite' && politeness !== 'assertive') {
+      console.warn(`[DOM Helpers] Unknown politeness '${politeness}'; use 'polite' or 'assertive'`);
+      return Promise.resolve(null);
+    }
+    if (!doc || !doc.body) {
+      return Promise.resolve(null);
+    }
+
+    const region = getLiveRegion(doc, politeness);
+
+    // Clear first, so repeating the same message is announced again
+    region.textContent = '';
+    return new Promise(resolve => {
+      setTimeout(() => {
+        region.textContent = message === null || message === undefined ? '' : String(message);
+        resolve(region);
+      }, delay);
+    });
+  }
+
+  /**
+   * Make a group of items a single Tab stop moved with the arrow keys
+   * @param {Element[]|NodeList|Object} items - Items in order; a Selector.live() collection stays in sync
+   * @param {Object} [options] - { orientation: 'horizontal' | 'vertical' | 'both', loop = true, initialIndex = 0, onChange }
+   * @returns {Object} Controller with index, current, focus(), refresh() and destroy()
+   */
+  function rovingTabindex(items, options = {}) {
+    if (!items || typeof items.length !== 'number') {
+      throw new TypeError('rovingTabindex() expects a list of elements');
+    }
+
+    const { orientation = 'both', loop = true, initialIndex = 0, onChange = null } = options;
+    const keys = orientation === 'both'
+      ? { ...ROVING_KEYS.horizontal, ...ROVING_KEYS.vertical }
+      : ROVING_KEYS[orientation];
+    if (!keys) {
+      throw new TypeError(`rovingTabindex() orientation must be 'horizontal', 'vertical' or 'both'`);
+    }
+
+    // Elements with listeners attached, so refresh() can tell what changed
+    const bound = new Set();
+    let current = null;
+    let isDestroyed = false;
+
+    const list = () => Array.from(items).filter(item => item && item.nodeType === 1);
+
+    const setCurrent = (element, moveFocus) => {
+      const elements = list();
+      if (!elements.includes(element)) return;
+
+      const changed = element !== current;
+      current = element;
+      elements.forEach(item => item.setAttribute('tabindex', item === element ? '0' : '-1'));
+
+      if (moveFocus) element.focus();
+      if (changed && typeof onChange === 'function') {
+        onChange(element, elements.indexOf(element));
+      }
+    };
+
+    const onKeydown = (event) => {
+      const elements = list();
+      const index = elements.indexOf(event.currentTarget);
+      if (index === -1) return;
+
+      let next;
+      if (event.key === 'Home') {
+        next = 0;
+      } else if (event.key === 'End') {
+        next = elements.length - 1;
+      } else if (keys[event.key]) {
+        next = index + keys[event.key];
+        if (next < 0 || next >= elements.length) {
+          if (!loop) return;
+          next = (next + elements.length) % elements.length;
+        }
+      } else {
+        return;
+      }
+
+      event.preventDefault();
+      setCurrent(elements[next], true);
+    };
+
+    const onFocusin = (event) => setCurrent(event.currentTarget, false);
+
+    const refresh = () => {
+      if (isDestroyed) return controller;
+      const elements = list();
+
+      elements.forEach(element => {
+        if (bound.has(element)) return;
+        bound.add(element);
+        addListener(element, 'keydown.roving', onKeydown);
+        addListener(element, 'focusin.roving', onFocusin);
+      });
+      bound.forEach(element => {
+        if (elements.includes(element)) return;
+        bound.delete(element);
+        removeListener(element, 'keydown.roving', onKeydown);
+        removeListener(element, 'focusin.roving', onFocusin);
+      });
+
+      if (elements.length === 0) {
+        current = null;
+      } else if (!elements.includes(current)) {
+        // Start at initialIndex; after a removal, keep the group reachable
+        const start = current === null ? initialIndex : 0;
+        setCurrent(elements[Math.min(Math.max(start, 0), elements.length - 1)], false);
+      } else {
+        setCurrent(current, false);
+      }
+      return controller;
+    };
+
+    // Live collections report insertions and removals
+    const isLive = typeof items.refresh === 'function' && typeof items.on === 'function';
+    if (isLive) {
+      items.on('added', refresh);
+      items.on('removed', refresh);
+    }
+
+    const controller = {
+      get index() {
+        return current ? list().indexOf(current) : -1;
+      },
+
+      get current() {
+        return current;
+      },
+
+      /**
+       * Make an item the Tab stop and focus it
+       * @param {number|Element} indexOrElement - Item index or element
+       * @returns {Object} The controller
+       */
+      focus(indexOrElement) {
+        const element = typeof indexOrElement === 'number' ? list()[indexOrElement] : indexOrElement;
+        if (element) setCurrent(element, true);
+        return controller;
+      },
+
+      /**
+       * Pick up items added or removed since the last call
+       * @returns {Object} The controller
+       */
+      refresh,
+
+      /**
+       * Remove the key handling; tabindex values are left as they are
+       */
+      destroy() {
+        if (isDestroyed) return;
+        isDestroyed = true;
+
+        if (isLive) {
+          items.off('added', refresh);
+          items.off('removed', refresh);
+        }
+        bound.forEach(element => {
+          removeListener(element, 'keydown.roving', onKeydown);
+          removeListener(element, 'focusin.roving', onFocusin);
+        });
+        bound.clear();
+      }
+    };
+
+    return refresh();
+  }
+
+  // Export the accessibility API
+  const A11yHelper = {
+    getFocusableElements,
+    trapFocus,
+    announce,
+    rovingTabindex
+  };
+
+  // Export for different environments
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js/CommonJS
+    module.exports = A11yHelper;
+  } else if (typeof define === 'function' && define.amd) {
+    // AMD/RequireJS
+    define([], function() {
+      return A11yHelper;
+    });
+  } else {
+    // Browser globals
+    global.A11yHelper = A11yHelper;
+  }
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this);
@@ -16,30 +16,46 @@
   class ProductionCollectionHelper {
     constructor(options = {}) {
       this.cache = new Map();
+      // Per-key bookkeeping for TTL and eviction: { cachedAt, lastAccess, hits }
+      this.cacheMeta = new Map();
       this.weakCache = new WeakMap();
       this.options = {
         enableLogging: options.enableLogging ?? false,
         autoCleanup: options.autoCleanup ?? true,
         cleanupInterval: options.cleanupInterval ?? 30000,
         maxCacheSize: options.maxCacheSize ?? 1000,
+        cacheTTL: options.cacheTTL ?? 0,
+        evictionPolicy: options.evictionPolicy ?? 'lru',
         debounceDelay: options.debounceDelay ?? 16,
         enableEnhancedSyntax: options.enableEnhancedSyntax ?? true,
         ...options
       };
 
+      // Element, ShadowRoot or Document this instance queries in
+      this.root = this._resolveRoot(options.root);
+      // Window providing MutationObserver, getComputedStyle and friends
+      this.window = this._resolveWindow(options.window);
+
       this.stats = {
         hits: 0,
         misses: 0,
         cacheSize: 0,
+        evictions: 0,
+        invalidations: { mutation: 0, cleanup: 0, manual: 0, expired: 0, stale: 0 },
+        lookups: 0,
+        lookupTime: 0,
         lastCleanup: Date.now()
       };
 
       this.pendingUpdates = new Set();
+      this.waiters = new Set();
+      this.suspendedMutations = [];
       this.cleanupTimer = null;
       this.isDestroyed = false;
 
       this._initProxies();
       this._initMutationObserver();
+      this._registerCacheInvalidator();
       this._scheduleCleanup();
     }
 
@@ -107,7 +123,7 @@
       return new Proxy(collection, {
         get: (target, prop) => {
           // Handle numeric indices
-          if (!isNaN(prop) && parseInt(prop) >= 0) {
+          if (typeof prop === 'string' && !isNaN(prop) && parseInt(prop) >= 0) {
             const index = parseInt(prop);
             const element = target[index];
             
@@ -165,47 +181,138 @@
         return this._createEmptyCollection();
       }
 
+      const start = this._now();
+      const collection = this._lookupCollection(type, value);
+      this.stats.lookups++;
+      this.stats.lookupTime += this._now() - start;
+      return collection;
+    }
+
+    _lookupCollection(type, value) {
       const cacheKey = this._createCacheKey(type, value);
 
       // Check cache first
       if (this.cache.has(cacheKey)) {
         const cachedCollection = this.cache.get(cacheKey);
-        if (this._isValidCollection(cachedCollection)) {
+        if (this._isExpired(cacheKey)) {
+          this._removeFromCache(cacheKey, 'expired');
+        } else if (this._isValidCollection(cachedCollection)) {
           this.stats.hits++;
+          this._touchCache(cacheKey);
           return cachedCollection;
         } else {
-          this.cache.delete(cacheKey);
+          this._removeFromCache(cacheKey, 'stale');
         }
       }
 
       // Get fresh collection from DOM
       let htmlCollection;
       try {
-        switch (type) {
-          case 'className':
-            htmlCollection = document.getElementsByClassName(value);
-            break;
-          case 'tagName':
-            htmlCollection = document.getElementsByTagName(value);
-            break;
-          case 'name':
-            htmlCollection = document.getElementsByName(value);
-            break;
-          default:
-            this._warn(`Unknown collection type: ${type}`);
-            return this._createEmptyCollection();
-        }
+        htmlCollection = this._queryLiveCollection(type, value);
       } catch (error) {
         this._warn(`Error getting ${type} collection for "${value}": ${error.message}`);
         return this._createEmptyCollection();
       }
 
+      if (!htmlCollection) {
+        this._warn(`Unknown collection type: ${type}`);
+        return this._createEmptyCollection();
+      }
+
       const collection = this._enhanceCollection(htmlCollection, type, value);
       this._addToCache(cacheKey, collection);
       this.stats.misses++;
       return collection;
     }
 
+    _resolveRoot(root) {
+      if (root === undefined || root === null) {
+        if (this.options.window && this.options.window.document) {
+          return this.options.window.document;
+        }
+        if (typeof document !== 'undefined') {
+          return document;
+        }
+        throw new TypeError('No document available: pass a root or window option');
+      }
+
+      // Element (1), Document (9), DocumentFragment or ShadowRoot (11)
+      if (root.nodeType === 1 || root.nodeType === 9 || root.nodeType === 11) {
+        return root;
+      }
+
+      throw new TypeError('root must be an Element, ShadowRoot or Document');
+    }
+
+    _resolveWindow(view) {
+      if (view) return view;
+
+      const doc = this.root.nodeType === 9 ? this.root : this.root.ownerDocument;
+      if (doc && doc.defaultView) return doc.defaultView;
+
+      return typeof window !== 'undefined' ? window : null;
+    }
+
+    _queryLiveCollection(type, value) {
+      const root = this.root;
+
+      switch (type) {
+        case 'className':
+          return typeof root.getElementsByClassName === 'function'
+            ? root.getElementsByClassName(value)
+            : this._createLiveQuery(type, value);
+        case 'tagName':
+          return typeof root.getElementsByTagName === 'function'
+            ? root.getElementsByTagName(value)
+            : this._createLiveQuery(type, value);
+        case 'name':
+          // getElementsByName only exists on Document
+          return typeof root.getElementsByName === 'function'
+            ? root.getElementsByName(value)
+            : this._createLiveQuery(type, value);
+        default:
+          return null;
+      }
+    }
+
+    /**
+     * Array-like stand-in for a live HTMLCollection on roots without the
+     * getElementsBy* methods (shadow roots, and name lookups under an
+     * element). Every access re-runs querySelectorAll on the root.
+     */
+    _createLiveQuery(type, value) {
+      const root = this.root;
+      const selector = this._getDelegateSelector(type, value);
+      const query = () => root.querySelectorAll(selector);
+
+      return new Proxy({}, {
+        get: (target, prop) => {
+          if (prop === 'length') {
+            return query().length;
+          }
+          if (prop === 'item') {
+            return (index) => query().item(index);
+          }
+          if (prop === 'namedItem') {
+            return (name) => Array.from(query()).find(el => el.id === name || el.getAttribute('name') === name) || null;
+          }
+          if (prop === Symbol.iterator) {
+            return () => query()[Symbol.iterator]();
+          }
+          if (typeof prop === 'string' && /^\d+$/.test(prop)) {
+            return query()[prop];
+          }
+          return undefined;
+        },
+        has: (target, prop) => {
+          if (typeof prop === 'string' && /^\d+$/.test(prop)) {
+            return Number(prop) < query().length;
+          }
+          return prop === 'length' || prop === 'item' || prop === 'namedItem';
+        }
+      });
+    }
+
     _isValidCollection(collection) {
       // Check if collection is still valid by testing if first element is still in DOM
       if (!collection || !collection._originalCollection) return false;
@@ -216,11 +323,12 @@
       // Check if first element is still in DOM and matches criteria
       const firstElement = live[0];
       return firstElement && 
-             firstElement.nodeType === Node.ELEMENT_NODE && 
-             document.contains(firstElement);
+             firstElement.nodeType === 1 && 
+             this.root.contains(firstElement);
     }
 
     _enhanceCollection(htmlCollection, type, value) {
+      const helper = this;
       const collection = {
         _originalCollection: htmlCollection,
         _type: type,
@@ -233,7 +341,10 @@
         },
 
         item(index) {
-          return htmlCollection.item(index);
+          if (typeof htmlCollection.item === 'function') {
+            return htmlCollection.item(index);
+          }
+          return htmlCollection[index] || null;
         },
 
         namedItem(name) {
@@ -324,27 +435,34 @@
           return this;
         },
 
-        on(event, handler) {
-          this.forEach(el => el.addEventListener(event, handler));
+        on(event, handler, options) {
+          this.forEach(el => helper._addListener(el, event, handler, options));
           return this;
         },
 
-        off(event, handler) {
-          this.forEach(el => el.removeEventListener(event, handler));
+        // Without a handler, removes every listener added through on() or
+        // .update() for the event type and/or namespace ('click.menu')
+        off(event, handler, options) {
+          this.forEach(el => helper._removeListeners(el, event, handler, options));
           return this;
         },
 
+        // Single listener on a root, so elements added later are handled too
+        delegate(event, handler, options) {
+          return helper._delegate(helper._getDelegateSelector(type, value), event, handler, options);
+        },
+
         // Filtering helpers
         visible() {
           return this.filter(el => {
-            const style = window.getComputedStyle(el);
+            const style = helper.window.getComputedStyle(el);
             return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
           });
         },
 
         hidden() {
           return this.filter(el => {
-            const style = window.getComputedStyle(el);
+            const style = helper.window.getComputedStyle(el);
             return style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0';
           });
         },
@@ -379,6 +497,84 @@
       return this._enhanceCollectionWithUpdate(collection);
     }
 
+    _addListener(element, event, handler, options) {
+      if (EnhancedUpdateUtility && EnhancedUpdateUtility.addTrackedListener) {
+        EnhancedUpdateUtility.addTrackedListener(element, event, handler, options);
+      } else {
+        element.addEventListener(event, handler, options);
+      }
+    }
+
+    _removeListeners(element, event, handler, options) {
+      if (EnhancedUpdateUtility && EnhancedUpdateUtility.removeTrackedListeners) {
+        EnhancedUpdateUtility.removeTrackedListeners(element, event, handler, options);
+      } else if (handler) {
+        element.removeEventListener(event, handler, options);
+      }
+    }
+
+    _getDelegateSelector(type, value) {
+      switch (type) {
+        case 'className':
+          return value.trim().split(/\s+/).map(cls => `.${this._escapeSelector(cls)}`).join('');
+        case 'tagName':
+          return value === '*' ? '*' : this._escapeSelector(value);
+        case 'name':
+          return `[name="${value.replace(/["\\]/g, '\\$&')}"]`;
+        default:
+          // Empty collections never match anything
+          return ':not(*)';
+      }
+    }
+
+    /**
+     * Install a single delegated listener on root and invoke handler for
+     * events whose target is inside an element matching selector
+     * (see EnhancedUpdateUtility.delegateEvent)
+     * @param {string} selector - Selector matched with closest()
+     * @param {string} event - Event type
+     * @param {Function} handler - Called as handler.call(match, event, match)
+     * @param {{root?: Element|Document, capture?: boolean, passive?: boolean}} options
+     * @returns {Function} Unsubscribe function
+     */
+    _delegate(selector, event, handler, options = {}) {
+      const root = options.root || this.root;
+      if (EnhancedUpdateUtility && EnhancedUpdateUtility.delegateEvent) {
+        return EnhancedUpdateUtility.delegateEvent(root, selector, event, handler, options);
+      }
+
+      // Standalone build without the update utility: same matching, native listener
+      if (typeof handler !== 'function') {
+        throw new TypeError('delegate() expects a handler function');
+      }
+
+      const enterLeave = {
+        mouseenter: 'mouseover', mouseleave: 'mouseout', pointerenter: 'pointerover', pointerleave: 'pointerout'
+      }[event];
+      const type = enterLeave || event;
+      const listenerOptions = { capture: options.capture ?? (event === 'focus' || event === 'blur'), passive: options.passive };
+
+      const listener = (e) => {
+        const target = e.target && e.target.nodeType === 1 ? e.target : e.target && e.target.parentElement;
+        const match = target && target.closest(selector);
+        if (!match || match === root || !root.contains(match)) return;
+        if (enterLeave && e.relatedTarget && match.contains(e.relatedTarget)) return;
+
+        handler.call(match, e, match);
+      };
+
+      root.addEventListener(type, listener, listenerOptions);
+      return () => root.removeEventListener(type, listener, listenerOptions);
+    }
+
+    _escapeSelector(value) {
+      const css = this.window && this.window.CSS;
+      if (css && typeof css.escape === 'function') {
+        return css.escape(value);
+      }
+      return value.replace(/([^\w-])/g, '\\$1');
+    }
+
     _createEmptyCollection() {
       const emptyCollection = { 
         length: 0, 
@@ -389,12 +585,17 @@
     }
 
     _addToCache(cacheKey, collection) {
-      if (this.cache.size >= this.options.maxCacheSize) {
-        const firstKey = this.cache.keys().next().value;
-        this.cache.delete(firstKey);
+      if (!this.cache.has(cacheKey)) {
+        while (this.cache.size > 0 && this.cache.size >= this.options.maxCacheSize) {
+          this._evict();
+        }
       }
 
+      // Re-inserting moves the key to the most recently used end
+      const now = Date.now();
+      this.cache.delete(cacheKey);
       this.cache.set(cacheKey, collection);
+      this.cacheMeta.set(cacheKey, { cachedAt: now, lastAccess: now, hits: 0 });
       this.stats.cacheSize = this.cache.size;
 
       // Store metadata in weak cache
@@ -405,41 +606,208 @@
       });
     }
 
+    // Record a hit. The Map is kept in recency order unless the policy is 'fifo'
+    _touchCache(cacheKey) {
+      const meta = this.cacheMeta.get(cacheKey);
+      if (meta) {
+        meta.lastAccess = Date.now();
+        meta.hits++;
+      }
+
+      if (this.options.evictionPolicy !== 'fifo') {
+        const collection = this.cache.get(cacheKey);
+        this.cache.delete(cacheKey);
+        this.cache.set(cacheKey, collection);
+      }
+    }
+
+    _isExpired(cacheKey) {
+      const ttl = this.options.cacheTTL;
+      if (!ttl || ttl <= 0) return false;
+
+      const meta = this.cacheMeta.get(cacheKey);
+      return !!meta && Date.now() - meta.cachedAt >= ttl;
+    }
+
+    _evict() {
+      const policy = this.options.evictionPolicy;
+      let victim;
+
+      // Custom policies get the entries in cache order and return a key to drop
+      if (typeof policy === 'function') {
+        const entries = Array.from(this.cache.keys(), key => ({ key, ...this.cacheMeta.get(key) }));
+        victim = policy(entries);
+      }
+
+      // 'lru' and 'fifo' both drop the front of the Map; so do custom
+      // policies that return an unknown key
+      if (!this.cache.has(victim)) {
+        victim = this.cache.keys().next().value;
+      }
+
+      this.cache.delete(victim);
+      this.cacheMeta.delete(victim);
+      this.stats.evictions++;
+    }
+
+    _removeFromCache(cacheKey, cause) {
+      if (!this.cache.delete(cacheKey)) return;
+
+      this.cacheMeta.delete(cacheKey);
+      this.stats.invalidations[cause]++;
+    }
+
+    _now() {
+      const perf = this.window && this.window.performance;
+      return perf && typeof perf.now === 'function' ? perf.now() : Date.now();
+    }
+
     _initMutationObserver() {
+      const Observer = this.window && this.window.MutationObserver;
+      if (typeof Observer !== 'function') {
+        // Without an observer the cache is only validated on access
+        this.observer = null;
+        return;
+      }
+
       const debouncedUpdate = this._debounce((mutations) => {
         this._processMutations(mutations);
       }, this.options.debounceDelay);
 
-      this.observer = new MutationObserver(debouncedUpdate);
+      this.observer = new Observer((mutations) => {
+        // Pending waiters are checked immediately, cache maintenance stays debounced
+        if (this.waiters.size > 0) {
+          this._notifyWaiters();
+        }
+        debouncedUpdate(mutations);
+      });
       
+      const config = {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['class', 'name'],
+        attributeOldValue: true
+      };
+
+      // Element and shadow roots are observed directly
+      if (this.root.nodeType !== 9) {
+        this.observer.observe(this.root, config);
+        return;
+      }
+
+      const doc = this.root;
+
       // Only observe if document.body exists
-      if (document.body) {
-        this.observer.observe(document.body, {
-          childList: true,
-          subtree: true,
-          attributes: true,
-          attributeFilter: ['class', 'name'],
-          attributeOldValue: true
-        });
+      if (doc.body) {
+        this.observer.observe(doc.body, config);
       } else {
         // Wait for DOM to be ready
-        document.addEventListener('DOMContentLoaded', () => {
-          if (document.body && !this.isDestroyed) {
-            this.observer.observe(document.body, {
-              childList: true,
-              subtree: true,
-              attributes: true,
-              attributeFilter: ['class', 'name'],
-              attributeOldValue: true
-            });
+        doc.addEventListener('DOMContentLoaded', () => {
+          if (doc.body && !this.isDestroyed) {
+            this.observer.observe(doc.body, config);
+            this._notifyWaiters();
           }
         });
       }
     }
 
+    /**
+     * Wait until check() returns true, re-evaluating it whenever the
+     * mutation observer reports a change instead of polling.
+     * @param {Function} check - Condition to satisfy
+     * @param {{timeout?: number, signal?: AbortSignal}} options - Wait options
+     * @param {Function} createTimeoutError - Builds the rejection on timeout
+     * @returns {Promise<boolean>}
+     */
+    _waitUntil(check, options, createTimeoutError) {
+      const { timeout = 5000, signal } = options || {};
+
+      return new Promise((resolve, reject) => {
+        if (this.isDestroyed) {
+          reject(new Error('Collections helper has been destroyed'));
+          return;
+        }
+
+        if (signal && signal.aborted) {
+          reject(this._getAbortReason(signal));
+          return;
+        }
+
+        if (check()) {
+          resolve(true);
+          return;
+        }
+
+        let timer = null;
+
+        const onAbort = () => waiter.reject(this._getAbortReason(signal));
+
+        const settle = () => {
+          this.waiters.delete(waiter);
+          clearTimeout(timer);
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+        };
+
+        const waiter = {
+          check: () => {
+            try {
+              if (check()) {
+                settle();
+                resolve(true);
+              }
+            } catch (error) {
+              settle();
+              reject(error);
+            }
+          },
+          reject: (error) => {
+            settle();
+            reject(error);
+          }
+        };
+
+        this.waiters.add(waiter);
+
+        if (signal) {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        if (Number.isFinite(timeout)) {
+          timer = setTimeout(() => waiter.reject(createTimeoutError()), timeout);
+        }
+      });
+    }
+
+    _notifyWaiters() {
+      this.waiters.forEach(waiter => waiter.check());
+    }
+
+    _getAbortReason(signal) {
+      if (signal.reason !== undefined) {
+        return signal.reason;
+      }
+
+      const error = new Error('Waiting for collection was aborted');
+      error.name = 'AbortError';
+      return error;
+    }
+
     _processMutations(mutations) {
       if (this.isDestroyed) return;
 
+      // Held back until a DOMHelpers.batch() flush has applied its writes
+      if (EnhancedUpdateUtility && EnhancedUpdateUtility.isBatching && EnhancedUpdateUtility.isBatching()) {
+        this.suspendedMutations.push(...mutations);
+        return;
+      }
+      if (this.suspendedMutations.length > 0) {
+        mutations = this.suspendedMutations.concat(mutations);
+        this.suspendedMutations = [];
+      }
+
       const affectedClasses = new Set();
       const affectedNames = new Set();
       const affectedTags = new Set();
@@ -447,7 +815,7 @@
       mutations.forEach(mutation => {
         // Handle added/removed nodes
         [...mutation.addedNodes, ...mutation.removedNodes].forEach(node => {
-          if (node.nodeType === Node.ELEMENT_NODE) {
+          if (node.nodeType === 1) {
             // Collect classes
             if (node.className) {
               node.className.split(/\s+/).forEach(cls => {
@@ -518,7 +886,7 @@
         }
       }
 
-      keysToDelete.forEach(key => this.cache.delete(key));
+      keysToDelete.forEach(key => this._removeFromCache(key, 'mutation'));
       this.stats.cacheSize = this.cache.size;
 
       if (keysToDelete.length > 0 && this.options.enableLogging) {
@@ -526,6 +894,29 @@
       }
     }
 
+    _registerCacheInvalidator() {
+      this.unregisterInvalidator = null;
+
+      // Lets bulk operations such as element.sync() bring the cache up to
+      // date right away instead of after the debounce delay
+      if (EnhancedUpdateUtility && EnhancedUpdateUtility.registerCacheInvalidator) {
+        this.unregisterInvalidator = EnhancedUpdateUtility.registerCacheInvalidator(() => this._flushMutations());
+      }
+    }
+
+    // Process queued mutation records now
+    _flushMutations() {
+      if (this.isDestroyed || !this.observer) return;
+
+      const mutations = this.observer.takeRecords();
+      if (mutations.length === 0 && this.suspendedMutations.length === 0) return;
+
+      if (this.waiters.size > 0) {
+        this._notifyWaiters();
+      }
+      this._processMutations(mutations);
+    }
+
     _scheduleCleanup() {
       if (!this.options.autoCleanup || this.isDestroyed) return;
 
@@ -540,14 +931,18 @@
 
       const beforeSize = this.cache.size;
       const staleKeys = [];
+      const expiredKeys = [];
 
       for (const [key, collection] of this.cache) {
-        if (!this._isValidCollection(collection)) {
+        if (this._isExpired(key)) {
+          expiredKeys.push(key);
+        } else if (!this._isValidCollection(collection)) {
           staleKeys.push(key);
         }
       }
 
-      staleKeys.forEach(key => this.cache.delete(key));
+      staleKeys.forEach(key => this._removeFromCache(key, 'cleanup'));
+      expiredKeys.forEach(key => this._removeFromCache(key, 'expired'));
 
       this.stats.cacheSize = this.cache.size;
       this.stats.lastCleanup = Date.now();
@@ -755,7 +1150,7 @@
             try {
               // Apply updates to each element in the collection
               elements.forEach(element => {
-                if (element && element.nodeType === Node.ELEMENT_NODE) {
+                if (element && element.nodeType === 1) {
                   Object.entries(updates).forEach(([key, value]) => {
                     this._applyEnhancedUpdateToElement(element, key, value);
                   });
@@ -801,7 +1196,7 @@
 
           try {
             elements.forEach(element => {
-              if (element && element.nodeType === Node.ELEMENT_NODE) {
+              if (element && element.nodeType === 1) {
                 Object.entries(updates).forEach(([key, value]) => {
                   this._applyEnhancedUpdateToElement(element, key, value);
                 });
@@ -823,19 +1218,28 @@
     getStats() {
       return {
         ...this.stats,
+        invalidations: { ...this.stats.invalidations },
         hitRate: this.stats.hits / (this.stats.hits + this.stats.misses) || 0,
+        averageLookupTime: this.stats.lookupTime / this.stats.lookups || 0,
         uptime: Date.now() - this.stats.lastCleanup
       };
     }
 
     clearCache() {
+      this.stats.invalidations.manual += this.cache.size;
       this.cache.clear();
+      this.cacheMeta.clear();
       this.stats.cacheSize = 0;
       this._log('Cache cleared manually');
     }
 
     destroy() {
       this.isDestroyed = true;
+
+      if (this.unregisterInvalidator) {
+        this.unregisterInvalidator();
+        this.unregisterInvalidator = null;
+      }
       
       if (this.observer) {
         this.observer.disconnect();
@@ -847,12 +1251,18 @@
         this.cleanupTimer = null;
       }
 
+      this.waiters.forEach(waiter => {
+        waiter.reject(new Error('Collections helper destroyed while waiting for elements'));
+      });
+
       this.cache.clear();
+      this.cacheMeta.clear();
       this._log('Collections helper destroyed');
     }
 
     isCached(type, value) {
-      return this.cache.has(this._createCacheKey(type, value));
+      const cacheKey = this._createCacheKey(type, value);
+      return this.cache.has(cacheKey) && !this._isExpired(cacheKey);
     }
 
     getCacheSnapshot() {
@@ -881,33 +1291,59 @@
       return results;
     }
 
-    async waitForElements(type, value, minCount = 1, timeout = 5000) {
-      const startTime = Date.now();
-      
-      while (Date.now() - startTime < timeout) {
-        let collection;
-        switch (type) {
-          case 'className':
-            collection = this.ClassName[value];
-            break;
-          case 'tagName':
-            collection = this.TagName[value];
-            break;
-          case 'name':
-            collection = this.Name[value];
-            break;
-          default:
-            throw new Error(`Unknown collection type: ${type}`);
-        }
-        
-        if (collection && collection.length >= minCount) {
-          return collection;
+    /**
+     * Wait until a collection holds at least minCount elements
+     * @param {string} type - 'className', 'tagName' or 'name'
+     * @param {string} value - Class, tag or name to match
+     * @param {number} [minCount=1] - Minimum number of elements
+     * @param {number|{timeout?: number, signal?: AbortSignal}} [options] -
+     *   Timeout in ms (default 5000) or an options object
+     * @returns {Promise<Object>} Resolves with the enhanced collection
+     */
+    async waitForElements(type, value, minCount = 1, options = {}) {
+      const live = this._queryLiveCollection(type, value);
+      if (!live) {
+        throw new Error(`Unknown collection type: ${type}`);
+      }
+
+      if (typeof options === 'number') {
+        options = { timeout: options };
+      }
+
+      await this._waitUntil(
+        () => live.length >= minCount,
+        options,
+        () => {
+          const error = new Error(`Timeout waiting for ${type}="${value}" (min: ${minCount}, found: ${live.length})`);
+          error.missing = minCount - live.length;
+          return error;
         }
-        
-        await new Promise(resolve => setTimeout(resolve, 100));
+      );
+
+      switch (type) {
+        case 'className':
+          return this.ClassName[value];
+        case 'tagName':
+          return this.TagName[value];
+        default:
+          return this.Name[value];
       }
-      
-      throw new Error(`Timeout waiting for ${type}="${value}" (min: ${minCount})`);
+    }
+
+    /**
+     * Wrap an arbitrary list of elements in an enhanced collection
+     * @param {Array|NodeList|HTMLCollection} elements - Elements to wrap
+     * @returns {Object} Enhanced collection over a snapshot of the elements
+     */
+    fromElements(elements) {
+      const list = Array.from(elements || []).filter(el => el && el.nodeType === 1);
+      const collection = this._enhanceCollection(list, 'elements', '');
+
+      if (this.options.enableEnhancedSyntax) {
+        return this._createEnhancedCollectionProxy(collection);
+      }
+
+      return collection;
     }
 
     // Configuration methods
@@ -922,45 +1358,74 @@
     }
   }
 
-  // Auto-initialize with sensible defaults
-  const CollectionHelper = new ProductionCollectionHelper({
-    enableLogging: false,
-    autoCleanup: true,
-    cleanupInterval: 30000,
-    maxCacheSize: 1000,
-    enableEnhancedSyntax: true
-  });
+  // Auto-initialize with sensible defaults; without a global document
+  // (Node, workers) use createCollections() with an injected window instead
+  const CollectionHelper = typeof document !== 'undefined'
+    ? new ProductionCollectionHelper({
+      enableLogging: false,
+      autoCleanup: true,
+      cleanupInterval: 30000,
+      maxCacheSize: 1000,
+      enableEnhancedSyntax: true
+    })
+    : null;
+
+  /**
+   * Build the Collections API object around a helper
+   * @param {ProductionCollectionHelper} helper - Helper backing the API
+   * @returns {Object} Collections API
+   */
+  function createCollectionsAPI(helper) {
+    const api = {
+      ClassName: helper.ClassName,
+      TagName: helper.TagName,
+      Name: helper.Name,
+
+      // Utility methods
+      helper: helper,
+      stats: () => helper.getStats(),
+      clear: () => helper.clearCache(),
+      destroy: () => helper.destroy(),
+      isCached: (type, value) => helper.isCached(type, value),
+      getMultiple: (requests) => helper.getMultiple(requests),
+      waitFor: (type, value, minCount, options) => helper.waitForElements(type, value, minCount, options),
+      from: (elements) => helper.fromElements(elements),
+      enableEnhancedSyntax: () => helper.enableEnhancedSyntax(),
+      disableEnhancedSyntax: () => helper.disableEnhancedSyntax(),
+      configure: (options) => {
+        Object.assign(helper.options, options);
+        return api;
+      },
+
+      // Scoped instance with its own cache and observer, e.g. Collections.scope(shadowRoot)
+      scope: (root, options = {}) => {
+        return createCollectionsAPI(new ProductionCollectionHelper({ ...helper.options, ...options, root }));
+      }
+    };
+
+    return api;
+  }
+
+  /**
+   * Create an independent Collections API bound to the given DOM
+   * @param {Object} [options] - Helper options; window and root select the DOM
+   * @returns {Object} Collections API with its own cache and observer
+   */
+  function createCollections(options = {}) {
+    return createCollectionsAPI(new ProductionCollectionHelper(options));
+  }
 
   // Global API - Clean and intuitive
-  const Collections = {
-    ClassName: CollectionHelper.ClassName,
-    TagName: CollectionHelper.TagName,
-    Name: CollectionHelper.Name,
-
-    // Utility methods
-    helper: CollectionHelper,
-    stats: () => CollectionHelper.getStats(),
-    clear: () => CollectionHelper.clearCache(),
-    destroy: () => CollectionHelper.destroy(),
-    isCached: (type, value) => CollectionHelper.isCached(type, value),
-    getMultiple: (requests) => CollectionHelper.getMultiple(requests),
-    waitFor: (type, value, minCount, timeout) => CollectionHelper.waitForElements(type, value, minCount, timeout),
-    enableEnhancedSyntax: () => CollectionHelper.enableEnhancedSyntax(),
-    disableEnhancedSyntax: () => CollectionHelper.disableEnhancedSyntax(),
-    configure: (options) => {
-      Object.assign(CollectionHelper.options, options);
-      return Collections;
-    }
-  };
+  const Collections = CollectionHelper ? createCollectionsAPI(CollectionHelper) : null;
 
   // Export for different environments
   if (typeof module !== 'undefined' && module.exports) {
     // Node.js/CommonJS
-    module.exports = { Collections, ProductionCollectionHelper };
+    module.exports = { Collections, ProductionCollectionHelper, createCollections };
   } else if (typeof define === 'function' && define.amd) {
     // AMD/RequireJS
     define([], function() {
-      return { Collections, ProductionCollectionHelper };
+      return { Collections, ProductionCollectionHelper, createCollections };
     });
   } else {
     // Browser globals
@@ -969,7 +1434,7 @@
   }
 
   // Auto-cleanup on page unload
-  if (typeof window !== 'undefined') {
+  if (CollectionHelper && typeof window !== 'undefined') {
     window.addEventListener('beforeunload', () => {
       CollectionHelper.destroy();
     });
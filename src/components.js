@@ -0,0 +1,396 @@
+/**
+ * Components for DOM Helpers
+ * Behaviors for server-rendered markup, mounted on every element matching an
+ * attribute, class or selector
+ *
+ * Features:
+ * - Elements inserted or matched later are mounted from the Selector
+ *   observer (see Selector.live()); removed ones are unmounted
+ * - Each instance gets its root and data-ref children with .update(), plus
+ *   Elements and Selector scoped to its subtree
+ * - Listeners added with on() or through .update() on the root and refs
+ *   are removed when the instance unmounts
+ */
+
+(function(global) {
+  'use strict';
+
+  // Import Enhanced UpdateUtility if available
+  let EnhancedUpdateUtility;
+  if (typeof require !== 'undefined') {
+    try {
+      EnhancedUpdateUtility = require('./enhanced-update-utility.js');
+    } catch (e) {
+      // EnhancedUpdateUtility not available in this environment
+    }
+  } else if (typeof global !== 'undefined' && global.EnhancedUpdateUtility) {
+    EnhancedUpdateUtility = global.EnhancedUpdateUtility;
+  }
+
+  const LIFECYCLE_HOOKS = ['mount', 'update', 'unmount'];
+
+  // 'data-widget' matches [data-widget]; '.class', '#id' and '[attr]' are used as is
+  function toComponentSelector(name) {
+    return /^[.#[]/.test(name) ? name : `[${name}]`;
+  }
+
+  function enhanceComponentElement(element) {
+    return EnhancedUpdateUtility && EnhancedUpdateUtility.enhanceElementWithUpdate
+      ? EnhancedUpdateUtility.enhanceElementWithUpdate(element)
+      : element;
+  }
+
+  // Tracked handlers per element, so unmount only removes what was added since
+  function snapshotListeners(elements) {
+    const snapshot = new Map();
+    if (!EnhancedUpdateUtility || !EnhancedUpdateUtility.getTrackedListeners) return snapshot;
+
+    elements.forEach(element => {
+      snapshot.set(element, EnhancedUpdateUtility.getTrackedListeners(element).map(entry => entry.handler));
+    });
+    return snapshot;
+  }
+
+  class Component {
+    constructor(registry, name, definition) {
+      this.registry = registry;
+      this.name = name;
+      this.selector = toComponentSelector(name);
+      this.definition = definition;
+      // Mounted instances keyed by their root element
+      this.instances = new Map();
+      this.collection = null;
+      this.isDestroyed = false;
+    }
+
+    _start() {
+      this.collection = this.registry.Selector.live(this.selector);
+      this.collection.on('removed', element => this._unmount(element));
+      this.collection.on('added', element => this._mount(element));
+
+      for (let i = 0; i < this.collection.length; i++) {
+        this._mount(this.collection[i]);
+      }
+    }
+
+    _mount(element) {
+      if (this.isDestroyed || this.instances.has(element)) return;
+
+      const instance = this._createInstance(element);
+      this.instances.set(element, instance);
+
+      const cleanup = this._call('mount', instance.context);
+      if (typeof cleanup === 'function') {
+        instance.cleanups.push(cleanup);
+      }
+
+      if (typeof this.definition.update === 'function') {
+        this._observeAttributes(instance);
+      }
+    }
+
+    _unmount(element) {
+      const instance = this.instances.get(element);
+      if (!instance) return;
+
+      if (instance.observer) {
+        // Deliver changes made just before removal
+        this._dispatchAttributeChanges(instance, instance.observer.takeRecords());
+        instance.observer.disconnect();
+      }
+
+      this.instances.delete(element);
+      this._call('unmount', instance.context);
+
+      instance.cleanups.splice(0).reverse().forEach(cleanup => {
+        try {
+          cleanup();
+        } catch (error) {
+          this.registry._warn(`Error in cleanup for '${this.name}': ${error.message}`);
+        }
+      });
+
+      this._removeListeners(instance);
+      instance.scoped.forEach(api => api.destroy());
+      instance.scoped.clear();
+    }
+
+    _createInstance(element) {
+      const component = this;
+      const registry = this.registry;
+      const instance = {
+        element,
+        cleanups: [],
+        // Elements and Selector created on first use
+        scoped: new Map(),
+        // Tracked handlers on the root and refs before mount
+        listeners: null,
+        observer: null,
+        context: null
+      };
+
+      const scoped = (name, api) => {
+        if (!instance.scoped.has(name)) {
+          if (!api || typeof api.scope !== 'function') {
+            throw new Error(`${name} is not available to component '${component.name}'`);
+          }
+          instance.scoped.set(name, api.scope(element));
+        }
+        return instance.scoped.get(name);
+      };
+
+      instance.context = {
+        component: this.name,
+        element: enhanceComponentElement(element),
+
+        // data-ref descendants by name, read on each access; the first one wins
+        get refs() {
+          return component._collectRefs(element);
+        },
+
+        get Elements() {
+          return scoped('Elements', registry.Elements);
+        },
+
+        get Selector() {
+          return scoped('Selector', registry.Selector);
+        },
+
+        /**
+         * Add a listener that is removed on unmount
+         * @param {Element|string} [target] - Element or ref name; defaults to the root
+         * @param {string} eventName - Event type with optional namespace
+         * @param {Function} handler - Event handler
+         * @param {Object|boolean} [options] - addEventListener options
+         * @returns {Function} Removes the listener
+         */
+        on(target, eventName, handler, options) {
+          if (typeof eventName === 'function') {
+            return instance.context.on(element, target, eventName, handler);
+          }
+          const el = typeof target === 'string' ? component._collectRefs(element)[target] : target;
+          if (!el) {
+            throw new TypeError(`on() target '${target}' not found in component '${component.name}'`);
+          }
+          return component._listen(instance, el, eventName, handler, options);
+        }
+      };
+
+      instance.listeners = snapshotListeners([element, ...Object.values(this._collectRefs(element))]);
+      return instance;
+    }
+
+    _collectRefs(element) {
+      const refs = {};
+      element.querySelectorAll('[data-ref]').forEach(ref => {
+        const name = ref.getAttribute('data-ref');
+        if (name && !refs[name]) {
+          refs[name] = enhanceComponentElement(ref);
+        }
+      });
+      return refs;
+    }
+
+    _listen(instance, element, eventName, handler, options) {
+      let off;
+      if (EnhancedUpdateUtility && EnhancedUpdateUtility.addTrackedListener) {
+        EnhancedUpdateUtility.addTrackedListener(element, eventName, handler, options);
+        off = () => EnhancedUpdateUtility.removeTrackedListeners(element, eventName, handler, options);
+      } else {
+        element.addEventListener(eventName, handler, options);
+        off = () => element.removeEventListener(eventName, handler, options);
+      }
+
+      instance.cleanups.push(off);
+      return off;
+    }
+
+    // Listeners added through .update() on the root or refs while mounted
+    _removeListeners(instance) {
+      if (!EnhancedUpdateUtility || !EnhancedUpdateUtility.getTrackedListeners) return;
+
+      const targets = new Set([
+        instance.element,
+        ...instance.listeners.keys(),
+        ...Object.values(this._collectRefs(instance.element))
+      ]);
+
+      targets.forEach(target => {
+        const existing = instance.listeners.get(target) || [];
+        EnhancedUpdateUtility.getTrackedListeners(target).forEach(entry => {
+          if (existing.includes(entry.handler)) return;
+
+          const eventName = entry.namespace ? `${entry.type}.${entry.namespace}` : entry.type;
+          EnhancedUpdateUtility.removeTrackedListeners(target, eventName, entry.handler, { capture: entry.capture });
+        });
+      });
+    }
+
+    _observeAttributes(instance) {
+      const view = this.registry.Selector.helper && this.registry.Selector.helper.window;
+      const Observer = view && view.MutationObserver;
+      // Records are paired with their new values by the update utility
+      if (typeof Observer !== 'function' || !EnhancedUpdateUtility) return;
+
+      const filter = this.definition.attributes;
+      instance.observer = new Observer(records => this._dispatchAttributeChanges(instance, records));
+      instance.observer.observe(instance.element, {
+        attributes: true,
+        attributeOldValue: true,
+        ...(Array.isArray(filter) ? { attributeFilter: filter } : {})
+      });
+    }
+
+    _dispatchAttributeChanges(instance, records) {
+      EnhancedUpdateUtility.foldAttributeRecords(records).forEach(({ attributeName, oldValue, newValue }) => {
+        this._call('update', instance.context, { name: attributeName, oldValue, newValue });
+      });
+    }
+
+    _call(hook, ...args) {
+      const fn = this.definition[hook];
+      if (typeof fn !== 'function') return undefined;
+
+      try {
+        return fn.apply(this.definition, args);
+      } catch (error) {
+        this.registry._warn(`Error in ${hook} for '${this.name}': ${error.message}`);
+        return undefined;
+      }
+    }
+
+    /**
+     * Get the instance mounted on an element
+     * @param {Element} element - Component root
+     * @returns {Object|null} The instance context or null
+     */
+    get(element) {
+      const instance = this.instances.get(element);
+      return instance ? instance.context : null;
+    }
+
+    /**
+     * List the mounted instances
+     * @returns {Object[]} Instance contexts in mount order
+     */
+    all() {
+      return [...this.instances.values()].map(instance => instance.context);
+    }
+
+    /**
+     * Re-run the match, e.g. after changes the observer cannot see
+     * @returns {Component} this
+     */
+    refresh() {
+      if (this.collection) this.collection.refresh();
+      return this;
+    }
+
+    /**
+     * Unmount every instance and stop matching new elements
+     */
+    destroy() {
+      if (this.isDestroyed) return;
+
+      this.isDestroyed = true;
+      if (this.collection) this.collection.disconnect();
+      [...this.instances.keys()].forEach(element => this._unmount(element));
+      this.registry.components.delete(this.name);
+    }
+  }
+
+  class ComponentRegistry {
+    constructor(options = {}) {
+      this.Elements = options.Elements || null;
+      this.Selector = options.Selector || null;
+      // Hook errors are only reported with enableLogging
+      const helper = this.Elements && this.Elements.helper;
+      this.options = {
+        enableLogging: options.enableLogging ?? (helper && helper.options ? !!helper.options.enableLogging : false)
+      };
+      this.components = new Map();
+    }
+
+    _warn(message) {
+      if (this.options.enableLogging) {
+        console.warn(`[DOM Helpers] ${message}`);
+      }
+    }
+
+    /**
+     * Register a behavior and mount it on every matching element, now and
+     * when elements are inserted later
+     * @param {string} name - Attribute name ('data-widget') or selector ('.carousel')
+     * @param {Object} definition - { mount(ctx), update(ctx, change), unmount(ctx), attributes? }
+     * @returns {Component} Handle with get(), all(), refresh() and destroy()
+     */
+    component(name, definition) {
+      if (typeof name !== 'string' || name.trim() === '') {
+        throw new TypeError('component() expects a name or selector string');
+      }
+      if (!definition || typeof definition !== 'object' ||
+          !LIFECYCLE_HOOKS.some(hook => typeof definition[hook] === 'function')) {
+        throw new TypeError('component() expects a definition with mount, update or unmount');
+      }
+      if (!this.Selector || typeof this.Selector.live !== 'function') {
+        throw new Error('component() requires the Selector helper');
+      }
+      if (this.components.has(name)) {
+        throw new Error(`Component '${name}' is already registered`);
+      }
+
+      const component = new Component(this, name, definition);
+      this.components.set(name, component);
+      component._start();
+      return component;
+    }
+
+    /**
+     * Get a registered component by name
+     * @param {string} name - Name passed to component()
+     * @returns {Component|null}
+     */
+    get(name) {
+      return this.components.get(name) || null;
+    }
+
+    /**
+     * Unmount and unregister every component
+     */
+    destroy() {
+      [...this.components.values()].forEach(component => component.destroy());
+    }
+  }
+
+  /**
+   * Create a registry whose components use the given helpers
+   * @param {Object} options - { Elements, Selector } APIs, e.g. from createDOMHelpers(), and enableLogging
+   * (defaults to the Elements helper's) to warn about errors thrown by hooks
+   * @returns {ComponentRegistry}
+   */
+  function createComponents(options) {
+    return new ComponentRegistry(options);
+  }
+
+  // Export the component API
+  const ComponentHelper = {
+    Component,
+    ComponentRegistry,
+    createComponents
+  };
+
+  // Export for different environments
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js/CommonJS
+    module.exports = ComponentHelper;
+  } else if (typeof define === 'function' && define.amd) {
+    // AMD/RequireJS
+    define([], function() {
+      return ComponentHelper;
+    });
+  } else {
+    // Browser globals
+    global.ComponentHelper = ComponentHelper;
+  }
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this);
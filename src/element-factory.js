@@ -0,0 +1,156 @@
+/**
+ * Element Factory for DOM Helpers
+ * Hyperscript-style element creation driven by the .update() dictionary
+ *
+ * Features:
+ * - create(tag, updates, ...children) returns an element enhanced with .update()
+ * - updates accept everything .update() understands (style, classList,
+ *   dataset, addEventListener, attributes, properties, method calls)
+ * - Children may be elements, strings, numbers and nested arrays
+ * - fragment(...children) builds a DocumentFragment for batch insertion
+ */
+
+(function(global) {
+  'use strict';
+
+  // Import Enhanced UpdateUtility if available
+  let EnhancedUpdateUtility;
+  if (typeof require !== 'undefined') {
+    try {
+      EnhancedUpdateUtility = require('./enhanced-update-utility.js');
+    } catch (e) {
+      // EnhancedUpdateUtility not available in this environment
+    }
+  } else if (typeof global !== 'undefined' && global.EnhancedUpdateUtility) {
+    EnhancedUpdateUtility = global.EnhancedUpdateUtility;
+  }
+
+  // A second argument that is not a plain update object is the first child
+  function isChild(value) {
+    return value === null ||
+           value === undefined ||
+           typeof value !== 'object' ||
+           Array.isArray(value) ||
+           typeof value.nodeType === 'number' ||
+           typeof value[Symbol.iterator] === 'function';
+  }
+
+  function appendChildren(parent, children) {
+    const doc = parent.ownerDocument || document;
+
+    children.forEach(child => {
+      // Skip holes left by conditionals: cond && create(...)
+      if (child === null || child === undefined || typeof child === 'boolean') {
+        return;
+      }
+
+      if (typeof child === 'string' || typeof child === 'number') {
+        parent.appendChild(doc.createTextNode(String(child)));
+        return;
+      }
+
+      if (typeof child.nodeType === 'number') {
+        parent.appendChild(child);
+        return;
+      }
+
+      // Arrays, NodeLists and enhanced collections; copied first because
+      // appending moves live nodes out of their list
+      if (typeof child[Symbol.iterator] === 'function') {
+        appendChildren(parent, Array.from(child));
+        return;
+      }
+
+      console.warn(`[DOM Helpers] create() ignored unsupported child: ${typeof child}`);
+    });
+
+    return parent;
+  }
+
+  function applyUpdates(element, updates) {
+    if (EnhancedUpdateUtility) {
+      EnhancedUpdateUtility.enhanceElementWithUpdate(element);
+    }
+
+    if (!updates) return element;
+
+    if (typeof element.update === 'function') {
+      element.update(updates);
+    } else {
+      Object.assign(element, updates);
+    }
+
+    return element;
+  }
+
+  /**
+   * Create an element, apply an .update() dictionary and append children
+   * @param {string} tag - Tag name
+   * @param {Object} [updates] - Same dictionary .update() accepts; may be omitted
+   * @param {...*} children - Elements, text, numbers or (nested) arrays of them
+   * @returns {HTMLElement} Element enhanced with .update()
+   */
+  function create(tag, updates, ...children) {
+    return createIn(document, tag, updates, children);
+  }
+
+  function createIn(doc, tag, updates, children) {
+    if (typeof tag !== 'string' || !tag) {
+      throw new TypeError('create() expects a tag name');
+    }
+
+    if (isChild(updates)) {
+      children.unshift(updates);
+      updates = null;
+    }
+
+    const element = applyUpdates(doc.createElement(tag), updates);
+    return appendChildren(element, children);
+  }
+
+  /**
+   * Build a DocumentFragment from children in one call
+   * @param {...*} children - Elements, text, numbers or (nested) arrays of them
+   * @returns {DocumentFragment}
+   */
+  function fragment(...children) {
+    return appendChildren(document.createDocumentFragment(), children);
+  }
+
+  create.fragment = fragment;
+
+  /**
+   * Get create() and fragment() for another document, e.g. one injected
+   * into createDOMHelpers()
+   * @param {Document} doc - Document the elements are created in
+   * @returns {{create: Function, fragment: Function}}
+   */
+  function createElementFactory(doc) {
+    const boundCreate = (tag, updates, ...children) => createIn(doc, tag, updates, children);
+    const boundFragment = (...children) => appendChildren(doc.createDocumentFragment(), children);
+    boundCreate.fragment = boundFragment;
+    return { create: boundCreate, fragment: boundFragment };
+  }
+
+  // Export the factory API
+  const ElementFactory = {
+    create,
+    fragment,
+    createElementFactory
+  };
+
+  // Export for different environments
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js/CommonJS
+    module.exports = ElementFactory;
+  } else if (typeof define === 'function' && define.amd) {
+    // AMD/RequireJS
+    define([], function() {
+      return ElementFactory;
+    });
+  } else {
+    // Browser globals
+    global.ElementFactory = ElementFactory;
+  }
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this);
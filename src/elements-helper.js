@@ -1,50 +1,79 @@
 (function(global) {
   'use strict';
 
-  // Import UpdateUtility if available
-  let UpdateUtility;
+  // Import Enhanced UpdateUtility if available
+  let EnhancedUpdateUtility;
   if (typeof require !== 'undefined') {
     try {
-      UpdateUtility = require('./update-utility.js');
+      EnhancedUpdateUtility = require('./enhanced-update-utility.js');
     } catch (e) {
-      // UpdateUtility not available in this environment
+      // EnhancedUpdateUtility not available in this environment
     }
-  } else if (typeof global !== 'undefined' && global.UpdateUtility) {
-    UpdateUtility = global.UpdateUtility;
+  } else if (typeof global !== 'undefined' && global.EnhancedUpdateUtility) {
+    EnhancedUpdateUtility = global.EnhancedUpdateUtility;
   }
 
   class ProductionElementsHelper {
     constructor(options = {}) {
       this.cache = new Map();
+      // Per-key bookkeeping for TTL and eviction: { cachedAt, lastAccess, hits }
+      this.cacheMeta = new Map();
       this.weakCache = new WeakMap();
       this.options = {
         enableLogging: options.enableLogging ?? false,
         autoCleanup: options.autoCleanup ?? true,
         cleanupInterval: options.cleanupInterval ?? 30000,
         maxCacheSize: options.maxCacheSize ?? 1000,
+        cacheTTL: options.cacheTTL ?? 0,
+        evictionPolicy: options.evictionPolicy ?? 'lru',
         debounceDelay: options.debounceDelay ?? 16,
         ...options
       };
 
+      // Element, ShadowRoot or Document this instance looks IDs up in
+      this.root = this._resolveRoot(options.root);
+      // Window providing MutationObserver, getComputedStyle and friends
+      this.window = this._resolveWindow(options.window);
+
       this.stats = {
         hits: 0,
         misses: 0,
         cacheSize: 0,
+        evictions: 0,
+        invalidations: { mutation: 0, cleanup: 0, manual: 0, expired: 0, stale: 0 },
+        lookups: 0,
+        lookupTime: 0,
         lastCleanup: Date.now()
       };
 
       this.pendingUpdates = new Set();
+      this.waiters = new Set();
+      this.suspendedMutations = [];
+      this.bindings = new Set();
+      // Subscriptions made with observe(), checked on every mutation callback
+      this.observations = new Set();
+      this.attributeObserver = null;
+      this.attributeTargets = new Set();
       this.cleanupTimer = null;
       this.isDestroyed = false;
 
       this._initProxy();
       this._initMutationObserver();
+      this._registerCacheInvalidator();
       this._scheduleCleanup();
     }
 
     _initProxy() {
+      // Utilities assigned onto the proxy (Elements.waitFor, ...) live here so
+      // they never shadow the helper's own methods of the same name
+      this._api = {};
+
       this.Elements = new Proxy(this, {
         get: (target, prop) => {
+          if (Object.prototype.hasOwnProperty.call(target._api, prop)) {
+            return target._api[prop];
+          }
+
           // Handle internal methods and symbols
           if (typeof prop === 'symbol' || 
               prop.startsWith('_') || 
@@ -54,6 +83,11 @@
           
           return target._getElement(prop);
         },
+
+        set: (target, prop, value) => {
+          target._api[prop] = value;
+          return true;
+        },
         
         has: (target, prop) => target._hasElement(prop),
         
@@ -72,25 +106,84 @@
       });
     }
 
+    _resolveRoot(root) {
+      if (root === undefined || root === null) {
+        if (this.options.window && this.options.window.document) {
+          return this.options.window.document;
+        }
+        if (typeof document !== 'undefined') {
+          return document;
+        }
+        throw new TypeError('No document available: pass a root or window option');
+      }
+
+      // Element (1), Document (9), DocumentFragment or ShadowRoot (11)
+      if (root.nodeType === 1 || root.nodeType === 9 || root.nodeType === 11) {
+        return root;
+      }
+
+      throw new TypeError('root must be an Element, ShadowRoot or Document');
+    }
+
+    _resolveWindow(view) {
+      if (view) return view;
+
+      const doc = this.root.nodeType === 9 ? this.root : this.root.ownerDocument;
+      if (doc && doc.defaultView) return doc.defaultView;
+
+      return typeof window !== 'undefined' ? window : null;
+    }
+
+    _queryById(id) {
+      // Documents and shadow roots support getElementById, plain elements do not
+      if (typeof this.root.getElementById === 'function') {
+        return this.root.getElementById(id);
+      }
+      return this.root.querySelector(`#${this._escapeSelector(id)}`);
+    }
+
+    _isInRoot(element) {
+      return this.root.contains(element);
+    }
+
+    _escapeSelector(value) {
+      const css = this.window && this.window.CSS;
+      if (css && typeof css.escape === 'function') {
+        return css.escape(value);
+      }
+      return value.replace(/([^\w-])/g, '\\$1');
+    }
+
     _getElement(prop) {
       if (typeof prop !== 'string') {
         this._warn(`Invalid element property type: ${typeof prop}`);
         return null;
       }
 
+      const start = this._now();
+      const element = this._lookupElement(prop);
+      this.stats.lookups++;
+      this.stats.lookupTime += this._now() - start;
+      return element;
+    }
+
+    _lookupElement(prop) {
       // Check cache first
       if (this.cache.has(prop)) {
         const element = this.cache.get(prop);
-        if (element && element.nodeType === Node.ELEMENT_NODE && document.contains(element)) {
+        if (this._isExpired(prop)) {
+          this._removeFromCache(prop, 'expired');
+        } else if (element && element.nodeType === 1 && this._isInRoot(element)) {
           this.stats.hits++;
+          this._touchCache(prop);
           return this._enhanceElementWithUpdate(element);
         } else {
-          this.cache.delete(prop);
+          this._removeFromCache(prop, 'stale');
         }
       }
 
       // Use exact ID matching - no conversion
-      const element = document.getElementById(prop);
+      const element = this._queryById(prop);
       if (element) {
         this._addToCache(prop, element);
         this.stats.misses++;
@@ -109,28 +202,33 @@
       
       if (this.cache.has(prop)) {
         const element = this.cache.get(prop);
-        if (element && element.nodeType === Node.ELEMENT_NODE && document.contains(element)) {
+        if (element && element.nodeType === 1 && this._isInRoot(element)) {
           return true;
         }
-        this.cache.delete(prop);
+        this._removeFromCache(prop, 'stale');
       }
       
-      return !!document.getElementById(prop);
+      return !!this._queryById(prop);
     }
 
     _getKeys() {
-      // Return all element IDs in the document
-      const elements = document.querySelectorAll("[id]");
+      // Return all element IDs under the root
+      const elements = this.root.querySelectorAll("[id]");
       return Array.from(elements).map(el => el.id).filter(id => id);
     }
 
     _addToCache(id, element) {
-      if (this.cache.size >= this.options.maxCacheSize) {
-        const firstKey = this.cache.keys().next().value;
-        this.cache.delete(firstKey);
+      if (!this.cache.has(id)) {
+        while (this.cache.size > 0 && this.cache.size >= this.options.maxCacheSize) {
+          this._evict();
+        }
       }
 
+      // Re-inserting moves the key to the most recently used end
+      const now = Date.now();
+      this.cache.delete(id);
       this.cache.set(id, element);
+      this.cacheMeta.set(id, { cachedAt: now, lastAccess: now, hits: 0 });
       this.stats.cacheSize = this.cache.size;
 
       this.weakCache.set(element, {
@@ -140,48 +238,220 @@
       });
     }
 
+    // Record a hit. The Map is kept in recency order unless the policy is 'fifo'
+    _touchCache(id) {
+      const meta = this.cacheMeta.get(id);
+      if (meta) {
+        meta.lastAccess = Date.now();
+        meta.hits++;
+      }
+
+      if (this.options.evictionPolicy !== 'fifo') {
+        const element = this.cache.get(id);
+        this.cache.delete(id);
+        this.cache.set(id, element);
+      }
+    }
+
+    _isExpired(id) {
+      const ttl = this.options.cacheTTL;
+      if (!ttl || ttl <= 0) return false;
+
+      const meta = this.cacheMeta.get(id);
+      return !!meta && Date.now() - meta.cachedAt >= ttl;
+    }
+
+    _evict() {
+      const policy = this.options.evictionPolicy;
+      let victim;
+
+      // Custom policies get the entries in cache order and return a key to drop
+      if (typeof policy === 'function') {
+        const entries = Array.from(this.cache.keys(), key => ({ key, ...this.cacheMeta.get(key) }));
+        victim = policy(entries);
+      }
+
+      // 'lru' and 'fifo' both drop the front of the Map; so do custom
+      // policies that return an unknown key
+      if (!this.cache.has(victim)) {
+        victim = this.cache.keys().next().value;
+      }
+
+      this.cache.delete(victim);
+      this.cacheMeta.delete(victim);
+      this.stats.evictions++;
+    }
+
+    _removeFromCache(id, cause) {
+      if (!this.cache.delete(id)) return;
+
+      this.cacheMeta.delete(id);
+      this.stats.invalidations[cause]++;
+    }
+
+    _now() {
+      const perf = this.window && this.window.performance;
+      return perf && typeof perf.now === 'function' ? perf.now() : Date.now();
+    }
+
     _initMutationObserver() {
+      const Observer = this.window && this.window.MutationObserver;
+      if (typeof Observer !== 'function') {
+        // Without an observer the cache is only validated on access
+        this.observer = null;
+        return;
+      }
+
       const debouncedUpdate = this._debounce((mutations) => {
         this._processMutations(mutations);
       }, this.options.debounceDelay);
 
-      this.observer = new MutationObserver(debouncedUpdate);
+      this.observer = new Observer((mutations) => {
+        // Waiters and observe() subscriptions are checked immediately,
+        // cache maintenance stays debounced
+        if (this.waiters.size > 0) {
+          this._notifyWaiters();
+        }
+        if (this.observations.size > 0) {
+          this._checkObservations();
+        }
+        debouncedUpdate(mutations);
+      });
       
+      const config = {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['id'],
+        attributeOldValue: true
+      };
+
+      // Element and shadow roots are observed directly
+      if (this.root.nodeType !== 9) {
+        this.observer.observe(this.root, config);
+        return;
+      }
+
+      const doc = this.root;
+
       // Only observe if document.body exists
-      if (document.body) {
-        this.observer.observe(document.body, {
-          childList: true,
-          subtree: true,
-          attributes: true,
-          attributeFilter: ['id'],
-          attributeOldValue: true
-        });
+      if (doc.body) {
+        this.observer.observe(doc.body, config);
       } else {
         // Wait for DOM to be ready
-        document.addEventListener('DOMContentLoaded', () => {
-          if (document.body && !this.isDestroyed) {
-            this.observer.observe(document.body, {
-              childList: true,
-              subtree: true,
-              attributes: true,
-              attributeFilter: ['id'],
-              attributeOldValue: true
-            });
+        doc.addEventListener('DOMContentLoaded', () => {
+          if (doc.body && !this.isDestroyed) {
+            this.observer.observe(doc.body, config);
+            this._notifyWaiters();
+            this._checkObservations();
           }
         });
       }
     }
 
+    /**
+     * Wait until check() returns true, re-evaluating it whenever the
+     * mutation observer reports a change instead of polling.
+     * @param {Function} check - Condition to satisfy
+     * @param {{timeout?: number, signal?: AbortSignal}} options - Wait options
+     * @param {Function} createTimeoutError - Builds the rejection on timeout
+     * @returns {Promise<boolean>}
+     */
+    _waitUntil(check, options, createTimeoutError) {
+      const { timeout = 5000, signal } = options || {};
+
+      return new Promise((resolve, reject) => {
+        if (this.isDestroyed) {
+          reject(new Error('Elements helper has been destroyed'));
+          return;
+        }
+
+        if (signal && signal.aborted) {
+          reject(this._getAbortReason(signal));
+          return;
+        }
+
+        if (check()) {
+          resolve(true);
+          return;
+        }
+
+        let timer = null;
+
+        const onAbort = () => waiter.reject(this._getAbortReason(signal));
+
+        const settle = () => {
+          this.waiters.delete(waiter);
+          clearTimeout(timer);
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+        };
+
+        const waiter = {
+          check: () => {
+            try {
+              if (check()) {
+                settle();
+                resolve(true);
+              }
+            } catch (error) {
+              settle();
+              reject(error);
+            }
+          },
+          reject: (error) => {
+            settle();
+            reject(error);
+          }
+        };
+
+        this.waiters.add(waiter);
+
+        if (signal) {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        if (Number.isFinite(timeout)) {
+          timer = setTimeout(() => waiter.reject(createTimeoutError()), timeout);
+        }
+      });
+    }
+
+    _notifyWaiters() {
+      this.waiters.forEach(waiter => waiter.check());
+    }
+
+    _getAbortReason(signal) {
+      if (signal.reason !== undefined) {
+        return signal.reason;
+      }
+
+      const error = new Error('Waiting for elements was aborted');
+      error.name = 'AbortError';
+      return error;
+    }
+
     _processMutations(mutations) {
       if (this.isDestroyed) return;
 
+      // Held back until a DOMHelpers.batch() flush has applied its writes
+      if (EnhancedUpdateUtility && EnhancedUpdateUtility.isBatching && EnhancedUpdateUtility.isBatching()) {
+        this.suspendedMutations.push(...mutations);
+        return;
+      }
+      if (this.suspendedMutations.length > 0) {
+        mutations = this.suspendedMutations.concat(mutations);
+        this.suspendedMutations = [];
+      }
+
       const addedIds = new Set();
       const removedIds = new Set();
 
       mutations.forEach(mutation => {
         // Handle added nodes
         mutation.addedNodes.forEach(node => {
-          if (node.nodeType === Node.ELEMENT_NODE) {
+          if (node.nodeType === 1) {
             if (node.id) addedIds.add(node.id);
             
             // Check child elements
@@ -198,7 +468,7 @@
 
         // Handle removed nodes
         mutation.removedNodes.forEach(node => {
-          if (node.nodeType === Node.ELEMENT_NODE) {
+          if (node.nodeType === 1) {
             if (node.id) removedIds.add(node.id);
             
             // Check child elements
@@ -229,7 +499,7 @@
 
       // Update cache for added elements
       addedIds.forEach(id => {
-        const element = document.getElementById(id);
+        const element = this._queryById(id);
         if (element) {
           this._addToCache(id, element);
         }
@@ -237,12 +507,40 @@
 
       // Remove cached elements that are no longer valid
       removedIds.forEach(id => {
-        this.cache.delete(id);
+        this._removeFromCache(id, 'mutation');
       });
 
+      this._pruneBindings();
+
       this.stats.cacheSize = this.cache.size;
     }
 
+    _registerCacheInvalidator() {
+      this.unregisterInvalidator = null;
+
+      // Lets bulk operations such as element.sync() bring the cache up to
+      // date right away instead of after the debounce delay
+      if (EnhancedUpdateUtility && EnhancedUpdateUtility.registerCacheInvalidator) {
+        this.unregisterInvalidator = EnhancedUpdateUtility.registerCacheInvalidator(() => this._flushMutations());
+      }
+    }
+
+    // Process queued mutation records now
+    _flushMutations() {
+      if (this.isDestroyed || !this.observer) return;
+
+      const mutations = this.observer.takeRecords();
+      if (mutations.length === 0 && this.suspendedMutations.length === 0) return;
+
+      if (this.waiters.size > 0) {
+        this._notifyWaiters();
+      }
+      if (this.observations.size > 0) {
+        this._checkObservations();
+      }
+      this._processMutations(mutations);
+    }
+
     _scheduleCleanup() {
       if (!this.options.autoCleanup || this.isDestroyed) return;
 
@@ -257,17 +555,22 @@
 
       const beforeSize = this.cache.size;
       const staleIds = [];
+      const expiredIds = [];
 
       for (const [id, element] of this.cache) {
-        if (!element || 
-            element.nodeType !== Node.ELEMENT_NODE || 
-            !document.contains(element) ||
+        if (this._isExpired(id)) {
+          expiredIds.push(id);
+        } else if (!element || 
+            element.nodeType !== 1 || 
+            !this._isInRoot(element) ||
             element.id !== id) {
           staleIds.push(id);
         }
       }
 
-      staleIds.forEach(id => this.cache.delete(id));
+      staleIds.forEach(id => this._removeFromCache(id, 'cleanup'));
+      expiredIds.forEach(id => this._removeFromCache(id, 'expired'));
+      this._pruneBindings();
 
       this.stats.cacheSize = this.cache.size;
       this.stats.lastCleanup = Date.now();
@@ -277,6 +580,123 @@
       }
     }
 
+    _requestFrame(callback) {
+      if (this.window && typeof this.window.requestAnimationFrame === 'function') {
+        return this.window.requestAnimationFrame(callback);
+      }
+      return setTimeout(callback, 16);
+    }
+
+    _cancelFrame(handle) {
+      if (this.window && typeof this.window.cancelAnimationFrame === 'function') {
+        this.window.cancelAnimationFrame(handle);
+      } else {
+        clearTimeout(handle);
+      }
+    }
+
+    _teardownBinding(binding) {
+      if (!this.bindings.delete(binding)) return;
+
+      binding.unsubscribe();
+      if (binding.frame !== null) {
+        this._cancelFrame(binding.frame);
+        binding.frame = null;
+      }
+    }
+
+    // Drop bindings whose element has left the root
+    _pruneBindings() {
+      this.bindings.forEach(binding => {
+        if (!this._isInRoot(binding.element)) {
+          this._teardownBinding(binding);
+        }
+      });
+    }
+
+    _checkObservations() {
+      this.observations.forEach(observation => this._checkObservation(observation));
+    }
+
+    // Compare the element currently holding the ID with the one last reported
+    _checkObservation(observation) {
+      const current = this._queryById(observation.id);
+      const previous = observation.element;
+      if (current === previous) return;
+
+      observation.element = current;
+      if (previous) {
+        this._callObserver(observation, 'onUnmount', previous);
+      }
+      if (current && this.observations.has(observation)) {
+        this._callObserver(observation, 'onMount', this._enhanceElementWithUpdate(current));
+      }
+      this._syncAttributeObserver();
+    }
+
+    _callObserver(observation, name, ...args) {
+      const handler = observation.handlers[name];
+      if (typeof handler !== 'function') return;
+
+      try {
+        handler(...args);
+      } catch (error) {
+        this._warn(`Error in ${name} for '${observation.id}': ${error.message}`);
+      }
+    }
+
+    // One observer watches the attributes of every mounted element with an
+    // onAttributeChange handler; the main observer only sees id changes
+    _syncAttributeObserver() {
+      const targets = new Set();
+      this.observations.forEach(observation => {
+        if (observation.element && typeof observation.handlers.onAttributeChange === 'function') {
+          targets.add(observation.element);
+        }
+      });
+
+      const unchanged = targets.size === this.attributeTargets.size &&
+        [...targets].every(target => this.attributeTargets.has(target));
+      if (unchanged) return;
+
+      if (this.attributeObserver) {
+        // Deliver what is pending before observe() is reset
+        this._dispatchAttributeChanges(this.attributeObserver.takeRecords());
+        this.attributeObserver.disconnect();
+      } else if (targets.size > 0) {
+        const Observer = this.window && this.window.MutationObserver;
+        // Records are paired with their new values by the update utility
+        if (typeof Observer !== 'function' || !EnhancedUpdateUtility) return;
+        this.attributeObserver = new Observer(records => this._dispatchAttributeChanges(records));
+      }
+
+      this.attributeTargets = targets;
+      targets.forEach(target => {
+        this.attributeObserver.observe(target, { attributes: true, attributeOldValue: true });
+      });
+    }
+
+    _dispatchAttributeChanges(records) {
+      EnhancedUpdateUtility.foldAttributeRecords(records).forEach(({ target, attributeName, oldValue, newValue }) => {
+        this.observations.forEach(observation => {
+          if (observation.element !== target) return;
+
+          const filter = observation.handlers.attributes;
+          if (Array.isArray(filter) && !filter.includes(attributeName)) return;
+
+          this._callObserver(observation, 'onAttributeChange',
+            this._enhanceElementWithUpdate(target), attributeName, oldValue, newValue);
+        });
+      });
+    }
+
+    _stopObservation(observation) {
+      if (!this.observations.delete(observation)) return;
+
+      observation.element = null;
+      this._syncAttributeObserver();
+    }
+
     _debounce(func, delay) {
       let timeoutId;
       return (...args) => {
@@ -299,13 +719,13 @@
 
     // Enhanced element with update method
     _enhanceElementWithUpdate(element) {
-      if (!element || element._hasUpdateMethod) {
+      if (!element || element._hasEnhancedUpdateMethod || element._hasUpdateMethod) {
         return element;
       }
 
-      // Use UpdateUtility if available, otherwise create inline update method
-      if (UpdateUtility && UpdateUtility.enhanceElementWithUpdate) {
-        return UpdateUtility.enhanceElementWithUpdate(element);
+      // Use EnhancedUpdateUtility if available, otherwise create inline update method
+      if (EnhancedUpdateUtility && EnhancedUpdateUtility.enhanceElementWithUpdate) {
+        return EnhancedUpdateUtility.enhanceElementWithUpdate(element);
       }
 
       // Fallback: create update method inline
@@ -421,19 +841,28 @@
     getStats() {
       return {
         ...this.stats,
+        invalidations: { ...this.stats.invalidations },
         hitRate: this.stats.hits / (this.stats.hits + this.stats.misses) || 0,
+        averageLookupTime: this.stats.lookupTime / this.stats.lookups || 0,
         uptime: Date.now() - this.stats.lastCleanup
       };
     }
 
     clearCache() {
+      this.stats.invalidations.manual += this.cache.size;
       this.cache.clear();
+      this.cacheMeta.clear();
       this.stats.cacheSize = 0;
       this._log('Cache cleared manually');
     }
 
     destroy() {
       this.isDestroyed = true;
+
+      if (this.unregisterInvalidator) {
+        this.unregisterInvalidator();
+        this.unregisterInvalidator = null;
+      }
       
       if (this.observer) {
         this.observer.disconnect();
@@ -445,12 +874,26 @@
         this.cleanupTimer = null;
       }
 
+      this.waiters.forEach(waiter => {
+        waiter.reject(new Error('Elements helper destroyed while waiting for elements'));
+      });
+
+      this.bindings.forEach(binding => this._teardownBinding(binding));
+
+      this.observations.clear();
+      if (this.attributeObserver) {
+        this.attributeObserver.disconnect();
+        this.attributeObserver = null;
+      }
+      this.attributeTargets.clear();
+
       this.cache.clear();
+      this.cacheMeta.clear();
       this._log('Elements helper destroyed');
     }
 
     isCached(id) {
-      return this.cache.has(id);
+      return this.cache.has(id) && !this._isExpired(id);
     }
 
     getCacheSnapshot() {
@@ -490,23 +933,140 @@
       return elements;
     }
 
+    /**
+     * Wait for elements to appear in the DOM
+     * @param {...string} ids - Element IDs, optionally followed by an options
+     *   object `{ timeout = 5000, signal }`
+     * @returns {Promise<Object>} Resolves with the elements keyed by ID
+     */
     async waitFor(...ids) {
-      const maxWait = 5000;
-      const checkInterval = 100;
-      const startTime = Date.now();
-      
-      while (Date.now() - startTime < maxWait) {
-        const elements = this.destructure(...ids);
-        const allFound = ids.every(id => elements[id]);
-        
-        if (allFound) {
-          return elements;
+      const last = ids[ids.length - 1];
+      const options = last && typeof last === 'object' ? ids.pop() : {};
+
+      await this._waitUntil(
+        () => ids.every(id => this._hasElement(id)),
+        options,
+        () => {
+          const missing = ids.filter(id => !this._hasElement(id));
+          const error = new Error(`Timeout waiting for elements: ${missing.join(', ')}`);
+          error.missing = missing;
+          return error;
         }
-        
-        await new Promise(resolve => setTimeout(resolve, checkInterval));
+      );
+
+      return this.destructure(...ids);
+    }
+
+    /**
+     * Bind an element to a store: the mapping result is applied with .update()
+     * now and again after every store change, batched per animation frame
+     * @param {string} id - Element ID
+     * @param {{subscribe: Function, getState: Function}} store - Observable store
+     * @param {Function} mapping - Maps the store state to an .update() object
+     * @returns {Function} Unbind function
+     */
+    bind(id, store, mapping) {
+      if (!store || typeof store.subscribe !== 'function' || typeof store.getState !== 'function') {
+        throw new TypeError('bind() expects a store with subscribe() and getState()');
       }
-      
-      throw new Error(`Timeout waiting for elements: ${ids.join(', ')}`);
+
+      if (typeof mapping !== 'function') {
+        throw new TypeError('bind() expects a mapping function');
+      }
+
+      const element = this._getElement(id);
+      if (!element) {
+        this._warn(`Cannot bind missing element '${id}'`);
+        return () => {};
+      }
+
+      const binding = { id, element, frame: null, unsubscribe: null };
+
+      const render = () => {
+        binding.frame = null;
+
+        if (!this._isInRoot(element)) {
+          this._teardownBinding(binding);
+          return;
+        }
+
+        try {
+          element.update(mapping(store.getState()));
+        } catch (error) {
+          console.warn(`[DOM Helpers] Error in binding for '${id}': ${error.message}`);
+        }
+      };
+
+      binding.unsubscribe = store.subscribe(() => {
+        if (binding.frame === null) {
+          binding.frame = this._requestFrame(render);
+        }
+      });
+
+      this.bindings.add(binding);
+      render();
+
+      return () => this._teardownBinding(binding);
+    }
+
+    /**
+     * Follow an element ID as markup comes and goes: onMount runs when an
+     * element with the ID appears (right away if it already exists),
+     * onUnmount when it leaves the root or loses the ID, and
+     * onAttributeChange(element, name, oldValue, newValue) while it is mounted
+     * @param {string} id - Element ID
+     * @param {Function|{onMount?: Function, onUnmount?: Function, onAttributeChange?: Function, attributes?: string[]}} handlers -
+     *   Handlers, or a function used as onMount; attributes limits onAttributeChange
+     * @returns {Function} Stop observing (onUnmount is not called)
+     */
+    observe(id, handlers) {
+      if (typeof id !== 'string' || id === '') {
+        throw new TypeError('observe() expects an element ID');
+      }
+
+      if (typeof handlers === 'function') {
+        handlers = { onMount: handlers };
+      }
+      if (!handlers || typeof handlers !== 'object') {
+        throw new TypeError('observe() expects a callback or an object of handlers');
+      }
+
+      const observation = { id, handlers, element: null };
+      this.observations.add(observation);
+      this._checkObservation(observation);
+
+      return () => this._stopObservation(observation);
+    }
+
+    /**
+     * Remove every binding attached to an element ID
+     * @param {string} id - Element ID
+     * @returns {number} Number of bindings removed
+     */
+    unbind(id) {
+      let removed = 0;
+      this.bindings.forEach(binding => {
+        if (binding.id === id) {
+          this._teardownBinding(binding);
+          removed++;
+        }
+      });
+      return removed;
+    }
+
+    /**
+     * Remove listeners attached to an element through .update() or collection
+     * on(), without needing the handler references
+     * @param {string} id - Element ID
+     * @param {string} [eventName] - 'click', 'click.menu' or '.menu'; omit for all
+     * @returns {number} Number of listeners removed
+     */
+    removeAllListeners(id, eventName) {
+      const element = this._getElement(id);
+      if (!element || !EnhancedUpdateUtility || !EnhancedUpdateUtility.removeTrackedListeners) {
+        return 0;
+      }
+      return EnhancedUpdateUtility.removeTrackedListeners(element, eventName);
     }
 
     // Safe element access with fallbacks
@@ -560,46 +1120,79 @@
     }
   }
 
-  // Auto-initialize with sensible defaults
-  const ElementsHelper = new ProductionElementsHelper({
-    enableLogging: false,
-    autoCleanup: true,
-    cleanupInterval: 30000,
-    maxCacheSize: 1000
-  });
+  // Auto-initialize with sensible defaults; without a global document
+  // (Node, workers) use createElements() with an injected window instead
+  const ElementsHelper = typeof document !== 'undefined'
+    ? new ProductionElementsHelper({
+      enableLogging: false,
+      autoCleanup: true,
+      cleanupInterval: 30000,
+      maxCacheSize: 1000
+    })
+    : null;
+
+  /**
+   * Attach the utility API to a helper's Elements proxy
+   * @param {ProductionElementsHelper} helper - Helper backing the proxy
+   * @returns {Proxy} The helper's Elements proxy
+   */
+  function createElementsAPI(helper) {
+    const api = helper.Elements;
+
+    // Additional utilities
+    api.helper = helper;
+    api.stats = () => helper.getStats();
+    api.clear = () => helper.clearCache();
+    api.destroy = () => helper.destroy();
+    api.destructure = (...ids) => helper.destructure(...ids);
+    api.getRequired = (...ids) => helper.getRequired(...ids);
+    api.waitFor = (...ids) => helper.waitFor(...ids);
+    api.bind = (id, store, mapping) => helper.bind(id, store, mapping);
+    api.unbind = (id) => helper.unbind(id);
+    api.observe = (id, handlers) => helper.observe(id, handlers);
+    api.removeAllListeners = (id, eventName) => helper.removeAllListeners(id, eventName);
+    api.isCached = (id) => helper.isCached(id);
+    api.get = (id, fallback) => helper.get(id, fallback);
+    api.exists = (id) => helper.exists(id);
+    api.getMultiple = (...ids) => helper.getMultiple(...ids);
+    api.setProperty = (id, property, value) => helper.setProperty(id, property, value);
+    api.getProperty = (id, property, fallback) => helper.getProperty(id, property, fallback);
+    api.setAttribute = (id, attribute, value) => helper.setAttribute(id, attribute, value);
+    api.getAttribute = (id, attribute, fallback) => helper.getAttribute(id, attribute, fallback);
+    api.configure = (options) => {
+      Object.assign(helper.options, options);
+      return api;
+    };
+
+    // Scoped instance with its own cache and observer, e.g. Elements.scope(shadowRoot)
+    api.scope = (root, options = {}) => {
+      return createElementsAPI(new ProductionElementsHelper({ ...helper.options, ...options, root }));
+    };
+
+    return api;
+  }
+
+  /**
+   * Create an independent Elements API bound to the given DOM
+   * @param {Object} [options] - Helper options; window and root select the DOM,
+   *   e.g. { window: new JSDOM(html).window }
+   * @returns {Proxy} Elements API with its own cache and observer
+   */
+  function createElements(options = {}) {
+    return createElementsAPI(new ProductionElementsHelper(options));
+  }
 
   // Global API - Simple and clean
-  const Elements = ElementsHelper.Elements;
-
-  // Additional utilities
-  Elements.helper = ElementsHelper;
-  Elements.stats = () => ElementsHelper.getStats();
-  Elements.clear = () => ElementsHelper.clearCache();
-  Elements.destroy = () => ElementsHelper.destroy();
-  Elements.destructure = (...ids) => ElementsHelper.destructure(...ids);
-  Elements.getRequired = (...ids) => ElementsHelper.getRequired(...ids);
-  Elements.waitFor = (...ids) => ElementsHelper.waitFor(...ids);
-  Elements.isCached = (id) => ElementsHelper.isCached(id);
-  Elements.get = (id, fallback) => ElementsHelper.get(id, fallback);
-  Elements.exists = (id) => ElementsHelper.exists(id);
-  Elements.getMultiple = (...ids) => ElementsHelper.getMultiple(...ids);
-  Elements.setProperty = (id, property, value) => ElementsHelper.setProperty(id, property, value);
-  Elements.getProperty = (id, property, fallback) => ElementsHelper.getProperty(id, property, fallback);
-  Elements.setAttribute = (id, attribute, value) => ElementsHelper.setAttribute(id, attribute, value);
-  Elements.getAttribute = (id, attribute, fallback) => ElementsHelper.getAttribute(id, attribute, fallback);
-  Elements.configure = (options) => {
-    Object.assign(ElementsHelper.options, options);
-    return Elements;
-  };
+  const Elements = ElementsHelper ? createElementsAPI(ElementsHelper) : null;
 
   // Export for different environments
   if (typeof module !== 'undefined' && module.exports) {
     // Node.js/CommonJS
-    module.exports = { Elements, ProductionElementsHelper };
+    module.exports = { Elements, ProductionElementsHelper, createElements };
   } else if (typeof define === 'function' && define.amd) {
     // AMD/RequireJS
     define([], function() {
-      return { Elements, ProductionElementsHelper };
+      return { Elements, ProductionElementsHelper, createElements };
     });
   } else {
     // Browser globals
@@ -608,7 +1201,7 @@
   }
 
   // Auto-cleanup on page unload
-  if (typeof window !== 'undefined') {
+  if (ElementsHelper && typeof window !== 'undefined') {
     window.addEventListener('beforeunload', () => {
       ElementsHelper.destroy();
     });
@@ -11,203 +11,1700 @@
  * - Works with Element objects, HTMLCollection, NodeList, and DOMTokenList
  * - Chainable - returns the element or collection
  * - Safe - handles null elements and empty collections gracefully
+ * - Listener bookkeeping - handlers added through .update() are tracked per
+ *   element and can be removed by event type or namespace ('click.menu')
+ * - Opt-in diff mode - .update(updates, { diff: true }) skips writes that
+ *   repeat the last applied value and returns a change record
+ * - Keyed child reconciliation - element.sync(items, key, render) reuses
+ *   children by data-key and moves as few nodes as possible
+ * - Batched writes - .update() calls inside batch() are queued and applied
+ *   in one animation frame, after reads scheduled with measure()
+ * - Animation keys - animate, transition, fadeIn/fadeOut, slideDown/slideUp;
+ *   the result has a finished promise while they run, collections can stagger
+ * - Change recording - registered recorders receive the previous and new
+ *   value of every property, style, attribute, class and dataset entry
+ * - Accessibility keys - aria: { expanded: true, controls: 'menu' }, role
+ *   and focus (true, focus options or false to blur)
+ * - Safe HTML - the safeHTML key sanitizes against an allowlist;
+ *   configureHTML() can sanitize or refuse innerHTML, outerHTML and
+ *   insertAdjacentHTML, and uses a Trusted Types policy where available
  */
 
 (function(global) {
   'use strict';
 
+  // Last value written through diff mode, per element and key path
+  const appliedValues = new WeakMap();
+
+  // Listeners attached through the update utilities, per element
+  const listenerRegistry = new WeakMap();
+
+  // Cache flush callbacks registered by the Elements, Collections and
+  // Selector helpers, run after bulk DOM changes such as sync()
+  const cacheInvalidators = new Set();
+
+  // batch() / measure() queues, flushed together in one animation frame:
+  // reads first, then writes, then a single cache invalidation
+  const batchState = {
+    depth: 0,
+    phase: null,
+    frame: null,
+    reads: [],
+    writes: [],
+    waiting: []
+  };
+
+  // Callbacks receiving before/after values of each applied update
+  const updateRecorders = new Set();
+
+  // Callbacks adding methods to newly enhanced elements, e.g. render() on <template>
+  const elementEnhancers = new Set();
+
+  // How raw HTML sinks in .update() are handled: 'raw' writes them as is,
+  // 'sanitize' runs them through the allowlist sanitizer, 'strict' refuses them
+  const HTML_MODES = ['raw', 'sanitize', 'strict'];
+  const HTML_SINKS = ['innerHTML', 'outerHTML', 'insertAdjacentHTML'];
+  const URL_ATTRIBUTES = ['href', 'src', 'cite'];
+  // Removed together with their content instead of being unwrapped
+  const DROPPED_WITH_CONTENT = ['script', 'style', 'template', 'noscript', 'iframe', 'object', 'embed',
+    'svg', 'math', 'textarea', 'title'];
+  const htmlPolicy = {
+    mode: 'raw',
+    allowedTags: ['a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'code', 'col', 'colgroup', 'dd', 'del',
+      'details', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr',
+      'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'small', 'span', 'strong', 'sub',
+      'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul'],
+    allowedAttributes: {
+      '*': ['class', 'title', 'lang', 'dir', 'role', 'aria-*'],
+      a: ['href', 'target', 'rel'],
+      img: ['src', 'alt', 'width', 'height'],
+      td: ['colspan', 'rowspan'],
+      th: ['colspan', 'rowspan', 'scope'],
+      ol: ['start', 'reversed'],
+      col: ['span'],
+      colgroup: ['span'],
+      time: ['datetime'],
+      blockquote: ['cite'],
+      q: ['cite'],
+      del: ['cite', 'datetime'],
+      ins: ['cite', 'datetime'],
+      details: ['open']
+    },
+    // Custom (html) => string sanitizer replacing the built-in one
+    sanitizer: null,
+    // Trusted Types policy name used where the API exists; null disables it
+    trustedTypesPolicy: 'dom-helpers'
+  };
+  const trustedTypesPolicies = new WeakMap();
+  const PARSE_ONLY = {};
+  const REFUSED_HTML = {};
+
+  // Keys that start an animation; applied after every other key
+  const ANIMATION_KEYS = ['animate', 'transition', 'fadeIn', 'fadeOut', 'slideDown', 'slideUp'];
+
+  const DEFAULT_TIMING = { duration: 300, easing: 'ease' };
+
+  // Animations in flight per update() result; the result carries a
+  // finished promise until they have all finished
+  const pendingAnimations = new WeakMap();
+
+  // Keys that call a method rather than write a value; never diffed
+  const METHOD_KEYS = ['removeAttribute', 'getAttribute', 'addEventListener', 'removeEventListener'];
+
+  /**
+   * Enhanced Update Implementation
+   * This function can be applied to any element or collection
+   */
+  function createEnhancedUpdateMethod(context, isCollection = false) {
+    return function update(updates = {}, options = {}) {
+      // Safety check - if no updates provided, return context for chaining
+      if (!updates || typeof updates !== 'object') {
+        console.warn('[DOM Helpers] .update() called with invalid updates object');
+        return context;
+      }
+
+      // Inside batch() and during the read phase writes wait for the flush;
+      // diff mode records are not available for queued calls
+      if (batchState.depth > 0 || batchState.phase === 'read') {
+        batchState.writes.push(() => update(updates, options));
+        return context;
+      }
+
+      const { animations, rest } = splitAnimationUpdates(updates);
+      let result;
+
+      // Focus moves after the other writes, e.g. once hidden is cleared
+      if ('focus' in rest) {
+        const focus = rest.focus;
+        delete rest.focus;
+        rest.focus = focus;
+      }
+
+      // Diff mode returns a change record instead of the context
+      if (options && options.diff) {
+        result = isCollection
+          ? updateCollectionWithDiff(context, rest)
+          : updateSingleElementWithDiff(context, rest);
+      } else if (!isCollection) {
+        // Handle single element updates
+        result = updateSingleElement(context, rest);
+      } else {
+        // Handle collection updates
+        result = updateCollection(context, rest);
+      }
+
+      if (animations && result) {
+        const elements = isCollection ? (getCollectionElements(context) || []) : [context];
+        const finished = runAnimations(elements, animations);
+        if (finished) {
+          trackAnimations(result, finished);
+        }
+      }
+
+      return result;
+    };
+  }
+
+  /**
+   * Update a single DOM element
+   */
+  function updateSingleElement(element, updates) {
+    // Safety check - if element doesn't exist, log warning and return null for chaining
+    if (!element || !element.nodeType) {
+      console.warn('[DOM Helpers] .update() called on null or invalid element');
+      return element;
+    }
+
+    try {
+      // Process each update
+      Object.entries(updates).forEach(([key, value]) => {
+        forgetAppliedValues(element, key);
+        applyEnhancedUpdate(element, key, value);
+      });
+    } catch (error) {
+      console.warn(`[DOM Helpers] Error in .update(): ${error.message}`);
+    }
+
+    return element; // Return for chaining
+  }
+
+  /**
+   * Update a collection of DOM elements
+   */
+  function updateCollection(collection, updates) {
+    // Safety check - if collection doesn't exist or is empty
+    if (!collection) {
+      console.warn('[DOM Helpers] .update() called on null collection');
+      return collection;
+    }
+
+    // Handle different collection types
+    const elements = getCollectionElements(collection);
+    if (!elements) {
+      console.warn('[DOM Helpers] .update() called on unrecognized collection type');
+      return collection;
+    }
+
+    // If no elements in collection, log info and return for chaining
+    if (elements.length === 0) {
+      console.info('[DOM Helpers] .update() called on empty collection');
+      return collection;
+    }
+
+    try {
+      // Apply updates to each element in the collection
+      elements.forEach(element => {
+        if (element && element.nodeType === 1) {
+          Object.entries(updates).forEach(([key, value]) => {
+            forgetAppliedValues(element, key);
+            applyEnhancedUpdate(element, key, value);
+          });
+        }
+      });
+    } catch (error) {
+      console.warn(`[DOM Helpers] Error in collection .update(): ${error.message}`);
+    }
+
+    return collection; // Return for chaining
+  }
+
+  /**
+   * Resolve the elements of any supported collection type
+   * @returns {Element[]|null} null when the collection type is not recognized
+   */
+  function getCollectionElements(collection) {
+    if (collection.length !== undefined) {
+      // Array-like collection (NodeList, HTMLCollection, or enhanced collection)
+      return Array.from(collection);
+    } else if (collection._originalCollection) {
+      // Enhanced collection from Selector helper
+      return Array.from(collection._originalCollection);
+    } else if (collection._originalNodeList) {
+      // Enhanced collection from Selector helper (alternative structure)
+      return Array.from(collection._originalNodeList);
+    }
+    return null;
+  }
+
+  /**
+   * Update a single element in diff mode
+   * @returns {{element: Element, applied: string[], skipped: string[], changed: boolean}}
+   */
+  function updateSingleElementWithDiff(element, updates) {
+    const record = { element, applied: [], skipped: [], changed: false };
+
+    if (!element || !element.nodeType) {
+      console.warn('[DOM Helpers] .update() called on null or invalid element');
+      return record;
+    }
+
+    try {
+      Object.entries(updates).forEach(([key, value]) => {
+        applyDiffedUpdate(element, key, value, record);
+      });
+    } catch (error) {
+      console.warn(`[DOM Helpers] Error in .update(): ${error.message}`);
+    }
+
+    record.changed = record.applied.length > 0;
+    return record;
+  }
+
+  /**
+   * Update every element of a collection in diff mode
+   * @returns {{collection: Object, records: Object[], changed: boolean}}
+   */
+  function updateCollectionWithDiff(collection, updates) {
+    const result = { collection, records: [], changed: false };
+
+    if (!collection) {
+      console.warn('[DOM Helpers] .update() called on null collection');
+      return result;
+    }
+
+    const elements = getCollectionElements(collection) || [];
+    elements.forEach(element => {
+      if (element && element.nodeType === 1) {
+        result.records.push(updateSingleElementWithDiff(element, updates));
+      }
+    });
+
+    result.changed = result.records.some(record => record.changed);
+    return result;
+  }
+
+  /**
+   * Apply one update key in diff mode, skipping entries whose value matches
+   * the last value applied through diff mode.
+   * style and dataset are compared per entry, setAttribute per attribute and
+   * classList per class name; method calls and classList.toggle always run.
+   */
+  function applyDiffedUpdate(element, key, value, record) {
+    const values = getAppliedValues(element);
+
+    const isUnchanged = (path, nextValue) => {
+      if (values.has(path) && isSameValue(values.get(path), nextValue)) {
+        record.skipped.push(path);
+        return true;
+      }
+      values.set(path, nextValue);
+      record.applied.push(path);
+      return false;
+    };
+
+    if ((key === 'style' || key === 'dataset' || key === 'aria') && typeof value === 'object' && value !== null) {
+      const changed = {};
+      Object.entries(value).forEach(([name, entryValue]) => {
+        if (!isUnchanged(`${key}.${name}`, entryValue)) {
+          changed[name] = entryValue;
+        }
+      });
+      if (Object.keys(changed).length > 0) {
+        applyEnhancedUpdate(element, key, changed);
+      }
+      return;
+    }
+
+    if (key === 'classList' && typeof value === 'object' && value !== null) {
+      const changed = {};
+      const toList = (classes) => Array.isArray(classes) ? classes : (typeof classes === 'string' ? [classes] : []);
+
+      ['add', 'remove'].forEach(method => {
+        if (value[method] === undefined) return;
+        const present = method === 'add';
+        const classes = toList(value[method]).filter(cls => !isUnchanged(`classList.${cls}`, present));
+        if (classes.length > 0) {
+          changed[method] = classes;
+        }
+      });
+
+      if (Array.isArray(value.replace) && value.replace.length === 2) {
+        values.set(`classList.${value.replace[0]}`, false);
+        values.set(`classList.${value.replace[1]}`, true);
+        record.applied.push('classList.replace');
+        changed.replace = value.replace;
+      }
+
+      if (value.toggle !== undefined) {
+        toList(value.toggle).forEach(cls => values.delete(`classList.${cls}`));
+        record.applied.push('classList.toggle');
+        changed.toggle = value.toggle;
+      }
+
+      if (value.contains !== undefined) {
+        changed.contains = value.contains;
+      }
+
+      if (Object.keys(changed).length > 0) {
+        applyEnhancedUpdate(element, 'classList', changed);
+      }
+      return;
+    }
+
+    if (key === 'setAttribute' && Array.isArray(value) && value.length >= 2) {
+      if (!isUnchanged(`setAttribute.${value[0]}`, value[1])) {
+        applyEnhancedUpdate(element, key, value);
+      }
+      return;
+    }
+
+    if (key === 'removeAttribute') {
+      const attributes = Array.isArray(value) ? value : [value];
+      attributes.forEach(attr => {
+        values.delete(`setAttribute.${attr}`);
+        values.delete(attr);
+      });
+    }
+
+    // Method calls always run
+    if (METHOD_KEYS.includes(key) || typeof element[key] === 'function') {
+      record.applied.push(key);
+      applyEnhancedUpdate(element, key, value);
+      return;
+    }
+
+    // Regular properties and the setAttribute fallback
+    if (!isUnchanged(key, value)) {
+      if (key === 'className') {
+        forgetAppliedValues(element, 'classList');
+      }
+      applyEnhancedUpdate(element, key, value);
+    }
+  }
+
+  function getAppliedValues(element) {
+    let values = appliedValues.get(element);
+    if (!values) {
+      values = new Map();
+      appliedValues.set(element, values);
+    }
+    return values;
+  }
+
+  /**
+   * Forget diff-mode values so the next diffed update writes them again.
+   * Called for every key written outside diff mode.
+   * @param {Element} element - Target element
+   * @param {string} [key] - Update key; omit to forget everything
+   */
+  function forgetAppliedValues(element, key) {
+    const values = appliedValues.get(element);
+    if (!values) return;
+
+    if (key === undefined) {
+      appliedValues.delete(element);
+      return;
+    }
+
+    const prefix = key === 'className' ? 'classList.' : `${key}.`;
+    values.forEach((_, path) => {
+      if (path === key || path.startsWith(prefix)) {
+        values.delete(path);
+      }
+    });
+  }
+
+  function isSameValue(a, b) {
+    if (Object.is(a, b)) return true;
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.length === b.length && a.every((item, index) => Object.is(item, b[index]));
+    }
+    return false;
+  }
+
+  /**
+   * Apply a single enhanced update to an element and report what changed
+   * to the registered recorders
+   */
+  function applyEnhancedUpdate(element, key, value) {
+    if (updateRecorders.size === 0) {
+      writeEnhancedUpdate(element, key, value);
+      return;
+    }
+
+    const targets = getRecordTargets(element, key, value);
+    const before = targets.map(target => readRecordTarget(element, target));
+
+    writeEnhancedUpdate(element, key, value);
+
+    const changes = [];
+    targets.forEach((target, index) => {
+      const after = readRecordTarget(element, target);
+      if (!isSameValue(after, before[index])) {
+        changes.push({ element, type: target.type, name: target.name, before: before[index], after });
+      }
+    });
+
+    if (changes.length === 0) return;
+
+    updateRecorders.forEach(recorder => {
+      try {
+        recorder(changes);
+      } catch (error) {
+        console.warn(`[DOM Helpers] Error recording update: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Everything an update key can change, as { type, name } pairs.
+   * Method calls and listeners are not recordable.
+   */
+  function getRecordTargets(element, key, value) {
+    const toList = (entries) => Array.isArray(entries) ? entries : (typeof entries === 'string' ? [entries] : []);
+    const isObject = typeof value === 'object' && value !== null;
+
+    if (key === 'style' && isObject) {
+      return Object.keys(value).map(name => ({ type: 'style', name }));
+    }
+
+    if (key === 'dataset' && isObject) {
+      return Object.keys(value).map(name => ({ type: 'dataset', name }));
+    }
+
+    if (key === 'aria' && isObject) {
+      return Object.keys(value).map(name => ({ type: 'attribute', name: toAriaAttribute(name) }));
+    }
+
+    if (key === 'role') {
+      return [{ type: 'attribute', name: 'role' }];
+    }
+
+    if (key === 'focus') {
+      return [];
+    }
+
+    if (key === 'classList' && isObject) {
+      const names = new Set([
+        ...toList(value.add),
+        ...toList(value.remove),
+        ...toList(value.toggle),
+        ...(Array.isArray(value.replace) ? value.replace : [])
+      ]);
+      return Array.from(names).map(name => ({ type: 'class', name }));
+    }
+
+    if (key === 'setAttribute' && Array.isArray(value)) {
+      return [{ type: 'attribute', name: value[0] }];
+    }
+
+    if (key === 'removeAttribute') {
+      return toList(value).map(name => ({ type: 'attribute', name }));
+    }
+
+    if (METHOD_KEYS.includes(key) || typeof element[key] === 'function' || key === 'outerHTML') {
+      return [];
+    }
+
+    // Text and markup writes replace the children; undo puts the old nodes back
+    if (key === 'textContent' || key === 'innerText' || key === 'innerHTML' || key === 'safeHTML') {
+      return [{ type: 'children', name: key }];
+    }
+
+    if (key === 'className') {
+      return [{ type: 'attribute', name: 'class' }];
+    }
+
+    if (key in element) {
+      return [{ type: 'property', name: key }];
+    }
+
+    return [{ type: 'attribute', name: key }];
+  }
+
+  function readRecordTarget(element, target) {
+    switch (target.type) {
+      case 'style':
+        return element.style[target.name];
+      case 'dataset':
+        return target.name in element.dataset ? element.dataset[target.name] : undefined;
+      case 'class':
+        return element.classList.contains(target.name);
+      case 'attribute':
+        return element.getAttribute(target.name);
+      case 'children':
+        return Array.from(element.childNodes);
+      default:
+        return element[target.name];
+    }
+  }
+
+  /**
+   * Write a value captured by a recorder back to the element, bypassing
+   * .update() so the write itself is not recorded
+   * @param {Element} element - Element the change was recorded on
+   * @param {{type: string, name: string}} target - Change type and name
+   * @param {*} value - The change's before or after value
+   */
+  function restoreRecordedValue(element, target, value) {
+    switch (target.type) {
+      case 'style':
+        element.style[target.name] = value;
+        break;
+      case 'dataset':
+        if (value === undefined) {
+          delete element.dataset[target.name];
+        } else {
+          element.dataset[target.name] = value;
+        }
+        break;
+      case 'class':
+        element.classList.toggle(target.name, !!value);
+        break;
+      case 'attribute':
+        if (value === null) {
+          element.removeAttribute(target.name);
+        } else {
+          element.setAttribute(target.name, value);
+        }
+        break;
+      case 'children':
+        // The nodes themselves, so nothing is re-parsed or sanitized again
+        element.replaceChildren(...value);
+        break;
+      default:
+        element[target.name] = value;
+    }
+  }
+
+  /**
+   * Register a callback receiving the changes each applied update makes
+   * @param {Function} recorder - (changes) => void; each change is
+   *   { element, type, name, before, after }
+   * @returns {Function} Unregister function
+   */
+  function registerUpdateRecorder(recorder) {
+    updateRecorders.add(recorder);
+    return () => updateRecorders.delete(recorder);
+  }
+
+  /**
+   * Set how raw HTML sinks in .update() are handled
+   * @param {Object} [options] - { mode: 'raw'|'sanitize'|'strict', allowedTags,
+   *   allowedAttributes, sanitizer, trustedTypesPolicy }
+   * @returns {Object} Copy of the resulting settings
+   */
+  function configureHTML(options = {}) {
+    if (options.mode !== undefined && !HTML_MODES.includes(options.mode)) {
+      throw new TypeError(`configureHTML() mode must be one of ${HTML_MODES.join(', ')}`);
+    }
+    if (options.sanitizer !== undefined && options.sanitizer !== null && typeof options.sanitizer !== 'function') {
+      throw new TypeError('configureHTML() sanitizer must be a function');
+    }
+
+    if (options.mode !== undefined) htmlPolicy.mode = options.mode;
+    if (options.allowedTags !== undefined) htmlPolicy.allowedTags = Array.from(options.allowedTags);
+    if (options.allowedAttributes !== undefined) htmlPolicy.allowedAttributes = { ...options.allowedAttributes };
+    if (options.sanitizer !== undefined) htmlPolicy.sanitizer = options.sanitizer;
+    if (options.trustedTypesPolicy !== undefined) htmlPolicy.trustedTypesPolicy = options.trustedTypesPolicy;
+
+    return {
+      ...htmlPolicy,
+      allowedTags: [...htmlPolicy.allowedTags],
+      allowedAttributes: { ...htmlPolicy.allowedAttributes }
+    };
+  }
+
+  function isAllowedAttribute(names, name) {
+    return Boolean(names) && names.some(allowed => allowed.endsWith('*')
+      ? name.startsWith(allowed.slice(0, -1))
+      : allowed === name);
+  }
+
+  /**
+   * Check a URL before it is written to href, src or a similar attribute
+   * @param {string} value - URL
+   * @returns {boolean} true for relative URLs and http(s), mailto and tel
+   */
+  function isSafeURL(value) {
+    const url = String(value).replace(/[\u0000- ]/g, '');
+    const scheme = url.match(/^([^/?#]*?):/);
+    return !scheme || /^(https?|mailto|tel)$/i.test(scheme[1]);
+  }
+
+  function sanitizeNode(node, tags, attributes) {
+    Array.from(node.childNodes).forEach(child => {
+      if (child.nodeType === 3) return;
+
+      if (child.nodeType !== 1) {
+        child.remove();
+        return;
+      }
+
+      const tag = child.localName;
+      if (!tags.includes(tag)) {
+        if (DROPPED_WITH_CONTENT.includes(tag)) {
+          child.remove();
+          return;
+        }
+        // Unknown wrappers are unwrapped so their text survives
+        sanitizeNode(child, tags, attributes);
+        child.replaceWith(...child.childNodes);
+        return;
+      }
+
+      Array.from(child.attributes).forEach(({ name, value }) => {
+        const allowed = isAllowedAttribute(attributes['*'], name) || isAllowedAttribute(attributes[tag], name);
+        if (!allowed || name.startsWith('on') || (URL_ATTRIBUTES.includes(name) && !isSafeURL(value))) {
+          child.removeAttribute(name);
+        }
+      });
+
+      if (tag === 'a' && child.hasAttribute('target')) {
+        child.setAttribute('rel', 'noopener noreferrer');
+      }
+
+      sanitizeNode(child, tags, attributes);
+    });
+  }
+
+  /**
+   * Remove everything from an HTML string that is not on the allowlist:
+   * unknown elements are unwrapped (script, style and similar are dropped
+   * with their content), event handler attributes and unsafe URLs removed
+   * @param {string} html - Untrusted markup
+   * @param {Object} [options] - { allowedTags, allowedAttributes } for this call
+   * @param {Document} [doc] - Document whose implementation parses the markup
+   * @returns {string} Sanitized markup
+   */
+  function sanitizeHTML(html, options = {}, doc = typeof document !== 'undefined' ? document : null) {
+    if (html === null || html === undefined) return '';
+    if (!doc) {
+      throw new TypeError('sanitizeHTML() needs a document to parse with');
+    }
+
+    // Parsed in an inert document, so nothing loads or runs
+    const inert = doc.implementation.createHTMLDocument('');
+    const container = inert.createElement('template');
+    const policy = getTrustedTypesPolicy(doc.defaultView);
+    container.innerHTML = policy ? policy.createHTML(String(html), PARSE_ONLY) : String(html);
+
+    sanitizeNode(
+      container.content,
+      options.allowedTags || htmlPolicy.allowedTags,
+      options.allowedAttributes || htmlPolicy.allowedAttributes
+    );
+    return container.innerHTML;
+  }
+
+  // One policy per window; null when Trusted Types is unavailable or refused it
+  function getTrustedTypesPolicy(view) {
+    const name = htmlPolicy.trustedTypesPolicy;
+    const factory = view && view.trustedTypes;
+    if (!name || !factory || typeof factory.createPolicy !== 'function') return null;
+
+    const existing = trustedTypesPolicies.get(factory);
+    if (existing !== undefined && (existing === null || existing.name === name)) {
+      return existing;
+    }
+
+    let policy = null;
+    try {
+      policy = factory.createPolicy(name, {
+        // Markup only reaches the parser unsanitized from sanitizeHTML() itself
+        createHTML: (input, token) => token === PARSE_ONLY ? input : sanitizeMarkup(input, view.document)
+      });
+    } catch (error) {
+      console.warn(`[DOM Helpers] Could not create Trusted Types policy '${name}': ${error.message}`);
+    }
+    trustedTypesPolicies.set(factory, policy);
+    return policy;
+  }
+
+  function sanitizeMarkup(html, doc) {
+    return htmlPolicy.sanitizer ? String(htmlPolicy.sanitizer(String(html))) : sanitizeHTML(html, {}, doc);
+  }
+
+  function isTrustedHTML(element, value) {
+    const view = element.ownerDocument && element.ownerDocument.defaultView;
+    const factory = view && view.trustedTypes;
+    return Boolean(factory && typeof factory.isHTML === 'function' && factory.isHTML(value));
+  }
+
+  // Sanitized markup, as TrustedHTML when the page has a policy for us
+  function toSafeHTML(element, html) {
+    if (isTrustedHTML(element, html)) return html;
+
+    const doc = element.ownerDocument;
+    const policy = getTrustedTypesPolicy(doc.defaultView);
+    return policy ? policy.createHTML(String(html ?? '')) : sanitizeMarkup(html ?? '', doc);
+  }
+
+  /**
+   * Apply the HTML policy to an update key. Returns the value to write,
+   * or REFUSED_HTML when strict mode blocks it
+   */
+  function applyHTMLPolicy(element, key, value) {
+    const isSink = HTML_SINKS.includes(key);
+    if (!isSink || htmlPolicy.mode === 'raw') return value;
+
+    const html = key === 'insertAdjacentHTML' ? (Array.isArray(value) ? value[1] : undefined) : value;
+    if (isTrustedHTML(element, html)) return value;
+
+    if (htmlPolicy.mode === 'strict') {
+      console.warn(`[DOM Helpers] Refused raw HTML in ${key} (strict mode); use safeHTML or textContent`);
+      return REFUSED_HTML;
+    }
+
+    if (key === 'insertAdjacentHTML') {
+      return Array.isArray(value) ? [value[0], toSafeHTML(element, html), ...value.slice(2)] : value;
+    }
+    return toSafeHTML(element, value);
+  }
+
+  // { expanded: true } -> aria-expanded; 'aria-expanded' and 'describedBy' work too
+  function toAriaAttribute(name) {
+    const attribute = name.toLowerCase();
+    return attribute.startsWith('aria-') ? attribute : `aria-${attribute}`;
+  }
+
+  /**
+   * Serialize an ARIA value: booleans become 'true'/'false', elements their
+   * ID and arrays a space-separated ID reference list. null, undefined and
+   * empty lists return null, which removes the attribute
+   */
+  function serializeAriaValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'boolean') return String(value);
+
+    if (typeof value === 'object' && typeof value.nodeType !== 'number' &&
+        typeof value[Symbol.iterator] === 'function') {
+      const ids = Array.from(value).map(serializeAriaValue).filter(Boolean);
+      return ids.length > 0 ? ids.join(' ') : null;
+    }
+
+    if (typeof value === 'object' && value.nodeType === 1) {
+      if (!value.id) {
+        console.warn('[DOM Helpers] ARIA reference to an element without an id');
+        return null;
+      }
+      return value.id;
+    }
+
+    return String(value);
+  }
+
+  /**
+   * Write a single enhanced update to an element
+   */
+  function writeEnhancedUpdate(element, key, value) {
+    try {
+      // Handle special cases first
+
+      // 0. HTML sinks - safeHTML is always sanitized; innerHTML, outerHTML
+      // and insertAdjacentHTML follow configureHTML()
+      if (key === 'safeHTML') {
+        element.innerHTML = toSafeHTML(element, value);
+        return;
+      }
+      value = applyHTMLPolicy(element, key, value);
+      if (value === REFUSED_HTML) return;
+
+      // 1. Style object - batch apply CSS styles
+      if (key === 'style' && typeof value === 'object' && value !== null) {
+        Object.entries(value).forEach(([styleProperty, styleValue]) => {
+          if (styleValue !== null && styleValue !== undefined) {
+            element.style[styleProperty] = styleValue;
+          }
+        });
+        return;
+      }
+
+      // 2. classList methods - enhanced support with arrays
+      if (key === 'classList' && typeof value === 'object' && value !== null) {
+        handleClassListUpdate(element, value);
+        return;
+      }
+
+      // 3. setAttribute - enhanced support
+      if (key === 'setAttribute' && Array.isArray(value) && value.length >= 2) {
+        element.setAttribute(value[0], value[1]);
+        return;
+      }
+
+      // 4. removeAttribute - support for removing attributes
+      if (key === 'removeAttribute') {
+        if (Array.isArray(value)) {
+          value.forEach(attr => element.removeAttribute(attr));
+        } else if (typeof value === 'string') {
+          element.removeAttribute(value);
+        }
+        return;
+      }
+
+      // 5. getAttribute - for reading attributes (mainly for debugging/logging)
+      if (key === 'getAttribute' && typeof value === 'string') {
+        const attrValue = element.getAttribute(value);
+        console.log(`[DOM Helpers] getAttribute('${value}'):`, attrValue);
+        return;
+      }
+
+      // 6. addEventListener - enhanced event handling, tracked for later removal
+      if (key === 'addEventListener' && Array.isArray(value) && value.length >= 2) {
+        const [eventName, handler, options] = value;
+        addTrackedListener(element, eventName, handler, options);
+        return;
+      }
+
+      // 7. removeEventListener - by handler, or every tracked listener for
+      // an event type and/or namespace ('click', 'click.menu', '.menu')
+      if (key === 'removeEventListener') {
+        if (typeof value === 'string') {
+          removeTrackedListeners(element, value);
+          return;
+        }
+        if (Array.isArray(value) && value.length >= 1) {
+          const [eventName, handler, options] = value;
+          removeTrackedListeners(element, eventName, handler, options);
+          return;
+        }
+      }
+
+      // 8. dataset - support for data attributes
+      if (key === 'dataset' && typeof value === 'object' && value !== null) {
+        Object.entries(value).forEach(([dataKey, dataValue]) => {
+          element.dataset[dataKey] = dataValue;
+        });
+        return;
+      }
+
+      // 8b. aria - ARIA attributes from an object; null removes them
+      if (key === 'aria' && typeof value === 'object' && value !== null) {
+        Object.entries(value).forEach(([name, ariaValue]) => {
+          const attribute = toAriaAttribute(name);
+          const serialized = serializeAriaValue(ariaValue);
+          if (serialized === null) {
+            element.removeAttribute(attribute);
+          } else {
+            element.setAttribute(attribute, serialized);
+          }
+        });
+        return;
+      }
+
+      // 8c. role - written as an attribute; null removes it
+      if (key === 'role') {
+        if (value === null || value === undefined || value === false) {
+          element.removeAttribute('role');
+        } else {
+          element.setAttribute('role', value);
+        }
+        return;
+      }
+
+      // 8d. focus - true or focus options focus the element, false blurs it;
+      // the method-call form [options] still works
+      if (key === 'focus') {
+        if (value === false) {
+          element.blur();
+        } else if (Array.isArray(value)) {
+          element.focus(...value);
+        } else {
+          element.focus(typeof value === 'object' && value !== null ? value : undefined);
+        }
+        return;
+      }
+
+      // 9. Handle DOM methods (value should be an array of arguments)
+      if (typeof element[key] === 'function') {
+        if (Array.isArray(value)) {
+          // Call method with provided arguments
+          element[key](...value);
+        } else {
+          // Call method with single argument or no arguments
+          element[key](value);
+        }
+        return;
+      }
+
+      // 10. Handle regular DOM properties
+      if (key in element) {
+        element[key] = value;
+        return;
+      }
+
+      // 11. If property doesn't exist on element, try setAttribute as fallback
+      if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+        element.setAttribute(key, value);
+        return;
+      }
+
+      console.warn(`[DOM Helpers] Unknown property or method: ${key}`);
+    } catch (error) {
+      console.warn(`[DOM Helpers] Failed to apply update ${key}: ${error.message}`);
+    }
+  }
+
+  function parseEventName(eventName) {
+    const index = eventName.indexOf('.');
+    if (index === -1) {
+      return { type: eventName, namespace: null };
+    }
+    return { type: eventName.slice(0, index), namespace: eventName.slice(index + 1) || null };
+  }
+
+  function getCapture(options) {
+    return typeof options === 'boolean' ? options : !!(options && options.capture);
+  }
+
+  // Delegated types that do not bubble: focus and blur are caught while
+  // capturing, enter/leave are derived from their bubbling over/out pairs
+  const DELEGATED_ENTER_LEAVE = {
+    mouseenter: 'mouseover',
+    mouseleave: 'mouseout',
+    pointerenter: 'pointerover',
+    pointerleave: 'pointerout'
+  };
+  const DELEGATED_CAPTURE = ['focus', 'blur'];
+
+  /**
+   * Install a single listener on root and invoke handler for events whose
+   * target is inside an element matching selector
+   * @param {Element|Document|ShadowRoot} root - Element the listener is added to
+   * @param {string} selector - Selector matched with closest()
+   * @param {string} eventName - Event type
+   * @param {Function} handler - Called as handler.call(match, event, match)
+   * @param {{capture?: boolean, passive?: boolean}} [options] - Listener options
+   * @returns {Function} Unsubscribe function
+   */
+  function delegateEvent(root, selector, eventName, handler, options = {}) {
+    if (typeof handler !== 'function') {
+      throw new TypeError('delegate() expects a handler function');
+    }
+
+    const enterLeave = DELEGATED_ENTER_LEAVE[eventName];
+    const type = enterLeave || eventName;
+    const capture = options.capture ?? DELEGATED_CAPTURE.includes(eventName);
+
+    const listener = (e) => {
+      const target = e.target && e.target.nodeType === 1
+        ? e.target
+        : e.target && e.target.parentElement;
+      if (!target) return;
+
+      const match = target.closest(selector);
+      if (!match || match === root || !root.contains(match)) return;
+
+      // Moving between the match and its descendants is not an enter or leave
+      if (enterLeave && e.relatedTarget && match.contains(e.relatedTarget)) return;
+
+      handler.call(match, e, match);
+    };
+
+    const listenerOptions = { capture, passive: options.passive };
+    root.addEventListener(type, listener, listenerOptions);
+
+    return () => root.removeEventListener(type, listener, listenerOptions);
+  }
+
+  /**
+   * Pair attribute MutationRecords with the value each one set, in one pass
+   * from the newest record back: a later record for the same target and
+   * attribute holds that value as its oldValue, the newest one reads it from
+   * the element. Records that set the value they replaced are dropped.
+   * @param {MutationRecord[]} records - Records observed with attributeOldValue
+   * @returns {Array<{target: Element, attributeName: string, oldValue: ?string, newValue: ?string}>} In record order
+   */
+  function foldAttributeRecords(records) {
+    // target -> attribute name -> oldValue of the next record
+    const next = new Map();
+    const changes = [];
+
+    for (let i = records.length - 1; i >= 0; i--) {
+      const { target, attributeName, oldValue } = records[i];
+
+      let values = next.get(target);
+      if (!values) {
+        values = new Map();
+        next.set(target, values);
+      }
+
+      const newValue = values.has(attributeName)
+        ? values.get(attributeName)
+        : target.getAttribute(attributeName);
+      values.set(attributeName, oldValue);
+
+      if (newValue !== oldValue) {
+        changes.push({ target, attributeName, oldValue, newValue });
+      }
+    }
+
+    return changes.reverse();
+  }
+
+  /**
+   * Add an event listener and remember it so it can be removed later without
+   * holding the handler reference
+   * @param {Element} element - Target element
+   * @param {string} eventName - Event type with optional namespace, e.g. 'click.menu'
+   * @param {Function} handler - Event handler
+   * @param {Object|boolean} [options] - addEventListener options
+   */
+  function addTrackedListener(element, eventName, handler, options) {
+    const { type, namespace } = parseEventName(eventName);
+    const capture = getCapture(options);
+
+    let entries = listenerRegistry.get(element);
+    if (!entries) {
+      entries = [];
+      listenerRegistry.set(element, entries);
+    }
+
+    // The browser ignores a second listener with the same type, handler and
+    // capture, whatever the namespace
+    if (entries.some(entry => entry.type === type && entry.handler === handler && entry.capture === capture)) {
+      return;
+    }
+
+    const entry = { type, namespace, handler, capture, listener: handler };
+
+    // once listeners leave the registry when they fire
+    if (options && typeof options === 'object' && options.once) {
+      entry.listener = function(event) {
+        forgetTrackedListener(element, entry);
+        return typeof handler === 'function'
+          ? handler.call(this, event)
+          : handler.handleEvent(event);
+      };
+    }
+
+    element.addEventListener(type, entry.listener, options);
+    entries.push(entry);
+  }
+
+  /**
+   * Drop one entry from an element's tracked listeners
+   */
+  function forgetTrackedListener(element, entry) {
+    const entries = listenerRegistry.get(element);
+    if (!entries) return;
+
+    const index = entries.indexOf(entry);
+    if (index !== -1) entries.splice(index, 1);
+    if (entries.length === 0) listenerRegistry.delete(element);
+  }
+
+  /**
+   * Remove tracked listeners matching an event type, namespace and/or handler
+   * @param {Element} element - Target element
+   * @param {string} [eventName] - 'click', 'click.menu' or '.menu'; omit for all
+   * @param {Function} [handler] - Only remove this handler
+   * @param {Object|boolean} [options] - removeEventListener options
+   * @returns {number} Number of tracked listeners removed
+   */
+  function removeTrackedListeners(element, eventName, handler, options) {
+    const { type, namespace } = parseEventName(eventName || '');
+
+    // Untracked handlers can still be removed by reference
+    if (handler && type) {
+      element.removeEventListener(type, handler, options);
+    }
+
+    const entries = listenerRegistry.get(element);
+    if (!entries) return 0;
+
+    const remaining = [];
+    let removed = 0;
+
+    entries.forEach(entry => {
+      const matches = (!type || entry.type === type) &&
+                      (!namespace || entry.namespace === namespace) &&
+                      (!handler || entry.handler === handler);
+
+      if (matches) {
+        element.removeEventListener(entry.type, entry.listener, { capture: entry.capture });
+        removed++;
+      } else {
+        remaining.push(entry);
+      }
+    });
+
+    if (remaining.length > 0) {
+      listenerRegistry.set(element, remaining);
+    } else {
+      listenerRegistry.delete(element);
+    }
+
+    return removed;
+  }
+
+  /**
+   * List the listeners tracked for an element
+   * @returns {Array<{type: string, namespace: string|null, handler: Function, capture: boolean}>}
+   */
+  function getTrackedListeners(element) {
+    const entries = listenerRegistry.get(element);
+    return entries
+      ? entries.map(({ type, namespace, handler, capture }) => ({ type, namespace, handler, capture }))
+      : [];
+  }
+
+  /**
+   * Register a callback that brings a helper's cache up to date with the DOM
+   * @param {Function} invalidate - Called after bulk DOM changes
+   * @returns {Function} Unregister function
+   */
+  function registerCacheInvalidator(invalidate) {
+    cacheInvalidators.add(invalidate);
+    return () => cacheInvalidators.delete(invalidate);
+  }
+
   /**
-   * Enhanced Update Implementation
-   * This function can be applied to any element or collection
+   * Run every registered cache invalidator once
    */
-  function createEnhancedUpdateMethod(context, isCollection = false) {
-    return function update(updates = {}) {
-      // Safety check - if no updates provided, return context for chaining
-      if (!updates || typeof updates !== 'object') {
-        console.warn('[DOM Helpers] .update() called with invalid updates object');
-        return context;
+  function invalidateCaches() {
+    cacheInvalidators.forEach(invalidate => {
+      try {
+        invalidate();
+      } catch (error) {
+        console.warn(`[DOM Helpers] Error invalidating cache: ${error.message}`);
       }
+    });
+  }
+
+  function requestFrame(callback) {
+    if (typeof requestAnimationFrame === 'function') {
+      return requestAnimationFrame(callback);
+    }
+    return setTimeout(callback, 16);
+  }
+
+  function cancelFrame(handle) {
+    if (typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(handle);
+    } else {
+      clearTimeout(handle);
+    }
+  }
+
+  function scheduleBatchFlush() {
+    if (batchState.frame === null) {
+      batchState.frame = requestFrame(flushBatch);
+    }
+  }
+
+  /**
+   * Run queued reads, then queued writes, then refresh helper caches once.
+   * Called automatically on the next animation frame; call it directly to
+   * flush synchronously.
+   */
+  function flushBatch() {
+    if (batchState.frame !== null) {
+      cancelFrame(batchState.frame);
+      batchState.frame = null;
+    }
 
-      // Handle single element updates
-      if (!isCollection) {
-        return updateSingleElement(context, updates);
+    // Reads see the layout before any queued write; updates they make are queued
+    batchState.phase = 'read';
+    batchState.reads.splice(0).forEach(({ read, resolve, reject }) => {
+      try {
+        resolve(read());
+      } catch (error) {
+        reject(error);
       }
+    });
 
-      // Handle collection updates
-      return updateCollection(context, updates);
-    };
+    batchState.phase = 'write';
+    batchState.writes.splice(0).forEach(write => {
+      try {
+        write();
+      } catch (error) {
+        console.warn(`[DOM Helpers] Error in batched .update(): ${error.message}`);
+      }
+    });
+
+    batchState.phase = null;
+    invalidateCaches();
+
+    batchState.waiting.splice(0).forEach(resolve => resolve());
   }
 
   /**
-   * Update a single DOM element
+   * Queue every .update() made while fn runs and apply them in one frame.
+   * If fn throws, the updates it queued are discarded.
+   * @param {Function} fn - Makes .update() calls synchronously
+   * @returns {Promise} Resolves with fn's return value after the writes
    */
-  function updateSingleElement(element, updates) {
-    // Safety check - if element doesn't exist, log warning and return null for chaining
-    if (!element || !element.nodeType) {
-      console.warn('[DOM Helpers] .update() called on null or invalid element');
-      return element;
+  function batch(fn) {
+    if (typeof fn !== 'function') {
+      throw new TypeError('batch() expects a function');
     }
 
+    const start = batchState.writes.length;
+    let result;
+
+    batchState.depth++;
     try {
-      // Process each update
-      Object.entries(updates).forEach(([key, value]) => {
-        applyEnhancedUpdate(element, key, value);
-      });
+      result = fn();
     } catch (error) {
-      console.warn(`[DOM Helpers] Error in .update(): ${error.message}`);
+      batchState.writes.splice(start);
+      throw error;
+    } finally {
+      batchState.depth--;
     }
 
-    return element; // Return for chaining
+    return new Promise(resolve => {
+      batchState.waiting.push(() => resolve(result));
+      scheduleBatchFlush();
+    });
   }
 
   /**
-   * Update a collection of DOM elements
+   * Schedule a layout read for the next flush, before any queued write
+   * @param {Function} read - Reads layout (offsetHeight, getBoundingClientRect, ...)
+   * @returns {Promise} Resolves with read's return value
    */
-  function updateCollection(collection, updates) {
-    // Safety check - if collection doesn't exist or is empty
-    if (!collection) {
-      console.warn('[DOM Helpers] .update() called on null collection');
-      return collection;
+  function measure(read) {
+    if (typeof read !== 'function') {
+      throw new TypeError('measure() expects a function');
     }
 
-    // Handle different collection types
-    let elements = [];
-    
-    if (collection.length !== undefined) {
-      // Array-like collection (NodeList, HTMLCollection, or enhanced collection)
-      elements = Array.from(collection);
-    } else if (collection._originalCollection) {
-      // Enhanced collection from Selector helper
-      elements = Array.from(collection._originalCollection);
-    } else if (collection._originalNodeList) {
-      // Enhanced collection from Selector helper (alternative structure)
-      elements = Array.from(collection._originalNodeList);
-    } else {
-      console.warn('[DOM Helpers] .update() called on unrecognized collection type');
-      return collection;
+    return new Promise((resolve, reject) => {
+      batchState.reads.push({ read, resolve, reject });
+      scheduleBatchFlush();
+    });
+  }
+
+  /**
+   * True while batched writes are pending or being applied. The helpers
+   * hold back mutation processing until the flush completes.
+   */
+  function isBatching() {
+    return batchState.depth > 0 || batchState.phase !== null || batchState.writes.length > 0;
+  }
+
+  /**
+   * Separate animation keys (and stagger) from the regular update keys
+   * @returns {{animations: Object|null, rest: Object}}
+   */
+  function splitAnimationUpdates(updates) {
+    let animations = null;
+    const rest = {};
+
+    Object.keys(updates).forEach(key => {
+      if (ANIMATION_KEYS.includes(key) || key === 'stagger') {
+        animations = animations || {};
+        animations[key] = updates[key];
+      } else {
+        rest[key] = updates[key];
+      }
+    });
+
+    return { animations, rest };
+  }
+
+  function normalizeTiming(value, delay) {
+    const timing = typeof value === 'number'
+      ? { duration: value }
+      : (value && typeof value === 'object' ? { ...value } : {});
+
+    return { ...DEFAULT_TIMING, ...timing, delay: (timing.delay || 0) + delay };
+  }
+
+  function toCssProperty(property) {
+    return property.startsWith('--')
+      ? property
+      : property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+  }
+
+  function setStyles(element, styles) {
+    Object.entries(styles).forEach(([property, value]) => {
+      if (['offset', 'easing', 'composite'].includes(property)) return;
+      element.style[property] = value;
+    });
+  }
+
+  // Last frame of an array or object-form keyframe list
+  function getFinalFrame(keyframes) {
+    if (Array.isArray(keyframes)) {
+      return keyframes[keyframes.length - 1] || {};
     }
 
-    // If no elements in collection, log info and return for chaining
-    if (elements.length === 0) {
-      console.info('[DOM Helpers] .update() called on empty collection');
-      return collection;
+    const frame = {};
+    Object.entries(keyframes || {}).forEach(([property, values]) => {
+      frame[property] = Array.isArray(values) ? values[values.length - 1] : values;
+    });
+    return frame;
+  }
+
+  function showElement(element) {
+    if (element.hidden) {
+      element.hidden = false;
+    }
+    if (element.style.display === 'none') {
+      element.style.display = '';
     }
+  }
 
-    try {
-      // Apply updates to each element in the collection
-      elements.forEach(element => {
-        if (element && element.nodeType === Node.ELEMENT_NODE) {
-          Object.entries(updates).forEach(([key, value]) => {
-            applyEnhancedUpdate(element, key, value);
-          });
+  function hideElement(element) {
+    element.style.display = 'none';
+  }
+
+  /**
+   * Play keyframes with the Web Animations API. commit() writes the end state
+   * once the animation finishes. Without element.animate the end state is
+   * applied at once. Resolves with no value: the update() result exposes
+   * the element through its finished promise.
+   */
+  function playKeyframes(element, keyframes, timing, commit) {
+    if (typeof element.animate !== 'function') {
+      if (commit) {
+        commit();
+      } else if (timing.fill === 'forwards' || timing.fill === 'both') {
+        setStyles(element, getFinalFrame(keyframes));
+      }
+      return Promise.resolve();
+    }
+
+    const animation = element.animate(keyframes, commit ? { ...timing, fill: 'forwards' } : timing);
+
+    return new Promise(resolve => {
+      const finish = () => {
+        if (commit) {
+          commit();
+          // The committed style takes over from the held final frame
+          animation.cancel();
         }
-      });
-    } catch (error) {
-      console.warn(`[DOM Helpers] Error in collection .update(): ${error.message}`);
+        resolve();
+      };
+
+      if (animation.finished) {
+        animation.finished.then(finish, () => resolve());
+      } else {
+        animation.onfinish = finish;
+        animation.oncancel = () => resolve();
+      }
+    });
+  }
+
+  /**
+   * CSS transition to a style object; resolves on transitionend, or after
+   * duration + delay when no transition runs
+   */
+  function runTransition(element, spec, delay) {
+    if (!spec || typeof spec !== 'object' || !spec.to || typeof spec.to !== 'object') {
+      console.warn('[DOM Helpers] transition expects { to: { ...styles }, duration }');
+      return null;
     }
 
-    return collection; // Return for chaining
+    const timing = normalizeTiming(spec, delay);
+    const properties = Object.keys(spec.to).map(toCssProperty);
+    const previous = element.style.transition;
+
+    element.style.transition = properties
+      .map(property => `${property} ${timing.duration}ms ${timing.easing} ${timing.delay}ms`)
+      .join(', ');
+
+    // Flush styles so the new values transition from the current ones
+    void element.offsetWidth;
+    setStyles(element, spec.to);
+
+    return new Promise(resolve => {
+      const remaining = new Set(properties);
+      let timer = null;
+
+      const done = () => {
+        clearTimeout(timer);
+        element.removeEventListener('transitionend', onEnd);
+        element.style.transition = previous;
+        resolve();
+      };
+
+      const onEnd = (event) => {
+        if (event.target !== element) return;
+        remaining.delete(event.propertyName);
+        if (remaining.size === 0) done();
+      };
+
+      element.addEventListener('transitionend', onEnd);
+      // transitionend never fires for values that did not change
+      timer = setTimeout(done, timing.duration + timing.delay + 50);
+    });
+  }
+
+  function runAnimation(element, key, value, delay) {
+    if (value === false || value === null || value === undefined) {
+      return null;
+    }
+
+    if (key === 'transition') {
+      return runTransition(element, value, delay);
+    }
+
+    if (key === 'animate') {
+      // [keyframes, options] is the argument list element.animate() takes
+      const spec = Array.isArray(value) ? { keyframes: value[0], options: value[1] } : value;
+      if (!spec || !spec.keyframes) {
+        console.warn('[DOM Helpers] animate expects { keyframes, options }');
+        return null;
+      }
+      return playKeyframes(element, spec.keyframes, normalizeTiming(spec.options, delay));
+    }
+
+    const timing = normalizeTiming(value, delay);
+
+    switch (key) {
+      case 'fadeIn':
+        showElement(element);
+        return playKeyframes(element, [{ opacity: 0 }, { opacity: 1 }], timing);
+      case 'fadeOut':
+        return playKeyframes(element, [{ opacity: 1 }, { opacity: 0 }], timing, () => hideElement(element));
+      case 'slideDown': {
+        showElement(element);
+        const height = `${element.scrollHeight}px`;
+        return playKeyframes(element, [
+          { height: '0px', overflow: 'hidden' },
+          { height, overflow: 'hidden' }
+        ], timing);
+      }
+      case 'slideUp': {
+        const height = `${element.scrollHeight}px`;
+        return playKeyframes(element, [
+          { height, overflow: 'hidden' },
+          { height: '0px', overflow: 'hidden' }
+        ], timing, () => hideElement(element));
+      }
+      default:
+        return null;
+    }
   }
 
   /**
-   * Apply a single enhanced update to an element
+   * Start the animation keys on each element, delaying element i by
+   * i * stagger milliseconds
+   * @returns {Promise|null} Settles when every animation has finished
    */
-  function applyEnhancedUpdate(element, key, value) {
-    try {
-      // Handle special cases first
+  function runAnimations(elements, animations) {
+    const stagger = Number(animations.stagger) || 0;
+    const running = [];
 
+    elements.forEach((element, index) => {
+      if (!element || element.nodeType !== 1) return;
 
+      ANIMATION_KEYS.forEach(key => {
+        if (!(key in animations)) return;
 
-      
-      // 1. Style object - batch apply CSS styles
-      if (key === 'style' && typeof value === 'object' && value !== null) {
-        Object.entries(value).forEach(([styleProperty, styleValue]) => {
-          if (styleValue !== null && styleValue !== undefined) {
-            element.style[styleProperty] = styleValue;
-          }
+        try {
+          const finished = runAnimation(element, key, animations[key], index * stagger);
+          if (finished) running.push(finished);
+        } catch (error) {
+          console.warn(`[DOM Helpers] Error starting ${key}: ${error.message}`);
+        }
+      });
+    });
+
+    return running.length > 0 ? Promise.all(running) : null;
+  }
+
+  /**
+   * Give an update() result a finished promise that settles with the result
+   * once its animations end. The result itself is not made thenable, so
+   * returning it from an async function or resolving a promise with it
+   * does not wait; finished is removed once nothing is running.
+   */
+  function trackAnimations(target, finished) {
+    let pending = pendingAnimations.get(target);
+    if (!pending) {
+      pending = new Set();
+      pendingAnimations.set(target, pending);
+
+      try {
+        Object.defineProperty(target, 'finished', {
+          get: () => {
+            const current = pendingAnimations.get(target);
+            return Promise.all(current ? Array.from(current) : []).then(() => target);
+          },
+          enumerable: false,
+          configurable: true
         });
-        return;
+      } catch (error) {
+        // Frozen targets stay plain values
       }
+    }
 
-      // 2. classList methods - enhanced support with arrays
-      if (key === 'classList' && typeof value === 'object' && value !== null) {
-        handleClassListUpdate(element, value);
-        return;
+    pending.add(finished);
+    finished.then(() => {
+      pending.delete(finished);
+      if (pending.size === 0) {
+        pendingAnimations.delete(target);
+        delete target.finished;
       }
+    });
+  }
 
-      // 3. setAttribute - enhanced support
-      if (key === 'setAttribute' && Array.isArray(value) && value.length >= 2) {
-        element.setAttribute(value[0], value[1]);
-        return;
-      }
+  // Child tag used by sync() when no create() option is given
+  const DEFAULT_CHILD_TAGS = {
+    UL: 'li',
+    OL: 'li',
+    MENU: 'li',
+    TABLE: 'tr',
+    THEAD: 'tr',
+    TBODY: 'tr',
+    TFOOT: 'tr',
+    TR: 'td',
+    SELECT: 'option',
+    DATALIST: 'option',
+    DL: 'dt'
+  };
 
-      // 4. removeAttribute - support for removing attributes
-      if (key === 'removeAttribute') {
-        if (Array.isArray(value)) {
-          value.forEach(attr => element.removeAttribute(attr));
-        } else if (typeof value === 'string') {
-          element.removeAttribute(value);
+  /**
+   * Indexes (into positions) of a longest increasing subsequence; nodes at
+   * those indexes keep their place and everything else is moved around them
+   */
+  function longestIncreasingSubsequence(positions) {
+    const tails = [];
+    const previous = new Array(positions.length);
+
+    positions.forEach((position, i) => {
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (positions[tails[mid]] < position) {
+          low = mid + 1;
+        } else {
+          high = mid;
         }
-        return;
       }
+      previous[i] = low > 0 ? tails[low - 1] : -1;
+      tails[low] = i;
+    });
 
-      // 5. getAttribute - for reading attributes (mainly for debugging/logging)
-      if (key === 'getAttribute' && typeof value === 'string') {
-        const attrValue = element.getAttribute(value);
-        console.log(`[DOM Helpers] getAttribute('${value}'):`, attrValue);
-        return;
-      }
+    const result = new Set();
+    let index = tails.length > 0 ? tails[tails.length - 1] : -1;
+    while (index !== -1) {
+      result.add(index);
+      index = previous[index];
+    }
+    return result;
+  }
 
-      // 6. addEventListener - enhanced event handling
-      if (key === 'addEventListener' && Array.isArray(value) && value.length >= 2) {
-        const [eventType, handler, options] = value;
-        element.addEventListener(eventType, handler, options);
-        return;
+  /**
+   * Reconcile a container's element children with a list of items by key
+   * @param {Element} container - Parent element whose children are managed
+   * @param {Array} items - Items to render, in order
+   * @param {Function|string} key - Returns an item's key, or the name of its key property
+   * @param {Function} render - Called as render(element, item, index) for every item
+   * @param {Object} [options] - { create(item, index), tag }
+   * @returns {Element} The container, for chaining
+   */
+  function syncChildren(container, items, key, render, options = {}) {
+    if (!container || container.nodeType !== 1) {
+      console.warn('[DOM Helpers] .sync() called on null or invalid element');
+      return container;
+    }
+
+    if (typeof key !== 'function' && typeof key !== 'string') {
+      throw new TypeError('sync() expects a key function or property name');
+    }
+    const getKey = typeof key === 'function' ? key : (item) => item[key];
+
+    const doc = container.ownerDocument;
+    const tag = options.tag || DEFAULT_CHILD_TAGS[container.tagName] || 'div';
+    const active = doc.activeElement;
+    const hadFocus = !!active && active !== container && container.contains(active);
+
+    // Existing keyed children, with their current position
+    const existing = new Map();
+    const stale = [];
+    Array.from(container.children).forEach((child, position) => {
+      const childKey = child.getAttribute('data-key');
+      if (childKey !== null && !existing.has(childKey)) {
+        existing.set(childKey, { element: child, position });
+      } else {
+        stale.push(child);
       }
+    });
+
+    const next = [];
+    const positions = [];
+    const seen = new Set();
 
-      // 7. removeEventListener - support for removing event listeners
-      if (key === 'removeEventListener' && Array.isArray(value) && value.length >= 2) {
-        const [eventType, handler, options] = value;
-        element.removeEventListener(eventType, handler, options);
+    Array.from(items || []).forEach((item, index) => {
+      const itemKey = String(getKey(item, index));
+      if (seen.has(itemKey)) {
+        console.warn(`[DOM Helpers] .sync() skipped duplicate key "${itemKey}"`);
         return;
       }
+      seen.add(itemKey);
 
-      // 8. dataset - support for data attributes
-      if (key === 'dataset' && typeof value === 'object' && value !== null) {
-        Object.entries(value).forEach(([dataKey, dataValue]) => {
-          element.dataset[dataKey] = dataValue;
-        });
-        return;
+      const match = existing.get(itemKey);
+      let element;
+      if (match) {
+        existing.delete(itemKey);
+        element = match.element;
+        positions.push(match.position);
+      } else {
+        element = typeof options.create === 'function'
+          ? options.create(item, index)
+          : doc.createElement(tag);
+        element.setAttribute('data-key', itemKey);
+        positions.push(-1);
       }
 
-      // 9. Handle DOM methods (value should be an array of arguments)
-      if (typeof element[key] === 'function') {
-        if (Array.isArray(value)) {
-          // Call method with provided arguments
-          element[key](...value);
-        } else {
-          // Call method with single argument or no arguments
-          element[key](value);
+      enhanceElementWithUpdate(element);
+
+      if (typeof render === 'function') {
+        try {
+          render(element, item, index);
+        } catch (error) {
+          console.warn(`[DOM Helpers] Error in .sync() render for key "${itemKey}": ${error.message}`);
         }
-        return;
       }
 
-      // 10. Handle regular DOM properties
-      if (key in element) {
-        element[key] = value;
-        return;
-      }
+      next.push(element);
+    });
 
-      // 11. If property doesn't exist on element, try setAttribute as fallback
-      if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
-        element.setAttribute(key, value);
-        return;
+    // Remove children that no longer have an item
+    existing.forEach(({ element }) => element.remove());
+    stale.forEach(element => element.remove());
+
+    // Reused nodes already in increasing order stay put; the rest move
+    const reusedIndexes = [];
+    positions.forEach((position, i) => {
+      if (position !== -1) reusedIndexes.push(i);
+    });
+    const stable = longestIncreasingSubsequence(reusedIndexes.map(i => positions[i]));
+    const keep = new Set();
+    stable.forEach(i => keep.add(reusedIndexes[i]));
+
+    let reference = null;
+    for (let i = next.length - 1; i >= 0; i--) {
+      const element = next[i];
+      const inPlace = element.parentNode === container && element.nextElementSibling === reference;
+      if (!keep.has(i) && !inPlace) {
+        container.insertBefore(element, reference);
       }
+      reference = element;
+    }
 
-      console.warn(`[DOM Helpers] Unknown property or method: ${key}`);
-    } catch (error) {
-      console.warn(`[DOM Helpers] Failed to apply update ${key}: ${error.message}`);
+    // Moving a focused node blurs it in most browsers
+    if (hadFocus && active.isConnected && doc.activeElement !== active && typeof active.focus === 'function') {
+      active.focus({ preventScroll: true });
     }
+
+    invalidateCaches();
+    return container;
   }
 
   /**
@@ -284,6 +1781,13 @@
         configurable: true
       });
 
+      Object.defineProperty(element, 'sync', {
+        value: (items, key, render, options) => syncChildren(element, items, key, render, options),
+        writable: false,
+        enumerable: false,
+        configurable: true
+      });
+
       // Mark as enhanced to avoid double-enhancement
       Object.defineProperty(element, '_hasEnhancedUpdateMethod', {
         value: true,
@@ -294,12 +1798,31 @@
     } catch (error) {
       // Fallback: attach as regular property if defineProperty fails
       element.update = createEnhancedUpdateMethod(element, false);
+      element.sync = (items, key, render, options) => syncChildren(element, items, key, render, options);
       element._hasEnhancedUpdateMethod = true;
     }
 
+    elementEnhancers.forEach(enhancer => {
+      try {
+        enhancer(element);
+      } catch (error) {
+        console.warn(`[DOM Helpers] Error enhancing element: ${error.message}`);
+      }
+    });
+
     return element;
   }
 
+  /**
+   * Register a callback run for every element enhanced from now on
+   * @param {Function} enhancer - (element) => void
+   * @returns {Function} Unregister function
+   */
+  function registerElementEnhancer(enhancer) {
+    elementEnhancers.add(enhancer);
+    return () => elementEnhancers.delete(enhancer);
+  }
+
   /**
    * Enhanced collection wrapper that adds .update() method to any collection
    */
@@ -341,8 +1864,8 @@
       obj.length !== undefined || 
       obj._originalCollection || 
       obj._originalNodeList ||
-      obj instanceof NodeList ||
-      obj instanceof HTMLCollection
+      (typeof NodeList !== 'undefined' && obj instanceof NodeList) ||
+      (typeof HTMLCollection !== 'undefined' && obj instanceof HTMLCollection)
     );
   }
 
@@ -354,7 +1877,7 @@
 
     if (isCollection(obj)) {
       return enhanceCollectionWithUpdate(obj);
-    } else if (obj.nodeType === Node.ELEMENT_NODE) {
+    } else if (obj.nodeType === 1) {
       return enhanceElementWithUpdate(obj);
     }
 
@@ -420,8 +1943,29 @@
     isCollection,
     updateSingleElement,
     updateCollection,
+    updateSingleElementWithDiff,
+    updateCollectionWithDiff,
+    forgetAppliedValues,
     applyEnhancedUpdate,
     handleClassListUpdate,
+    addTrackedListener,
+    removeTrackedListeners,
+    getTrackedListeners,
+    delegateEvent,
+    foldAttributeRecords,
+    syncChildren,
+    registerCacheInvalidator,
+    invalidateCaches,
+    batch,
+    measure,
+    flushBatch,
+    isBatching,
+    registerUpdateRecorder,
+    registerElementEnhancer,
+    restoreRecordedValue,
+    configureHTML,
+    sanitizeHTML,
+    isSafeURL,
     createUpdateExample
   };
 
@@ -0,0 +1,432 @@
+/**
+ * Form Helper for DOM Helpers
+ * Reads, writes and serializes forms built from named controls
+ *
+ * Features:
+ * - values() returns a nested object from names such as "user[address][city]"
+ *   and "tags[]", with radio groups, checkbox arrays, multi-selects and files
+ * - fill(obj) writes the same shape back into the controls
+ * - toFormData() / toURLSearchParams() follow the browser's submission rules
+ * - Named groups come from the cached Collections.Name collections
+ */
+
+(function(global) {
+  'use strict';
+
+  // Collections is resolved lazily so load order does not matter
+  function getCollections() {
+    if (global.Collections) {
+      return global.Collections;
+    }
+    if (typeof require !== 'undefined') {
+      try {
+        return require('./collections.js').Collections;
+      } catch (e) {
+        // Collections helper not available in this environment
+      }
+    }
+    return null;
+  }
+
+  const BUTTON_TYPES = ['submit', 'button', 'reset', 'image'];
+
+  // "user[tags][]" -> ['user', 'tags', '']
+  function parseFieldName(name) {
+    const match = name.match(/^([^[\]]+)((?:\[[^[\]]*\])*)$/);
+    if (!match) {
+      return [name];
+    }
+
+    const segments = [match[1]];
+    match[2].replace(/\[([^[\]]*)\]/g, (whole, segment) => {
+      segments.push(segment);
+      return whole;
+    });
+    return segments;
+  }
+
+  function isIndex(segment) {
+    return segment === '' || /^\d+$/.test(segment);
+  }
+
+  function setPath(target, segments, value) {
+    let node = target;
+
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      const last = i === segments.length - 1;
+
+      if (last) {
+        if (segment === '') {
+          node.push(...(Array.isArray(value) ? value : [value]));
+        } else {
+          node[segment] = value;
+        }
+        return;
+      }
+
+      const key = segment === '' ? node.length : segment;
+      if (node[key] === undefined || node[key] === null || typeof node[key] !== 'object') {
+        node[key] = isIndex(segments[i + 1]) ? [] : {};
+      }
+      node = node[key];
+    }
+  }
+
+  function getPath(source, segments) {
+    let node = source;
+
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+
+      // A trailing [] addresses the array itself
+      if (segment === '') {
+        return i === segments.length - 1 ? node : undefined;
+      }
+
+      if (node === null || typeof node !== 'object') {
+        return undefined;
+      }
+      node = node[segment];
+    }
+
+    return node;
+  }
+
+  class FormController {
+    constructor(element) {
+      this.element = element;
+    }
+
+    // The form's own window, which may not be the global one
+    _getView() {
+      return this.element.ownerDocument.defaultView || global;
+    }
+
+    _isForm() {
+      return typeof this.element.elements !== 'undefined' && this.element.tagName === 'FORM';
+    }
+
+    _getControls() {
+      const controls = this._isForm()
+        ? Array.from(this.element.elements)
+        : Array.from(this.element.querySelectorAll('input, select, textarea, button'));
+
+      return controls.filter(control => control.name && control.tagName !== 'FIELDSET' && control.tagName !== 'OUTPUT');
+    }
+
+    _owns(control) {
+      return control.form === this.element || this.element.contains(control);
+    }
+
+    _isSubmittable(control) {
+      if (control.disabled || control.matches(':disabled')) return false;
+      if (control.tagName === 'BUTTON' || BUTTON_TYPES.includes(control.type)) return false;
+      return true;
+    }
+
+    /**
+     * Controls grouped by name, in document order. Groups are read from the
+     * cached Collections.Name collections and narrowed to this form.
+     */
+    _getGroups() {
+      const controls = this._getControls();
+      const names = [];
+      const seen = new Set();
+
+      controls.forEach(control => {
+        if (!seen.has(control.name)) {
+          seen.add(control.name);
+          names.push(control.name);
+        }
+      });
+
+      return names.map(name => this._getGroup(name, controls));
+    }
+
+    _getGroup(name, controls) {
+      // getElementsByName only sees the main document
+      const Collections = typeof document !== 'undefined' && this.element.getRootNode() === document
+        ? getCollections()
+        : null;
+
+      const group = Collections
+        ? Collections.Name[name].filter(control => this._owns(control))
+        : (controls || this._getControls()).filter(control => control.name === name);
+
+      return {
+        name,
+        segments: parseFieldName(name),
+        controls: group.filter(control => control.tagName !== 'FIELDSET' && control.tagName !== 'OUTPUT')
+      };
+    }
+
+    _readGroup(group) {
+      const controls = group.controls.filter(control => this._isSubmittable(control));
+      if (controls.length === 0) return undefined;
+
+      const wantsArray = group.segments[group.segments.length - 1] === '';
+      const first = controls[0];
+
+      if (controls.every(control => control.type === 'radio')) {
+        const checked = controls.find(control => control.checked);
+        return checked ? checked.value : null;
+      }
+
+      if (controls.every(control => control.type === 'checkbox')) {
+        if (controls.length > 1 || wantsArray) {
+          return controls.filter(control => control.checked).map(control => control.value);
+        }
+        // A lone checkbox without a value attribute reads as a boolean
+        if (!first.hasAttribute('value')) {
+          return first.checked;
+        }
+        return first.checked ? first.value : null;
+      }
+
+      // Mixed groups, e.g. a hidden "0" before a checkbox: like the browser,
+      // only checked checkboxes and radios are submitted
+      const submitted = controls.filter(control =>
+        (control.type !== 'checkbox' && control.type !== 'radio') || control.checked);
+      if (submitted.length === 0) return wantsArray ? [] : null;
+
+      const values = submitted.map(control => this._readControl(control));
+      const lead = submitted[0];
+
+      if (lead.type === 'select-multiple' && submitted.length === 1) {
+        return values[0];
+      }
+
+      if (lead.type === 'file' && submitted.length === 1 && !wantsArray) {
+        return lead.multiple ? values[0] : (values[0][0] || null);
+      }
+
+      // Files and multi-select options are flattened into the list
+      if (submitted.length > 1 || wantsArray) {
+        return values.flat();
+      }
+
+      return values[0];
+    }
+
+    _readControl(control) {
+      switch (control.type) {
+        case 'select-multiple':
+          return Array.from(control.selectedOptions || control.options)
+            .filter(option => option.selected)
+            .map(option => option.value);
+        case 'file':
+          return Array.from(control.files || []);
+        case 'number':
+        case 'range':
+          return control.value === '' || Number.isNaN(Number(control.value))
+            ? null
+            : Number(control.value);
+        default:
+          return control.value;
+      }
+    }
+
+    _writeGroup(group, value, dispatch) {
+      const changed = [];
+
+      group.controls.forEach((control, index) => {
+        if (control.type === 'file') return;
+
+        const previous = control.type === 'checkbox' || control.type === 'radio'
+          ? control.checked
+          : control.value;
+
+        if (control.type === 'radio') {
+          control.checked = value !== null && String(value) === control.value;
+        } else if (control.type === 'checkbox') {
+          if (Array.isArray(value)) {
+            control.checked = value.map(String).includes(control.value);
+          } else if (typeof value === 'boolean') {
+            control.checked = value;
+          } else {
+            control.checked = value !== null && String(value) === control.value;
+          }
+        } else if (control.type === 'select-multiple') {
+          const selected = (Array.isArray(value) ? value : [value]).map(String);
+          Array.from(control.options).forEach(option => {
+            option.selected = selected.includes(option.value);
+          });
+        } else {
+          // Repeated fields take one array entry each; missing entries clear
+          const next = Array.isArray(value) && group.controls.length > 1 ? value[index] : value;
+          control.value = next === null || next === undefined ? '' : String(next);
+        }
+
+        const current = control.type === 'checkbox' || control.type === 'radio'
+          ? control.checked
+          : control.value;
+
+        if (dispatch && (current !== previous || control.type === 'select-multiple')) {
+          changed.push(control);
+        }
+      });
+
+      const { Event } = this._getView();
+      changed.forEach(control => {
+        control.dispatchEvent(new Event('input', { bubbles: true }));
+        control.dispatchEvent(new Event('change', { bubbles: true }));
+      });
+    }
+
+    /**
+     * Read the form into a nested object
+     * @returns {Object} e.g. { user: { name: 'Ada', tags: ['a', 'b'] } }
+     */
+    values() {
+      const result = {};
+
+      this._getGroups().forEach(group => {
+        const value = this._readGroup(group);
+        if (value !== undefined) {
+          setPath(result, group.segments, value);
+        }
+      });
+
+      return result;
+    }
+
+    /**
+     * Controls sharing a name and their current value
+     * @param {string} name - Control name, e.g. "user[email]"
+     * @returns {{name: string, controls: Element[], value: *}}
+     * value is undefined when every control is disabled or none exist
+     */
+    getField(name) {
+      const group = this._getGroup(name);
+      return {
+        name,
+        controls: group.controls,
+        value: this._readGroup(group)
+      };
+    }
+
+    /**
+     * Write values back into the form; names missing from obj are left alone
+     * @param {Object} obj - Object shaped like values() output
+     * @param {{events?: boolean}} [options] - Dispatch input/change events on changed controls
+     * @returns {FormController} this
+     */
+    fill(obj, options = {}) {
+      if (!obj || typeof obj !== 'object') {
+        throw new TypeError('fill() expects an object');
+      }
+
+      this._getGroups().forEach(group => {
+        const value = getPath(obj, group.segments);
+        if (value !== undefined) {
+          this._writeGroup(group, value, !!options.events);
+        }
+      });
+
+      return this;
+    }
+
+    /**
+     * Name/value pairs in the order a browser would submit them
+     * @returns {Array<[string, string|File]>}
+     */
+    entries() {
+      const entries = [];
+
+      this._getControls().forEach(control => {
+        if (!this._isSubmittable(control)) return;
+
+        if ((control.type === 'checkbox' || control.type === 'radio') && !control.checked) {
+          return;
+        }
+
+        if (control.type === 'select-multiple') {
+          Array.from(control.options)
+            .filter(option => option.selected)
+            .forEach(option => entries.push([control.name, option.value]));
+          return;
+        }
+
+        if (control.type === 'file') {
+          Array.from(control.files || []).forEach(file => entries.push([control.name, file]));
+          return;
+        }
+
+        entries.push([control.name, control.value]);
+      });
+
+      return entries;
+    }
+
+    toFormData() {
+      const { FormData } = this._getView();
+      const formData = new FormData();
+      this.entries().forEach(([name, value]) => formData.append(name, value));
+      return formData;
+    }
+
+    toURLSearchParams() {
+      const params = new URLSearchParams();
+      this.entries().forEach(([name, value]) => {
+        // URL-encoded submissions send only the file name
+        params.append(name, typeof value === 'string' ? value : value.name);
+      });
+      return params;
+    }
+  }
+
+  // One controller per form element
+  const controllers = new WeakMap();
+
+  /**
+   * Get the form controller for a form (or any container of controls)
+   * @param {string|Element} formIdOrEl - Element ID or element
+   * @param {{document?: Document}} [options] - Document IDs are looked up in
+   * @returns {FormController}
+   */
+  function form(formIdOrEl, options = {}) {
+    let element = formIdOrEl;
+
+    if (typeof formIdOrEl === 'string') {
+      if (options.document) {
+        element = options.document.getElementById(formIdOrEl);
+      } else {
+        element = global.Elements ? global.Elements[formIdOrEl] : document.getElementById(formIdOrEl);
+      }
+    }
+
+    if (!element || element.nodeType !== 1) {
+      throw new TypeError(`form() could not find form "${formIdOrEl}"`);
+    }
+
+    let controller = controllers.get(element);
+    if (!controller) {
+      controller = new FormController(element);
+      controllers.set(element, controller);
+    }
+    return controller;
+  }
+
+  // Export the form API
+  const FormHelper = {
+    FormController,
+    form,
+    parseFieldName
+  };
+
+  // Export for different environments
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js/CommonJS
+    module.exports = FormHelper;
+  } else if (typeof define === 'function' && define.amd) {
+    // AMD/RequireJS
+    define([], function() {
+      return FormHelper;
+    });
+  } else {
+    // Browser globals
+    global.FormHelper = FormHelper;
+  }
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this);
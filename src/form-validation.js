@@ -0,0 +1,479 @@
+/**
+ * Form Validation for DOM Helpers
+ * Declarative field rules on top of DOMHelpers.form()
+ *
+ * Features:
+ * - required, min/max, minLength/maxLength, pattern and custom validators
+ * - Custom validators may be async and receive every form value for
+ *   cross-field rules; dependsOn re-validates a field when another changes
+ * - Results are mirrored into the Constraint Validation API (setCustomValidity)
+ * - Error state is rendered through the .update() dictionary
+ * - validate() resolves a structured result for submit handlers
+ */
+
+(function(global) {
+  'use strict';
+
+  // Import Enhanced UpdateUtility if available
+  let EnhancedUpdateUtility;
+  if (typeof require !== 'undefined') {
+    try {
+      EnhancedUpdateUtility = require('./enhanced-update-utility.js');
+    } catch (e) {
+      // EnhancedUpdateUtility not available in this environment
+    }
+  } else if (typeof global !== 'undefined' && global.EnhancedUpdateUtility) {
+    EnhancedUpdateUtility = global.EnhancedUpdateUtility;
+  }
+
+  // FormHelper is resolved lazily so load order does not matter
+  function getFormHelper() {
+    if (global.FormHelper) {
+      return global.FormHelper;
+    }
+    if (typeof require !== 'undefined') {
+      try {
+        return require('./form-helper.js');
+      } catch (e) {
+        // Form helper not available in this environment
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Default messages; replace entries to localize. Functions receive the
+   * rule's configured value.
+   */
+  const messages = {
+    required: 'This field is required',
+    min: min => `Must be at least ${min}`,
+    max: max => `Must be at most ${max}`,
+    minLength: length => `Must be at least ${length} characters`,
+    maxLength: length => `Must be at most ${length} characters`,
+    pattern: 'Invalid format',
+    validate: 'Invalid value'
+  };
+
+  // Checked in this order; the first failing rule wins
+  const RULES = {
+    required(value, required) {
+      if (!required) return true;
+      if (Array.isArray(value)) return value.length > 0;
+      return value !== null && value !== undefined && value !== '' && value !== false;
+    },
+    min(value, min) {
+      return isEmpty(value) || Number(value) >= min;
+    },
+    max(value, max) {
+      return isEmpty(value) || Number(value) <= max;
+    },
+    minLength(value, length) {
+      return isEmpty(value) || lengthOf(value) >= length;
+    },
+    maxLength(value, length) {
+      return isEmpty(value) || lengthOf(value) <= length;
+    },
+    pattern(value, pattern) {
+      const regex = pattern instanceof RegExp ? pattern : new RegExp(`^(?:${pattern})$`);
+      if (isEmpty(value)) return true;
+      return (Array.isArray(value) ? value : [value]).every(entry => {
+        regex.lastIndex = 0;
+        return regex.test(String(entry));
+      });
+    }
+  };
+
+  function isEmpty(value) {
+    return value === null || value === undefined || value === '' ||
+           (Array.isArray(value) && value.length === 0);
+  }
+
+  function lengthOf(value) {
+    return Array.isArray(value) ? value.length : String(value).length;
+  }
+
+  function formatMessage(message, ruleValue) {
+    return typeof message === 'function' ? message(ruleValue) : message;
+  }
+
+  function isThenable(value) {
+    return value !== null && typeof value === 'object' && typeof value.then === 'function';
+  }
+
+  function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  class Validator {
+    constructor(form, rules = {}, options = {}) {
+      const FormHelper = getFormHelper();
+      if (!FormHelper) {
+        throw new Error('validator() requires the form helper (form-helper.js)');
+      }
+
+      this.form = typeof form === 'object' && form !== null && typeof form.getField === 'function'
+        ? form
+        : FormHelper.form(form);
+      this.element = this.form.element;
+      this.rules = rules;
+      this.options = {
+        validateOn: ['change'],
+        errorClass: 'is-invalid',
+        validClass: null,
+        nativeValidation: true,
+        focusInvalid: true,
+        enableLogging: false,
+        ...options
+      };
+
+      this.state = {};
+      this.pending = {};
+      this.listeners = [];
+      this.isDestroyed = false;
+
+      this._initEvents();
+    }
+
+    _initEvents() {
+      const events = toArray(this.options.validateOn)
+        // blur does not bubble; focusout does
+        .map(event => event === 'blur' ? 'focusout' : event)
+        .filter(event => event !== 'submit');
+
+      events.forEach(type => {
+        const handler = (event) => {
+          const name = event.target && event.target.name;
+          if (!name) return;
+          this._fieldsAffectedBy(name).forEach(field => {
+            this.validateField(field).catch(error => this._warn(error.message));
+          });
+        };
+        this.element.addEventListener(type, handler);
+        this.listeners.push([type, handler]);
+      });
+    }
+
+    _fieldsAffectedBy(name) {
+      const affected = [];
+      if (this.rules[name]) {
+        affected.push(name);
+      }
+      Object.keys(this.rules).forEach(field => {
+        if (field !== name && toArray(this.rules[field].dependsOn).includes(name)) {
+          affected.push(field);
+        }
+      });
+      return affected;
+    }
+
+    _warn(message) {
+      if (this.options.enableLogging) {
+        console.warn(`[DOM Helpers] ${message}`);
+      }
+    }
+
+    // The form's own window, which may not be the global one
+    _getView() {
+      return this.element.ownerDocument.defaultView;
+    }
+
+    /**
+     * Run the rules for one field against its current value
+     * @returns {Promise<{valid: boolean, message: string, rule: string|null}>|Object}
+     */
+    _runRules(name, value, values, controls) {
+      const fieldRules = this.rules[name] || {};
+      const custom = fieldRules.messages || {};
+
+      // Disabled or missing fields are never submitted, so never invalid
+      if (value === undefined) {
+        return { valid: true, message: '', rule: null };
+      }
+
+      for (const rule of Object.keys(RULES)) {
+        if (fieldRules[rule] === undefined) continue;
+
+        if (!RULES[rule](value, fieldRules[rule])) {
+          return {
+            valid: false,
+            message: formatMessage(custom[rule] ?? messages[rule], fieldRules[rule]),
+            rule
+          };
+        }
+      }
+
+      // Native constraints (type="email", step, ...) the rules did not cover
+      if (this.options.nativeValidation) {
+        for (const control of controls) {
+          if (typeof control.setCustomValidity !== 'function') continue;
+          control.setCustomValidity('');
+          if (!control.checkValidity()) {
+            return { valid: false, message: control.validationMessage || messages.validate, rule: 'native' };
+          }
+        }
+      }
+
+      return this._runCustom(name, value, values, controls, toArray(fieldRules.validate), 0);
+    }
+
+    // Custom validators run in order; async ones are awaited before the next
+    _runCustom(name, value, values, controls, validators, start) {
+      const custom = (this.rules[name] && this.rules[name].messages) || {};
+
+      for (let i = start; i < validators.length; i++) {
+        const outcome = validators[i](value, { name, values, controls, form: this.form });
+
+        if (isThenable(outcome)) {
+          return Promise.resolve(outcome).then(resolved => {
+            const result = this._customResult(resolved, custom);
+            return result.valid
+              ? this._runCustom(name, value, values, controls, validators, i + 1)
+              : result;
+          });
+        }
+
+        const result = this._customResult(outcome, custom);
+        if (!result.valid) return result;
+      }
+
+      return { valid: true, message: '', rule: null };
+    }
+
+    // true/undefined/null pass, false fails with the default, a string fails with itself
+    _customResult(outcome, custom) {
+      if (outcome === true || outcome === undefined || outcome === null || outcome === '') {
+        return { valid: true, message: '', rule: null };
+      }
+      return {
+        valid: false,
+        message: typeof outcome === 'string' ? outcome : (custom.validate ?? messages.validate),
+        rule: 'validate'
+      };
+    }
+
+    _getMessageElement(name, controls) {
+      if (typeof this.options.messageElement === 'function') {
+        return this.options.messageElement(name, controls) || null;
+      }
+
+      const view = this._getView();
+      const escaped = view && view.CSS && typeof view.CSS.escape === 'function'
+        ? view.CSS.escape(name)
+        : name.replace(/["\\]/g, '\\$&');
+      return this.element.querySelector(`[data-error-for="${escaped}"]`);
+    }
+
+    _update(element, updates) {
+      if (EnhancedUpdateUtility) {
+        EnhancedUpdateUtility.enhanceElementWithUpdate(element);
+      }
+      if (typeof element.update === 'function') {
+        element.update(updates);
+      }
+    }
+
+    _render(name, result, controls) {
+      const { errorClass, validClass } = this.options;
+
+      controls.forEach(control => {
+        if (typeof control.setCustomValidity === 'function') {
+          control.setCustomValidity(result.valid ? '' : result.message);
+        }
+
+        const classList = result.valid
+          ? { remove: errorClass, ...(validClass ? { add: validClass } : {}) }
+          : { add: errorClass, ...(validClass ? { remove: validClass } : {}) };
+
+        this._update(control, result.valid
+          ? { classList, removeAttribute: 'aria-invalid' }
+          : { classList, setAttribute: ['aria-invalid', 'true'] });
+      });
+
+      const messageElement = this._getMessageElement(name, controls);
+      if (messageElement) {
+        this._update(messageElement, {
+          textContent: result.valid ? '' : result.message,
+          hidden: result.valid
+        });
+      }
+
+      if (typeof this.options.onFieldValidated === 'function') {
+        this.options.onFieldValidated(name, result, controls);
+      }
+    }
+
+    _finishField(name, result, controls, token) {
+      // A newer run for this field superseded this one
+      if (this.pending[name] !== token || this.isDestroyed) {
+        return this.state[name] || result;
+      }
+      delete this.pending[name];
+
+      const state = { ...result, controls };
+      this.state[name] = state;
+      this._render(name, result, controls);
+      return state;
+    }
+
+    /**
+     * Validate one field and render its state
+     * @param {string} name - Field name as written in the rules
+     * @returns {Promise<{valid: boolean, message: string, rule: string|null, controls: Element[]}>}
+     */
+    validateField(name, values = this.form.values()) {
+      const field = this.form.getField(name);
+      const token = {};
+      this.pending[name] = token;
+
+      let result;
+      try {
+        result = this._runRules(name, field.value, values, field.controls);
+      } catch (error) {
+        delete this.pending[name];
+        return Promise.reject(error);
+      }
+
+      return Promise.resolve(result)
+        .then(resolved => this._finishField(name, resolved, field.controls, token));
+    }
+
+    /**
+     * Validate every field with rules
+     * @returns {Promise<Object>} { valid, values, errors, fields, firstInvalid }
+     */
+    validate() {
+      const values = this.form.values();
+      const names = Object.keys(this.rules);
+
+      return Promise.all(names.map(name => this.validateField(name, values))).then(states => {
+        const result = {
+          valid: true,
+          values,
+          errors: {},
+          fields: {},
+          firstInvalid: null
+        };
+
+        states.forEach((state, index) => {
+          const name = names[index];
+          result.fields[name] = { valid: state.valid, message: state.message, rule: state.rule };
+
+          if (!state.valid) {
+            result.valid = false;
+            result.errors[name] = state.message;
+          }
+        });
+
+        // First invalid control in document order; windowless documents
+        // still have the constant on their nodes
+        const view = this._getView();
+        const FOLLOWING = view && view.Node
+          ? view.Node.DOCUMENT_POSITION_FOLLOWING
+          : this.element.DOCUMENT_POSITION_FOLLOWING;
+        const invalid = states
+          .filter(state => !state.valid)
+          .map(state => state.controls[0])
+          .filter(Boolean)
+          .sort((a, b) => a.compareDocumentPosition(b) & FOLLOWING ? -1 : 1);
+        result.firstInvalid = invalid[0] || null;
+
+        return result;
+      });
+    }
+
+    /**
+     * Validate on submit; handler runs only when the form is valid
+     * @param {Function} handler - (result, event) => void
+     * @param {Function} [onInvalid] - (result, event) => void
+     * @returns {Function} Removes the submit listener
+     */
+    onSubmit(handler, onInvalid) {
+      const listener = (event) => {
+        event.preventDefault();
+
+        this.validate().then(result => {
+          if (result.valid) {
+            handler(result, event);
+            return;
+          }
+
+          if (this.options.focusInvalid && result.firstInvalid && typeof result.firstInvalid.focus === 'function') {
+            result.firstInvalid.focus();
+          }
+          if (typeof onInvalid === 'function') {
+            onInvalid(result, event);
+          }
+        }).catch(error => this._warn(`Validation failed: ${error.message}`));
+      };
+
+      this.element.addEventListener('submit', listener);
+      this.listeners.push(['submit', listener]);
+
+      return () => {
+        this.element.removeEventListener('submit', listener);
+        this.listeners = this.listeners.filter(entry => entry[1] !== listener);
+      };
+    }
+
+    /**
+     * Clear rendered errors and custom validity
+     * @returns {Validator} this
+     */
+    reset() {
+      const valid = { valid: true, message: '', rule: null };
+
+      Object.keys(this.rules).forEach(name => {
+        delete this.pending[name];
+        this._render(name, valid, this.form.getField(name).controls);
+      });
+      this.state = {};
+      return this;
+    }
+
+    destroy() {
+      if (this.isDestroyed) return;
+      this.isDestroyed = true;
+
+      this.listeners.forEach(([type, listener]) => {
+        this.element.removeEventListener(type, listener);
+      });
+      this.listeners = [];
+      this.pending = {};
+    }
+  }
+
+  /**
+   * Attach validation rules to a form
+   * @param {string|Element|Object} form - Form ID, element or DOMHelpers.form() controller
+   * @param {Object} rules - { fieldName: { required, min, max, minLength, maxLength, pattern, validate, dependsOn, messages } }
+   * @param {Object} [options] - { validateOn, errorClass, validClass, nativeValidation, focusInvalid, messageElement, onFieldValidated, enableLogging }
+   * @returns {Validator}
+   */
+  function validator(form, rules, options) {
+    return new Validator(form, rules, options);
+  }
+
+  // Export the validation API
+  const FormValidation = {
+    Validator,
+    validator,
+    messages
+  };
+
+  // Export for different environments
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js/CommonJS
+    module.exports = FormValidation;
+  } else if (typeof define === 'function' && define.amd) {
+    // AMD/RequireJS
+    define([], function() {
+      return FormValidation;
+    });
+  } else {
+    // Browser globals
+    global.FormValidation = FormValidation;
+  }
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this);
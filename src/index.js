@@ -10,6 +10,14 @@
 (function(global) {
   'use strict';
 
+  // Import Enhanced Update Utility
+  const updateModule = (function() {
+    if (typeof require !== 'undefined') {
+      return require('./enhanced-update-utility.js');
+    }
+    return global.EnhancedUpdateUtility || null;
+  })();
+
   // Import Elements Helper
   const elementsModule = (function() {
     // Elements Helper code will be injected here during build
@@ -30,6 +38,144 @@
     return global.Collections ? { Collections: global.Collections, ProductionCollectionHelper: global.ProductionCollectionHelper } : null;
   })();
 
+  // Import Selector Helper
+  const selectorModule = (function() {
+    if (typeof require !== 'undefined') {
+      return require('./querySelector-helper.js');
+    }
+    return global.Selector ? { Selector: global.Selector, ProductionSelectorHelper: global.ProductionSelectorHelper } : null;
+  })();
+
+  // Import Reactive Store
+  const storeModule = (function() {
+    if (typeof require !== 'undefined') {
+      return require('./reactive-store.js');
+    }
+    return global.ReactiveStore || null;
+  })();
+
+  // Import Virtual List
+  const virtualListModule = (function() {
+    if (typeof require !== 'undefined') {
+      return require('./virtual-list.js');
+    }
+    return global.VirtualListHelper || null;
+  })();
+
+  // Import Element Factory
+  const factoryModule = (function() {
+    if (typeof require !== 'undefined') {
+      return require('./element-factory.js');
+    }
+    return global.ElementFactory || null;
+  })();
+
+  // Import Form Helper
+  const formModule = (function() {
+    if (typeof require !== 'undefined') {
+      return require('./form-helper.js');
+    }
+    return global.FormHelper || null;
+  })();
+
+  // Import Form Validation
+  const validationModule = (function() {
+    if (typeof require !== 'undefined') {
+      return require('./form-validation.js');
+    }
+    return global.FormValidation || null;
+  })();
+
+  // Import Update History
+  const historyModule = (function() {
+    if (typeof require !== 'undefined') {
+      return require('./update-history.js');
+    }
+    return global.HistoryHelper || null;
+  })();
+
+  // Import Templates
+  const templateModule = (function() {
+    if (typeof require !== 'undefined') {
+      return require('./template.js');
+    }
+    return global.TemplateHelper || null;
+  })();
+
+  // Import Accessibility helpers
+  const a11yModule = (function() {
+    if (typeof require !== 'undefined') {
+      return require('./a11y.js');
+    }
+    return global.A11yHelper || null;
+  })();
+
+  // Import Components
+  const componentsModule = (function() {
+    if (typeof require !== 'undefined') {
+      return require('./components.js');
+    }
+    return global.ComponentHelper || null;
+  })();
+
+  // Registry behind DOMHelpers.component(), using the default helpers
+  const components = componentsModule && selectorModule?.Selector
+    ? componentsModule.createComponents({ Elements: elementsModule?.Elements, Selector: selectorModule.Selector })
+    : null;
+
+  /**
+   * Create Elements, Collections and Selector bound to an injected DOM, e.g.
+   * a jsdom window in Node. Nothing is read from or written to globals.
+   * @param {Object} options - { document, window } plus helper options
+   * @returns {Object} { Elements, Collections, Selector, component(), destroy() }
+   */
+  function createDOMHelpers(options = {}) {
+    const { document: doc, window: view, ...helperOptions } = options;
+    const win = view || (doc && doc.defaultView) || null;
+    const root = doc || (win && win.document);
+
+    if (!root) {
+      throw new TypeError('createDOMHelpers() requires a document or window');
+    }
+
+    const config = { ...helperOptions, root, window: win };
+    const helpers = {
+      Elements: elementsModule?.createElements ? elementsModule.createElements(config) : null,
+      Collections: collectionsModule?.createCollections ? collectionsModule.createCollections(config) : null,
+      Selector: selectorModule?.createSelector ? selectorModule.createSelector(config) : null,
+
+      // Creation, templates, forms and lists use the injected document too
+      ...(factoryModule?.createElementFactory ? factoryModule.createElementFactory(root) : { create: null, fragment: null }),
+      template: templateModule ? (templateIdOrEl) => templateModule.template(templateIdOrEl, { document: root }) : null,
+      form: formModule ? (formIdOrEl) => formModule.form(formIdOrEl, { document: root }) : null,
+      virtualList: virtualListModule
+        ? (container, listOptions) => virtualListModule.virtualList(container, { ...listOptions, document: root })
+        : null,
+
+      // Components mounted in the injected DOM
+      component(name, definition) {
+        if (!registry) {
+          throw new Error('component() requires the Selector helper');
+        }
+        return registry.component(name, definition);
+      },
+
+      // Unmounts the components, disconnects the observers and stops the cleanup timers
+      destroy() {
+        if (registry) registry.destroy();
+        [helpers.Elements, helpers.Collections, helpers.Selector].forEach(api => {
+          if (api) api.destroy();
+        });
+      }
+    };
+
+    const registry = componentsModule && helpers.Selector
+      ? componentsModule.createComponents({ Elements: helpers.Elements, Selector: helpers.Selector })
+      : null;
+
+    return helpers;
+  }
+
   // Combined DOM Helpers API
   const DOMHelpers = {
     // Elements Helper (ID-based access)
@@ -37,17 +183,62 @@
     
     // Collections Helper (Class/Tag/Name-based access)
     Collections: collectionsModule?.Collections || null,
+
+    // Selector Helper (querySelector/querySelectorAll with caching)
+    Selector: selectorModule?.Selector || null,
     
     // Helper classes for advanced usage
     ProductionElementsHelper: elementsModule?.ProductionElementsHelper || null,
     ProductionCollectionHelper: collectionsModule?.ProductionCollectionHelper || null,
+    ProductionSelectorHelper: selectorModule?.ProductionSelectorHelper || null,
+
+    // Observable store for Elements.bind()
+    createStore: storeModule?.createStore || null,
+
+    // Virtualized rendering for long lists
+    virtualList: virtualListModule?.virtualList || null,
+
+    // Declarative element creation
+    create: factoryModule?.create || null,
+    fragment: factoryModule?.fragment || null,
+
+    // <template> rendering with placeholders, bindings, loops and conditionals
+    template: templateModule?.template || null,
+
+    // Form reading, filling and serialization
+    form: formModule?.form || null,
+    validator: validationModule?.validator || null,
+
+    // Batched writes and scheduled layout reads
+    batch: updateModule?.batch || null,
+    measure: updateModule?.measure || null,
+
+    // Sanitized or refused HTML sinks in .update(), and the sanitizer itself
+    configureHTML: updateModule?.configureHTML || null,
+    sanitizeHTML: updateModule?.sanitizeHTML || null,
+
+    // Focus trapping, live region announcements and roving tabindex
+    trapFocus: a11yModule?.trapFocus || null,
+    announce: a11yModule?.announce || null,
+    rovingTabindex: a11yModule?.rovingTabindex || null,
+
+    // Undo/redo for .update() changes (call history.start() to record)
+    history: historyModule?.history || null,
+    createHistory: historyModule?.createHistory || null,
+
+    // Independent helpers bound to an injected document/window
+    createDOMHelpers,
+
+    // Behaviors mounted on matching elements, including ones inserted later
+    component: components ? (name, definition) => components.component(name, definition) : null,
+    createComponents: componentsModule?.createComponents || null,
     
     // Utility methods
     version: '2.0.0',
     
-    // Check if both helpers are available
+    // Check if all helpers are available
     isReady() {
-      return !!(this.Elements && this.Collections);
+      return !!(this.Elements && this.Collections && this.Selector);
     },
     
     // Get combined statistics
@@ -62,6 +253,10 @@
         stats.collections = this.Collections.stats();
       }
       
+      if (this.Selector && typeof this.Selector.stats === 'function') {
+        stats.selector = this.Selector.stats();
+      }
+      
       return stats;
     },
     
@@ -74,10 +269,18 @@
       if (this.Collections && typeof this.Collections.clear === 'function') {
         this.Collections.clear();
       }
+      
+      if (this.Selector && typeof this.Selector.clear === 'function') {
+        this.Selector.clear();
+      }
     },
     
     // Destroy all helpers
     destroyAll() {
+      if (components) {
+        components.destroy();
+      }
+
       if (this.Elements && typeof this.Elements.destroy === 'function') {
         this.Elements.destroy();
       }
@@ -85,9 +288,13 @@
       if (this.Collections && typeof this.Collections.destroy === 'function') {
         this.Collections.destroy();
       }
+      
+      if (this.Selector && typeof this.Selector.destroy === 'function') {
+        this.Selector.destroy();
+      }
     },
     
-    // Configure both helpers
+    // Configure all helpers
     configure(options = {}) {
       if (this.Elements && typeof this.Elements.configure === 'function') {
         this.Elements.configure(options.elements || options);
@@ -97,6 +304,10 @@
         this.Collections.configure(options.collections || options);
       }
       
+      if (this.Selector && typeof this.Selector.configure === 'function') {
+        this.Selector.configure(options.selector || options);
+      }
+      
       return this;
     }
   };
@@ -108,8 +319,29 @@
       DOMHelpers,
       Elements: elementsModule?.Elements,
       Collections: collectionsModule?.Collections,
+      Selector: selectorModule?.Selector,
       ProductionElementsHelper: elementsModule?.ProductionElementsHelper,
-      ProductionCollectionHelper: collectionsModule?.ProductionCollectionHelper
+      ProductionCollectionHelper: collectionsModule?.ProductionCollectionHelper,
+      ProductionSelectorHelper: selectorModule?.ProductionSelectorHelper,
+      createStore: storeModule?.createStore,
+      virtualList: virtualListModule?.virtualList,
+      create: factoryModule?.create,
+      fragment: factoryModule?.fragment,
+      template: templateModule?.template,
+      form: formModule?.form,
+      validator: validationModule?.validator,
+      batch: updateModule?.batch,
+      measure: updateModule?.measure,
+      configureHTML: updateModule?.configureHTML,
+      sanitizeHTML: updateModule?.sanitizeHTML,
+      trapFocus: a11yModule?.trapFocus,
+      announce: a11yModule?.announce,
+      rovingTabindex: a11yModule?.rovingTabindex,
+      history: historyModule?.history,
+      createHistory: historyModule?.createHistory,
+      component: DOMHelpers.component,
+      createComponents: componentsModule?.createComponents,
+      createDOMHelpers
     };
   } else if (typeof define === 'function' && define.amd) {
     // AMD/RequireJS
@@ -118,8 +350,29 @@
         DOMHelpers,
         Elements: elementsModule?.Elements,
         Collections: collectionsModule?.Collections,
+        Selector: selectorModule?.Selector,
         ProductionElementsHelper: elementsModule?.ProductionElementsHelper,
-        ProductionCollectionHelper: collectionsModule?.ProductionCollectionHelper
+        ProductionCollectionHelper: collectionsModule?.ProductionCollectionHelper,
+        ProductionSelectorHelper: selectorModule?.ProductionSelectorHelper,
+        createStore: storeModule?.createStore,
+        virtualList: virtualListModule?.virtualList,
+        create: factoryModule?.create,
+        fragment: factoryModule?.fragment,
+        template: templateModule?.template,
+        form: formModule?.form,
+        validator: validationModule?.validator,
+        batch: updateModule?.batch,
+        measure: updateModule?.measure,
+        configureHTML: updateModule?.configureHTML,
+        sanitizeHTML: updateModule?.sanitizeHTML,
+        trapFocus: a11yModule?.trapFocus,
+        announce: a11yModule?.announce,
+        rovingTabindex: a11yModule?.rovingTabindex,
+        history: historyModule?.history,
+        createHistory: historyModule?.createHistory,
+        component: DOMHelpers.component,
+        createComponents: componentsModule?.createComponents,
+        createDOMHelpers
       };
     });
   } else {
@@ -136,6 +389,11 @@
       global.Collections = collectionsModule.Collections;
       global.ProductionCollectionHelper = collectionsModule.ProductionCollectionHelper;
     }
+    
+    if (selectorModule?.Selector && !global.Selector) {
+      global.Selector = selectorModule.Selector;
+      global.ProductionSelectorHelper = selectorModule.ProductionSelectorHelper;
+    }
   }
 
   // Auto-cleanup on page unload
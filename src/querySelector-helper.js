@@ -13,36 +13,67 @@
     EnhancedUpdateUtility = global.EnhancedUpdateUtility;
   }
 
+  // Pseudo-classes whose matches depend on siblings or children, so any
+  // structural change near a match can change the result
+  const STRUCTURAL_PSEUDO_CLASSES = new Set([
+    'first-child', 'last-child', 'only-child', 'nth-child', 'nth-last-child',
+    'first-of-type', 'last-of-type', 'only-of-type', 'nth-of-type', 'nth-last-of-type',
+    'empty', 'has'
+  ]);
+
+  // Pseudo-classes that read an observed attribute
+  const ATTRIBUTE_PSEUDO_CLASSES = { disabled: 'disabled', enabled: 'disabled' };
+
   class ProductionSelectorHelper {
     constructor(options = {}) {
       this.cache = new Map();
+      // Per-key bookkeeping for TTL and eviction: { cachedAt, lastAccess, hits }
+      this.cacheMeta = new Map();
       this.weakCache = new WeakMap();
       this.options = {
         enableLogging: options.enableLogging ?? false,
         autoCleanup: options.autoCleanup ?? true,
         cleanupInterval: options.cleanupInterval ?? 30000,
         maxCacheSize: options.maxCacheSize ?? 1000,
+        cacheTTL: options.cacheTTL ?? 0,
+        evictionPolicy: options.evictionPolicy ?? 'lru',
         debounceDelay: options.debounceDelay ?? 16,
         enableSmartCaching: options.enableSmartCaching ?? true,
         enableEnhancedSyntax: options.enableEnhancedSyntax ?? true,
         ...options
       };
 
+      // Element, ShadowRoot or Document selectors are matched in
+      this.root = this._resolveRoot(options.root);
+      // Window providing MutationObserver, getComputedStyle and friends
+      this.window = this._resolveWindow(options.window);
+
       this.stats = {
         hits: 0,
         misses: 0,
         cacheSize: 0,
+        evictions: 0,
+        invalidations: { mutation: 0, cleanup: 0, manual: 0, expired: 0, stale: 0 },
+        lookups: 0,
+        lookupTime: 0,
         lastCleanup: Date.now(),
         selectorTypes: new Map()
       };
 
       this.pendingUpdates = new Set();
+      this.waiters = new Set();
+      this.suspendedMutations = [];
       this.cleanupTimer = null;
       this.isDestroyed = false;
       this.selectorPatterns = this._buildSelectorPatterns();
+      // Parsed selectors used for mutation invalidation, keyed by selector
+      this.selectorInfo = new Map();
+      // Collections returned by live(), kept in sync by the observer
+      this.liveCollections = new Set();
 
       this._initProxies();
       this._initMutationObserver();
+      this._registerCacheInvalidator();
       this._scheduleCleanup();
     }
 
@@ -59,6 +90,34 @@
       };
     }
 
+    _resolveRoot(root) {
+      if (root === undefined || root === null) {
+        if (this.options.window && this.options.window.document) {
+          return this.options.window.document;
+        }
+        if (typeof document !== 'undefined') {
+          return document;
+        }
+        throw new TypeError('No document available: pass a root or window option');
+      }
+
+      // Element (1), Document (9), DocumentFragment or ShadowRoot (11)
+      if (root.nodeType === 1 || root.nodeType === 9 || root.nodeType === 11) {
+        return root;
+      }
+
+      throw new TypeError('root must be an Element, ShadowRoot or Document');
+    }
+
+    _resolveWindow(view) {
+      if (view) return view;
+
+      const doc = this.root.nodeType === 9 ? this.root : this.root.ownerDocument;
+      if (doc && doc.defaultView) return doc.defaultView;
+
+      return typeof window !== 'undefined' ? window : null;
+    }
+
     _initProxies() {
       // Basic query function for querySelector (single element)
       this.query = this._createQueryFunction('single');
@@ -75,7 +134,7 @@
       this.Scoped = {
         within: (container, selector) => {
           const containerEl = typeof container === 'string' 
-            ? document.querySelector(container) 
+            ? this.root.querySelector(container) 
             : container;
           
           if (!containerEl) return null;
@@ -86,7 +145,7 @@
         
         withinAll: (container, selector) => {
           const containerEl = typeof container === 'string' 
-            ? document.querySelector(container) 
+            ? this.root.querySelector(container) 
             : container;
           
           if (!containerEl) return this._createEmptyCollection();
@@ -192,7 +251,7 @@
       return new Proxy(collection, {
         get: (target, prop) => {
           // Handle numeric indices
-          if (!isNaN(prop) && parseInt(prop) >= 0) {
+          if (typeof prop === 'string' && !isNaN(prop) && parseInt(prop) >= 0) {
             const index = parseInt(prop);
             const element = target[index];
             
@@ -286,28 +345,31 @@
         return type === 'single' ? null : this._createEmptyCollection();
       }
 
+      const start = this._now();
+      const result = this._lookupQuery(type, selector);
+      this.stats.lookups++;
+      this.stats.lookupTime += this._now() - start;
+      return result;
+    }
+
+    _lookupQuery(type, selector) {
       const cacheKey = this._createCacheKey(type, selector);
 
       // Check cache first
-      if (this.cache.has(cacheKey)) {
-        const cached = this.cache.get(cacheKey);
-        if (this._isValidQuery(cached, type)) {
-          this.stats.hits++;
-          this._trackSelectorType(selector);
-          return cached;
-        } else {
-          this.cache.delete(cacheKey);
-        }
+      if (this._getCached(cacheKey, type)) {
+        this.stats.hits++;
+        this._trackSelectorType(selector);
+        return this.cache.get(cacheKey);
       }
 
       // Execute fresh query
       let result;
       try {
         if (type === 'single') {
-          const element = document.querySelector(selector);
+          const element = this.root.querySelector(selector);
           result = this._enhanceElementWithUpdate(element);
         } else {
-          const nodeList = document.querySelectorAll(selector);
+          const nodeList = this.root.querySelectorAll(selector);
           result = this._enhanceNodeList(nodeList, selector);
         }
       } catch (error) {
@@ -315,7 +377,7 @@
         return type === 'single' ? null : this._createEmptyCollection();
       }
 
-      this._addToCache(cacheKey, result);
+      this._addToCache(cacheKey, result, selector);
       this.stats.misses++;
       this._trackSelectorType(selector);
       return result;
@@ -323,14 +385,9 @@
 
     _getScopedQuery(container, selector, type, cacheKey) {
       // Check cache first
-      if (this.cache.has(cacheKey)) {
-        const cached = this.cache.get(cacheKey);
-        if (this._isValidQuery(cached, type)) {
-          this.stats.hits++;
-          return cached;
-        } else {
-          this.cache.delete(cacheKey);
-        }
+      if (this._getCached(cacheKey, type)) {
+        this.stats.hits++;
+        return this.cache.get(cacheKey);
       }
 
       // Execute scoped query
@@ -347,26 +404,44 @@
         return type === 'single' ? null : this._createEmptyCollection();
       }
 
-      this._addToCache(cacheKey, result);
+      this._addToCache(cacheKey, result, selector);
       this.stats.misses++;
       return result;
     }
 
+    // True when cacheKey holds a usable result; drops expired and stale entries
+    _getCached(cacheKey, type) {
+      if (!this.cache.has(cacheKey)) return false;
+
+      if (this._isExpired(cacheKey)) {
+        this._removeFromCache(cacheKey, 'expired');
+        return false;
+      }
+      if (!this._isValidQuery(this.cache.get(cacheKey), type)) {
+        this._removeFromCache(cacheKey, 'stale');
+        return false;
+      }
+
+      this._touchCache(cacheKey);
+      return true;
+    }
+
     _isValidQuery(cached, type) {
       if (type === 'single') {
         // Single element - check if still in DOM
-        return cached && cached.nodeType === Node.ELEMENT_NODE && document.contains(cached);
+        return cached && cached.nodeType === 1 && this.root.contains(cached);
       } else {
         // NodeList collection - check if first element is still valid
         if (!cached || !cached._originalNodeList) return false;
         const nodeList = cached._originalNodeList;
         if (nodeList.length === 0) return true; // Empty lists are valid
         const firstElement = nodeList[0];
-        return firstElement && document.contains(firstElement);
+        return firstElement && this.root.contains(firstElement);
       }
     }
 
     _enhanceNodeList(nodeList, selector) {
+      const helper = this;
       const collection = {
         _originalNodeList: nodeList,
         _selector: selector,
@@ -478,27 +553,34 @@
           return this;
         },
 
-        on(event, handler) {
-          this.forEach(el => el.addEventListener(event, handler));
+        on(event, handler, options) {
+          this.forEach(el => helper._addListener(el, event, handler, options));
           return this;
         },
 
-        off(event, handler) {
-          this.forEach(el => el.removeEventListener(event, handler));
+        // Without a handler, removes every listener added through on() or
+        // .update() for the event type and/or namespace ('click.menu')
+        off(event, handler, options) {
+          this.forEach(el => helper._removeListeners(el, event, handler, options));
           return this;
         },
 
+        // Single listener on a root, so elements added later are handled too
+        delegate(event, handler, options) {
+          return helper._delegate(selector, event, handler, options);
+        },
+
         // Filtering helpers
         visible() {
           return this.filter(el => {
-            const style = window.getComputedStyle(el);
+            const style = helper.window.getComputedStyle(el);
             return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
           });
         },
 
         hidden() {
           return this.filter(el => {
-            const style = window.getComputedStyle(el);
+            const style = helper.window.getComputedStyle(el);
             return style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0';
           });
         },
@@ -518,19 +600,12 @@
             const found = el.querySelectorAll(selector);
             results.push(...Array.from(found));
           });
-          return this._helper._enhanceNodeList(results, `${this._selector} ${selector}`);
+          return helper._enhanceNodeList(results, `${this._selector} ${selector}`);
         }
       };
 
       // Add indexed access
-      for (let i = 0; i < nodeList.length; i++) {
-        Object.defineProperty(collection, i, {
-          get() {
-            return nodeList[i];
-          },
-          enumerable: true
-        });
-      }
+      this._defineIndexes(collection, nodeList, 0);
 
       // Make it iterable
       collection[Symbol.iterator] = function* () {
@@ -543,8 +618,77 @@
       return this._enhanceCollectionWithUpdate(collection);
     }
 
+    // Index getters for nodeList[from..length); live() collections resize them
+    _defineIndexes(collection, nodeList, from) {
+      for (let i = from; i < nodeList.length; i++) {
+        Object.defineProperty(collection, i, {
+          get() {
+            return nodeList[i];
+          },
+          enumerable: true,
+          configurable: true
+        });
+      }
+    }
+
+    _addListener(element, event, handler, options) {
+      if (EnhancedUpdateUtility && EnhancedUpdateUtility.addTrackedListener) {
+        EnhancedUpdateUtility.addTrackedListener(element, event, handler, options);
+      } else {
+        element.addEventListener(event, handler, options);
+      }
+    }
+
+    _removeListeners(element, event, handler, options) {
+      if (EnhancedUpdateUtility && EnhancedUpdateUtility.removeTrackedListeners) {
+        EnhancedUpdateUtility.removeTrackedListeners(element, event, handler, options);
+      } else if (handler) {
+        element.removeEventListener(event, handler, options);
+      }
+    }
+
+    /**
+     * Install a single delegated listener on root and invoke handler for
+     * events whose target is inside an element matching selector
+     * (see EnhancedUpdateUtility.delegateEvent)
+     * @param {string} selector - Selector matched with closest()
+     * @param {string} event - Event type
+     * @param {Function} handler - Called as handler.call(match, event, match)
+     * @param {{root?: Element|Document, capture?: boolean, passive?: boolean}} options
+     * @returns {Function} Unsubscribe function
+     */
+    _delegate(selector, event, handler, options = {}) {
+      const root = options.root || this.root;
+      if (EnhancedUpdateUtility && EnhancedUpdateUtility.delegateEvent) {
+        return EnhancedUpdateUtility.delegateEvent(root, selector, event, handler, options);
+      }
+
+      // Standalone build without the update utility: same matching, native listener
+      if (typeof handler !== 'function') {
+        throw new TypeError('delegate() expects a handler function');
+      }
+
+      const enterLeave = {
+        mouseenter: 'mouseover', mouseleave: 'mouseout', pointerenter: 'pointerover', pointerleave: 'pointerout'
+      }[event];
+      const type = enterLeave || event;
+      const listenerOptions = { capture: options.capture ?? (event === 'focus' || event === 'blur'), passive: options.passive };
+
+      const listener = (e) => {
+        const target = e.target && e.target.nodeType === 1 ? e.target : e.target && e.target.parentElement;
+        const match = target && target.closest(selector);
+        if (!match || match === root || !root.contains(match)) return;
+        if (enterLeave && e.relatedTarget && match.contains(e.relatedTarget)) return;
+
+        handler.call(match, e, match);
+      };
+
+      root.addEventListener(type, listener, listenerOptions);
+      return () => root.removeEventListener(type, listener, listenerOptions);
+    }
+
     _createEmptyCollection() {
-      const emptyNodeList = document.querySelectorAll('nonexistent-element-that-never-exists');
+      const emptyNodeList = this.root.querySelectorAll('nonexistent-element-that-never-exists');
       return this._enhanceNodeList(emptyNodeList, 'empty');
     }
 
@@ -565,17 +709,27 @@
       return 'complex';
     }
 
-    _addToCache(cacheKey, result) {
-      if (this.cache.size >= this.options.maxCacheSize) {
-        const firstKey = this.cache.keys().next().value;
-        this.cache.delete(firstKey);
+    _addToCache(cacheKey, result, selector) {
+      if (!this.cache.has(cacheKey)) {
+        while (this.cache.size > 0 && this.cache.size >= this.options.maxCacheSize) {
+          this._evict();
+        }
       }
 
+      // Re-inserting moves the key to the most recently used end
+      const now = Date.now();
+      this.cache.delete(cacheKey);
       this.cache.set(cacheKey, result);
+      this.cacheMeta.set(cacheKey, { cachedAt: now, lastAccess: now, hits: 0, selector });
       this.stats.cacheSize = this.cache.size;
 
+      // Attributes the selector tests must be observed to invalidate it, as for live()
+      if (selector) {
+        this._observeAttributes(this._getSelectorInfo(selector).attributes);
+      }
+
       // Store metadata in weak cache for elements
-      if (result && result.nodeType === Node.ELEMENT_NODE) {
+      if (result && result.nodeType === 1) {
         this.weakCache.set(result, {
           cacheKey,
           cachedAt: Date.now(),
@@ -584,95 +738,463 @@
       }
     }
 
+    // Record a hit. The Map is kept in recency order unless the policy is 'fifo'
+    _touchCache(cacheKey) {
+      const meta = this.cacheMeta.get(cacheKey);
+      if (meta) {
+        meta.lastAccess = Date.now();
+        meta.hits++;
+      }
+
+      if (this.options.evictionPolicy !== 'fifo') {
+        const result = this.cache.get(cacheKey);
+        this.cache.delete(cacheKey);
+        this.cache.set(cacheKey, result);
+      }
+    }
+
+    _isExpired(cacheKey) {
+      const ttl = this.options.cacheTTL;
+      if (!ttl || ttl <= 0) return false;
+
+      const meta = this.cacheMeta.get(cacheKey);
+      return !!meta && Date.now() - meta.cachedAt >= ttl;
+    }
+
+    _evict() {
+      const policy = this.options.evictionPolicy;
+      let victim;
+
+      // Custom policies get the entries in cache order and return a key to drop
+      if (typeof policy === 'function') {
+        const entries = Array.from(this.cache.keys(), key => ({ key, ...this.cacheMeta.get(key) }));
+        victim = policy(entries);
+      }
+
+      // 'lru' and 'fifo' both drop the front of the Map; so do custom
+      // policies that return an unknown key
+      if (!this.cache.has(victim)) {
+        victim = this.cache.keys().next().value;
+      }
+
+      this.cache.delete(victim);
+      this.cacheMeta.delete(victim);
+      this.stats.evictions++;
+    }
+
+    _removeFromCache(cacheKey, cause) {
+      if (!this.cache.delete(cacheKey)) return;
+
+      this.cacheMeta.delete(cacheKey);
+      this.stats.invalidations[cause]++;
+    }
+
+    _now() {
+      const perf = this.window && this.window.performance;
+      return perf && typeof perf.now === 'function' ? perf.now() : Date.now();
+    }
+
     _initMutationObserver() {
-      if (!this.options.enableSmartCaching) return;
+      const Observer = this.window && this.window.MutationObserver;
+      if (typeof Observer !== 'function') {
+        // Without an observer the cache is only validated on access
+        this.observer = null;
+        return;
+      }
 
-      const debouncedUpdate = this._debounce((mutations) => {
-        this._processMutations(mutations);
+      // Records from every callback in the debounce window are kept: entries
+      // are only dropped when a record shows they are affected
+      this.queuedMutations = [];
+      const debouncedUpdate = this._debounce(() => {
+        const mutations = this.queuedMutations;
+        this.queuedMutations = [];
+        // Empty after a _flushMutations() already handled them
+        if (mutations.length > 0) {
+          this._processMutations(mutations);
+        }
       }, this.options.debounceDelay);
 
-      this.observer = new MutationObserver(debouncedUpdate);
-      
+      // The observer also drives waitFor() and live(), so it runs even without smart caching
+      this.observer = new Observer((mutations) => {
+        if (this.waiters.size > 0) {
+          this._notifyWaiters();
+        }
+        if (this.liveCollections.size > 0) {
+          this._refreshLiveCollections(mutations);
+        }
+        if (this.options.enableSmartCaching) {
+          this.queuedMutations.push(...mutations);
+          debouncedUpdate();
+        }
+      });
+
+      this.observerConfig = {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['id', 'class', 'style', 'hidden', 'disabled'],
+        // Needed to invalidate queries for the id or classes an element lost
+        attributeOldValue: true
+      };
+      this.observerTarget = null;
+
+      // Element and shadow roots are observed directly
+      if (this.root.nodeType !== 9) {
+        this.observerTarget = this.root;
+        this.observer.observe(this.root, this.observerConfig);
+        return;
+      }
+
+      const doc = this.root;
+
       // Only observe if document.body exists
-      if (document.body) {
-        this.observer.observe(document.body, {
-          childList: true,
-          subtree: true,
-          attributes: true,
-          attributeFilter: ['id', 'class', 'style', 'hidden', 'disabled']
-        });
+      if (doc.body) {
+        this.observerTarget = doc.body;
+        this.observer.observe(doc.body, this.observerConfig);
       } else {
         // Wait for DOM to be ready
-        document.addEventListener('DOMContentLoaded', () => {
-          if (document.body && !this.isDestroyed) {
-            this.observer.observe(document.body, {
-              childList: true,
-              subtree: true,
-              attributes: true,
-              attributeFilter: ['id', 'class', 'style', 'hidden', 'disabled']
-            });
+        doc.addEventListener('DOMContentLoaded', () => {
+          if (doc.body && !this.isDestroyed) {
+            this.observerTarget = doc.body;
+            this.observer.observe(doc.body, this.observerConfig);
+            this._notifyWaiters();
           }
         });
       }
     }
 
+    // Extend the observed attributes, e.g. for query('[data-state]') or live('[aria-selected]')
+    _observeAttributes(names) {
+      if (!this.observer) return;
+
+      const filter = this.observerConfig.attributeFilter;
+      const missing = [...names].filter(name => !filter.includes(name));
+      if (missing.length === 0) return;
+
+      filter.push(...missing);
+      if (this.observerTarget) {
+        // Observing the same target again replaces its options
+        this.observer.observe(this.observerTarget, this.observerConfig);
+      }
+    }
+
+    /**
+     * Wait until check() returns true, re-evaluating it whenever the
+     * mutation observer reports a change instead of polling.
+     * @param {Function} check - Condition to satisfy
+     * @param {{timeout?: number, signal?: AbortSignal}} options - Wait options
+     * @param {Function} createTimeoutError - Builds the rejection on timeout
+     * @returns {Promise<boolean>}
+     */
+    _waitUntil(check, options, createTimeoutError) {
+      const { timeout = 5000, signal } = options || {};
+
+      return new Promise((resolve, reject) => {
+        if (this.isDestroyed) {
+          reject(new Error('Selector helper has been destroyed'));
+          return;
+        }
+
+        if (signal && signal.aborted) {
+          reject(this._getAbortReason(signal));
+          return;
+        }
+
+        if (check()) {
+          resolve(true);
+          return;
+        }
+
+        let timer = null;
+
+        const onAbort = () => waiter.reject(this._getAbortReason(signal));
+
+        const settle = () => {
+          this.waiters.delete(waiter);
+          clearTimeout(timer);
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+        };
+
+        const waiter = {
+          check: () => {
+            try {
+              if (check()) {
+                settle();
+                resolve(true);
+              }
+            } catch (error) {
+              settle();
+              reject(error);
+            }
+          },
+          reject: (error) => {
+            settle();
+            reject(error);
+          }
+        };
+
+        this.waiters.add(waiter);
+
+        if (signal) {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        if (Number.isFinite(timeout)) {
+          timer = setTimeout(() => waiter.reject(createTimeoutError()), timeout);
+        }
+      });
+    }
+
+    _notifyWaiters() {
+      this.waiters.forEach(waiter => waiter.check());
+    }
+
+    _getAbortReason(signal) {
+      if (signal.reason !== undefined) {
+        return signal.reason;
+      }
+
+      const error = new Error('Waiting for selector was aborted');
+      error.name = 'AbortError';
+      return error;
+    }
+
     _processMutations(mutations) {
       if (this.isDestroyed) return;
 
-      const affectedSelectors = new Set();
+      // Held back until a DOMHelpers.batch() flush has applied its writes
+      if (EnhancedUpdateUtility && EnhancedUpdateUtility.isBatching && EnhancedUpdateUtility.isBatching()) {
+        this.suspendedMutations.push(...mutations);
+        return;
+      }
+      if (this.suspendedMutations.length > 0) {
+        mutations = this.suspendedMutations.concat(mutations);
+        this.suspendedMutations = [];
+      }
+
+      const changes = this._collectChanges(mutations);
+
+      // Whether any changed subtree contains a match, per compound selector
+      const subtreeMatches = new Map();
+      const keysToDelete = [];
+
+      for (const key of this.cache.keys()) {
+        const meta = this.cacheMeta.get(key);
+        if (!meta || meta.selector === undefined ||
+            this._isAffectedBy(this._getSelectorInfo(meta.selector), changes, subtreeMatches)) {
+          keysToDelete.push(key);
+        }
+      }
+
+      keysToDelete.forEach(key => this._removeFromCache(key, 'mutation'));
+
+      if (keysToDelete.length > 0 && this.options.enableLogging) {
+        this._log(`Invalidated ${keysToDelete.length} cache entries due to DOM changes`);
+      }
+
+      this.stats.cacheSize = this.cache.size;
+    }
+
+    // Summarise mutation records into what _isAffectedBy() checks against
+    _collectChanges(mutations) {
+      const changes = {
+        // Elements added or removed, whose subtrees are checked with matches()
+        nodes: [],
+        childList: false,
+        ids: new Set(),
+        classes: new Set(),
+        attributes: new Set()
+      };
 
       mutations.forEach(mutation => {
-        // Handle structural changes (added/removed nodes)
         if (mutation.type === 'childList') {
-          // Invalidate all cached queries since DOM structure changed
-          affectedSelectors.add('*');
+          changes.childList = true;
+          [...mutation.addedNodes, ...mutation.removedNodes].forEach(node => {
+            if (node.nodeType === 1) changes.nodes.push(node);
+          });
         }
 
-        // Handle attribute changes
         if (mutation.type === 'attributes') {
           const target = mutation.target;
           const attrName = mutation.attributeName;
-          
-          // Track specific attribute changes
+
           if (attrName === 'id') {
-            const oldValue = mutation.oldValue;
-            if (oldValue) affectedSelectors.add(`#${oldValue}`);
-            if (target.id) affectedSelectors.add(`#${target.id}`);
+            if (mutation.oldValue === target.id) return;
+            if (mutation.oldValue) changes.ids.add(mutation.oldValue);
+            if (target.id) changes.ids.add(target.id);
+          } else if (attrName === 'class') {
+            // Only classes that were added or removed matter
+            const oldClasses = new Set((mutation.oldValue || '').split(/\s+/).filter(Boolean));
+            const newClasses = new Set((target.getAttribute('class') || '').split(/\s+/).filter(Boolean));
+            const before = changes.classes.size;
+            oldClasses.forEach(cls => { if (!newClasses.has(cls)) changes.classes.add(cls); });
+            newClasses.forEach(cls => { if (!oldClasses.has(cls)) changes.classes.add(cls); });
+            if (changes.classes.size === before) return;
           }
-          
-          if (attrName === 'class') {
-            const oldClasses = mutation.oldValue ? mutation.oldValue.split(/\s+/) : [];
-            const newClasses = target.className ? target.className.split(/\s+/) : [];
-            [...oldClasses, ...newClasses].forEach(cls => {
-              if (cls) affectedSelectors.add(`.${cls}`);
-            });
-          }
-          
-          // Other attributes might affect attribute selectors
-          affectedSelectors.add(`[${attrName}]`);
+
+          changes.attributes.add(attrName);
         }
       });
 
-      // Clear affected cache entries
-      if (affectedSelectors.has('*')) {
-        // Major DOM change - clear all cache
-        this.cache.clear();
-      } else {
-        // Selective cache invalidation
-        const keysToDelete = [];
-        for (const key of this.cache.keys()) {
-          const [type, selector] = key.split(':', 2);
-          for (const affected of affectedSelectors) {
-            if (selector.includes(affected)) {
-              keysToDelete.push(key);
-              break;
-            }
-          }
+      return changes;
+    }
+
+    // Split a selector list into its compound selectors (combinators removed)
+    // and record the ids, classes and attributes it depends on
+    _parseSelector(selector) {
+      const info = {
+        compounds: [],
+        ids: new Set(),
+        classes: new Set(),
+        attributes: new Set(),
+        structural: false
+      };
+
+      let current = '';
+      let depth = 0;
+      let quote = null;
+      const flush = () => {
+        const compound = current.trim();
+        if (compound) info.compounds.push(compound);
+        current = '';
+      };
+
+      for (let i = 0; i < selector.length; i++) {
+        const char = selector[i];
+
+        if (char === '\\') {
+          // Hex escapes may end with a space that belongs to the escape
+          const escape = selector.slice(i).match(/^\\(?:[0-9a-fA-F]{1,6}\s?|[\s\S]?)/)[0];
+          current += escape;
+          i += escape.length - 1;
+          continue;
+        }
+        if (quote) {
+          if (char === quote) quote = null;
+          current += char;
+          continue;
+        }
+        if (char === '"' || char === "'") {
+          quote = char;
+        } else if (char === '[' || char === '(') {
+          depth++;
+        } else if (char === ']' || char === ')') {
+          depth--;
+        } else if (depth === 0 && /[\s>+~,]/.test(char)) {
+          // Sibling combinators make matches depend on neighbouring nodes
+          if (char === '+' || char === '~') info.structural = true;
+          flush();
+          continue;
         }
-        keysToDelete.forEach(key => this.cache.delete(key));
+        current += char;
       }
+      flush();
 
-      this.stats.cacheSize = this.cache.size;
+      // Scanning the whole text also covers :not(), :is() and :has() arguments;
+      // tokens picked up from attribute values only cause extra invalidations
+      const name = '((?:\\\\[0-9a-fA-F]{1,6}\\s?|\\\\.|[^\\s.#\\[\\]():>+~,*="\'|^$])+)';
+      for (const match of selector.matchAll(new RegExp(`#${name}`, 'g'))) {
+        info.ids.add(this._unescapeIdentifier(match[1]));
+      }
+      for (const match of selector.matchAll(new RegExp(`\\.${name}`, 'g'))) {
+        info.classes.add(this._unescapeIdentifier(match[1]));
+      }
+      for (const match of selector.matchAll(/\[\s*(?:[\w-]*\|)?([\w-]+)/g)) {
+        info.attributes.add(match[1].toLowerCase());
+      }
+      for (const match of selector.matchAll(/:([\w-]+)/g)) {
+        const pseudo = match[1].toLowerCase();
+        if (STRUCTURAL_PSEUDO_CLASSES.has(pseudo)) info.structural = true;
+        if (ATTRIBUTE_PSEUDO_CLASSES[pseudo]) info.attributes.add(ATTRIBUTE_PSEUDO_CLASSES[pseudo]);
+      }
+
+      return info;
+    }
+
+    _unescapeIdentifier(value) {
+      return value.replace(/\\([0-9a-fA-F]{1,6}\s?|.)/g, (_, escaped) => {
+        const hex = escaped.trim();
+        return /^[0-9a-fA-F]+$/.test(hex) ? String.fromCodePoint(parseInt(hex, 16)) : escaped;
+      });
+    }
+
+    _getSelectorInfo(selector) {
+      let info = this.selectorInfo.get(selector);
+      if (!info) {
+        // Parses are cheap to redo; keep the map from outgrowing the cache
+        if (this.selectorInfo.size >= this.options.maxCacheSize) {
+          this.selectorInfo.clear();
+        }
+        info = this._parseSelector(selector);
+        this.selectorInfo.set(selector, info);
+      }
+      return info;
+    }
+
+    _isAffectedBy(info, changes, subtreeMatches) {
+      for (const id of changes.ids) {
+        if (info.ids.has(id)) return true;
+      }
+      for (const cls of changes.classes) {
+        if (info.classes.has(cls)) return true;
+      }
+      for (const attr of changes.attributes) {
+        if (info.attributes.has(attr)) return true;
+      }
+
+      if (!changes.childList) return false;
+      if (info.structural) return true;
+
+      // Added or removed elements can only change the result if one of them,
+      // or one of their descendants, matches part of the selector
+      return info.compounds.some(compound => {
+        if (!subtreeMatches.has(compound)) {
+          subtreeMatches.set(compound, changes.nodes.some(node => this._subtreeMatches(node, compound)));
+        }
+        return subtreeMatches.get(compound);
+      });
+    }
+
+    _subtreeMatches(node, compound) {
+      try {
+        return node.matches(compound) || node.querySelector(compound) !== null;
+      } catch (error) {
+        // Pseudo-elements and the like cannot be tested; assume a match
+        return true;
+      }
+    }
+
+    _registerCacheInvalidator() {
+      this.unregisterInvalidator = null;
+
+      // Lets bulk operations such as element.sync() bring the cache up to
+      // date right away instead of after the debounce delay
+      if (EnhancedUpdateUtility && EnhancedUpdateUtility.registerCacheInvalidator) {
+        this.unregisterInvalidator = EnhancedUpdateUtility.registerCacheInvalidator(() => this._flushMutations());
+      }
+    }
+
+    // Process queued mutation records now
+    _flushMutations() {
+      if (this.isDestroyed || !this.observer) return;
+
+      const taken = this.observer.takeRecords();
+      const mutations = this.queuedMutations.concat(taken);
+      this.queuedMutations = [];
+      if (mutations.length === 0 && this.suspendedMutations.length === 0) return;
+
+      if (this.waiters.size > 0) {
+        this._notifyWaiters();
+      }
+      // Queued records already reached live collections from the observer callback
+      if (this.liveCollections.size > 0 && taken.length > 0) {
+        this._refreshLiveCollections(taken);
+      }
+      if (this.options.enableSmartCaching) {
+        this._processMutations(mutations);
+      }
     }
 
     _scheduleCleanup() {
@@ -689,15 +1211,19 @@
 
       const beforeSize = this.cache.size;
       const staleKeys = [];
+      const expiredKeys = [];
 
       for (const [key, value] of this.cache) {
         const [type] = key.split(':', 1);
-        if (!this._isValidQuery(value, type === 'single' ? 'single' : 'multiple')) {
+        if (this._isExpired(key)) {
+          expiredKeys.push(key);
+        } else if (!this._isValidQuery(value, type === 'single' ? 'single' : 'multiple')) {
           staleKeys.push(key);
         }
       }
 
-      staleKeys.forEach(key => this.cache.delete(key));
+      staleKeys.forEach(key => this._removeFromCache(key, 'cleanup'));
+      expiredKeys.forEach(key => this._removeFromCache(key, 'expired'));
 
       this.stats.cacheSize = this.cache.size;
       this.stats.lastCleanup = Date.now();
@@ -883,7 +1409,7 @@
             try {
               // Apply updates to each element in the collection
               elements.forEach(element => {
-                if (element && element.nodeType === Node.ELEMENT_NODE) {
+                if (element && element.nodeType === 1) {
                   Object.entries(updates).forEach(([key, value]) => {
                     // Handle style object
                     if (key === 'style' && typeof value === 'object' && value !== null) {
@@ -958,7 +1484,7 @@
 
           try {
             elements.forEach(element => {
-              if (element && element.nodeType === Node.ELEMENT_NODE) {
+              if (element && element.nodeType === 1) {
                 Object.entries(updates).forEach(([key, value]) => {
                   if (key === 'style' && typeof value === 'object' && value !== null) {
                     Object.entries(value).forEach(([styleProperty, styleValue]) => {
@@ -1005,14 +1531,19 @@
     getStats() {
       return {
         ...this.stats,
+        invalidations: { ...this.stats.invalidations },
         hitRate: this.stats.hits / (this.stats.hits + this.stats.misses) || 0,
+        averageLookupTime: this.stats.lookupTime / this.stats.lookups || 0,
         uptime: Date.now() - this.stats.lastCleanup,
         selectorBreakdown: Object.fromEntries(this.stats.selectorTypes)
       };
     }
 
     clearCache() {
+      this.stats.invalidations.manual += this.cache.size;
       this.cache.clear();
+      this.cacheMeta.clear();
+      this.selectorInfo.clear();
       this.stats.cacheSize = 0;
       this.stats.selectorTypes.clear();
       this._log('Cache cleared manually');
@@ -1020,6 +1551,11 @@
 
     destroy() {
       this.isDestroyed = true;
+
+      if (this.unregisterInvalidator) {
+        this.unregisterInvalidator();
+        this.unregisterInvalidator = null;
+      }
       
       if (this.observer) {
         this.observer.disconnect();
@@ -1031,37 +1567,195 @@
         this.cleanupTimer = null;
       }
 
+      this.waiters.forEach(waiter => {
+        waiter.reject(new Error('Selector helper destroyed while waiting for selector'));
+      });
+
+      this.liveCollections.forEach(entry => entry.collection.disconnect());
+
       this.cache.clear();
+      this.cacheMeta.clear();
       this._log('Selector helper destroyed');
     }
 
     // Advanced query methods
-    async waitForSelector(selector, timeout = 5000) {
-      const startTime = Date.now();
-      
-      while (Date.now() - startTime < timeout) {
-        const element = this.query(selector);
-        if (element) {
-          return element;
+
+    /**
+     * Wait for an element matching selector to appear
+     * @param {string} selector - CSS selector
+     * @param {number|{timeout?: number, signal?: AbortSignal}} [options] -
+     *   Timeout in ms (default 5000) or an options object
+     * @returns {Promise<Element>}
+     */
+    async waitForSelector(selector, options = {}) {
+      if (typeof options === 'number') {
+        options = { timeout: options };
+      }
+
+      await this._waitUntil(
+        () => this.root.querySelector(selector) !== null,
+        options,
+        () => {
+          const error = new Error(`Timeout waiting for selector: ${selector}`);
+          error.missing = [selector];
+          return error;
         }
-        await new Promise(resolve => setTimeout(resolve, 100));
+      );
+
+      // The cached result may predate the mutation that satisfied the wait
+      this._removeFromCache(this._createCacheKey('single', selector), 'mutation');
+      return this._getQuery('single', selector);
+    }
+
+    /**
+     * Wait until at least minCount elements match selector
+     * @param {string} selector - CSS selector
+     * @param {number} [minCount=1] - Minimum number of matches
+     * @param {number|{timeout?: number, signal?: AbortSignal}} [options] -
+     *   Timeout in ms (default 5000) or an options object
+     * @returns {Promise<Object>} Resolves with the enhanced collection
+     */
+    async waitForSelectorAll(selector, minCount = 1, options = {}) {
+      if (typeof options === 'number') {
+        options = { timeout: options };
       }
-      
-      throw new Error(`Timeout waiting for selector: ${selector}`);
+
+      await this._waitUntil(
+        () => this.root.querySelectorAll(selector).length >= minCount,
+        options,
+        () => {
+          const found = this.root.querySelectorAll(selector).length;
+          const error = new Error(`Timeout waiting for selector: ${selector} (min: ${minCount}, found: ${found})`);
+          error.missing = minCount - found;
+          return error;
+        }
+      );
+
+      this._removeFromCache(this._createCacheKey('multiple', selector), 'mutation');
+      return this._getQuery('multiple', selector);
     }
 
-    async waitForSelectorAll(selector, minCount = 1, timeout = 5000) {
-      const startTime = Date.now();
-      
-      while (Date.now() - startTime < timeout) {
-        const elements = this.queryAll(selector);
-        if (elements && elements.length >= minCount) {
-          return elements;
+    /**
+     * Collection of the elements matching selector that stays in sync with
+     * the DOM. on('added'|'removed', handler) reports elements entering or
+     * leaving the match set; other event types are DOM events on the
+     * current elements, as with queryAll().
+     * @param {string} selector - CSS selector
+     * @returns {Object} Enhanced collection with refresh() and disconnect()
+     */
+    live(selector) {
+      if (typeof selector !== 'string') {
+        throw new TypeError('live() expects a selector string');
+      }
+
+      let list;
+      try {
+        list = Array.from(this.root.querySelectorAll(selector));
+      } catch (error) {
+        throw new SyntaxError(`Invalid selector "${selector}": ${error.message}`);
+      }
+
+      // The collection reads this array, which refreshes update in place
+      list.item = index => list[index] || null;
+
+      const helper = this;
+      const collection = this._enhanceNodeList(list, selector);
+      const entry = {
+        selector,
+        list,
+        collection,
+        listeners: { added: new Set(), removed: new Set() }
+      };
+
+      const on = collection.on;
+      const off = collection.off;
+
+      collection.on = function(event, handler, options) {
+        if (event === 'added' || event === 'removed') {
+          if (typeof handler !== 'function') {
+            throw new TypeError(`on('${event}') expects a handler function`);
+          }
+          entry.listeners[event].add(handler);
+          return this;
         }
-        await new Promise(resolve => setTimeout(resolve, 100));
+        return on.call(this, event, handler, options);
+      };
+
+      collection.off = function(event, handler, options) {
+        if (event === 'added' || event === 'removed') {
+          if (handler) {
+            entry.listeners[event].delete(handler);
+          } else {
+            entry.listeners[event].clear();
+          }
+          return this;
+        }
+        return off.call(this, event, handler, options);
+      };
+
+      // Re-run the query now, e.g. after changes the observer cannot see
+      collection.refresh = function() {
+        helper._refreshLive(entry);
+        return this;
+      };
+
+      // Stop tracking; the collection keeps its last membership
+      collection.disconnect = function() {
+        helper.liveCollections.delete(entry);
+        entry.listeners.added.clear();
+        entry.listeners.removed.clear();
+        return this;
+      };
+
+      this.liveCollections.add(entry);
+      this._observeAttributes(this._getSelectorInfo(selector).attributes);
+      return collection;
+    }
+
+    _refreshLiveCollections(mutations) {
+      const changes = this._collectChanges(mutations);
+      const subtreeMatches = new Map();
+
+      this.liveCollections.forEach(entry => {
+        if (this._isAffectedBy(this._getSelectorInfo(entry.selector), changes, subtreeMatches)) {
+          this._refreshLive(entry);
+        }
+      });
+    }
+
+    _refreshLive(entry) {
+      const { list, collection } = entry;
+      const next = Array.from(this.root.querySelectorAll(entry.selector));
+
+      if (next.length === list.length && next.every((el, i) => el === list[i])) return;
+
+      const before = new Set(list);
+      const after = new Set(next);
+      const removed = list.filter(el => !after.has(el));
+      const added = next.filter(el => !before.has(el));
+
+      for (let i = next.length; i < list.length; i++) {
+        delete collection[i];
       }
-      
-      throw new Error(`Timeout waiting for selector: ${selector} (min: ${minCount})`);
+      const previousLength = list.length;
+      list.length = 0;
+      list.push(...next);
+      this._defineIndexes(collection, list, previousLength);
+
+      removed.forEach(el => this._emitLive(entry, 'removed', el));
+      added.forEach(el => this._emitLive(entry, 'added', el));
+    }
+
+    _emitLive(entry, event, element) {
+      const enhanced = this._enhanceElementWithUpdate(element);
+
+      entry.listeners[event].forEach(handler => {
+        try {
+          handler.call(entry.collection, enhanced, entry.collection);
+        } catch (error) {
+          this._warn(`Error in live '${event}' listener for "${entry.selector}": ${error.message}`);
+        }
+      });
     }
 
     // Configuration methods
@@ -1080,43 +1774,76 @@
     }
   }
 
-  // Auto-initialize with sensible defaults
-  const SelectorHelper = new ProductionSelectorHelper({
-    enableLogging: false,
-    autoCleanup: true,
-    cleanupInterval: 30000,
-    maxCacheSize: 1000,
-    enableSmartCaching: true,
-    enableEnhancedSyntax: true
-  });
+  // Auto-initialize with sensible defaults; without a global document
+  // (Node, workers) use createSelector() with an injected window instead
+  const SelectorHelper = typeof document !== 'undefined'
+    ? new ProductionSelectorHelper({
+      enableLogging: false,
+      autoCleanup: true,
+      cleanupInterval: 30000,
+      maxCacheSize: 1000,
+      enableSmartCaching: true,
+      enableEnhancedSyntax: true
+    })
+    : null;
+
+  /**
+   * Build the Selector API object around a helper
+   * @param {ProductionSelectorHelper} helper - Helper backing the API
+   * @returns {Object} Selector API
+   */
+  function createSelectorAPI(helper) {
+    const api = {
+      // Getters, so enable/disableEnhancedSyntax() swapping the functions is seen
+      get query() {
+        return helper.query;
+      },
+      get queryAll() {
+        return helper.queryAll;
+      },
+      Scoped: helper.Scoped,
+
+      // Utility methods
+      helper: helper,
+      stats: () => helper.getStats(),
+      clear: () => helper.clearCache(),
+      destroy: () => helper.destroy(),
+      waitFor: (selector, options) => helper.waitForSelector(selector, options),
+      waitForAll: (selector, minCount, options) => helper.waitForSelectorAll(selector, minCount, options),
+      live: (selector) => helper.live(selector),
+      // Scoped instance with its own cache and observer, e.g. Selector.scope(widget)
+      scope: (root, options = {}) => {
+        return createSelectorAPI(new ProductionSelectorHelper({ ...helper.options, ...options, root }));
+      },
+      enableEnhancedSyntax: () => helper.enableEnhancedSyntax(),
+      disableEnhancedSyntax: () => helper.disableEnhancedSyntax(),
+      configure: (options) => {
+        Object.assign(helper.options, options);
+        return api;
+      }
+    };
+
+    return api;
+  }
+
+  /**
+   * Create an independent Selector API bound to the given DOM
+   * @param {Object} [options] - Helper options; window and root select the DOM
+   * @returns {Object} Selector API with its own cache and observer
+   */
+  function createSelector(options = {}) {
+    return createSelectorAPI(new ProductionSelectorHelper(options));
+  }
 
   // Global API - Clean and intuitive
-  const Selector = {
-    query: SelectorHelper.query,
-    queryAll: SelectorHelper.queryAll,
-    Scoped: SelectorHelper.Scoped,
-
-    // Utility methods
-    helper: SelectorHelper,
-    stats: () => SelectorHelper.getStats(),
-    clear: () => SelectorHelper.clearCache(),
-    destroy: () => SelectorHelper.destroy(),
-    waitFor: (selector, timeout) => SelectorHelper.waitForSelector(selector, timeout),
-    waitForAll: (selector, minCount, timeout) => SelectorHelper.waitForSelectorAll(selector, minCount, timeout),
-    enableEnhancedSyntax: () => SelectorHelper.enableEnhancedSyntax(),
-    disableEnhancedSyntax: () => SelectorHelper.disableEnhancedSyntax(),
-    configure: (options) => {
-      Object.assign(SelectorHelper.options, options);
-      return Selector;
-    }
-  };
+  const Selector = SelectorHelper ? createSelectorAPI(SelectorHelper) : null;
 
   // Export for different environments
   if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Selector, ProductionSelectorHelper };
+    module.exports = { Selector, ProductionSelectorHelper, createSelector };
   } else if (typeof define === 'function' && define.amd) {
     define([], function() {
-      return { Selector, ProductionSelectorHelper };
+      return { Selector, ProductionSelectorHelper, createSelector };
     });
   } else {
     global.Selector = Selector;
@@ -1124,7 +1851,7 @@
   }
 
   // Auto-cleanup on page unload
-  if (typeof window !== 'undefined') {
+  if (SelectorHelper && typeof window !== 'undefined') {
     window.addEventListener('beforeunload', () => {
       SelectorHelper.destroy();
     });
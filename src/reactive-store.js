@@ -0,0 +1,99 @@
+/**
+ * Reactive Store for DOM Helpers
+ * A minimal observable state container that drives .update() bindings
+ *
+ * Features:
+ * - getState() / setState() with shallow merging of plain objects
+ * - setState() accepts an updater function receiving the current state
+ * - subscribe() returns an unsubscribe function
+ * - Works with Elements.bind(id, store, mapping)
+ */
+
+(function(global) {
+  'use strict';
+
+  function isPlainObject(value) {
+    return value !== null &&
+           typeof value === 'object' &&
+           Object.getPrototypeOf(value) === Object.prototype;
+  }
+
+  class ObservableStore {
+    constructor(initialState = {}) {
+      this.state = initialState;
+      this.listeners = new Set();
+    }
+
+    getState() {
+      return this.state;
+    }
+
+    /**
+     * Update the state and notify subscribers
+     * @param {Object|Function} partial - Object merged into the current state,
+     *   or a function receiving the current state and returning the next one
+     * @returns {*} The new state
+     */
+    setState(partial) {
+      const previous = this.state;
+      const next = typeof partial === 'function' ? partial(previous) : partial;
+
+      if (next === undefined) {
+        return previous;
+      }
+
+      this.state = isPlainObject(previous) && isPlainObject(next)
+        ? { ...previous, ...next }
+        : next;
+
+      this.listeners.forEach(listener => {
+        try {
+          listener(this.state, previous);
+        } catch (error) {
+          console.warn(`[DOM Helpers] Error in store subscriber: ${error.message}`);
+        }
+      });
+
+      return this.state;
+    }
+
+    /**
+     * Subscribe to state changes
+     * @param {Function} listener - Called with (state, previousState)
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      if (typeof listener !== 'function') {
+        throw new TypeError('Store listener must be a function');
+      }
+
+      this.listeners.add(listener);
+      return () => this.listeners.delete(listener);
+    }
+  }
+
+  function createStore(initialState) {
+    return new ObservableStore(initialState);
+  }
+
+  // Export the store API
+  const ReactiveStore = {
+    ObservableStore,
+    createStore
+  };
+
+  // Export for different environments
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js/CommonJS
+    module.exports = ReactiveStore;
+  } else if (typeof define === 'function' && define.amd) {
+    // AMD/RequireJS
+    define([], function() {
+      return ReactiveStore;
+    });
+  } else {
+    // Browser globals
+    global.ReactiveStore = ReactiveStore;
+  }
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this);
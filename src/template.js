@@ -0,0 +1,268 @@
+/**
+ * Templates for DOM Helpers
+ * Render <template> elements with data, without building HTML strings
+ *
+ * Features:
+ * - {{path}} placeholders in text, filled as text so values are never parsed
+ *   as HTML
+ * - data-bind (text), data-bind-html (markup, subject to configureHTML())
+ *   and data-bind-attr ("href: url, title: name") hooks; URL attributes
+ *   only take relative, http(s), mailto and tel URLs
+ * - data-each loops ("items" or "item in items") and data-if conditionals
+ *   ("path" or "!path")
+ * - render() returns a DocumentFragment whose root elements have .update();
+ *   enhanced <template> elements get render(data) as well
+ */
+
+(function(global) {
+  'use strict';
+
+  // Import Enhanced UpdateUtility if available
+  let EnhancedUpdateUtility;
+  if (typeof require !== 'undefined') {
+    try {
+      EnhancedUpdateUtility = require('./enhanced-update-utility.js');
+    } catch (e) {
+      // EnhancedUpdateUtility not available in this environment
+    }
+  } else if (typeof global !== 'undefined' && global.EnhancedUpdateUtility) {
+    EnhancedUpdateUtility = global.EnhancedUpdateUtility;
+  }
+
+  const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
+  const EACH_EXPRESSION = /^\s*([A-Za-z_$][\w$]*)\s+in\s+(.+?)\s*$/;
+
+  // data-bind-attr values for these are checked like sanitized markup
+  const URL_BINDINGS = ['href', 'src', 'action', 'formaction', 'xlink:href'];
+
+  function readPath(source, path) {
+    return path.split('.').reduce((value, key) => {
+      return value === null || value === undefined ? undefined : value[key];
+    }, source);
+  }
+
+  // Innermost scope first; a scope provides a value if it has the first key
+  function resolveValue(scopes, path) {
+    const key = path.split('.')[0];
+
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const scope = scopes[i];
+      if (scope !== null && typeof scope === 'object' && key in scope) {
+        return readPath(scope, path);
+      }
+    }
+    return undefined;
+  }
+
+  function toText(value) {
+    return value === null || value === undefined ? '' : String(value);
+  }
+
+  // Empty arrays count as false, so data-if="items" hides empty lists
+  function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  }
+
+  function evaluateCondition(expression, scopes) {
+    const trimmed = expression.trim();
+    return trimmed.startsWith('!')
+      ? !isTruthy(resolveValue(scopes, trimmed.slice(1).trim()))
+      : isTruthy(resolveValue(scopes, trimmed));
+  }
+
+  // "href: url, title: user.name" -> [['href', 'url'], ['title', 'user.name']]
+  function parseAttributeBindings(value) {
+    return value.split(/[,;]/)
+      .map(pair => pair.split(':').map(part => part.trim()))
+      .filter(([name, path]) => name && path);
+  }
+
+  // Without the utility there is no URL check, so URL bindings are dropped
+  function isSafeBinding(name, value) {
+    if (!URL_BINDINGS.includes(name.toLowerCase())) return true;
+    return Boolean(EnhancedUpdateUtility && EnhancedUpdateUtility.isSafeURL &&
+      EnhancedUpdateUtility.isSafeURL(value));
+  }
+
+  function interpolateText(node, scopes) {
+    const text = node.nodeValue;
+    if (text.indexOf('{{') === -1) return;
+
+    node.nodeValue = text.replace(PLACEHOLDER, (match, path) => toText(resolveValue(scopes, path)));
+  }
+
+  function applyBindings(element, scopes) {
+    const text = element.getAttribute('data-bind');
+    if (text !== null) {
+      element.removeAttribute('data-bind');
+      element.textContent = toText(resolveValue(scopes, text.trim()));
+    }
+
+    const html = element.getAttribute('data-bind-html');
+    if (html !== null) {
+      element.removeAttribute('data-bind-html');
+      const markup = toText(resolveValue(scopes, html.trim()));
+      // Through .update(), so the sanitize and strict HTML modes apply;
+      // without it the markup is set as text rather than bypassing them
+      if (EnhancedUpdateUtility && EnhancedUpdateUtility.applyEnhancedUpdate) {
+        EnhancedUpdateUtility.applyEnhancedUpdate(element, 'innerHTML', markup);
+      } else {
+        element.textContent = markup;
+      }
+    }
+
+    const attributes = element.getAttribute('data-bind-attr');
+    if (attributes !== null) {
+      element.removeAttribute('data-bind-attr');
+      parseAttributeBindings(attributes).forEach(([name, path]) => {
+        const value = resolveValue(scopes, path);
+        if (value === null || value === undefined || value === false) {
+          element.removeAttribute(name);
+        } else if (value !== true && !isSafeBinding(name, value)) {
+          element.removeAttribute(name);
+          console.warn(`[DOM Helpers] Dropped unsafe URL in ${name} binding`);
+        } else {
+          element.setAttribute(name, value === true ? '' : String(value));
+        }
+      });
+    }
+  }
+
+  function renderEach(element, scopes) {
+    const expression = element.getAttribute('data-each');
+    element.removeAttribute('data-each');
+
+    const named = expression.match(EACH_EXPRESSION);
+    const items = resolveValue(scopes, named ? named[2] : expression.trim());
+    const list = items === null || items === undefined ? [] : Array.from(items);
+
+    list.forEach((item, index) => {
+      const clone = element.cloneNode(true);
+      element.parentNode.insertBefore(clone, element);
+
+      // "item in items" names the item; otherwise its properties are in scope
+      const itemScopes = named
+        ? [...scopes, { [named[1]]: item, $item: item, $index: index }]
+        : [...scopes, item, { $item: item, $index: index }];
+      renderNode(clone, itemScopes);
+    });
+
+    element.remove();
+  }
+
+  function renderNode(node, scopes) {
+    if (node.nodeType === 3) {
+      interpolateText(node, scopes);
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    if (node.hasAttribute('data-each')) {
+      renderEach(node, scopes);
+      return;
+    }
+
+    const condition = node.getAttribute('data-if');
+    if (condition !== null) {
+      node.removeAttribute('data-if');
+      if (!evaluateCondition(condition, scopes)) {
+        node.remove();
+        return;
+      }
+    }
+
+    applyBindings(node, scopes);
+
+    // Nested templates are rendered on their own
+    if (node.tagName === 'TEMPLATE') return;
+
+    Array.from(node.childNodes).forEach(child => renderNode(child, scopes));
+  }
+
+  class Template {
+    constructor(element) {
+      this.element = element;
+    }
+
+    /**
+     * Clone the template and fill it with data
+     * @param {Object} [data] - Values for placeholders, bindings, loops and conditions
+     * @returns {DocumentFragment} Fragment whose root elements have .update()
+     */
+    render(data = {}) {
+      const doc = this.element.ownerDocument;
+      const fragment = doc.importNode(this.element.content, true);
+
+      Array.from(fragment.childNodes).forEach(child => renderNode(child, [data]));
+
+      if (EnhancedUpdateUtility && EnhancedUpdateUtility.enhanceElementWithUpdate) {
+        Array.from(fragment.children).forEach(child => EnhancedUpdateUtility.enhanceElementWithUpdate(child));
+      }
+      return fragment;
+    }
+  }
+
+  // One Template per <template> element
+  const templates = new WeakMap();
+
+  /**
+   * Get the renderer for a <template> element
+   * @param {string|HTMLTemplateElement} templateIdOrEl - Element ID or element
+   * @param {{document?: Document}} [options] - Document IDs are looked up in
+   * @returns {Template}
+   */
+  function template(templateIdOrEl, options = {}) {
+    let element = templateIdOrEl;
+
+    if (typeof templateIdOrEl === 'string') {
+      const doc = options.document || (typeof document !== 'undefined' ? document : null);
+      element = doc ? doc.getElementById(templateIdOrEl) : null;
+    }
+
+    if (!element || element.nodeType !== 1 || element.tagName !== 'TEMPLATE') {
+      throw new TypeError(`template() could not find <template> "${templateIdOrEl}"`);
+    }
+
+    let renderer = templates.get(element);
+    if (!renderer) {
+      renderer = new Template(element);
+      templates.set(element, renderer);
+    }
+    return renderer;
+  }
+
+  // Elements.rowTemplate.render(data) on enhanced <template> elements
+  if (EnhancedUpdateUtility && EnhancedUpdateUtility.registerElementEnhancer) {
+    EnhancedUpdateUtility.registerElementEnhancer(element => {
+      if (element.tagName !== 'TEMPLATE' || element.render) return;
+
+      Object.defineProperty(element, 'render', {
+        value: data => template(element).render(data),
+        writable: false,
+        enumerable: false,
+        configurable: true
+      });
+    });
+  }
+
+  // Export the template API
+  const TemplateHelper = {
+    Template,
+    template
+  };
+
+  // Export for different environments
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js/CommonJS
+    module.exports = TemplateHelper;
+  } else if (typeof define === 'function' && define.amd) {
+    // AMD/RequireJS
+    define([], function() {
+      return TemplateHelper;
+    });
+  } else {
+    // Browser globals
+    global.TemplateHelper = TemplateHelper;
+  }
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this);
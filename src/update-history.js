@@ -0,0 +1,279 @@
+/**
+ * Update History for DOM Helpers
+ * Opt-in undo/redo for changes made through .update()
+ *
+ * Features:
+ * - Records the previous and new value of properties, style entries,
+ *   attributes, classes and dataset entries written by .update()
+ * - Changes made in the same task form one step, so a collection update
+ *   undoes as a whole; checkpoint() and group() control steps explicitly
+ * - Optional root element limits recording to one editor
+ */
+
+(function(global) {
+  'use strict';
+
+  // Import Enhanced UpdateUtility if available
+  let EnhancedUpdateUtility;
+  if (typeof require !== 'undefined') {
+    try {
+      EnhancedUpdateUtility = require('./enhanced-update-utility.js');
+    } catch (e) {
+      // EnhancedUpdateUtility not available in this environment
+    }
+  } else if (typeof global !== 'undefined' && global.EnhancedUpdateUtility) {
+    EnhancedUpdateUtility = global.EnhancedUpdateUtility;
+  }
+
+  function scheduleMicrotask(callback) {
+    if (typeof queueMicrotask === 'function') {
+      queueMicrotask(callback);
+    } else {
+      Promise.resolve().then(callback);
+    }
+  }
+
+  class UpdateHistory {
+    constructor(options = {}) {
+      this.options = {
+        limit: 100,
+        autoCheckpoint: true,
+        root: null,
+        onChange: null,
+        ...options
+      };
+
+      this.undoStack = [];
+      this.redoStack = [];
+      // Changes recorded since the last checkpoint
+      this.current = null;
+      this.groupDepth = 0;
+      this.checkpointScheduled = false;
+      this.isRecording = false;
+      this.unregisterRecorder = null;
+    }
+
+    /**
+     * Start recording .update() changes
+     * @returns {UpdateHistory} this
+     */
+    start() {
+      if (this.isRecording) return this;
+
+      if (!EnhancedUpdateUtility || !EnhancedUpdateUtility.registerUpdateRecorder) {
+        console.warn('[DOM Helpers] history requires the update utility (enhanced-update-utility.js)');
+        return this;
+      }
+
+      this.unregisterRecorder = EnhancedUpdateUtility.registerUpdateRecorder(changes => this._record(changes));
+      this.isRecording = true;
+      return this;
+    }
+
+    /**
+     * Stop recording; existing steps can still be undone
+     * @returns {UpdateHistory} this
+     */
+    stop() {
+      if (!this.isRecording) return this;
+
+      this.checkpoint();
+      this.unregisterRecorder();
+      this.unregisterRecorder = null;
+      this.isRecording = false;
+      return this;
+    }
+
+    _record(changes) {
+      const root = this.options.root;
+      const recorded = root
+        ? changes.filter(change => root === change.element || root.contains(change.element))
+        : changes;
+
+      if (recorded.length === 0) return;
+
+      if (!this.current) {
+        this.current = [];
+      }
+      this.current.push(...recorded);
+      this.redoStack = [];
+
+      // Everything recorded in this task becomes one step
+      if (this.options.autoCheckpoint && this.groupDepth === 0 && !this.checkpointScheduled) {
+        this.checkpointScheduled = true;
+        scheduleMicrotask(() => {
+          this.checkpointScheduled = false;
+          if (this.groupDepth === 0) {
+            this.checkpoint();
+          }
+        });
+      }
+    }
+
+    _notify() {
+      if (typeof this.options.onChange === 'function') {
+        try {
+          this.options.onChange(this);
+        } catch (error) {
+          console.warn(`[DOM Helpers] Error in history onChange: ${error.message}`);
+        }
+      }
+    }
+
+    _apply(step, which) {
+      // Undo replays the step backwards so repeated writes end on the oldest value
+      const changes = which === 'before' ? step.slice().reverse() : step;
+
+      changes.forEach(change => {
+        try {
+          EnhancedUpdateUtility.restoreRecordedValue(change.element, change, change[which]);
+        } catch (error) {
+          console.warn(`[DOM Helpers] Error restoring ${change.type} "${change.name}": ${error.message}`);
+        }
+      });
+    }
+
+    /**
+     * Close the current step; changes after this start a new one
+     * @returns {UpdateHistory} this
+     */
+    checkpoint() {
+      if (!this.current || this.current.length === 0) {
+        this.current = null;
+        return this;
+      }
+
+      this.undoStack.push(this.current);
+      this.current = null;
+
+      if (this.undoStack.length > this.options.limit) {
+        this.undoStack.splice(0, this.undoStack.length - this.options.limit);
+      }
+
+      this._notify();
+      return this;
+    }
+
+    /**
+     * Record every change made while fn runs as a single step. If fn returns
+     * a promise the step stays open until it settles.
+     * @param {Function} fn - Makes .update() calls
+     * @returns {*} fn's return value
+     */
+    group(fn) {
+      this.checkpoint();
+      this.groupDepth++;
+
+      const end = () => {
+        this.groupDepth--;
+        if (this.groupDepth === 0) {
+          this.checkpoint();
+        }
+      };
+
+      let result;
+      try {
+        result = fn();
+      } catch (error) {
+        end();
+        throw error;
+      }
+
+      if (result && typeof result.then === 'function') {
+        return result.then(
+          value => { end(); return value; },
+          error => { end(); throw error; }
+        );
+      }
+
+      end();
+      return result;
+    }
+
+    /**
+     * Revert the most recent step
+     * @returns {boolean} false when there was nothing to undo
+     */
+    undo() {
+      this.checkpoint();
+
+      const step = this.undoStack.pop();
+      if (!step) return false;
+
+      this._apply(step, 'before');
+      this.redoStack.push(step);
+      this._notify();
+      return true;
+    }
+
+    /**
+     * Re-apply the most recently undone step
+     * @returns {boolean} false when there was nothing to redo
+     */
+    redo() {
+      this.checkpoint();
+
+      const step = this.redoStack.pop();
+      if (!step) return false;
+
+      this._apply(step, 'after');
+      this.undoStack.push(step);
+      this._notify();
+      return true;
+    }
+
+    canUndo() {
+      return this.undoStack.length > 0 || (this.current !== null && this.current.length > 0);
+    }
+
+    canRedo() {
+      return this.redoStack.length > 0;
+    }
+
+    /**
+     * Drop every recorded step without changing the DOM
+     * @returns {UpdateHistory} this
+     */
+    clear() {
+      this.undoStack = [];
+      this.redoStack = [];
+      this.current = null;
+      this._notify();
+      return this;
+    }
+  }
+
+  /**
+   * Create an independent history, e.g. one per editor with a root option
+   * @param {Object} [options] - { limit, autoCheckpoint, root, onChange }
+   * @returns {UpdateHistory}
+   */
+  function createHistory(options) {
+    return new UpdateHistory(options);
+  }
+
+  // Shared instance exposed as DOMHelpers.history; recording is opt-in
+  const defaultHistory = new UpdateHistory();
+
+  // Export the history API
+  const HistoryHelper = {
+    UpdateHistory,
+    createHistory,
+    history: defaultHistory
+  };
+
+  // Export for different environments
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js/CommonJS
+    module.exports = HistoryHelper;
+  } else if (typeof define === 'function' && define.amd) {
+    // AMD/RequireJS
+    define([], function() {
+      return HistoryHelper;
+    });
+  } else {
+    // Browser globals
+    global.HistoryHelper = HistoryHelper;
+  }
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this);
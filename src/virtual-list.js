@@ -0,0 +1,375 @@
+/**
+ * Virtual List for DOM Helpers
+ * Renders long lists with a small pool of recycled row elements
+ *
+ * Features:
+ * - Fixed-height rows positioned inside a full-height spacer
+ * - Row content applied through the .update() dictionary in diff mode
+ * - Scroll and resize handled once per animation frame
+ * - Visible rows exposed as an enhanced collection
+ */
+
+(function(global) {
+  'use strict';
+
+  // Import Enhanced UpdateUtility if available
+  let EnhancedUpdateUtility;
+  if (typeof require !== 'undefined') {
+    try {
+      EnhancedUpdateUtility = require('./enhanced-update-utility.js');
+    } catch (e) {
+      // EnhancedUpdateUtility not available in this environment
+    }
+  } else if (typeof global !== 'undefined' && global.EnhancedUpdateUtility) {
+    EnhancedUpdateUtility = global.EnhancedUpdateUtility;
+  }
+
+  // Collections is resolved lazily so load order does not matter
+  function getCollections() {
+    if (global.Collections) {
+      return global.Collections;
+    }
+    if (typeof require !== 'undefined') {
+      try {
+        return require('./collections.js').Collections;
+      } catch (e) {
+        // Collections helper not available in this environment
+      }
+    }
+    return null;
+  }
+
+  class VirtualList {
+    constructor(container, options = {}) {
+      if (typeof container === 'string') {
+        container = (options.document || document).getElementById(container);
+      }
+
+      if (!container || container.nodeType !== 1) {
+        throw new TypeError('virtualList() expects a container element');
+      }
+
+      if (!(options.itemHeight > 0)) {
+        throw new TypeError('virtualList() expects a positive itemHeight');
+      }
+
+      if (typeof options.render !== 'function') {
+        throw new TypeError('virtualList() expects a render function');
+      }
+
+      this.container = container;
+      this.options = {
+        ...options,
+        overscan: options.overscan ?? 3,
+        rowTag: options.rowTag ?? 'div',
+        rowClass: options.rowClass ?? 'virtual-row'
+      };
+
+      this.items = Array.from(options.items || []);
+      // A row for index i always lives in pool[i % pool.length]
+      this.pool = [];
+      this.range = { start: 0, end: 0 };
+      this.frame = null;
+      this.resizeObserver = null;
+      this.isDestroyed = false;
+
+      this._init();
+    }
+
+    _init() {
+      const doc = this.container.ownerDocument;
+      // The container's window, which may not be the global one
+      this.view = doc.defaultView;
+
+      this.spacer = doc.createElement('div');
+      this.spacer.style.position = 'relative';
+      this.spacer.style.width = '100%';
+      this._updateSpacerHeight();
+      this.container.appendChild(this.spacer);
+
+      if (!this.container.style.overflowY) {
+        this.container.style.overflowY = 'auto';
+      }
+
+      this._onScroll = () => this._scheduleRender();
+      this.container.addEventListener('scroll', this._onScroll, { passive: true });
+
+      const view = this.view;
+      if (view && typeof view.ResizeObserver === 'function') {
+        this.resizeObserver = new view.ResizeObserver(() => this._scheduleRender());
+        this.resizeObserver.observe(this.container);
+      } else if (view) {
+        view.addEventListener('resize', this._onScroll);
+      }
+
+      this._render(false);
+    }
+
+    _updateSpacerHeight() {
+      this.spacer.style.height = `${this.items.length * this.options.itemHeight}px`;
+    }
+
+    _getRange() {
+      const { itemHeight, overscan } = this.options;
+      const scrollTop = this.container.scrollTop;
+      const viewport = this.container.clientHeight;
+
+      const start = Math.max(0, Math.floor(scrollTop / itemHeight) - overscan);
+      const end = Math.min(this.items.length, Math.ceil((scrollTop + viewport) / itemHeight) + overscan);
+
+      return { start, end: Math.max(start, end) };
+    }
+
+    _ensurePool(count) {
+      if (count <= this.pool.length) return;
+
+      const doc = this.container.ownerDocument;
+      const { rowTag, rowClass, itemHeight } = this.options;
+
+      while (this.pool.length < count) {
+        const element = doc.createElement(rowTag);
+        if (rowClass) {
+          element.className = rowClass;
+        }
+        element.style.position = 'absolute';
+        element.style.top = '0';
+        element.style.left = '0';
+        element.style.right = '0';
+        element.style.height = `${itemHeight}px`;
+        element.style.boxSizing = 'border-box';
+        element.hidden = true;
+
+        if (EnhancedUpdateUtility) {
+          EnhancedUpdateUtility.enhanceElementWithUpdate(element);
+        }
+
+        this.spacer.appendChild(element);
+        this.pool.push({ element, index: -1 });
+      }
+
+      // Slot assignment depends on the pool size, so every row is re-rendered
+      this.pool.forEach(row => {
+        row.index = -1;
+      });
+    }
+
+    _render(force) {
+      this.frame = null;
+      if (this.isDestroyed) return;
+
+      const { start, end } = this._getRange();
+      this._ensurePool(end - start);
+
+      const size = this.pool.length;
+      const used = new Set();
+
+      for (let index = start; index < end; index++) {
+        const row = this.pool[index % size];
+        used.add(row);
+
+        if (force || row.index !== index) {
+          this._renderRow(row, index);
+        }
+      }
+
+      this.pool.forEach(row => {
+        if (!used.has(row) && row.index !== -1) {
+          row.index = -1;
+          row.element.hidden = true;
+        }
+      });
+
+      this.range = { start, end };
+    }
+
+    _renderRow(row, index) {
+      const element = row.element;
+
+      row.index = index;
+      element.hidden = false;
+      element.style.transform = `translateY(${index * this.options.itemHeight}px)`;
+      element.dataset.index = String(index);
+
+      let updates;
+      try {
+        updates = this.options.render(this.items[index], index, element);
+      } catch (error) {
+        console.warn(`[DOM Helpers] Error rendering virtual row ${index}: ${error.message}`);
+        return;
+      }
+
+      // render() may also mutate the row itself and return nothing
+      if (updates === undefined || updates === null) return;
+
+      if (typeof updates !== 'object') {
+        updates = { textContent: String(updates) };
+      }
+
+      if (typeof element.update === 'function') {
+        element.update(updates, { diff: true });
+      } else {
+        Object.assign(element, updates);
+      }
+    }
+
+    _scheduleRender() {
+      if (this.frame !== null || this.isDestroyed) return;
+      this.frame = this._requestFrame(() => this._render(false));
+    }
+
+    _cancelScheduledRender() {
+      if (this.frame !== null) {
+        this._cancelFrame(this.frame);
+        this.frame = null;
+      }
+    }
+
+    _requestFrame(callback) {
+      if (this.view && typeof this.view.requestAnimationFrame === 'function') {
+        return this.view.requestAnimationFrame(callback);
+      }
+      return setTimeout(callback, 16);
+    }
+
+    _cancelFrame(handle) {
+      if (this.view && typeof this.view.cancelAnimationFrame === 'function') {
+        this.view.cancelAnimationFrame(handle);
+      } else {
+        clearTimeout(handle);
+      }
+    }
+
+    /**
+     * Replace the items and re-render the visible rows
+     * @param {Array} items - New items
+     * @returns {VirtualList} this
+     */
+    setItems(items) {
+      if (this.isDestroyed) return this;
+
+      this.items = Array.from(items || []);
+      this._updateSpacerHeight();
+      this._cancelScheduledRender();
+      this._render(true);
+      return this;
+    }
+
+    /**
+     * Re-run render() for every visible row, e.g. after mutating items in place
+     * @returns {VirtualList} this
+     */
+    refresh() {
+      if (this.isDestroyed) return this;
+
+      this._cancelScheduledRender();
+      this._render(true);
+      return this;
+    }
+
+    /**
+     * Scroll so the item at index is visible
+     * @param {number} index - Item index
+     * @param {string} [align='start'] - 'start', 'center' or 'end'
+     * @returns {VirtualList} this
+     */
+    scrollToIndex(index, align = 'start') {
+      const { itemHeight } = this.options;
+      const viewport = this.container.clientHeight;
+      const clamped = Math.max(0, Math.min(index, this.items.length - 1));
+
+      let top = clamped * itemHeight;
+      if (align === 'center') {
+        top -= (viewport - itemHeight) / 2;
+      } else if (align === 'end') {
+        top -= viewport - itemHeight;
+      }
+
+      this.container.scrollTop = Math.max(0, top);
+      this._scheduleRender();
+      return this;
+    }
+
+    /**
+     * Indexes currently rendered, overscan included
+     * @returns {{start: number, end: number}} end is exclusive
+     */
+    getRange() {
+      return { ...this.range };
+    }
+
+    /**
+     * Row element rendering the item at index, if it is currently rendered
+     * @param {number} index - Item index
+     * @returns {Element|null}
+     */
+    getRow(index) {
+      const row = this.pool.find(entry => entry.index === index);
+      return row ? row.element : null;
+    }
+
+    /**
+     * Visible row elements in item order, as an enhanced collection when the
+     * Collections helper is loaded
+     */
+    get rows() {
+      const elements = this.pool
+        .filter(row => row.index !== -1)
+        .sort((a, b) => a.index - b.index)
+        .map(row => row.element);
+
+      const Collections = getCollections();
+      return Collections && typeof Collections.from === 'function'
+        ? Collections.from(elements)
+        : elements;
+    }
+
+    destroy() {
+      if (this.isDestroyed) return;
+      this.isDestroyed = true;
+
+      this._cancelScheduledRender();
+      this.container.removeEventListener('scroll', this._onScroll);
+
+      if (this.resizeObserver) {
+        this.resizeObserver.disconnect();
+        this.resizeObserver = null;
+      } else if (this.view) {
+        this.view.removeEventListener('resize', this._onScroll);
+      }
+
+      this.spacer.remove();
+      this.pool = [];
+    }
+  }
+
+  /**
+   * Create a virtualized list inside a scrollable container
+   * @param {Element|string} container - Scroll container or its ID
+   * @param {Object} options - { items, itemHeight, render, overscan?, rowTag?, rowClass?, document? }
+   * @returns {VirtualList}
+   */
+  function virtualList(container, options) {
+    return new VirtualList(container, options);
+  }
+
+  // Export the virtual list API
+  const VirtualListHelper = {
+    VirtualList,
+    virtualList
+  };
+
+  // Export for different environments
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js/CommonJS
+    module.exports = VirtualListHelper;
+  } else if (typeof define === 'function' && define.amd) {
+    // AMD/RequireJS
+    define([], function() {
+      return VirtualListHelper;
+    });
+  } else {
+    // Browser globals
+    global.VirtualListHelper = VirtualListHelper;
+  }
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this);
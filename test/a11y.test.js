@@ -0,0 +1,154 @@
+'use strict';
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDOM, settle, render } = require('./helpers/dom');
+
+installDOM();
+const { getFocusableElements, trapFocus, announce, rovingTabindex } = require('../src/a11y.js');
+const ElementsModule = require('../src/elements-helper.js');
+const SelectorModule = require('../src/querySelector-helper.js');
+
+function press(target, key, init = {}) {
+  const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init });
+  target.dispatchEvent(event);
+  return event;
+}
+
+describe('Accessibility helpers', () => {
+  before(() => {
+    ElementsModule.Elements.destroy();
+    SelectorModule.Selector.destroy();
+  });
+
+  beforeEach(() => {
+    render('');
+  });
+
+  it('lists focusable elements, skipping disabled, hidden and negative tabindex', () => {
+    render(`<div id="dialog">
+      <a href="#">link</a><a>no href</a><button disabled>off</button>
+      <input type="hidden"><input id="name"><span tabindex="-1">skip</span>
+      <div hidden><button>hidden</button></div><p style="display: none"><button>none</button></p>
+      <div tabindex="0" id="custom"></div>
+    </div>`);
+
+    const focusable = getFocusableElements(document.getElementById('dialog'));
+    assert.deepEqual(focusable.map(el => el.tagName + (el.id ? `#${el.id}` : '')), ['A', 'INPUT#name', 'DIV#custom']);
+  });
+
+  it('wraps Tab inside the container and restores focus on release', () => {
+    render(`<button id="opener">open</button>
+      <div id="dialog"><button id="first">a</button><button id="last">b</button></div>
+      <button id="outside">c</button>`);
+    const opener = document.getElementById('opener');
+    opener.focus();
+
+    const release = trapFocus('dialog');
+    assert.equal(document.activeElement.id, 'first');
+
+    document.getElementById('last').focus();
+    assert.equal(press(document.activeElement, 'Tab').defaultPrevented, true);
+    assert.equal(document.activeElement.id, 'first');
+
+    press(document.activeElement, 'Tab', { shiftKey: true });
+    assert.equal(document.activeElement.id, 'last');
+
+    document.getElementById('outside').focus();
+    assert.equal(document.activeElement.id, 'first');
+
+    release();
+    assert.equal(document.activeElement, opener);
+    document.getElementById('outside').focus();
+    assert.equal(document.activeElement.id, 'outside');
+  });
+
+  it('stacks traps, focuses empty containers and calls onEscape', () => {
+    render('<div id="outer"><button id="a">a</button></div><div id="inner"><p>text</p></div>');
+    const escapes = [];
+
+    const releaseOuter = trapFocus('outer');
+    const releaseInner = trapFocus(document.getElementById('inner'), { onEscape: () => escapes.push('inner') });
+    const inner = document.getElementById('inner');
+    assert.equal(document.activeElement, inner);
+    assert.equal(inner.getAttribute('tabindex'), '-1');
+
+    press(inner, 'Escape');
+    assert.deepEqual(escapes, ['inner']);
+
+    releaseInner();
+    assert.equal(inner.hasAttribute('tabindex'), false);
+    assert.equal(document.activeElement.id, 'a');
+    releaseOuter();
+
+    assert.throws(() => trapFocus('missing'), /could not find container "missing"/);
+  });
+
+  it('announces through one hidden live region per politeness', async () => {
+    const region = await announce('Saved', { delay: 0 });
+    assert.equal(region.getAttribute('aria-live'), 'polite');
+    assert.equal(region.getAttribute('role'), 'status');
+    assert.equal(region.textContent, 'Saved');
+
+    const pending = announce('Saved', { delay: 0 });
+    assert.equal(region.textContent, '');
+    assert.equal(await pending, region);
+
+    const alert = await announce('Failed', { politeness: 'assertive', delay: 0 });
+    assert.equal(alert.getAttribute('role'), 'alert');
+    assert.equal(document.querySelectorAll('[aria-live]').length, 2);
+  });
+
+  it('moves a single tab stop with the arrow keys, Home and End', () => {
+    render('<div role="toolbar"><button>a</button><button>b</button><button>c</button></div>');
+    const buttons = document.querySelectorAll('button');
+    const changes = [];
+
+    const roving = rovingTabindex(buttons, { orientation: 'horizontal', onChange: (el, i) => changes.push(i) });
+    assert.deepEqual([...buttons].map(b => b.getAttribute('tabindex')), ['0', '-1', '-1']);
+
+    press(buttons[0], 'ArrowLeft');
+    assert.equal(document.activeElement, buttons[2]);
+    assert.equal(roving.index, 2);
+
+    assert.equal(press(buttons[2], 'ArrowDown').defaultPrevented, false);
+    press(buttons[2], 'Home');
+    press(buttons[0], 'End');
+    assert.deepEqual(changes, [0, 2, 0, 2]);
+    assert.deepEqual([...buttons].map(b => b.getAttribute('tabindex')), ['-1', '-1', '0']);
+
+    buttons[1].focus();
+    assert.equal(roving.current, buttons[1]);
+
+    roving.destroy();
+    press(buttons[1], 'ArrowRight');
+    assert.equal(document.activeElement, buttons[1]);
+  });
+
+  it('follows items added to and removed from live collections', async () => {
+    render('<ul id="menu"><li role="menuitem">a</li><li role="menuitem">b</li></ul>');
+    const Selector = SelectorModule.createSelector({ autoCleanup: false });
+
+    try {
+      const items = Selector.live('[role="menuitem"]');
+      const roving = rovingTabindex(items, { orientation: 'vertical', loop: false });
+
+      document.getElementById('menu').insertAdjacentHTML('beforeend', '<li role="menuitem">c</li>');
+      await settle();
+      const added = document.querySelectorAll('li')[2];
+      assert.equal(added.getAttribute('tabindex'), '-1');
+
+      roving.focus(added);
+      press(added, 'ArrowDown');
+      assert.equal(roving.index, 2);
+
+      added.remove();
+      await settle();
+      assert.equal(roving.index, 0);
+      assert.equal(document.querySelector('li').getAttribute('tabindex'), '0');
+      roving.destroy();
+    } finally {
+      Selector.destroy();
+    }
+  });
+});
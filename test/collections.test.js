@@ -0,0 +1,344 @@
+'use strict';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDOM, settle, render, loadStandalone } = require('./helpers/dom');
+
+installDOM();
+const { Collections, createCollections } = require('../src/collections.js');
+
+describe('Collections', () => {
+  beforeEach(() => {
+    render('');
+    Collections.clear();
+    Collections.enableEnhancedSyntax();
+  });
+
+  after(() => {
+    Collections.destroy();
+  });
+
+  describe('access', () => {
+    it('supports property and call syntax for class, tag and name', () => {
+      render('<p class="item" name="pick"></p><p class="item"></p><span></span>');
+
+      assert.equal(Collections.ClassName.item.length, 2);
+      assert.equal(Collections.ClassName('item').length, 2);
+      assert.equal(Collections.TagName.span.length, 1);
+      assert.equal(Collections.Name.pick.length, 1);
+    });
+
+    it('stays live as matching elements are added', () => {
+      render('<li class="row"></li>');
+      const rows = Collections.ClassName.row;
+
+      document.body.insertAdjacentHTML('beforeend', '<li class="row"></li>');
+      assert.equal(rows.length, 2);
+    });
+
+    it('serves repeated lookups from the cache', () => {
+      render('<b class="hit"></b>');
+
+      void Collections.ClassName.hit;
+      const hits = Collections.stats().hits;
+      void Collections.ClassName.hit;
+
+      assert.equal(Collections.stats().hits, hits + 1);
+      assert.equal(Collections.isCached('className', 'hit'), true);
+    });
+
+    it('provides array helpers over the live collection', () => {
+      render('<i class="n">1</i><i class="n">2</i><i class="n">3</i>');
+      const items = Collections.ClassName.n;
+
+      assert.deepEqual(items.map(el => el.textContent), ['1', '2', '3']);
+      assert.equal(items.first().textContent, '1');
+      assert.equal(items.last().textContent, '3');
+      assert.equal(items.at(-2).textContent, '2');
+      assert.equal(items.filter(el => el.textContent !== '2').length, 2);
+      assert.equal(items.isEmpty(), false);
+    });
+
+    it('filters visible and hidden elements with computed styles', () => {
+      render('<u class="v"></u><u class="v" style="display: none"></u><u class="v" hidden></u>');
+
+      assert.equal(Collections.ClassName.v.visible().length, 1);
+      assert.equal(Collections.ClassName.v.hidden().length, 2);
+    });
+
+    it('updates every element with .update()', () => {
+      render('<a class="link"></a><a class="link"></a>');
+
+      const links = Collections.ClassName.link.update({
+        title: 'Open',
+        style: { color: 'red' },
+        classList: { add: 'active' }
+      });
+
+      assert.equal(links.length, 2);
+      links.forEach(link => {
+        assert.equal(link.title, 'Open');
+        assert.equal(link.style.color, 'red');
+        assert.equal(link.classList.contains('active'), true);
+      });
+    });
+
+    it('removes listeners added with on() by handler, type or namespace', () => {
+      render('<button class="btn"></button><button class="btn"></button>');
+      const calls = [];
+      const buttons = Collections.ClassName.btn;
+      const plain = () => calls.push('plain');
+
+      buttons.on('click', plain);
+      buttons.on('click.menu', () => calls.push('menu'));
+      buttons.off('click', plain);
+      document.querySelector('.btn').click();
+      assert.deepEqual(calls, ['menu']);
+
+      buttons.off('.menu');
+      document.querySelectorAll('.btn').forEach(btn => btn.click());
+      assert.deepEqual(calls, ['menu']);
+    });
+
+    it('delegates events to matching elements, including ones added later', () => {
+      render('<ul><li class="row"><span>a</span></li></ul>');
+      const matches = [];
+
+      const off = Collections.ClassName.row.delegate('click', (event, row) => matches.push(row.textContent));
+      document.querySelector('ul').insertAdjacentHTML('beforeend', '<li class="row"><b>b</b></li>');
+      document.querySelector('span').click();
+      document.querySelector('b').click();
+      document.querySelector('ul').click();
+      assert.deepEqual(matches, ['a', 'b']);
+
+      off();
+      document.querySelector('span').click();
+      assert.deepEqual(matches, ['a', 'b']);
+    });
+
+    it('delegates mouseenter and mouseleave only for the matched element itself', () => {
+      render('<div id="outside"></div><div class="card"><p><b>inner</b></p></div>');
+      const [outside, card] = document.body.children;
+      const inner = card.querySelector('b');
+      const calls = [];
+      const move = (type, target, relatedTarget) => {
+        target.dispatchEvent(new window.MouseEvent(type, { bubbles: true, relatedTarget }));
+      };
+
+      const offEnter = Collections.ClassName.card.delegate('mouseenter', (event, match) => calls.push(`enter:${match.className}`));
+      const offLeave = Collections.ClassName.card.delegate('mouseleave', () => calls.push('leave'));
+
+      move('mouseover', card, outside);
+      move('mouseout', card, inner);
+      move('mouseover', inner, card);
+      move('mouseout', inner, card);
+      move('mouseover', card, inner);
+      move('mouseout', card, outside);
+      assert.deepEqual(calls, ['enter:card', 'leave']);
+
+      offEnter();
+      offLeave();
+      move('mouseover', inner, outside);
+      assert.deepEqual(calls, ['enter:card', 'leave']);
+    });
+
+    it('delegates in the standalone build without the update utility', () => {
+      render('<div id="outside"></div><div class="card"><b>inner</b></div>');
+      const standalone = loadStandalone('collections.js').Collections;
+      const [outside, card] = document.body.children;
+      const calls = [];
+
+      try {
+        const off = standalone.ClassName.card.delegate('click', (event, match) => calls.push(`click:${match === card}`));
+        standalone.ClassName.card.delegate('mouseenter', () => calls.push('enter'));
+        card.querySelector('b').click();
+        card.dispatchEvent(new window.MouseEvent('mouseover', { bubbles: true, relatedTarget: outside }));
+        card.querySelector('b').dispatchEvent(new window.MouseEvent('mouseover', { bubbles: true, relatedTarget: card }));
+        off();
+        card.click();
+      } finally {
+        standalone.destroy();
+        delete window.Collections;
+        delete window.ProductionCollectionHelper;
+      }
+
+      assert.deepEqual(calls, ['click:true', 'enter']);
+    });
+
+    it('wraps arbitrary element lists with from()', () => {
+      render('<i></i><b></b>');
+
+      const wrapped = Collections.from([...document.body.children, null, 'text']);
+      assert.equal(wrapped.length, 2);
+      wrapped.update({ title: 'x' });
+      assert.equal(document.querySelector('b').title, 'x');
+    });
+  });
+
+  describe('enhanced syntax', () => {
+    it('wraps indexed elements in a proxy while enabled', () => {
+      render('<div class="box"></div>');
+      const raw = document.querySelector('.box');
+
+      const proxied = Collections.ClassName.box[0];
+      assert.notEqual(proxied, raw);
+      assert.equal(proxied.className, 'box');
+      proxied.title = 'through proxy';
+      assert.equal(raw.title, 'through proxy');
+    });
+
+    it('returns the plain collection once disabled', () => {
+      render('<div class="box"></div>');
+      Collections.disableEnhancedSyntax();
+
+      assert.equal(Collections.ClassName.box[0], document.querySelector('.box'));
+    });
+  });
+
+  describe('cache invalidation', () => {
+    it('treats empty collections and collections rooted in the document as valid', () => {
+      render('<em class="live"></em>');
+      const helper = Collections.helper;
+
+      assert.equal(helper._isValidCollection(Collections.ClassName.none), true);
+      assert.equal(helper._isValidCollection(Collections.ClassName.live), true);
+    });
+
+    it('treats collections whose first element left the document as invalid', () => {
+      const detached = document.createElement('em');
+      const helper = Collections.helper;
+
+      assert.equal(helper._isValidCollection({ _originalCollection: [detached] }), false);
+      assert.equal(helper._isValidCollection({}), false);
+      assert.equal(helper._isValidCollection(null), false);
+    });
+
+    it('invalidates class entries touched by added or removed nodes', async () => {
+      render('<p class="kept"></p>');
+      await settle();
+      void Collections.ClassName.kept;
+      void Collections.ClassName.fresh;
+
+      document.body.insertAdjacentHTML('beforeend', '<p class="fresh"></p>');
+      await settle();
+
+      assert.equal(Collections.isCached('className', 'fresh'), false);
+      assert.equal(Collections.isCached('className', 'kept'), true);
+    });
+
+    it('invalidates both the old and new classes of a class change', async () => {
+      render('<p class="from"></p>');
+      void Collections.ClassName.from;
+      void Collections.ClassName.to;
+      void Collections.ClassName.other;
+
+      document.querySelector('.from').className = 'to';
+      await settle();
+
+      assert.equal(Collections.isCached('className', 'from'), false);
+      assert.equal(Collections.isCached('className', 'to'), false);
+      assert.equal(Collections.isCached('className', 'other'), true);
+      assert.equal(Collections.ClassName.to.length, 1);
+    });
+
+    it('invalidates name and tag entries', async () => {
+      render('<input name="first">');
+      void Collections.Name.first;
+      void Collections.Name.second;
+      void Collections.TagName.input;
+
+      document.querySelector('input').setAttribute('name', 'second');
+      document.body.appendChild(document.createElement('input'));
+      await settle();
+
+      assert.equal(Collections.isCached('name', 'first'), false);
+      assert.equal(Collections.isCached('name', 'second'), false);
+      assert.equal(Collections.isCached('tagName', 'input'), false);
+    });
+
+    it('removes invalid entries during cleanup', () => {
+      const scoped = createCollections({ autoCleanup: false });
+      const helper = scoped.helper;
+      helper.observer.disconnect();
+
+      render('<i class="valid"></i>');
+      void scoped.ClassName.valid;
+      helper.cache.set('className:ghost', { _originalCollection: [document.createElement('i')] });
+
+      helper._performCleanup();
+      assert.deepEqual([...helper.cache.keys()], ['className:valid']);
+      scoped.destroy();
+    });
+
+    it('evicts the oldest entry when maxCacheSize is reached', () => {
+      const scoped = createCollections({ maxCacheSize: 2, autoCleanup: false });
+
+      void scoped.ClassName.a;
+      void scoped.ClassName.b;
+      void scoped.TagName.p;
+
+      assert.deepEqual([...scoped.helper.cache.keys()], ['className:b', 'tagName:p']);
+      scoped.destroy();
+    });
+
+    it('keeps recently used entries when evicting', () => {
+      const scoped = createCollections({ maxCacheSize: 2, autoCleanup: false });
+
+      void scoped.ClassName.a;
+      void scoped.ClassName.b;
+      void scoped.ClassName.a;
+      void scoped.TagName.p;
+
+      assert.deepEqual([...scoped.helper.cache.keys()], ['className:a', 'tagName:p']);
+      assert.equal(scoped.stats().evictions, 1);
+      scoped.destroy();
+    });
+
+    it('expires entries after cacheTTL and reports the cause', () => {
+      const scoped = createCollections({ cacheTTL: 1000, autoCleanup: false });
+      const helper = scoped.helper;
+      helper.observer.disconnect();
+
+      void scoped.ClassName.a;
+      void scoped.ClassName.b;
+      helper.cacheMeta.get('className:a').cachedAt -= 1000;
+
+      assert.equal(scoped.isCached('className', 'a'), false);
+      helper._performCleanup();
+      assert.deepEqual([...helper.cache.keys()], ['className:b']);
+      assert.equal(scoped.stats().invalidations.expired, 1);
+      assert.equal(scoped.stats().lookups, 2);
+      scoped.destroy();
+    });
+  });
+
+  describe('waitFor()', () => {
+    it('resolves once enough elements match', async () => {
+      const pending = Collections.waitFor('className', 'card', 2);
+      setTimeout(() => render('<div class="card"></div><div class="card"></div>'), 5);
+
+      const cards = await pending;
+      assert.equal(cards.length, 2);
+    });
+
+    it('rejects after the timeout with the missing count', async () => {
+      render('<div class="card"></div>');
+
+      await assert.rejects(
+        Collections.waitFor('className', 'card', 3, { timeout: 20 }),
+        error => error.missing === 2
+      );
+    });
+  });
+
+  describe('scope()', () => {
+    it('only collects elements inside the root', () => {
+      render('<i class="c"></i><div id="host"><i class="c"></i><i class="c"></i></div>');
+      const scoped = Collections.scope(document.getElementById('host'));
+
+      assert.equal(scoped.ClassName.c.length, 2);
+      assert.equal(Collections.ClassName.c.length, 3);
+      scoped.destroy();
+    });
+  });
+});
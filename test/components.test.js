@@ -0,0 +1,173 @@
+'use strict';
+
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDOM, settle, render } = require('./helpers/dom');
+
+installDOM();
+const { createComponents } = require('../src/components.js');
+const ElementsModule = require('../src/elements-helper.js');
+const SelectorModule = require('../src/querySelector-helper.js');
+const Utility = require('../src/enhanced-update-utility.js');
+
+describe('Components', () => {
+  let Elements;
+  let Selector;
+  let components;
+
+  before(() => {
+    // Only the fresh instances below are used
+    ElementsModule.Elements.destroy();
+    SelectorModule.Selector.destroy();
+  });
+
+  beforeEach(() => {
+    render('');
+    Elements = ElementsModule.createElements({ autoCleanup: false });
+    Selector = SelectorModule.createSelector({ autoCleanup: false });
+    components = createComponents({ Elements, Selector });
+  });
+
+  afterEach(() => {
+    components.destroy();
+    Elements.destroy();
+    Selector.destroy();
+  });
+
+  it('mounts existing and inserted elements and unmounts removed ones', async () => {
+    render('<div data-widget="a"></div>');
+    const calls = [];
+
+    components.component('data-widget', {
+      mount: ({ element }) => calls.push(`mount:${element.dataset.widget}`),
+      unmount: ({ element }) => calls.push(`unmount:${element.dataset.widget}`)
+    });
+    assert.deepEqual(calls, ['mount:a']);
+
+    document.body.insertAdjacentHTML('beforeend', '<section><div data-widget="b"></div></section>');
+    await settle();
+    assert.deepEqual(calls, ['mount:a', 'mount:b']);
+
+    document.querySelector('[data-widget="a"]').remove();
+    await settle();
+    assert.deepEqual(calls, ['mount:a', 'mount:b', 'unmount:a']);
+  });
+
+  it('matches classes and elements that gain the attribute later', async () => {
+    render('<div class="card"></div><p id="late"></p>');
+    const mounted = [];
+
+    components.component('.card', { mount: ({ element }) => mounted.push(element.tagName) });
+    components.component('data-late', { mount: ({ element }) => mounted.push(element.id) });
+
+    document.getElementById('late').setAttribute('data-late', '');
+    await settle();
+    assert.deepEqual(mounted, ['DIV', 'late']);
+  });
+
+  it('provides enhanced refs and helpers scoped to the subtree', () => {
+    render(`
+      <div data-counter><span data-ref="count">0</span><button data-ref="inc" id="inc"></button></div>
+      <button id="outside"></button>`);
+    let context;
+
+    components.component('data-counter', { mount: ctx => { context = ctx; } });
+
+    context.refs.count.update({ textContent: '5' });
+    assert.equal(document.querySelector('[data-ref="count"]').textContent, '5');
+    assert.equal(context.Elements.inc.id, 'inc');
+    assert.equal(context.Elements.outside, null);
+    assert.equal(context.Selector.queryAll('button').length, 1);
+  });
+
+  it('removes listeners added while mounted, but not earlier ones', async () => {
+    render('<div data-menu><button data-ref="toggle"></button></div>');
+    const toggle = document.querySelector('[data-ref="toggle"]');
+    const clicks = [];
+    Utility.addTrackedListener(toggle, 'click', () => clicks.push('page'));
+
+    components.component('data-menu', {
+      mount(ctx) {
+        ctx.on('toggle', 'click', () => clicks.push('on'));
+        ctx.refs.toggle.update({ addEventListener: ['click', () => clicks.push('update')] });
+        ctx.on('keydown', () => clicks.push('root'));
+      }
+    });
+
+    toggle.click();
+    assert.deepEqual(clicks, ['page', 'on', 'update']);
+
+    const menu = document.querySelector('[data-menu]');
+    menu.removeAttribute('data-menu');
+    await settle();
+
+    clicks.length = 0;
+    toggle.click();
+    menu.dispatchEvent(new window.KeyboardEvent('keydown'));
+    assert.deepEqual(clicks, ['page']);
+    assert.equal(Utility.getTrackedListeners(menu).length, 0);
+  });
+
+  it('calls update() for attribute changes and runs the mount cleanup on unmount', async () => {
+    render('<div data-chart="bar" data-size="s"></div>');
+    const calls = [];
+
+    components.component('data-chart', {
+      attributes: ['data-chart'],
+      mount: () => () => calls.push('cleanup'),
+      update: (ctx, change) => calls.push(`${change.name}:${change.oldValue}>${change.newValue}`)
+    });
+
+    const chart = document.querySelector('[data-chart]');
+    chart.setAttribute('data-size', 'l');
+    chart.setAttribute('data-chart', 'line');
+    await settle();
+    assert.deepEqual(calls, ['data-chart:bar>line']);
+
+    chart.remove();
+    await settle();
+    assert.deepEqual(calls, ['data-chart:bar>line', 'cleanup']);
+  });
+
+  it('reports hook errors with enableLogging without stopping other instances', () => {
+    render('<i data-bad="1"></i><i data-bad="2"></i><i data-quiet></i>');
+    const mounted = [];
+    const original = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+    const logging = createComponents({ Elements, Selector, enableLogging: true });
+
+    try {
+      components.component('data-quiet', { mount() { throw new Error('quiet'); } });
+      logging.component('data-bad', {
+        mount({ element }) {
+          mounted.push(element.dataset.bad);
+          if (element.dataset.bad === '1') throw new Error('boom');
+        }
+      });
+    } finally {
+      console.warn = original;
+      logging.destroy();
+    }
+
+    assert.deepEqual(mounted, ['1', '2']);
+    assert.deepEqual(warnings, ["[DOM Helpers] Error in mount for 'data-bad': boom"]);
+  });
+
+  it('unmounts every instance on destroy() and validates its arguments', () => {
+    render('<b data-x></b><b data-x></b>');
+    let unmounted = 0;
+
+    const component = components.component('data-x', { unmount: () => unmounted++ });
+    assert.equal(component.all().length, 2);
+    assert.equal(components.get('data-x'), component);
+    assert.throws(() => components.component('data-x', { mount() {} }), /already registered/);
+
+    component.destroy();
+    assert.equal(unmounted, 2);
+    assert.equal(components.get('data-x'), null);
+
+    assert.throws(() => components.component('', { mount() {} }), TypeError);
+    assert.throws(() => components.component('data-y', {}), TypeError);
+  });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+// No installDOM(): these helpers must work without any DOM globals
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { settle } = require('./helpers/dom');
+
+const { Elements, createDOMHelpers } = require('../src/index.js');
+
+describe('createDOMHelpers()', () => {
+  let helpers = [];
+
+  function create(html, options = {}) {
+    const { window } = new JSDOM(`<!DOCTYPE html><body>${html}</body>`);
+    const instance = createDOMHelpers({ window, ...options });
+    helpers.push(instance);
+    return { window, ...instance };
+  }
+
+  afterEach(() => {
+    helpers.forEach(instance => instance.destroy());
+    helpers = [];
+  });
+
+  it('skips the default instances when there is no global document', () => {
+    assert.equal(typeof document, 'undefined');
+    assert.equal(Elements, null);
+  });
+
+  it('binds Elements, Collections and Selector to the injected window', () => {
+    const { Elements, Collections, Selector } = create('<main id="app"><p class="note">a</p><p class="note">b</p></main>');
+
+    assert.equal(Elements.app.tagName, 'MAIN');
+    assert.equal(Collections.ClassName.note.length, 2);
+    assert.equal(Selector.query('#app .note').textContent, 'a');
+    assert.equal(Selector.queryAll('.note').visible().length, 2);
+  });
+
+  it('keeps separate caches for separate documents', () => {
+    const first = create('<div id="same">first</div>');
+    const second = create('<div id="same">second</div>');
+
+    assert.equal(first.Elements.same.textContent, 'first');
+    assert.equal(second.Elements.same.textContent, 'second');
+  });
+
+  it('accepts a document instead of a window', () => {
+    const { window } = new JSDOM('<!DOCTYPE html><body><b id="bold"></b></body>');
+    const instance = createDOMHelpers({ document: window.document });
+    helpers.push(instance);
+
+    assert.equal(instance.Elements.bold.tagName, 'B');
+    assert.equal(instance.Elements.helper.window, window);
+  });
+
+  it('passes helper options through', () => {
+    const { Elements, Collections } = create('', { maxCacheSize: 3 });
+
+    assert.equal(Elements.helper.options.maxCacheSize, 3);
+    assert.equal(Collections.helper.options.maxCacheSize, 3);
+  });
+
+  it('applies .update() and observes mutations in the injected DOM', async () => {
+    const { window, Elements } = create('<div id="target"></div>');
+
+    Elements.target.update({ textContent: 'rendered', dataset: { ssr: 'yes' } });
+    assert.equal(window.document.body.innerHTML, '<div id="target" data-ssr="yes">rendered</div>');
+
+    const added = window.document.createElement('span');
+    added.id = 'added';
+    window.document.body.appendChild(added);
+    await settle();
+    assert.equal(Elements.isCached('added'), true);
+  });
+
+  it('mounts components in the injected DOM and unmounts them on destroy()', async () => {
+    const instance = create('<div data-tabs></div>');
+    const calls = [];
+
+    instance.component('data-tabs', {
+      mount: ({ element }) => calls.push(`mount:${element.ownerDocument === instance.window.document}`),
+      unmount: () => calls.push('unmount')
+    });
+
+    instance.window.document.body.insertAdjacentHTML('beforeend', '<div data-tabs></div>');
+    await settle();
+    assert.deepEqual(calls, ['mount:true', 'mount:true']);
+
+    instance.destroy();
+    assert.deepEqual(calls, ['mount:true', 'mount:true', 'unmount', 'unmount']);
+  });
+
+  it('creates nodes, renders templates and finds forms and lists in the injected document', () => {
+    const instance = create(`<template id="row"><li data-bind="name"></li></template>
+      <form id="signup"><input name="email" value="a@b.c"></form>
+      <div id="list" style="height: 40px"></div>`);
+    const doc = instance.window.document;
+
+    const item = instance.create('p', { className: 'note' }, 'Hi');
+    assert.equal(item.ownerDocument, doc);
+    assert.equal(typeof item.update, 'function');
+    assert.equal(instance.fragment(item).ownerDocument, doc);
+    assert.equal(instance.create.fragment('x').ownerDocument, doc);
+
+    const rendered = instance.template('row').render({ name: 'Ada' });
+    assert.equal(rendered.ownerDocument, doc);
+    assert.equal(rendered.firstElementChild.textContent, 'Ada');
+
+    const signup = instance.form('signup');
+    const changes = [];
+    doc.getElementById('signup').addEventListener('change', event => changes.push(event.target.name));
+    signup.fill({ email: 'x@y.z' }, { events: true });
+    assert.deepEqual(changes, ['email']);
+    assert.equal(signup.toFormData().get('email'), 'x@y.z');
+    assert.equal(signup.toFormData() instanceof instance.window.FormData, true);
+
+    const list = instance.virtualList('list', { items: [1, 2], itemHeight: 20, render: n => `#${n}` });
+    assert.equal(list.container, doc.getElementById('list'));
+    list.destroy();
+  });
+
+  it('requires a document or window', () => {
+    assert.throws(() => createDOMHelpers({}), TypeError);
+  });
+});
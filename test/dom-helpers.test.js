@@ -0,0 +1,72 @@
+'use strict';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDOM, render } = require('./helpers/dom');
+
+installDOM();
+const { DOMHelpers } = require('../src/index.js');
+
+describe('DOMHelpers', () => {
+  beforeEach(() => {
+    render('<div id="app" class="card"></div>');
+    DOMHelpers.clearAll();
+  });
+
+  after(() => {
+    DOMHelpers.destroyAll();
+  });
+
+  it('exposes the helpers and standalone functions', () => {
+    assert.equal(DOMHelpers.isReady(), true);
+    assert.equal(DOMHelpers.Elements.app.id, 'app');
+    assert.equal(DOMHelpers.Collections.ClassName.card.length, 1);
+    assert.equal(DOMHelpers.Selector.query('#app.card').id, 'app');
+
+    ['createStore', 'virtualList', 'create', 'fragment', 'template', 'form', 'validator',
+      'batch', 'measure', 'configureHTML', 'sanitizeHTML', 'trapFocus', 'announce', 'rovingTabindex', 'createHistory', 'createDOMHelpers', 'component', 'createComponents'].forEach(name => {
+      assert.equal(typeof DOMHelpers[name], 'function', name);
+    });
+  });
+
+  it('combines the statistics of each helper', () => {
+    void DOMHelpers.Elements.app;
+    void DOMHelpers.Collections.ClassName.card;
+
+    const stats = DOMHelpers.getStats();
+    assert.deepEqual(Object.keys(stats), ['elements', 'collections', 'selector']);
+    assert.equal(stats.elements.cacheSize, 1);
+    assert.equal(stats.collections.cacheSize, 1);
+  });
+
+  it('clears every cache with clearAll()', () => {
+    void DOMHelpers.Elements.app;
+    void DOMHelpers.Collections.ClassName.card;
+    void DOMHelpers.Selector.query('#app');
+
+    DOMHelpers.clearAll();
+    assert.equal(DOMHelpers.Selector.stats().cacheSize, 0);
+    assert.equal(DOMHelpers.Elements.isCached('app'), false);
+    assert.equal(DOMHelpers.Collections.isCached('className', 'card'), false);
+  });
+
+  it('forwards per-helper options from configure()', () => {
+    assert.equal(DOMHelpers.configure({
+      elements: { maxCacheSize: 50 },
+      collections: { maxCacheSize: 60 },
+      selector: { maxCacheSize: 70 }
+    }), DOMHelpers);
+
+    assert.equal(DOMHelpers.Elements.helper.options.maxCacheSize, 50);
+    assert.equal(DOMHelpers.Collections.helper.options.maxCacheSize, 60);
+    assert.equal(DOMHelpers.Selector.helper.options.maxCacheSize, 70);
+  });
+
+  it('applies shared options to every helper', () => {
+    DOMHelpers.configure({ debounceDelay: 5 });
+
+    assert.equal(DOMHelpers.Elements.helper.options.debounceDelay, 5);
+    assert.equal(DOMHelpers.Collections.helper.options.debounceDelay, 5);
+    assert.equal(DOMHelpers.Selector.helper.options.debounceDelay, 5);
+  });
+});
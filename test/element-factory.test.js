@@ -0,0 +1,97 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { installDOM } = require('./helpers/dom');
+
+installDOM();
+const { create, fragment, createElementFactory } = require('../src/element-factory.js');
+const { Elements } = require('../src/elements-helper.js');
+const { Collections } = require('../src/collections.js');
+
+describe('create() and fragment()', () => {
+  before(() => {
+    Elements.destroy();
+  });
+
+  after(() => {
+    Collections.destroy();
+  });
+
+  it('creates an enhanced element from an update object and children', () => {
+    const clicks = [];
+    const button = create('button', {
+      id: 'save',
+      className: 'primary',
+      dataset: { action: 'save' },
+      style: { color: 'red' },
+      setAttribute: ['type', 'submit'],
+      addEventListener: ['click', () => clicks.push('click')]
+    }, 'Save ', create('b', null, 2));
+
+    assert.equal(button.outerHTML,
+      '<button id="save" class="primary" data-action="save" style="color: red;" type="submit">Save <b>2</b></button>');
+    button.click();
+    assert.deepEqual(clicks, ['click']);
+
+    button.update({ textContent: 'Saved' });
+    assert.equal(button.textContent, 'Saved');
+  });
+
+  it('treats a second argument that is not an update object as the first child', () => {
+    const items = ['a', 'b'].map(text => create('li', text));
+    const list = create('ul', items, [create('li', 'c'), [create('li', 'd')]]);
+    assert.equal(list.innerHTML, '<li>a</li><li>b</li><li>c</li><li>d</li>');
+
+    const label = create('span', 'Count: ', 3);
+    assert.equal(label.textContent, 'Count: 3');
+
+    const existing = create('em', 'moved');
+    assert.equal(create('p', existing).firstChild, existing);
+  });
+
+  it('skips null, undefined and boolean children and copies live lists', () => {
+    const show = false;
+    const element = create('div', {}, show && create('span'), null, undefined, true, 'text');
+    assert.equal(element.innerHTML, 'text');
+
+    const source = create('div', null, create('i'), create('i'));
+    const target = create('section', null, source.children);
+    assert.equal(target.children.length, 2);
+    assert.equal(source.children.length, 0);
+  });
+
+  it('builds fragments, also as create.fragment()', () => {
+    const frag = fragment(create('li', 'a'), 'b', [create('li', 'c')]);
+    assert.equal(frag.nodeType, 11);
+    assert.equal(frag.childNodes.length, 3);
+    assert.equal(create.fragment('x').textContent, 'x');
+  });
+
+  it('warns about unsupported children and rejects missing tag names', () => {
+    const original = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+    try {
+      create('div', null, { not: 'a node' });
+    } finally {
+      console.warn = original;
+    }
+
+    assert.deepEqual(warnings, ['[DOM Helpers] create() ignored unsupported child: object']);
+    assert.throws(() => create(''), TypeError);
+    assert.throws(() => create(null), /expects a tag name/);
+  });
+
+  it('creates nodes in another document with createElementFactory()', () => {
+    const other = new JSDOM('').window.document;
+    const factory = createElementFactory(other);
+
+    const element = factory.create('p', { className: 'note' }, 'hi');
+    assert.equal(element.ownerDocument, other);
+    assert.equal(element.firstChild.ownerDocument, other);
+    assert.equal(factory.fragment('x').ownerDocument, other);
+    assert.equal(factory.create.fragment, factory.fragment);
+  });
+});
@@ -0,0 +1,506 @@
+'use strict';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDOM, settle, render } = require('./helpers/dom');
+
+installDOM();
+const { Elements, createElements } = require('../src/elements-helper.js');
+const { createStore } = require('../src/reactive-store.js');
+
+describe('Elements', () => {
+  beforeEach(() => {
+    render('');
+    Elements.clear();
+  });
+
+  after(() => {
+    Elements.destroy();
+  });
+
+  describe('lookup', () => {
+    it('returns the element with the exact id, enhanced with .update()', () => {
+      render('<div id="my-panel"></div><div id="myPanel"></div>');
+
+      const panel = Elements['my-panel'];
+      assert.equal(panel, document.getElementById('my-panel'));
+      assert.equal(typeof panel.update, 'function');
+      assert.equal(Elements.myPanel, document.getElementById('myPanel'));
+    });
+
+    it('returns null for a missing id and counts it as a miss', () => {
+      const before = Elements.stats().misses;
+      assert.equal(Elements.missing, null);
+      assert.equal(Elements.stats().misses, before + 1);
+    });
+
+    it('serves repeated lookups from the cache', () => {
+      render('<p id="note"></p>');
+
+      const first = Elements.note;
+      const hits = Elements.stats().hits;
+      assert.equal(Elements.note, first);
+      assert.equal(Elements.stats().hits, hits + 1);
+      assert.equal(Elements.isCached('note'), true);
+    });
+
+    it('supports the in operator and key enumeration', () => {
+      render('<a id="one"></a><b id="two"></b>');
+
+      assert.equal('one' in Elements, true);
+      assert.equal('three' in Elements, false);
+      assert.deepEqual(Object.keys(Elements), ['one', 'two']);
+    });
+  });
+
+  describe('cache invalidation', () => {
+    it('drops a cached element removed from the document on next access', () => {
+      render('<div id="gone"></div>');
+      const element = Elements.gone;
+
+      element.remove();
+      assert.equal(Elements.gone, null);
+      assert.equal(Elements.isCached('gone'), false);
+    });
+
+    it('returns the replacement when an id moves to a new element', () => {
+      render('<div id="slot">old</div>');
+      assert.equal(Elements.slot.textContent, 'old');
+
+      render('<div id="slot">new</div>');
+      assert.equal(Elements.slot.textContent, 'new');
+    });
+
+    it('evicts removed ids once the observer has run', async () => {
+      render('<section id="wrap"><span id="inner"></span></section>');
+      void Elements.wrap;
+      void Elements.inner;
+
+      document.getElementById('wrap').remove();
+      // Still cached until the debounced observer callback runs
+      assert.equal(Elements.helper.cache.has('inner'), true);
+
+      await settle();
+      assert.equal(Elements.helper.cache.has('wrap'), false);
+      assert.equal(Elements.helper.cache.has('inner'), false);
+    });
+
+    it('pre-caches added elements and their descendants with ids', async () => {
+      const section = document.createElement('section');
+      section.id = 'added';
+      section.innerHTML = '<em id="added-child"></em>';
+      document.body.appendChild(section);
+
+      await settle();
+      assert.equal(Elements.isCached('added'), true);
+      assert.equal(Elements.isCached('added-child'), true);
+    });
+
+    it('follows id attribute changes', async () => {
+      render('<div id="before"></div>');
+      void Elements.before;
+
+      document.getElementById('before').id = 'after';
+      await settle();
+
+      assert.equal(Elements.helper.cache.has('before'), false);
+      assert.equal(Elements.helper.cache.has('after'), true);
+      assert.equal(Elements.after, document.getElementById('after'));
+    });
+
+    it('removes stale entries during cleanup', () => {
+      render('<div id="kept"></div><div id="renamed"></div><div id="detached"></div>');
+      const helper = createElements({ autoCleanup: false }).helper;
+      helper.observer.disconnect();
+
+      const proxy = helper.Elements;
+      void proxy.kept;
+      void proxy.renamed;
+      void proxy.detached;
+
+      document.getElementById('renamed').id = 'other';
+      document.getElementById('detached').remove();
+      helper._performCleanup();
+
+      assert.deepEqual([...helper.cache.keys()], ['kept']);
+      assert.equal(helper.stats.cacheSize, 1);
+      helper.destroy();
+    });
+
+    it('evicts the oldest entry when maxCacheSize is reached', () => {
+      render('<i id="a"></i><i id="b"></i><i id="c"></i>');
+      const scoped = createElements({ maxCacheSize: 2, autoCleanup: false });
+
+      void scoped.a;
+      void scoped.b;
+      void scoped.c;
+
+      assert.deepEqual([...scoped.helper.cache.keys()], ['b', 'c']);
+      scoped.destroy();
+    });
+  });
+
+  describe('cache policy', () => {
+    it('keeps recently used entries when evicting', () => {
+      render('<i id="a"></i><i id="b"></i><i id="c"></i>');
+      const scoped = createElements({ maxCacheSize: 2, autoCleanup: false });
+
+      void scoped.a;
+      void scoped.b;
+      void scoped.a;
+      void scoped.c;
+
+      assert.deepEqual([...scoped.helper.cache.keys()], ['a', 'c']);
+      assert.equal(scoped.stats().evictions, 1);
+      scoped.destroy();
+    });
+
+    it('evicts by insertion order with the fifo policy', () => {
+      render('<i id="a"></i><i id="b"></i><i id="c"></i>');
+      const scoped = createElements({ maxCacheSize: 2, evictionPolicy: 'fifo', autoCleanup: false });
+
+      void scoped.a;
+      void scoped.b;
+      void scoped.a;
+      void scoped.c;
+
+      assert.deepEqual([...scoped.helper.cache.keys()], ['b', 'c']);
+      scoped.destroy();
+    });
+
+    it('asks a custom policy which key to drop', () => {
+      render('<i id="a"></i><i id="b"></i><i id="c"></i>');
+      const seen = [];
+      const scoped = createElements({
+        maxCacheSize: 2,
+        autoCleanup: false,
+        evictionPolicy: entries => {
+          seen.push(...entries.map(entry => `${entry.key}:${entry.hits}`));
+          // Least frequently used
+          return entries.reduce((min, entry) => entry.hits < min.hits ? entry : min).key;
+        }
+      });
+
+      void scoped.a;
+      void scoped.a;
+      void scoped.b;
+      void scoped.c;
+
+      assert.deepEqual(seen, ['a:1', 'b:0']);
+      assert.deepEqual([...scoped.helper.cache.keys()], ['a', 'c']);
+      scoped.destroy();
+    });
+
+    it('re-queries entries older than cacheTTL', () => {
+      render('<i id="a"></i>');
+      const scoped = createElements({ cacheTTL: 1000, autoCleanup: false });
+
+      void scoped.a;
+      assert.equal(scoped.isCached('a'), true);
+      scoped.helper.cacheMeta.get('a').cachedAt -= 1000;
+
+      assert.equal(scoped.isCached('a'), false);
+      assert.equal(scoped.a.id, 'a');
+      assert.equal(scoped.stats().misses, 2);
+      assert.equal(scoped.stats().invalidations.expired, 1);
+      scoped.destroy();
+    });
+
+    it('counts invalidations by cause and times lookups', async () => {
+      render('<i id="a"></i><i id="b"></i><i id="c"></i>');
+      const scoped = createElements({ autoCleanup: false });
+      void scoped.a;
+      void scoped.b;
+      void scoped.c;
+
+      document.getElementById('a').remove();
+      await settle();
+      document.getElementById('b').remove();
+      void scoped.b;
+      scoped.clear();
+
+      const stats = scoped.stats();
+      assert.deepEqual(stats.invalidations, { mutation: 1, cleanup: 0, manual: 1, expired: 0, stale: 1 });
+      assert.equal(stats.lookups, 4);
+      assert.equal(typeof stats.averageLookupTime, 'number');
+      assert.ok(stats.averageLookupTime >= 0);
+      scoped.destroy();
+    });
+  });
+
+  describe('utilities', () => {
+    it('destructures several elements at once', () => {
+      render('<input id="name"><button id="save"></button>');
+
+      const { name, save, absent } = Elements.destructure('name', 'save', 'absent');
+      assert.equal(name.tagName, 'INPUT');
+      assert.equal(save.tagName, 'BUTTON');
+      assert.equal(absent, null);
+    });
+
+    it('throws from getRequired() when an id is missing', () => {
+      render('<div id="present"></div>');
+      assert.throws(() => Elements.getRequired('present', 'absent'), /absent/);
+    });
+
+    it('reads and writes properties and attributes by id', () => {
+      render('<input id="field">');
+
+      assert.equal(Elements.setProperty('field', 'value', 'typed'), true);
+      assert.equal(Elements.getProperty('field', 'value'), 'typed');
+      assert.equal(Elements.setAttribute('field', 'placeholder', 'Name'), true);
+      assert.equal(Elements.getAttribute('field', 'placeholder'), 'Name');
+      assert.equal(Elements.getAttribute('nope', 'placeholder', 'fallback'), 'fallback');
+      assert.equal(Elements.exists('field'), true);
+      assert.equal(Elements.get('nope', 'default'), 'default');
+    });
+
+    it('waitFor() resolves when the elements appear', async () => {
+      const pending = Elements.waitFor('late');
+      setTimeout(() => render('<div id="late"></div>'), 5);
+
+      const { late } = await pending;
+      assert.equal(late.id, 'late');
+    });
+
+    it('waitFor() rejects after the timeout', async () => {
+      await assert.rejects(Elements.waitFor('never', { timeout: 20 }), /never/);
+    });
+
+    it('configure() updates the options and returns the API', () => {
+      const scoped = createElements({ autoCleanup: false });
+
+      assert.equal(scoped.configure({ enableLogging: false, maxCacheSize: 5 }), scoped);
+      assert.equal(scoped.helper.options.maxCacheSize, 5);
+      scoped.destroy();
+    });
+  });
+
+  describe('bind()', () => {
+    it('applies the mapping now and once per frame after store changes', async () => {
+      render('<span id="count"></span>');
+      const store = createStore({ count: 0 });
+      let renders = 0;
+
+      Elements.bind('count', store, state => {
+        renders++;
+        return { textContent: String(state.count), dataset: { even: String(state.count % 2 === 0) } };
+      });
+      assert.equal(document.getElementById('count').textContent, '0');
+
+      store.setState({ count: 1 });
+      store.setState({ count: 2 });
+      await settle();
+
+      assert.equal(renders, 2);
+      assert.equal(document.getElementById('count').textContent, '2');
+      assert.equal(document.getElementById('count').dataset.even, 'true');
+    });
+
+    it('stops updating after unbind() or the returned function', async () => {
+      render('<b id="a"></b><b id="b"></b>');
+      const store = createStore({ text: 'x' });
+
+      const stopA = Elements.bind('a', store, state => ({ textContent: state.text }));
+      Elements.bind('b', store, state => ({ textContent: state.text }));
+      Elements.bind('b', store, state => ({ title: state.text }));
+
+      stopA();
+      assert.equal(Elements.unbind('b'), 2);
+      store.setState({ text: 'y' });
+      await settle();
+
+      assert.equal(document.getElementById('a').textContent, 'x');
+      assert.equal(document.getElementById('b').textContent, 'x');
+      assert.equal(document.getElementById('b').title, 'x');
+    });
+
+    it('validates the store and mapping', () => {
+      render('<b id="a"></b>');
+
+      assert.throws(() => Elements.bind('a', {}, () => ({})), /subscribe\(\) and getState\(\)/);
+      assert.throws(() => Elements.bind('a', createStore({}), null), /mapping function/);
+      assert.equal(typeof Elements.bind('missing', createStore({}), () => ({})), 'function');
+    });
+  });
+
+  describe('removeAllListeners()', () => {
+    it('removes tracked listeners by type and namespace without the handlers', () => {
+      render('<button id="btn"></button>');
+      const calls = [];
+      const btn = Elements.btn;
+
+      btn.update({ addEventListener: ['click.menu', () => calls.push('menu')] });
+      btn.update({ addEventListener: ['click', () => calls.push('plain')] });
+      btn.update({ addEventListener: ['focus.menu', () => calls.push('focus')] });
+
+      assert.equal(Elements.removeAllListeners('btn', '.menu'), 2);
+      btn.click();
+      btn.dispatchEvent(new window.Event('focus'));
+      assert.deepEqual(calls, ['plain']);
+
+      assert.equal(Elements.removeAllListeners('btn'), 1);
+      btn.click();
+      assert.deepEqual(calls, ['plain']);
+      assert.equal(Elements.removeAllListeners('missing'), 0);
+    });
+  });
+
+  describe('observe()', () => {
+    it('reports mounts right away and as markup comes and goes', async () => {
+      render('<div id="modal"></div>');
+      const events = [];
+      const stop = Elements.observe('modal', {
+        onMount: el => events.push(['mount', el.tagName, typeof el.update]),
+        onUnmount: el => events.push(['unmount', el.tagName])
+      });
+      assert.deepEqual(events, [['mount', 'DIV', 'function']]);
+
+      render('');
+      await settle(0);
+      render('<section id="modal"></section>');
+      await settle(0);
+      document.getElementById('modal').id = 'renamed';
+      await settle(0);
+
+      assert.deepEqual(events, [
+        ['mount', 'DIV', 'function'],
+        ['unmount', 'DIV'],
+        ['mount', 'SECTION', 'function'],
+        ['unmount', 'SECTION']
+      ]);
+      stop();
+    });
+
+    it('follows elements inserted inside other markup and reparenting', async () => {
+      const mounts = [];
+      const unmounts = [];
+      const stop = Elements.observe('widget', { onMount: el => mounts.push(el), onUnmount: el => unmounts.push(el) });
+
+      render('<main><aside><div id="widget"></div></aside></main><footer></footer>');
+      await settle(0);
+      const widget = document.getElementById('widget');
+      document.querySelector('footer').appendChild(widget);
+      await settle(0);
+
+      assert.deepEqual(mounts, [widget]);
+      assert.deepEqual(unmounts, []);
+      stop();
+    });
+
+    it('accepts a function as onMount', () => {
+      render('<p id="intro"></p>');
+      let mounted = null;
+      const stop = Elements.observe('intro', el => { mounted = el; });
+
+      assert.equal(mounted, document.getElementById('intro'));
+      stop();
+    });
+
+    it('reports attribute changes while mounted, optionally filtered', async () => {
+      render('<dialog id="dlg" class="a"></dialog>');
+      const all = [];
+      const filtered = [];
+      const stopAll = Elements.observe('dlg', {
+        onAttributeChange: (el, name, oldValue, newValue) => all.push([el.id, name, oldValue, newValue])
+      });
+      const stopFiltered = Elements.observe('dlg', {
+        attributes: ['open'],
+        onAttributeChange: (el, name) => filtered.push(name)
+      });
+
+      const dialog = document.getElementById('dlg');
+      dialog.setAttribute('open', '');
+      dialog.className = 'b';
+      dialog.className = 'c';
+      dialog.dataset.same = '1';
+      dialog.dataset.same = '1';
+      await settle(0);
+
+      assert.deepEqual(all, [
+        ['dlg', 'open', null, ''],
+        ['dlg', 'class', 'a', 'b'],
+        ['dlg', 'class', 'b', 'c'],
+        ['dlg', 'data-same', null, '1']
+      ]);
+      assert.deepEqual(filtered, ['open']);
+
+      stopAll();
+      stopFiltered();
+      dialog.removeAttribute('open');
+      await settle(0);
+      assert.equal(all.length, 4);
+    });
+
+    it('stops without calling onUnmount and isolates handler errors', async () => {
+      render('<b id="x"></b>');
+      const warn = console.warn;
+      const warnings = [];
+      console.warn = message => warnings.push(message);
+      const events = [];
+
+      try {
+        const stopBroken = Elements.observe('x', () => { throw new Error('broken widget'); });
+        const stop = Elements.observe('x', { onMount: () => events.push('mount'), onUnmount: () => events.push('unmount') });
+        stop();
+        stopBroken();
+        render('');
+        await settle(0);
+      } finally {
+        console.warn = warn;
+      }
+
+      assert.deepEqual(events, ['mount']);
+      // Handler errors are only reported with enableLogging
+      assert.deepEqual(warnings, []);
+    });
+
+    it('warns about handler errors with enableLogging', () => {
+      render('<b id="x"></b>');
+      const logging = createElements({ enableLogging: true, autoCleanup: false });
+      const warn = console.warn;
+      const log = console.log;
+      const warnings = [];
+      console.warn = message => warnings.push(message);
+      console.log = () => {};
+
+      try {
+        logging.observe('x', () => { throw new Error('broken widget'); });
+      } finally {
+        console.warn = warn;
+        console.log = log;
+        logging.destroy();
+      }
+
+      assert.deepEqual(warnings, ["[Elements] Error in onMount for 'x': broken widget"]);
+    });
+
+    it('validates its arguments', () => {
+      assert.throws(() => Elements.observe('', () => {}), TypeError);
+      assert.throws(() => Elements.observe('id'), TypeError);
+    });
+  });
+
+  describe('scope()', () => {
+    it('only finds elements inside the root', () => {
+      render('<div id="outside"></div><div id="host"><span id="inside"></span></div>');
+      const scoped = Elements.scope(document.getElementById('host'));
+
+      assert.equal(scoped.inside.id, 'inside');
+      assert.equal(scoped.outside, null);
+      assert.equal(Elements.outside.id, 'outside');
+      scoped.destroy();
+    });
+
+    it('looks elements up inside a shadow root', () => {
+      render('<div id="shadow-host"></div>');
+      const shadow = document.getElementById('shadow-host').attachShadow({ mode: 'open' });
+      shadow.innerHTML = '<b id="shadowed"></b>';
+
+      const scoped = Elements.scope(shadow);
+      assert.equal(scoped.shadowed.tagName, 'B');
+      assert.equal(Elements.shadowed, null);
+      scoped.destroy();
+    });
+  });
+});
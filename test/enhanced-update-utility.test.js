@@ -0,0 +1,482 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDOM, render } = require('./helpers/dom');
+
+installDOM();
+const Utility = require('../src/enhanced-update-utility.js');
+
+function box() {
+  return Utility.enhanceElementWithUpdate(document.getElementById('box'));
+}
+
+function captureConsole(method, fn) {
+  const original = console[method];
+  const calls = [];
+  console[method] = (...args) => calls.push(args);
+  try {
+    fn();
+  } finally {
+    console[method] = original;
+  }
+  return calls;
+}
+
+describe('EnhancedUpdateUtility', () => {
+  beforeEach(() => {
+    render('<div id="box" class="start"></div><ul id="list"></ul>');
+  });
+
+  describe('dispatch order in applyEnhancedUpdate', () => {
+    it('1. merges style objects instead of assigning element.style', () => {
+      const el = box();
+      el.style.margin = '1px';
+
+      el.update({ style: { color: 'red', padding: 2, margin: undefined } });
+      assert.equal(el.style.color, 'red');
+      assert.equal(el.style.margin, '1px');
+    });
+
+    it('2. runs classList operations with strings or arrays', () => {
+      const el = box();
+
+      el.update({ classList: { add: ['a', 'b'], remove: 'start', toggle: 'c', replace: ['a', 'z'] } });
+      assert.deepEqual([...el.classList], ['z', 'b', 'c']);
+    });
+
+    it('3. and 4. set and remove attributes, including several at once', () => {
+      const el = box();
+
+      el.update({ setAttribute: ['role', 'status'] });
+      el.update({ setAttribute: ['aria-live', 'polite'] });
+      assert.equal(el.getAttribute('role'), 'status');
+
+      el.update({ removeAttribute: ['role', 'aria-live'] });
+      assert.equal(el.hasAttribute('role'), false);
+      assert.equal(el.hasAttribute('aria-live'), false);
+    });
+
+    it('5. logs getAttribute instead of treating it as a method call', () => {
+      const el = box();
+      el.setAttribute('title', 'hello');
+
+      const logs = captureConsole('log', () => el.update({ getAttribute: 'title' }));
+      assert.equal(logs.length, 1);
+      assert.equal(logs[0][1], 'hello');
+    });
+
+    it('6. and 7. track listeners so they can be removed by type or namespace', () => {
+      const el = box();
+      const calls = [];
+
+      el.update({ addEventListener: ['click.menu', () => calls.push('menu')] });
+      el.update({ addEventListener: ['click', () => calls.push('plain')] });
+      assert.equal(Utility.getTrackedListeners(el).length, 2);
+
+      el.click();
+      el.update({ removeEventListener: '.menu' });
+      el.click();
+      el.update({ removeEventListener: 'click' });
+      el.click();
+
+      assert.deepEqual(calls, ['menu', 'plain', 'plain']);
+      assert.equal(Utility.getTrackedListeners(el).length, 0);
+    });
+
+    it('tracks a repeated listener once and forgets once listeners when they fire', () => {
+      const el = box();
+      const calls = [];
+      const handler = () => calls.push('click');
+
+      el.update({ addEventListener: ['click.menu', handler] });
+      el.update({ addEventListener: ['click.other', handler] });
+      el.update({ addEventListener: ['click', handler, { capture: true }] });
+      assert.equal(Utility.getTrackedListeners(el).length, 2);
+
+      el.update({ addEventListener: ['focus', () => calls.push('focus'), { once: true }] });
+      assert.equal(Utility.getTrackedListeners(el).length, 3);
+      el.dispatchEvent(new window.Event('focus'));
+      el.dispatchEvent(new window.Event('focus'));
+      assert.equal(Utility.getTrackedListeners(el).length, 2);
+
+      el.click();
+      assert.deepEqual(calls, ['focus', 'click', 'click']);
+      el.update({ removeEventListener: 'click' });
+      assert.equal(Utility.getTrackedListeners(el).length, 0);
+    });
+
+    it('8. merges dataset entries', () => {
+      const el = box();
+      el.dataset.kept = 'yes';
+
+      el.update({ dataset: { userId: 7 } });
+      assert.equal(el.getAttribute('data-user-id'), '7');
+      assert.equal(el.dataset.kept, 'yes');
+    });
+
+    it('9. calls other DOM methods with spread or single arguments', () => {
+      const el = box();
+
+      el.update({ append: 'text', insertAdjacentHTML: ['afterbegin', '<b>bold</b>'] });
+      assert.equal(el.innerHTML, '<b>bold</b>text');
+    });
+
+    it('10. assigns DOM properties', () => {
+      const el = box();
+
+      el.update({ hidden: true, textContent: 'hi', tabIndex: 2 });
+      assert.equal(el.hidden, true);
+      assert.equal(el.textContent, 'hi');
+      assert.equal(el.tabIndex, 2);
+    });
+
+    it('11. falls back to setAttribute for unknown keys with primitive values', () => {
+      const el = box();
+
+      el.update({ 'data-count': 3, 'aria-busy': true, 'x-name': 'n' });
+      assert.equal(el.getAttribute('data-count'), '3');
+      assert.equal(el.getAttribute('aria-busy'), 'true');
+      assert.equal(el.getAttribute('x-name'), 'n');
+    });
+
+    it('warns about values no step can handle', () => {
+      const el = box();
+
+      const warnings = captureConsole('warn', () => el.update({ notAThing: { nested: true } }));
+      assert.equal(warnings.length, 1);
+      assert.match(warnings[0][0], /Unknown property or method: notAThing/);
+    });
+
+    it('checks special keys before method calls', () => {
+      const el = box();
+
+      // setAttribute is also a DOM method; the dedicated step handles it
+      el.update({ setAttribute: ['title', 'special'], classList: { add: 'via-step-2' } });
+      assert.equal(el.title, 'special');
+      assert.equal(el.classList.contains('via-step-2'), true);
+    });
+  });
+
+  describe('diff mode', () => {
+    it('reports applied and skipped keys and skips unchanged writes', () => {
+      const el = box();
+
+      const first = el.update({ textContent: 'a', style: { color: 'red' } }, { diff: true });
+      assert.deepEqual(first.applied, ['textContent', 'style.color']);
+      assert.equal(first.changed, true);
+
+      const second = el.update({ textContent: 'a', style: { color: 'blue' } }, { diff: true });
+      assert.deepEqual(second.applied, ['style.color']);
+      assert.deepEqual(second.skipped, ['textContent']);
+    });
+
+    it('forgets remembered values after a plain update to the same key', () => {
+      const el = box();
+
+      el.update({ textContent: 'a' }, { diff: true });
+      el.update({ textContent: 'b' });
+      const record = el.update({ textContent: 'a' }, { diff: true });
+
+      assert.deepEqual(record.applied, ['textContent']);
+      assert.equal(el.textContent, 'a');
+    });
+  });
+
+  describe('collections', () => {
+    it('updates every element and returns the collection', () => {
+      render('<i class="n"></i><i class="n"></i>');
+      const items = Utility.enhanceCollectionWithUpdate(document.getElementsByClassName('n'));
+
+      assert.equal(items.update({ classList: { add: 'done' } }), items);
+      assert.equal(document.querySelectorAll('.done').length, 2);
+    });
+
+    it('treats array-likes and enhanced wrappers as collections', () => {
+      assert.equal(Boolean(Utility.isCollection(document.querySelectorAll('div'))), true);
+      assert.equal(Boolean(Utility.isCollection({ _originalNodeList: [] })), true);
+      assert.equal(Boolean(Utility.isCollection(document.getElementById('box'))), false);
+    });
+  });
+
+  describe('sync()', () => {
+    it('reuses keyed children and removes stale ones', () => {
+      const list = Utility.enhanceElementWithUpdate(document.getElementById('list'));
+      const renderItem = (li, item) => li.update({ textContent: item.label });
+
+      list.sync([{ id: 1, label: 'one' }, { id: 2, label: 'two' }], 'id', renderItem);
+      const first = list.children[0];
+
+      list.sync([{ id: 2, label: 'TWO' }, { id: 1, label: 'one' }], 'id', renderItem);
+      assert.deepEqual([...list.children].map(li => li.textContent), ['TWO', 'one']);
+      assert.equal(list.children[1], first);
+      assert.equal(list.children[0].tagName, 'LI');
+
+      list.sync([], 'id', renderItem);
+      assert.equal(list.children.length, 0);
+    });
+  });
+
+  describe('batch() and measure()', () => {
+    it('defers writes until the flush and runs reads before them', async () => {
+      const el = box();
+      const order = [];
+
+      const done = Utility.batch(() => {
+        el.update({ textContent: 'written' });
+        Utility.measure(() => order.push(`read:${el.textContent}`));
+        order.push(`inside:${el.textContent}`);
+        return 'result';
+      });
+
+      assert.equal(el.textContent, '');
+      assert.equal(Utility.isBatching(), true);
+      assert.equal(await done, 'result');
+      assert.deepEqual(order, ['inside:', 'read:']);
+      assert.equal(el.textContent, 'written');
+      assert.equal(Utility.isBatching(), false);
+    });
+
+    it('rethrows and discards the writes of a batch that throws', () => {
+      const el = box();
+
+      assert.throws(() => Utility.batch(() => {
+        el.update({ textContent: 'never' });
+        throw new Error('boom');
+      }), /boom/);
+      Utility.flushBatch();
+
+      assert.equal(el.textContent, '');
+    });
+  });
+
+  describe('animation keys', () => {
+    it('exposes a finished promise and hides the element after fadeOut', async () => {
+      const el = box();
+
+      const result = el.update({ fadeOut: 10 });
+      assert.equal(result, el);
+      assert.equal(typeof el.then, 'undefined');
+      // Resolving with the element must not wait on it
+      assert.equal(await Promise.resolve(el), el);
+      assert.equal(await result.finished, el);
+
+      assert.equal(el.style.display, 'none');
+      assert.equal('finished' in el, false);
+    });
+
+    it('shows hidden elements for fadeIn', async () => {
+      const el = box();
+      el.hidden = true;
+
+      await el.update({ fadeIn: 10 }).finished;
+      assert.equal(el.hidden, false);
+    });
+  });
+
+  describe('safe HTML', () => {
+    afterEach(() => {
+      Utility.configureHTML({ mode: 'raw', sanitizer: null, trustedTypesPolicy: 'dom-helpers' });
+      delete window.trustedTypes;
+    });
+
+    it('sanitizes safeHTML against the allowlist', () => {
+      const el = box();
+
+      el.update({
+        safeHTML: '<p onclick="x()" class="a" style="color:red">Hi <script>alert(1)</script>' +
+          '<a href="javascript:alert(1)">bad</a> <a href="/ok" target="_blank">ok</a>' +
+          '<custom-tag><b>kept</b></custom-tag><img src="x.png" onerror="x()"><!-- note --></p>'
+      });
+
+      assert.equal(el.innerHTML,
+        '<p class="a">Hi <a>bad</a> <a href="/ok" target="_blank" rel="noopener noreferrer">ok</a>' +
+        '<b>kept</b><img src="x.png"></p>');
+    });
+
+    it('routes innerHTML, outerHTML and insertAdjacentHTML through the sanitizer in sanitize mode', () => {
+      const el = box();
+      Utility.configureHTML({ mode: 'sanitize' });
+
+      el.update({ innerHTML: '<i>a</i><script>x()</script>' });
+      el.update({ insertAdjacentHTML: ['beforeend', '<u onmouseover="x()">b</u>'] });
+      assert.equal(el.innerHTML, '<i>a</i><u>b</u>');
+
+      el.update({ outerHTML: '<section id="box"><iframe src="//evil"></iframe>c</section>' });
+      assert.equal(document.body.innerHTML, 'c<ul id="list"></ul>');
+    });
+
+    it('refuses raw HTML sinks in strict mode but still accepts safeHTML', () => {
+      const el = box();
+      Utility.configureHTML({ mode: 'strict' });
+
+      const warnings = captureConsole('warn', () => {
+        el.update({ innerHTML: '<b>raw</b>', insertAdjacentHTML: ['afterbegin', '<b>raw</b>'] });
+      });
+      assert.equal(el.innerHTML, '');
+      assert.equal(warnings.length, 2);
+      assert.match(warnings[0][0], /Refused raw HTML in innerHTML \(strict mode\)/);
+
+      el.update({ safeHTML: '<b>safe</b>', title: 'plain writes still work' });
+      assert.equal(el.innerHTML, '<b>safe</b>');
+    });
+
+    it('writes through a named Trusted Types policy and accepts TrustedHTML in strict mode', () => {
+      class TrustedHTML {
+        constructor(html) { this.html = html; }
+        toString() { return this.html; }
+      }
+      const created = [];
+      window.trustedTypes = {
+        createPolicy(name, rules) {
+          created.push(name);
+          return { name, createHTML: (input, ...args) => new TrustedHTML(rules.createHTML(input, ...args)) };
+        },
+        isHTML: value => value instanceof TrustedHTML
+      };
+      Utility.configureHTML({ mode: 'strict', trustedTypesPolicy: 'app-html' });
+
+      const el = box();
+      el.update({ safeHTML: '<em onclick="x()">one</em>' });
+      el.update({ innerHTML: new TrustedHTML(`${el.innerHTML}<b>two</b>`) });
+
+      assert.deepEqual(created, ['app-html']);
+      assert.equal(el.innerHTML, '<em>one</em><b>two</b>');
+    });
+
+    it('uses a custom sanitizer and validates the options', () => {
+      const el = box();
+      const settings = Utility.configureHTML({ sanitizer: html => html.toUpperCase() });
+
+      el.update({ safeHTML: '<b>x</b>' });
+      assert.equal(el.innerHTML, '<b>X</b>');
+      assert.equal(settings.mode, 'raw');
+      assert.ok(settings.allowedTags.includes('p'));
+
+      assert.throws(() => Utility.configureHTML({ mode: 'loose' }), TypeError);
+      assert.equal(Utility.sanitizeHTML('<p data-x="1" aria-label="a">y</p>', { allowedTags: ['p'] }),
+        '<p aria-label="a">y</p>');
+    });
+  });
+
+  describe('accessibility keys', () => {
+    it('serializes aria values and removes null entries', () => {
+      const el = box();
+      const menu = document.getElementById('list');
+
+      el.update({
+        role: 'button',
+        aria: { expanded: true, hidden: false, controls: menu, 'aria-describedBy': ['list', 'box'], level: 2 }
+      });
+      assert.equal(el.getAttribute('role'), 'button');
+      assert.equal(el.getAttribute('aria-expanded'), 'true');
+      assert.equal(el.getAttribute('aria-hidden'), 'false');
+      assert.equal(el.getAttribute('aria-controls'), 'list');
+      assert.equal(el.getAttribute('aria-describedby'), 'list box');
+      assert.equal(el.getAttribute('aria-level'), '2');
+
+      el.update({ role: null, aria: { expanded: null, controls: undefined } });
+      assert.equal(el.hasAttribute('role'), false);
+      assert.equal(el.hasAttribute('aria-expanded'), false);
+      assert.equal(el.hasAttribute('aria-controls'), false);
+    });
+
+    it('warns about references to elements without an id', () => {
+      const el = box();
+
+      const warnings = captureConsole('warn', () => {
+        el.update({ aria: { labelledby: document.createElement('span') } });
+      });
+      assert.equal(el.hasAttribute('aria-labelledby'), false);
+      assert.match(warnings[0][0], /without an id/);
+    });
+
+    it('focuses after the other keys and blurs with false', () => {
+      render('<button id="box" hidden></button>');
+      const el = box();
+
+      el.update({ focus: { preventScroll: true }, hidden: false });
+      assert.equal(document.activeElement, el);
+
+      el.update({ focus: false });
+      assert.notEqual(document.activeElement, el);
+    });
+
+    it('passes focus options from the method-call form', () => {
+      render('<button id="box"></button>');
+      const el = box();
+      const calls = [];
+      const focus = el.focus;
+      el.focus = function(...args) {
+        calls.push(args);
+        return focus.apply(this, args);
+      };
+
+      el.update({ focus: [{ preventScroll: true }] });
+      el.update({ focus: [] });
+      el.update({ focus: { preventScroll: false } });
+      el.update({ focus: true });
+
+      assert.deepEqual(calls, [[{ preventScroll: true }], [], [{ preventScroll: false }], [undefined]]);
+      assert.equal(document.activeElement, el);
+    });
+
+    it('diffs aria entries one by one', () => {
+      const el = box();
+
+      el.update({ aria: { expanded: false, label: 'Menu' } }, { diff: true });
+      const record = el.update({ aria: { expanded: true, label: 'Menu' } }, { diff: true });
+
+      assert.deepEqual(record.applied, ['aria.expanded']);
+      assert.deepEqual(record.skipped, ['aria.label']);
+      assert.equal(el.getAttribute('aria-expanded'), 'true');
+    });
+  });
+
+  describe('update recorders', () => {
+    it('reports before and after values and can restore them', () => {
+      const el = box();
+      const changes = [];
+      const unregister = Utility.registerUpdateRecorder(batch => changes.push(...batch));
+
+      el.update({ title: 'new', style: { color: 'red' }, dataset: { step: 1 } });
+      unregister();
+      el.update({ title: 'ignored' });
+
+      assert.deepEqual(changes.map(({ type, name, before, after }) => [type, name, before, after]), [
+        ['property', 'title', '', 'new'],
+        ['style', 'color', '', 'red'],
+        ['dataset', 'step', undefined, '1']
+      ]);
+
+      Utility.restoreRecordedValue(el, changes[1], changes[1].before);
+      assert.equal(el.style.color, '');
+    });
+  });
+
+  describe('attribute records', () => {
+    it('pairs each record with the value it set and drops no-op changes', () => {
+      const el = box();
+      const list = document.getElementById('list');
+      const observer = new MutationObserver(() => {});
+      observer.observe(document.body, { attributes: true, attributeOldValue: true, subtree: true });
+
+      el.setAttribute('title', 'a');
+      list.setAttribute('title', 'x');
+      el.setAttribute('title', 'b');
+      el.className = 'start';
+      el.removeAttribute('title');
+      const records = observer.takeRecords();
+      observer.disconnect();
+
+      assert.deepEqual(Utility.foldAttributeRecords(records).map(change =>
+        [change.target.id, change.attributeName, change.oldValue, change.newValue]), [
+        ['box', 'title', null, 'a'],
+        ['list', 'title', null, 'x'],
+        ['box', 'title', 'a', 'b'],
+        ['box', 'title', 'b', null]
+      ]);
+      assert.deepEqual(Utility.foldAttributeRecords([]), []);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDOM, render } = require('./helpers/dom');
+
+installDOM();
+const { form, parseFieldName } = require('../src/form-helper.js');
+const { Elements } = require('../src/elements-helper.js');
+const { Collections } = require('../src/collections.js');
+
+const PROFILE = `<form id="profile">
+  <input name="user[name]" value="Ada">
+  <input name="user[address][city]" value="London">
+  <input name="tags[]" value="a"><input name="tags[]" value="b">
+  <input type="checkbox" name="roles[]" value="admin" checked>
+  <input type="checkbox" name="roles[]" value="editor">
+  <input type="checkbox" name="newsletter">
+  <input type="radio" name="plan" value="free"><input type="radio" name="plan" value="pro" checked>
+  <select name="langs" multiple><option value="en" selected>en</option><option value="fr">fr</option></select>
+  <input type="number" name="age" value="36">
+  <input name="secret" value="x" disabled>
+  <fieldset disabled><input name="locked" value="y"></fieldset>
+  <button name="action" value="save">Save</button>
+</form>`;
+
+describe('form()', () => {
+  before(() => {
+    Elements.destroy();
+  });
+
+  beforeEach(() => {
+    render('');
+    Collections.clear();
+  });
+
+  after(() => {
+    Collections.destroy();
+  });
+
+  it('parses bracketed field names into path segments', () => {
+    assert.deepEqual(parseFieldName('email'), ['email']);
+    assert.deepEqual(parseFieldName('user[address][city]'), ['user', 'address', 'city']);
+    assert.deepEqual(parseFieldName('user[tags][]'), ['user', 'tags', '']);
+    assert.deepEqual(parseFieldName('items[0][name]'), ['items', '0', 'name']);
+    // Malformed names are kept whole
+    assert.deepEqual(parseFieldName('a]b['), ['a]b[']);
+  });
+
+  it('reads nested values, skipping disabled controls and buttons', () => {
+    render(PROFILE);
+
+    assert.deepEqual(form('profile').values(), {
+      user: { name: 'Ada', address: { city: 'London' } },
+      tags: ['a', 'b'],
+      roles: ['admin'],
+      newsletter: false,
+      plan: 'pro',
+      langs: ['en'],
+      age: 36
+    });
+  });
+
+  it('reads a hidden default and a checkbox sharing a name like a submission', () => {
+    render(`<form id="terms">
+      <input type="hidden" name="agree" value="0"><input type="checkbox" name="agree" value="1">
+      <input type="hidden" name="plan" value="none"><input type="radio" name="plan" value="pro">
+      <input type="hidden" name="opts[]" value="-"><input type="checkbox" name="opts[]" value="a">
+    </form>`);
+    const terms = form('terms');
+
+    assert.deepEqual(terms.values(), { agree: '0', plan: 'none', opts: ['-'] });
+    assert.deepEqual(terms.entries(), [['agree', '0'], ['plan', 'none'], ['opts[]', '-']]);
+
+    terms.element.elements.agree[1].checked = true;
+    terms.element.elements['opts[]'][1].checked = true;
+    assert.deepEqual(terms.values(), { agree: ['0', '1'], plan: 'none', opts: ['-', 'a'] });
+  });
+
+  it('returns one controller per element and throws for missing forms', () => {
+    render(PROFILE);
+    const element = document.getElementById('profile');
+
+    assert.equal(form('profile'), form(element));
+    assert.throws(() => form('missing'), /could not find form "missing"/);
+  });
+
+  it('fills controls from the same shape and leaves missing names alone', () => {
+    render(PROFILE);
+    const profile = form('profile');
+    const changes = [];
+    document.getElementById('profile').addEventListener('change', event => changes.push(event.target.name));
+
+    profile.fill({
+      user: { address: { city: 'Paris' } },
+      tags: ['x'],
+      roles: ['editor'],
+      newsletter: true,
+      plan: 'free',
+      langs: ['fr', 'en']
+    }, { events: true });
+
+    const values = profile.values();
+    assert.equal(values.user.name, 'Ada');
+    assert.equal(values.user.address.city, 'Paris');
+    // Repeated fields take one entry each; missing entries clear
+    assert.deepEqual(values.tags, ['x', '']);
+    assert.deepEqual(values.roles, ['editor']);
+    assert.equal(values.newsletter, true);
+    assert.equal(values.plan, 'free');
+    assert.deepEqual(values.langs, ['en', 'fr']);
+    // Checking "free" unchecks "pro" before it is visited, so plan changes once
+    assert.deepEqual(changes, [
+      'user[address][city]', 'tags[]', 'tags[]', 'roles[]', 'roles[]', 'newsletter', 'plan', 'langs'
+    ]);
+
+    assert.throws(() => profile.fill(null), TypeError);
+  });
+
+  it('serializes in submission order to FormData and URLSearchParams', () => {
+    render(PROFILE);
+    const profile = form('profile');
+
+    const expected = [
+      ['user[name]', 'Ada'], ['user[address][city]', 'London'], ['tags[]', 'a'], ['tags[]', 'b'],
+      ['roles[]', 'admin'], ['plan', 'pro'], ['langs', 'en'], ['age', '36']
+    ];
+    assert.deepEqual(profile.entries(), expected);
+    assert.deepEqual([...profile.toFormData()], expected);
+    assert.equal(profile.toFormData() instanceof window.FormData, true);
+    assert.equal(profile.toURLSearchParams().toString(),
+      'user%5Bname%5D=Ada&user%5Baddress%5D%5Bcity%5D=London&tags%5B%5D=a&tags%5B%5D=b&roles%5B%5D=admin&plan=pro&langs=en&age=36');
+  });
+
+  it('reads fields by name and works on containers that are not forms', () => {
+    render(`<div id="filters">
+      <input type="checkbox" name="only" value="yes" checked>
+      <input name="q" value="term">
+    </div><input name="q" value="outside">`);
+    const filters = form('filters');
+
+    assert.deepEqual(filters.values(), { only: 'yes', q: 'term' });
+    const field = filters.getField('q');
+    assert.equal(field.value, 'term');
+    assert.equal(field.controls.length, 1);
+    assert.equal(filters.getField('missing').value, undefined);
+  });
+});
@@ -0,0 +1,203 @@
+'use strict';
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { installDOM, settle, render } = require('./helpers/dom');
+
+installDOM();
+const { validator, messages } = require('../src/form-validation.js');
+const { Collections } = require('../src/collections.js');
+const { Elements } = require('../src/elements-helper.js');
+
+function change(control) {
+  control.dispatchEvent(new window.Event('change', { bubbles: true }));
+}
+
+function submit(formElement) {
+  const event = new window.Event('submit', { bubbles: true, cancelable: true });
+  formElement.dispatchEvent(event);
+  return event;
+}
+
+describe('validator()', () => {
+  before(() => {
+    Elements.destroy();
+  });
+
+  beforeEach(() => {
+    render('');
+    Collections.clear();
+  });
+
+  after(() => {
+    Collections.destroy();
+  });
+
+  it('runs the rules in order and renders the first failure', async () => {
+    render(`<form id="f">
+      <input name="age" value="">
+      <input name="code" value="abc">
+      <input name="email" type="email" value="nope">
+      <span data-error-for="age" hidden></span>
+    </form>`);
+    const form = document.getElementById('f');
+
+    const check = validator(form, {
+      age: { required: true, min: 18, messages: { min: min => `Must be ${min}+` } },
+      code: { minLength: 2, pattern: '[0-9]+' },
+      email: { required: true }
+    });
+
+    let result = await check.validate();
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors, { age: messages.required, code: 'Invalid format', email: result.errors.email });
+    assert.equal(result.fields.email.rule, 'native');
+    assert.equal(result.firstInvalid, form.elements.age);
+
+    const age = form.elements.age;
+    const error = form.querySelector('[data-error-for="age"]');
+    assert.equal(age.classList.contains('is-invalid'), true);
+    assert.equal(age.getAttribute('aria-invalid'), 'true');
+    assert.equal(age.validationMessage, messages.required);
+    assert.equal(error.textContent, messages.required);
+    assert.equal(error.hidden, false);
+
+    age.value = '12';
+    result = await check.validate();
+    assert.equal(result.errors.age, 'Must be 18+');
+
+    age.value = '20';
+    await check.validateField('age');
+    assert.equal(age.classList.contains('is-invalid'), false);
+    assert.equal(age.hasAttribute('aria-invalid'), false);
+    assert.equal(error.hidden, true);
+    check.destroy();
+  });
+
+  it('re-validates dependent fields when a field they depend on changes', async () => {
+    render(`<form id="f">
+      <input name="password" value="secret">
+      <input name="confirm" value="secret">
+    </form>`);
+    const form = document.getElementById('f');
+    const validated = [];
+
+    const check = validator(form, {
+      password: { required: true },
+      confirm: {
+        dependsOn: 'password',
+        validate: (value, { values }) => value === values.password || 'Passwords do not match'
+      }
+    }, { onFieldValidated: (name, result) => validated.push(`${name}:${result.valid}`) });
+
+    form.elements.password.value = 'changed';
+    change(form.elements.password);
+    await settle(5);
+
+    assert.deepEqual(validated, ['password:true', 'confirm:false']);
+    assert.equal(check.state.confirm.message, 'Passwords do not match');
+    check.destroy();
+  });
+
+  it('awaits async validators in order and keeps only the latest run', async () => {
+    render('<form id="f"><input name="user" value="taken"></form>');
+    const form = document.getElementById('f');
+    const calls = [];
+
+    const check = validator(form, {
+      user: {
+        validate: [
+          async value => { calls.push(`remote:${value}`); await settle(5); return value !== 'taken'; },
+          value => { calls.push(`local:${value}`); return value.length > 3 || 'Too short'; }
+        ],
+        messages: { validate: 'Name is taken' }
+      }
+    });
+
+    const first = check.validateField('user');
+    form.elements.user.value = 'ab';
+    const second = check.validateField('user');
+
+    const [stale, latest] = await Promise.all([first, second]);
+    assert.equal(latest.message, 'Too short');
+    // The superseded run resolves with its own result but is not rendered
+    assert.equal(stale.message, 'Name is taken');
+    assert.equal(check.state.user.message, 'Too short');
+    assert.deepEqual(calls, ['remote:taken', 'remote:ab', 'local:ab']);
+    assert.equal(form.elements.user.validationMessage, 'Too short');
+    check.destroy();
+  });
+
+  it('calls the submit handler only for valid forms and focuses the first invalid control', async () => {
+    render(`<form id="f">
+      <input name="b" value="">
+      <input name="a" value="">
+    </form>`);
+    const form = document.getElementById('f');
+    const calls = [];
+
+    const check = validator(form, { a: { required: true }, b: { required: true } });
+    const off = check.onSubmit(({ values }) => calls.push(values), result => calls.push(Object.keys(result.errors)));
+
+    assert.equal(submit(form).defaultPrevented, true);
+    await settle(5);
+    assert.deepEqual(calls, [['a', 'b']]);
+    assert.equal(document.activeElement, form.elements.b);
+
+    form.elements.a.value = '1';
+    form.elements.b.value = '2';
+    submit(form);
+    await settle(5);
+    assert.deepEqual(calls[1], { a: '1', b: '2' });
+
+    off();
+    assert.equal(submit(form).defaultPrevented, false);
+    check.destroy();
+  });
+
+  it('works on forms in another document without the global DOM', async () => {
+    const other = new JSDOM(`<form id="f">
+      <input name="items[1]" value="">
+      <input name="items[0]" value="">
+      <span data-error-for="items[0]"></span>
+    </form>`).window;
+    const form = other.document.getElementById('f');
+    const check = validator(form, { 'items[0]': { required: true }, 'items[1]': { required: true } });
+
+    const globalNode = global.Node;
+    delete global.Node;
+    let result;
+    try {
+      result = await check.validate();
+    } finally {
+      global.Node = globalNode;
+    }
+
+    assert.equal(result.firstInvalid, form.elements['items[1]']);
+    assert.equal(form.querySelector('span').textContent, messages.required);
+    check.destroy();
+  });
+
+  it('only warns about failing validators with enableLogging', async () => {
+    render('<form id="f"><input name="x" value="1"></form>');
+    const form = document.getElementById('f');
+    const rules = { x: { validate: () => { throw new Error('broken rule'); } } };
+    const original = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+
+    const quiet = validator(form, rules);
+    const loud = validator(form, rules, { enableLogging: true });
+    try {
+      change(form.elements.x);
+      await settle(5);
+    } finally {
+      console.warn = original;
+      quiet.destroy();
+      loud.destroy();
+    }
+
+    assert.deepEqual(warnings, ['[DOM Helpers] broken rule']);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * jsdom environment for the test suite
+ *
+ * installDOM() must run before any helper is required: the helpers create
+ * their default instances at load time against the global document, exactly
+ * as they do in a browser. Every test file runs in its own process, so each
+ * file gets a fresh window.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const WINDOW_GLOBALS = [
+  'window',
+  'document',
+  'Node',
+  'Element',
+  'HTMLElement',
+  'HTMLCollection',
+  'NodeList',
+  'DocumentFragment',
+  'ShadowRoot',
+  'MutationObserver',
+  'Event',
+  'CustomEvent',
+  'requestAnimationFrame',
+  'cancelAnimationFrame',
+  'getComputedStyle'
+];
+
+/**
+ * Create a jsdom window and expose it as the global DOM
+ * @param {string} [html] - Initial body markup
+ * @returns {Window}
+ */
+function installDOM(html = '') {
+  const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${html}</body></html>`, {
+    pretendToBeVisual: true
+  });
+
+  WINDOW_GLOBALS.forEach(name => {
+    global[name] = dom.window[name];
+  });
+
+  return dom.window;
+}
+
+/**
+ * Wait long enough for the MutationObserver callback and the helpers'
+ * debounced cache maintenance (16ms by default) to run
+ * @param {number} [ms=40]
+ * @returns {Promise<void>}
+ */
+function settle(ms = 40) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Replace the body markup
+ * @param {string} html
+ */
+function render(html) {
+  document.body.innerHTML = html;
+}
+
+/**
+ * Evaluate a src/ module the way its standalone dist build runs in a
+ * browser: without require or module, so it registers its browser globals
+ * on window and sees no other helper that was not loaded the same way
+ * @param {string} file - File name in src/
+ * @returns {Window} The window the globals were added to
+ */
+function loadStandalone(file) {
+  const source = fs.readFileSync(path.join(__dirname, '..', '..', 'src', file), 'utf8');
+  new Function(source)();
+  return window;
+}
+
+module.exports = { installDOM, settle, render, loadStandalone };
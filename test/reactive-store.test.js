@@ -0,0 +1,54 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createStore } = require('../src/reactive-store.js');
+
+describe('createStore()', () => {
+  it('merges object state and notifies subscribers with the previous state', () => {
+    const store = createStore({ count: 0, label: 'a' });
+    const calls = [];
+    store.subscribe((state, previous) => calls.push([state.count, previous.count]));
+
+    assert.deepEqual(store.setState({ count: 1 }), { count: 1, label: 'a' });
+    store.setState(state => ({ count: state.count + 1 }));
+
+    assert.deepEqual(calls, [[1, 0], [2, 1]]);
+    assert.deepEqual(store.getState(), { count: 2, label: 'a' });
+  });
+
+  it('replaces non-object state and ignores updaters returning undefined', () => {
+    const store = createStore([1]);
+    let notified = 0;
+    store.subscribe(() => notified++);
+
+    store.setState([1, 2]);
+    assert.deepEqual(store.getState(), [1, 2]);
+
+    store.setState(() => undefined);
+    assert.equal(notified, 1);
+  });
+
+  it('unsubscribes and isolates subscriber errors', () => {
+    const store = createStore({ n: 0 });
+    const seen = [];
+    const original = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+
+    try {
+      store.subscribe(() => { throw new Error('boom'); });
+      const unsubscribe = store.subscribe(state => seen.push(state.n));
+      store.setState({ n: 1 });
+      unsubscribe();
+      store.setState({ n: 2 });
+    } finally {
+      console.warn = original;
+    }
+
+    assert.deepEqual(seen, [1]);
+    assert.deepEqual(warnings, ['[DOM Helpers] Error in store subscriber: boom', '[DOM Helpers] Error in store subscriber: boom']);
+    assert.throws(() => store.subscribe('nope'), TypeError);
+  });
+});
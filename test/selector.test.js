@@ -0,0 +1,481 @@
+'use strict';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDOM, settle, render, loadStandalone } = require('./helpers/dom');
+
+installDOM();
+const { Selector, createSelector } = require('../src/querySelector-helper.js');
+
+describe('Selector', () => {
+  beforeEach(() => {
+    render('');
+    Selector.clear();
+    Selector.enableEnhancedSyntax();
+  });
+
+  after(() => {
+    Selector.destroy();
+  });
+
+  describe('query() and queryAll()', () => {
+    it('returns enhanced elements and collections', () => {
+      render('<ul><li class="a">1</li><li class="a">2</li></ul>');
+
+      const first = Selector.query('li.a');
+      assert.equal(first.textContent, '1');
+      assert.equal(typeof first.update, 'function');
+
+      const all = Selector.queryAll('li.a');
+      assert.equal(all.length, 2);
+      assert.deepEqual(all.map(li => li.textContent), ['1', '2']);
+      assert.equal(typeof all.update, 'function');
+    });
+
+    it('returns null and an empty collection when nothing matches', () => {
+      assert.equal(Selector.query('.none'), null);
+      assert.equal(Selector.queryAll('.none').length, 0);
+    });
+
+    it('serves repeated queries from the cache', () => {
+      render('<p id="cached"></p>');
+
+      void Selector.query('#cached');
+      const hits = Selector.stats().hits;
+      void Selector.query('#cached');
+
+      assert.equal(Selector.stats().hits, hits + 1);
+      // Every lookup is classified, hit or miss
+      assert.equal(Selector.stats().selectorBreakdown.id, 2);
+    });
+
+    it('warns and returns empty results for invalid selectors', () => {
+      const warn = console.warn;
+      const warnings = [];
+      console.warn = message => warnings.push(message);
+      Selector.configure({ enableLogging: true });
+
+      try {
+        assert.equal(Selector.query('div[['), null);
+        assert.equal(Selector.queryAll('div[[').length, 0);
+      } finally {
+        console.warn = warn;
+        Selector.configure({ enableLogging: false });
+      }
+      assert.equal(warnings.length, 2);
+      assert.match(warnings[0], /^\[Selector\] Invalid selector "div\[\["/);
+    });
+
+    it('updates every matched element with .update()', () => {
+      render('<i class="t"></i><i class="t"></i>');
+
+      Selector.queryAll('.t').update({ dataset: { state: 'on' } });
+      document.querySelectorAll('.t').forEach(el => assert.equal(el.dataset.state, 'on'));
+    });
+
+    it('delegates events and removes listeners with off()', () => {
+      render('<nav><a class="link" href="#"><em>x</em></a></nav>');
+      const calls = [];
+      const links = Selector.queryAll('nav .link');
+
+      links.delegate('click', function(event, link) {
+        calls.push(this === link ? 'delegate' : 'wrong this');
+      });
+      links.on('click.track', () => calls.push('on'));
+      document.querySelector('em').click();
+
+      links.off('click.track');
+      document.querySelector('em').click();
+      assert.deepEqual(calls, ['on', 'delegate', 'delegate']);
+    });
+
+    it('delegates in the standalone build without the update utility', () => {
+      render('<nav><a class="link" href="#"><em>x</em></a></nav>');
+      const standalone = loadStandalone('querySelector-helper.js').Selector;
+      const calls = [];
+
+      try {
+        const off = standalone.queryAll('nav .link').delegate('focus', (event, link) => calls.push(link.className));
+        document.querySelector('.link').focus();
+        off();
+        document.querySelector('.link').blur();
+        document.querySelector('.link').focus();
+      } finally {
+        standalone.destroy();
+        delete window.Selector;
+        delete window.ProductionSelectorHelper;
+      }
+
+      assert.deepEqual(calls, ['link']);
+    });
+  });
+
+  describe('cache invalidation', () => {
+    it('re-queries when a cached element has left the document', () => {
+      render('<b class="x">old</b>');
+      void Selector.query('.x');
+
+      render('<b class="x">new</b>');
+      assert.equal(Selector.query('.x').textContent, 'new');
+    });
+
+    it('keeps entries that added or removed nodes cannot affect', async () => {
+      render('<p class="one"></p><p class="two"></p>');
+      await settle();
+      void Selector.query('.one');
+      void Selector.queryAll('.two');
+
+      document.body.appendChild(document.createElement('div'));
+      document.querySelector('.one').textContent = 'changed';
+      await settle();
+      assert.deepEqual([...Selector.helper.cache.keys()], ['single:.one', 'multiple:.two']);
+    });
+
+    it('drops entries when part of the selector matches an added or removed subtree', async () => {
+      render('<ul id="list"><li class="item"></li></ul><p class="other"></p>');
+      await settle();
+      void Selector.queryAll('#list .item');
+      void Selector.queryAll('.other');
+      void Selector.query('li');
+
+      const wrapper = document.createElement('div');
+      wrapper.innerHTML = '<li class="item"></li>';
+      document.getElementById('list').appendChild(wrapper.firstChild);
+      await settle();
+      assert.deepEqual([...Selector.helper.cache.keys()], ['multiple:.other']);
+      assert.equal(Selector.queryAll('#list .item').length, 2);
+
+      document.querySelector('.other').remove();
+      await settle();
+      assert.deepEqual([...Selector.helper.cache.keys()], ['multiple:#list .item']);
+    });
+
+    it('drops sibling and structural selectors on any structural change', async () => {
+      render('<h2></h2><p class="x"></p><ul><li></li></ul>');
+      await settle();
+      void Selector.queryAll('h2 + p');
+      void Selector.query('li:first-child');
+      void Selector.queryAll('.x');
+
+      document.body.insertBefore(document.createElement('div'), document.querySelector('.x'));
+      await settle();
+      assert.deepEqual([...Selector.helper.cache.keys()], ['multiple:.x']);
+      assert.equal(Selector.queryAll('h2 + p').length, 0);
+    });
+
+    it('invalidates on ids and attributes the selector depends on', async () => {
+      render('<div id="a:b"><span class="c"></span></div><button></button>');
+      await settle();
+      void Selector.queryAll('#a\\:b .c');
+      void Selector.queryAll('button:disabled');
+      void Selector.queryAll('.c');
+
+      document.getElementById('a:b').id = 'moved';
+      document.querySelector('button').disabled = true;
+      await settle();
+      assert.deepEqual([...Selector.helper.cache.keys()], ['multiple:.c']);
+      assert.equal(Selector.queryAll('button:disabled').length, 1);
+    });
+
+    it('observes attributes of cached selectors outside the default filter', async () => {
+      render('<div class="panel" data-state="open"></div><div class="panel"></div>');
+      await settle();
+      assert.equal(Selector.queryAll('[data-state=open]').length, 1);
+      assert.equal(Selector.query('.panel[aria-expanded="true"]'), null);
+
+      document.querySelectorAll('.panel')[1].setAttribute('data-state', 'open');
+      document.querySelector('.panel').setAttribute('aria-expanded', 'true');
+      await settle();
+
+      assert.equal(Selector.queryAll('[data-state=open]').length, 2);
+      assert.equal(Selector.query('.panel[aria-expanded="true"]'), document.querySelector('.panel'));
+      assert.ok(Selector.helper.observerConfig.attributeFilter.includes('aria-expanded'));
+    });
+
+    it('processes every mutation batch within the debounce window', async () => {
+      render('<i class="a"></i><i class="b"></i>');
+      await settle();
+      void Selector.queryAll('.a');
+      void Selector.queryAll('.b');
+
+      document.body.appendChild(document.createElement('i')).className = 'a';
+      await new Promise(resolve => setTimeout(resolve, 1));
+      document.querySelector('.b').remove();
+      await settle();
+
+      assert.equal(Selector.helper.cache.size, 0);
+      assert.equal(Selector.queryAll('.a').length, 2);
+    });
+
+    it('only drops entries matching a changed class', async () => {
+      render('<p class="on"></p><p class="steady"></p>');
+      await settle();
+      void Selector.queryAll('.on');
+      void Selector.queryAll('.off');
+      void Selector.queryAll('.steady');
+
+      document.querySelector('.on').className = 'off';
+      await settle();
+
+      const keys = [...Selector.helper.cache.keys()];
+      assert.deepEqual(keys, ['multiple:.steady']);
+      assert.equal(Selector.queryAll('.off').length, 1);
+    });
+
+    it('drops invalid entries during cleanup', () => {
+      const scoped = createSelector({ autoCleanup: false });
+      scoped.helper.observer.disconnect();
+
+      render('<em id="here"></em><em id="leaving"></em>');
+      void scoped.query('#here');
+      void scoped.query('#leaving');
+      document.getElementById('leaving').remove();
+
+      scoped.helper._performCleanup();
+      assert.deepEqual([...scoped.helper.cache.keys()], ['single:#here']);
+      scoped.destroy();
+    });
+
+    it('evicts the oldest entry when maxCacheSize is reached', () => {
+      const scoped = createSelector({ maxCacheSize: 2, autoCleanup: false });
+
+      void scoped.queryAll('a');
+      void scoped.queryAll('b');
+      void scoped.queryAll('i');
+
+      assert.deepEqual([...scoped.helper.cache.keys()], ['multiple:b', 'multiple:i']);
+      scoped.destroy();
+    });
+
+    it('keeps recently used entries when evicting', () => {
+      const scoped = createSelector({ maxCacheSize: 2, autoCleanup: false });
+
+      void scoped.queryAll('a');
+      void scoped.queryAll('b');
+      void scoped.queryAll('a');
+      void scoped.queryAll('i');
+
+      assert.deepEqual([...scoped.helper.cache.keys()], ['multiple:a', 'multiple:i']);
+      assert.equal(scoped.stats().evictions, 1);
+      scoped.destroy();
+    });
+
+    it('expires entries after cacheTTL and counts invalidations by cause', async () => {
+      render('<p class="one"></p>');
+      const scoped = createSelector({ cacheTTL: 1000, autoCleanup: false });
+
+      void scoped.queryAll('.one');
+      void scoped.queryAll('.two');
+      scoped.helper.cacheMeta.get('multiple:.one').cachedAt -= 1000;
+      assert.equal(scoped.queryAll('.one').length, 1);
+
+      document.body.appendChild(document.createElement('p')).className = 'two';
+      await settle();
+      void scoped.queryAll('.one');
+      scoped.clear();
+
+      const stats = scoped.stats();
+      assert.deepEqual(stats.invalidations, { mutation: 1, cleanup: 0, manual: 1, expired: 1, stale: 0 });
+      assert.equal(stats.misses, 3);
+      assert.ok(stats.averageLookupTime >= 0);
+      scoped.destroy();
+    });
+  });
+
+  describe('enhanced syntax', () => {
+    it('maps property shortcuts to selectors', () => {
+      render('<button id="submit-btn"></button><a class="btn-primary"></a><a class="btn-primary"></a>');
+
+      assert.equal(Selector.query.idSubmitBtn.id, 'submit-btn');
+      assert.equal(Selector.query.button.id, 'submit-btn');
+      assert.equal(Selector.queryAll.btnPrimary.length, 2);
+      assert.equal(Selector.queryAll.classBtnPrimary.length, 2);
+    });
+
+    it('keeps call syntax working while enabled', () => {
+      render('<span class="s"></span>');
+
+      assert.equal(Selector.query('.s').tagName, 'SPAN');
+      assert.equal(Selector.queryAll('.s').length, 1);
+    });
+
+    it('drops the shortcuts once disabled', () => {
+      render('<button id="submit-btn"></button>');
+      Selector.disableEnhancedSyntax();
+
+      assert.equal(Selector.query.idSubmitBtn, undefined);
+      assert.equal(Selector.query('#submit-btn').id, 'submit-btn');
+    });
+  });
+
+  describe('Scoped', () => {
+    it('queries within a container element or selector', () => {
+      render('<li class="i">out</li><ul id="list"><li class="i">in</li><li class="i">in</li></ul>');
+
+      assert.equal(Selector.Scoped.within('#list', '.i').textContent, 'in');
+      assert.equal(Selector.Scoped.withinAll(document.getElementById('list'), '.i').length, 2);
+      assert.equal(Selector.Scoped.within('#missing', '.i'), null);
+      assert.equal(Selector.Scoped.withinAll('#missing', '.i').length, 0);
+    });
+
+    it('creates independent instances limited to a root with scope()', () => {
+      render('<li class="i">out</li><ul id="list"><li class="i">in</li></ul>');
+      const scoped = Selector.scope(document.getElementById('list'), { maxCacheSize: 5 });
+
+      assert.deepEqual(scoped.queryAll('.i').map(li => li.textContent), ['in']);
+      assert.equal(scoped.helper.options.maxCacheSize, 5);
+      assert.notEqual(scoped.helper, Selector.helper);
+      scoped.destroy();
+    });
+  });
+
+  describe('live()', () => {
+    it('keeps its membership in sync with the DOM', async () => {
+      render('<ul><li class="item">1</li></ul>');
+      const items = Selector.live('.item');
+      assert.equal(items.length, 1);
+
+      document.querySelector('ul').insertAdjacentHTML('beforeend', '<li class="item">2</li><li class="item">3</li>');
+      await settle(0);
+      assert.equal(items.length, 3);
+      assert.equal(items[2].textContent, '3');
+      assert.deepEqual([...items].map(li => li.textContent), ['1', '2', '3']);
+
+      document.querySelector('.item').remove();
+      await settle(0);
+      assert.equal(items.length, 2);
+      assert.equal(items[2], undefined);
+      assert.equal(items.first().textContent, '2');
+      items.disconnect();
+    });
+
+    it('emits added and removed for elements entering or leaving the match set', async () => {
+      render('<button class="tab"></button><button class="tab"></button>');
+      const events = [];
+      const selected = Selector.live('.tab[aria-selected="true"]')
+        .on('added', el => events.push(['added', el.id, typeof el.update]))
+        .on('removed', el => events.push(['removed', el.id]));
+
+      const [first, second] = document.querySelectorAll('.tab');
+      first.id = 'first';
+      second.id = 'second';
+      first.setAttribute('aria-selected', 'true');
+      await settle(0);
+      first.setAttribute('aria-selected', 'false');
+      second.setAttribute('aria-selected', 'true');
+      await settle(0);
+
+      assert.deepEqual(events, [
+        ['added', 'first', 'function'],
+        ['removed', 'first'],
+        ['added', 'second', 'function']
+      ]);
+      assert.equal(selected.length, 1);
+      selected.disconnect();
+    });
+
+    it('offers the enhanced collection API over the current elements', async () => {
+      render('<div class="card"><b>a</b></div>');
+      const cards = Selector.live('.card');
+
+      document.body.insertAdjacentHTML('beforeend', '<div class="card"><b>b</b></div>');
+      await settle(0);
+
+      cards.addClass('seen').update({ dataset: { live: 'yes' } });
+      assert.equal(document.querySelectorAll('.seen[data-live="yes"]').length, 2);
+      assert.deepEqual(cards.within('b').map(b => b.textContent), ['a', 'b']);
+
+      let clicks = 0;
+      cards.on('click', () => clicks++);
+      cards.forEach(card => card.click());
+      assert.equal(clicks, 2);
+      cards.disconnect();
+    });
+
+    it('stops tracking after disconnect() and can be refreshed by hand', async () => {
+      render('<p class="n"></p>');
+      const added = [];
+      const paragraphs = Selector.live('.n').on('added', el => added.push(el));
+
+      paragraphs.off('added');
+      document.body.appendChild(document.createElement('p')).className = 'n';
+      await settle(0);
+      assert.equal(added.length, 0);
+      assert.equal(paragraphs.length, 2);
+
+      paragraphs.disconnect();
+      document.body.appendChild(document.createElement('p')).className = 'n';
+      await settle(0);
+      assert.equal(paragraphs.length, 2);
+      assert.equal(paragraphs.refresh().length, 3);
+    });
+
+    it('keeps other listeners running when one throws', async () => {
+      const warn = console.warn;
+      const warnings = [];
+      console.warn = message => warnings.push(message);
+      const calls = [];
+      const live = Selector.live('.boom')
+        .on('added', () => { throw new Error('bad listener'); })
+        .on('added', () => calls.push('ok'));
+
+      try {
+        render('<i class="boom"></i>');
+        await settle(0);
+      } finally {
+        console.warn = warn;
+        live.disconnect();
+      }
+      assert.deepEqual(calls, ['ok']);
+      // Listener errors are only reported with enableLogging
+      assert.deepEqual(warnings, []);
+    });
+
+    it('warns about listener errors with enableLogging', async () => {
+      const logging = createSelector({ enableLogging: true, autoCleanup: false });
+      const warn = console.warn;
+      const log = console.log;
+      const warnings = [];
+      console.warn = message => warnings.push(message);
+      console.log = () => {};
+      const live = logging.live('.boom').on('added', () => { throw new Error('bad listener'); });
+
+      try {
+        render('<i class="boom"></i>');
+        await settle(0);
+      } finally {
+        console.warn = warn;
+        console.log = log;
+        live.disconnect();
+        logging.destroy();
+      }
+      assert.deepEqual(warnings, ['[Selector] Error in live \'added\' listener for ".boom": bad listener']);
+    });
+
+    it('rejects invalid selectors', () => {
+      assert.throws(() => Selector.live('div[['), SyntaxError);
+      assert.throws(() => Selector.live(42), TypeError);
+    });
+  });
+
+  describe('waitFor()', () => {
+    it('resolves with the element once it appears', async () => {
+      const pending = Selector.waitFor('.late');
+      setTimeout(() => render('<div class="late"></div>'), 5);
+
+      const element = await pending;
+      assert.equal(element.className, 'late');
+    });
+
+    it('waitForAll() resolves once enough elements match', async () => {
+      const pending = Selector.waitForAll('.many', 2);
+      setTimeout(() => render('<i class="many"></i><i class="many"></i>'), 5);
+
+      assert.equal((await pending).length, 2);
+    });
+
+    it('rejects after the timeout', async () => {
+      await assert.rejects(Selector.waitFor('.never', 20), /Timeout waiting for selector: \.never/);
+    });
+  });
+});
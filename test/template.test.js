@@ -0,0 +1,129 @@
+'use strict';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDOM, render } = require('./helpers/dom');
+
+installDOM();
+const { template } = require('../src/template.js');
+const { Elements } = require('../src/elements-helper.js');
+const { configureHTML } = require('../src/enhanced-update-utility.js');
+
+function html(fragment) {
+  const container = document.createElement('div');
+  container.appendChild(fragment);
+  return container.innerHTML.replace(/>\s+</g, '><').trim();
+}
+
+describe('template()', () => {
+  beforeEach(() => {
+    render('');
+    Elements.clear();
+  });
+
+  after(() => {
+    Elements.destroy();
+  });
+
+  it('fills placeholders as text and returns enhanced root elements', () => {
+    render('<template id="greeting"><p class="msg">Hi {{ user.name }}, {{missing}}you have {{count}}</p></template>');
+
+    const fragment = template('greeting').render({ user: { name: '<b>Ada</b>' }, count: 0 });
+    const paragraph = fragment.firstElementChild;
+
+    assert.equal(typeof paragraph.update, 'function');
+    paragraph.update({ dataset: { ready: 'yes' } });
+    assert.equal(html(fragment), '<p class="msg" data-ready="yes">Hi &lt;b&gt;Ada&lt;/b&gt;, you have 0</p>');
+  });
+
+  it('applies data-bind, data-bind-html and data-bind-attr', () => {
+    render(`<template id="link">
+      <a data-bind-attr="href: url, title: label; hidden: hidden, aria-current: current" data-bind="label"></a>
+      <div data-bind-html="trusted"></div>
+    </template>`);
+
+    const fragment = template('link').render({
+      url: '/docs', label: 'Docs', hidden: false, current: true, trusted: '<em>ok</em>'
+    });
+
+    assert.equal(html(fragment), '<a href="/docs" title="Docs" aria-current="">Docs</a><div><em>ok</em></div>');
+  });
+
+  it('drops data-bind-attr URLs with unsafe schemes', () => {
+    render(`<template id="unsafe">
+      <a data-bind-attr="href: url"></a><form data-bind-attr="action: url"><button data-bind-attr="FormAction: url"></button></form>
+      <img data-bind-attr="src: image, alt: url">
+    </template>`);
+    const original = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+
+    let fragment;
+    try {
+      fragment = template('unsafe').render({ url: ' JavaScript:alert(1)', image: '/a.png' });
+    } finally {
+      console.warn = original;
+    }
+
+    assert.equal(html(fragment), '<a></a><form><button></button></form><img src="/a.png" alt=" JavaScript:alert(1)">');
+    assert.equal(warnings.length, 3);
+    assert.equal(warnings[0], '[DOM Helpers] Dropped unsafe URL in href binding');
+  });
+
+  it('sanitizes data-bind-html when the HTML mode asks for it', () => {
+    render('<template id="bio"><div data-bind-html="bio"></div></template>');
+    configureHTML({ mode: 'sanitize' });
+
+    try {
+      const fragment = template('bio').render({ bio: '<b>me</b><img src="x" onerror="steal()">' });
+      assert.equal(html(fragment), '<div><b>me</b><img src="x"></div>');
+    } finally {
+      configureHTML({ mode: 'raw' });
+    }
+  });
+
+  it('repeats data-each elements with item, named and index scopes', () => {
+    render(`<template id="lists">
+      <ul><li data-each="items" data-bind-attr="data-i: $index">{{name}} of {{owner}}</li></ul>
+      <ol><li data-each="tag in tags">{{ $index }}:{{tag}}</li></ol>
+    </template>`);
+
+    const fragment = template('lists').render({
+      owner: 'me',
+      items: [{ name: 'a' }, { name: 'b', owner: 'you' }],
+      tags: new Set(['x', 'y'])
+    });
+
+    assert.equal(html(fragment),
+      '<ul><li data-i="0">a of me</li><li data-i="1">b of you</li></ul><ol><li>0:x</li><li>1:y</li></ol>');
+  });
+
+  it('keeps or drops data-if elements, including per loop item', () => {
+    render(`<template id="cond">
+      <p data-if="items">has items</p><p data-if="!items">empty</p>
+      <i data-each="users" data-if="active">{{name}}</i>
+    </template>`);
+    const tpl = template('cond');
+
+    assert.equal(html(tpl.render({ items: [], users: [] })), '<p>empty</p>');
+    assert.equal(html(tpl.render({
+      items: [1],
+      users: [{ name: 'on', active: true }, { name: 'off', active: false }]
+    })), '<p>has items</p><i>on</i>');
+  });
+
+  it('adds render() to <template> elements from Elements and caches renderers', () => {
+    render('<template id="rowTemplate"><tr><td>{{id}}</td></tr></template><table><tbody id="rows"></tbody></table>');
+
+    Elements.rows.appendChild(Elements.rowTemplate.render({ id: 7 }));
+    assert.equal(Elements.rows.innerHTML, '<tr><td>7</td></tr>');
+    assert.equal(template('rowTemplate'), template(document.getElementById('rowTemplate')));
+  });
+
+  it('rejects missing and non-template elements', () => {
+    render('<div id="plain"></div>');
+
+    assert.throws(() => template('nope'), /could not find <template> "nope"/);
+    assert.throws(() => template('plain'), TypeError);
+  });
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDOM, render } = require('./helpers/dom');
+
+installDOM();
+const Utility = require('../src/enhanced-update-utility.js');
+const { createHistory } = require('../src/update-history.js');
+
+function el(id) {
+  return Utility.enhanceElementWithUpdate(document.getElementById(id));
+}
+
+describe('UpdateHistory', () => {
+  let history;
+
+  beforeEach(() => {
+    render('<div id="box" class="a" title="t">text</div><div id="editor"><p id="line"></p></div>');
+    history = createHistory().start();
+  });
+
+  afterEach(() => {
+    history.stop();
+  });
+
+  it('undoes and redoes properties, styles, attributes, classes and dataset entries', () => {
+    const box = el('box');
+
+    box.update({
+      title: 'new',
+      style: { color: 'red' },
+      setAttribute: ['aria-label', 'Box'],
+      classList: { add: 'b', remove: 'a' },
+      dataset: { state: 'on' }
+    });
+    history.checkpoint();
+
+    assert.equal(history.undo(), true);
+    assert.equal(box.title, 't');
+    assert.equal(box.style.color, '');
+    assert.equal(box.hasAttribute('aria-label'), false);
+    assert.equal(box.className, 'a');
+    assert.equal('state' in box.dataset, false);
+    assert.equal(history.canRedo(), true);
+
+    assert.equal(history.redo(), true);
+    assert.equal(box.title, 'new');
+    assert.equal(box.className, 'b');
+    assert.equal(box.dataset.state, 'on');
+    assert.equal(history.redo(), false);
+  });
+
+  it('makes one step per task and per group(), and undoes repeated writes to the oldest value', async () => {
+    const box = el('box');
+
+    box.update({ title: '1' });
+    box.update({ title: '2' });
+    await Promise.resolve();
+
+    await history.group(async () => {
+      box.update({ title: '3' });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      box.update({ title: '4' });
+    });
+
+    history.undo();
+    assert.equal(box.title, '2');
+    history.undo();
+    assert.equal(box.title, 't');
+    assert.equal(history.canUndo(), false);
+  });
+
+  it('starts a new redo branch after a recorded change', () => {
+    const box = el('box');
+
+    box.update({ title: 'x' });
+    history.undo();
+    box.update({ title: 'y' });
+
+    assert.equal(history.canRedo(), false);
+    history.undo();
+    assert.equal(box.title, 't');
+  });
+
+  it('only records changes inside the root', () => {
+    const editorHistory = createHistory({ root: document.getElementById('editor') }).start();
+
+    try {
+      el('box').update({ title: 'outside' });
+      el('line').update({ textContent: 'inside' });
+      editorHistory.checkpoint();
+
+      editorHistory.undo();
+      assert.equal(document.getElementById('line').textContent, '');
+      assert.equal(document.getElementById('box').title, 'outside');
+      assert.equal(editorHistory.canUndo(), false);
+    } finally {
+      editorHistory.stop();
+    }
+  });
+
+  it('puts back the nodes a textContent update replaced', () => {
+    const box = el('box');
+    box.innerHTML = '<label for="q">Go</label><input id="q" name="q"><button>L</button>';
+    const [label, input, button] = box.children;
+    input.value = 'typed';
+
+    box.update({ textContent: 'replaced' });
+    assert.equal(box.textContent, 'replaced');
+
+    history.undo();
+    assert.deepEqual([...box.children], [label, input, button]);
+    assert.equal(input.value, 'typed');
+    assert.equal(box.innerHTML, '<label for="q">Go</label><input id="q" name="q"><button>L</button>');
+
+    history.redo();
+    assert.equal(box.innerHTML, 'replaced');
+  });
+
+  it('records each content key under its own name and restores markup as written', () => {
+    const box = el('box');
+    const changes = [];
+    const unregister = Utility.registerUpdateRecorder(batch => changes.push(...batch));
+
+    try {
+      box.update({ innerHTML: '<i onmouseover="steal()">raw</i>' });
+      history.checkpoint();
+      box.update({ safeHTML: '<i onmouseover="steal()">safe</i>' });
+      history.checkpoint();
+    } finally {
+      unregister();
+    }
+    assert.deepEqual(changes.map(change => `${change.type}:${change.name}`), ['children:innerHTML', 'children:safeHTML']);
+
+    history.undo();
+    assert.equal(box.innerHTML, '<i onmouseover="steal()">raw</i>');
+    history.undo();
+    assert.equal(box.innerHTML, 'text');
+    history.redo();
+    assert.equal(box.innerHTML, '<i onmouseover="steal()">raw</i>');
+    history.redo();
+    assert.equal(box.innerHTML, '<i>safe</i>');
+  });
+
+  it('drops the oldest steps past the limit and notifies onChange', () => {
+    const changes = [];
+    const limited = createHistory({ limit: 2, onChange: h => changes.push(h.canUndo()) }).start();
+    const box = el('box');
+
+    try {
+      ['1', '2', '3'].forEach(title => {
+        box.update({ title });
+        limited.checkpoint();
+      });
+
+      assert.equal(limited.undo(), true);
+      assert.equal(limited.undo(), true);
+      assert.equal(limited.undo(), false);
+      assert.equal(box.title, '1');
+      assert.deepEqual(changes, [true, true, true, true, false]);
+    } finally {
+      limited.stop();
+      history.clear();
+    }
+  });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDOM, render } = require('./helpers/dom');
+
+installDOM();
+const UpdateUtility = require('../src/update-utility.js');
+
+function captureWarnings(fn) {
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  try {
+    fn();
+  } finally {
+    console.warn = warn;
+  }
+  return warnings;
+}
+
+describe('UpdateUtility', () => {
+  beforeEach(() => {
+    render('<div id="box"></div><i class="n"></i><i class="n"></i>');
+  });
+
+  describe('single elements', () => {
+    it('applies style objects entry by entry, skipping null values', () => {
+      const box = UpdateUtility.enhanceElementWithUpdate(document.getElementById('box'));
+      box.style.margin = '2px';
+
+      box.update({ style: { color: 'red', margin: null } });
+      assert.equal(box.style.color, 'red');
+      assert.equal(box.style.margin, '2px');
+    });
+
+    it('calls methods with an argument array or a single argument', () => {
+      const box = UpdateUtility.enhanceElementWithUpdate(document.getElementById('box'));
+
+      box.update({ setAttribute: ['role', 'note'], append: 'text' });
+      assert.equal(box.getAttribute('role'), 'note');
+      assert.equal(box.textContent, 'text');
+    });
+
+    it('assigns properties and falls back to attributes', () => {
+      const box = UpdateUtility.enhanceElementWithUpdate(document.getElementById('box'));
+
+      box.update({ title: 'Title', 'data-count': 3 });
+      assert.equal(box.title, 'Title');
+      assert.equal(box.getAttribute('data-count'), '3');
+    });
+
+    it('warns about values it cannot apply and keeps going', () => {
+      const box = UpdateUtility.enhanceElementWithUpdate(document.getElementById('box'));
+
+      const warnings = captureWarnings(() => box.update({ unknownThing: {}, title: 'still set' }));
+      assert.equal(warnings.length, 1);
+      assert.match(warnings[0], /Unknown property or method: unknownThing/);
+      assert.equal(box.title, 'still set');
+    });
+
+    it('returns the element for chaining and tolerates null', () => {
+      const box = UpdateUtility.enhanceElementWithUpdate(document.getElementById('box'));
+
+      assert.equal(box.update({ title: 'a' }), box);
+      const warnings = captureWarnings(() => {
+        assert.equal(UpdateUtility.updateSingleElement(null, { title: 'a' }), null);
+      });
+      assert.equal(warnings.length, 1);
+    });
+
+    it('enhances an element only once', () => {
+      const box = document.getElementById('box');
+      UpdateUtility.enhanceElementWithUpdate(box);
+      const update = box.update;
+
+      UpdateUtility.enhanceElementWithUpdate(box);
+      assert.equal(box.update, update);
+      assert.equal(Object.keys(box).includes('update'), false);
+    });
+  });
+
+  describe('collections', () => {
+    it('updates every element', () => {
+      const items = UpdateUtility.enhanceCollectionWithUpdate(document.getElementsByClassName('n'));
+
+      assert.equal(items.update({ title: 'x' }), items);
+      Array.from(items).forEach(item => assert.equal(item.title, 'x'));
+    });
+
+    it('detects collections and enhances whatever it is given', () => {
+      assert.equal(Boolean(UpdateUtility.isCollection(document.querySelectorAll('i'))), true);
+      assert.equal(Boolean(UpdateUtility.isCollection(document.getElementById('box'))), false);
+
+      const list = UpdateUtility.autoEnhanceWithUpdate(document.querySelectorAll('i'));
+      const box = UpdateUtility.autoEnhanceWithUpdate(document.getElementById('box'));
+      assert.equal(typeof list.update, 'function');
+      assert.equal(typeof box.update, 'function');
+      assert.equal(UpdateUtility.autoEnhanceWithUpdate(null), null);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDOM, settle, render } = require('./helpers/dom');
+
+installDOM();
+const { virtualList } = require('../src/virtual-list.js');
+const { Elements } = require('../src/elements-helper.js');
+const { Collections } = require('../src/collections.js');
+
+// jsdom has no layout: give the container a viewport and a writable scrollTop
+function viewport(container, height) {
+  let top = 0;
+  Object.defineProperty(container, 'clientHeight', { configurable: true, value: height });
+  Object.defineProperty(container, 'scrollTop', {
+    configurable: true,
+    get: () => top,
+    set: value => { top = value; }
+  });
+  return container;
+}
+
+function scroll(container, top) {
+  container.scrollTop = top;
+  container.dispatchEvent(new window.Event('scroll'));
+}
+
+describe('virtualList()', () => {
+  before(() => {
+    Elements.destroy();
+  });
+
+  beforeEach(() => {
+    render('<div id="list"></div>');
+    viewport(document.getElementById('list'), 100);
+  });
+
+  after(() => {
+    Collections.destroy();
+  });
+
+  it('renders only the visible rows plus overscan inside a full-height spacer', () => {
+    const items = Array.from({ length: 1000 }, (_, i) => `Item ${i}`);
+    const list = virtualList('list', { items, itemHeight: 20, overscan: 2, render: item => item });
+
+    assert.equal(list.spacer.style.height, '20000px');
+    assert.deepEqual(list.getRange(), { start: 0, end: 7 });
+    assert.equal(list.spacer.querySelectorAll('.virtual-row:not([hidden])').length, 7);
+
+    const row = list.getRow(3);
+    assert.equal(row.textContent, 'Item 3');
+    assert.equal(row.style.transform, 'translateY(60px)');
+    assert.equal(row.dataset.index, '3');
+    assert.equal(list.getRow(50), null);
+    assert.deepEqual(list.rows.map(el => el.dataset.index), ['0', '1', '2', '3', '4', '5', '6']);
+    list.destroy();
+  });
+
+  it('recycles the pool on scroll and only re-renders rows whose index changed', async () => {
+    const items = Array.from({ length: 100 }, (_, i) => i);
+    const rendered = [];
+    const list = virtualList('list', {
+      items,
+      itemHeight: 20,
+      overscan: 0,
+      render: (item, index) => { rendered.push(index); return { textContent: `#${item}` }; }
+    });
+    const pool = [...list.spacer.children];
+    assert.deepEqual(rendered, [0, 1, 2, 3, 4]);
+
+    rendered.length = 0;
+    scroll(list.container, 40);
+    await settle();
+
+    assert.deepEqual(list.getRange(), { start: 2, end: 7 });
+    assert.deepEqual(rendered, [5, 6]);
+    assert.deepEqual([...list.spacer.children], pool);
+    // Item 5 takes the slot item 0 had
+    assert.equal(list.getRow(5), pool[0]);
+    assert.equal(pool[0].textContent, '#5');
+    list.destroy();
+  });
+
+  it('scrolls to an index and replaces or refreshes the items', async () => {
+    const list = virtualList('list', { items: ['a', 'b'], itemHeight: 20, render: item => item });
+
+    list.setItems(Array.from({ length: 50 }, (_, i) => `n${i}`));
+    assert.equal(list.spacer.style.height, '1000px');
+    assert.equal(list.getRow(0).textContent, 'n0');
+
+    list.scrollToIndex(20, 'center');
+    await settle();
+    assert.equal(list.container.scrollTop, 360);
+    assert.equal(list.getRow(20).textContent, 'n20');
+
+    list.items[20] = 'changed';
+    list.refresh();
+    assert.equal(list.getRow(20).textContent, 'changed');
+    list.destroy();
+  });
+
+  it('stops listening and removes its rows on destroy()', async () => {
+    let renders = 0;
+    const list = virtualList('list', { items: [1, 2, 3], itemHeight: 20, render: () => { renders++; } });
+    const container = list.container;
+
+    list.destroy();
+    scroll(container, 20);
+    await settle();
+
+    assert.equal(renders, 3);
+    assert.equal(container.children.length, 0);
+    assert.equal(list.isDestroyed, true);
+  });
+
+  it('keeps the defaults for options passed as undefined', () => {
+    const list = virtualList('list', {
+      items: ['a', 'b'],
+      itemHeight: 20,
+      overscan: undefined,
+      rowTag: undefined,
+      rowClass: undefined,
+      render: item => item
+    });
+
+    assert.equal(list.options.overscan, 3);
+    assert.equal(list.getRow(0).tagName, 'DIV');
+    assert.equal(list.getRow(0).className, 'virtual-row');
+    list.destroy();
+  });
+
+  it('validates its arguments', () => {
+    assert.throws(() => virtualList('missing', { itemHeight: 20, render: () => {} }), /container element/);
+    assert.throws(() => virtualList('list', { itemHeight: 0, render: () => {} }), /positive itemHeight/);
+    assert.throws(() => virtualList('list', { itemHeight: 20 }), /render function/);
+  });
+});
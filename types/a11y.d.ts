@@ -0,0 +1,53 @@
+/**
+ * Accessibility helpers - TypeScript Declarations
+ */
+
+export interface TrapFocusOptions {
+  /** Element or ID focused first; defaults to the first focusable element */
+  initialFocus?: Element | string | null;
+  /** Focus the previously focused element on release, default true */
+  returnFocus?: boolean;
+  onEscape?: (event: KeyboardEvent) => void;
+}
+
+export type Politeness = 'polite' | 'assertive';
+
+export interface AnnounceOptions {
+  politeness?: Politeness;
+  /** Milliseconds before the message is set, default 100 */
+  delay?: number;
+  document?: Document;
+}
+
+export interface RovingTabindexOptions {
+  orientation?: 'horizontal' | 'vertical' | 'both';
+  /** Wrap around at either end, default true */
+  loop?: boolean;
+  initialIndex?: number;
+  onChange?: (element: Element, index: number) => void;
+}
+
+export interface RovingTabindex {
+  /** Index of the item with tabindex="0", or -1 */
+  readonly index: number;
+  readonly current: Element | null;
+  focus(indexOrElement: number | Element): RovingTabindex;
+  /** Pick up items added or removed since the last call */
+  refresh(): RovingTabindex;
+  destroy(): void;
+}
+
+/** Elements inside a container that Tab can reach, in DOM order */
+export declare function getFocusableElements(container: Element): Element[];
+
+/** Keep focus inside a container; returns a release function */
+export declare function trapFocus(container: Element | string, options?: TrapFocusOptions): () => void;
+
+/** Read a message to screen readers through a shared live region */
+export declare function announce(message: string, options?: AnnounceOptions): Promise<Element | null>;
+
+/**
+ * Make the items a single Tab stop moved with the arrow keys, Home and End;
+ * Selector.live() collections stay in sync
+ */
+export declare function rovingTabindex(items: ArrayLike<Element>, options?: RovingTabindexOptions): RovingTabindex;
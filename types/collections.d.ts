@@ -0,0 +1,169 @@
+/**
+ * Collections Helper - TypeScript Declarations
+ */
+
+import { CollectionChangeRecord, UpdateObject, UpdateOptions } from './update';
+import { ScopeRoot, WaitForOptions, CacheInvalidations, EvictionPolicy } from './elements';
+
+export interface CollectionsStats {
+  hits: number;
+  misses: number;
+  cacheSize: number;
+  /** Entries dropped to stay under `maxCacheSize` */
+  evictions: number;
+  invalidations: CacheInvalidations;
+  /** Lookups timed so far and their total duration in ms */
+  lookups: number;
+  lookupTime: number;
+  /** Mean lookup duration in ms, hits and misses together */
+  averageLookupTime: number;
+  hitRate: number;
+  uptime: number;
+  lastCleanup: number;
+}
+
+export interface CollectionsOptions {
+  /** Defaults to `window.document`, else `document`; fixed once the helper is created */
+  root?: ScopeRoot;
+  /** Supplies MutationObserver, getComputedStyle etc.; defaults to the root's `defaultView` */
+  window?: Window;
+  enableLogging?: boolean;
+  autoCleanup?: boolean;
+  cleanupInterval?: number;
+  maxCacheSize?: number;
+  /** Milliseconds an entry stays valid after it was cached; 0 (default) never expires */
+  cacheTTL?: number;
+  /** Which entry to drop when `maxCacheSize` is reached; defaults to 'lru' */
+  evictionPolicy?: EvictionPolicy;
+  debounceDelay?: number;
+  enableEnhancedSyntax?: boolean;
+}
+
+export type CollectionType = 'className' | 'tagName' | 'name';
+
+export interface DelegateOptions {
+  /** Element the single listener is attached to; defaults to the helper's root (`document` for Selector) */
+  root?: Element | Document | DocumentFragment;
+  /** Defaults to true for focus, blur, mouseenter and mouseleave */
+  capture?: boolean;
+  passive?: boolean;
+}
+
+export type DelegateHandler<E> = (this: E, event: Event, match: E) => void;
+
+type CollectionCallback<E, C, R> = (element: E, index: number, collection: C) => R;
+
+/** Methods shared by Collections and Selector enhanced collections */
+export interface EnhancedCollectionBase<E extends Element = HTMLElement> {
+  readonly length: number;
+  readonly [index: number]: E;
+  [Symbol.iterator](): Iterator<E>;
+
+  item(index: number): E | null;
+
+  // Array conversion and iteration
+  toArray(): E[];
+  forEach(callback: CollectionCallback<E, this, void>, thisArg?: any): void;
+  map<T>(callback: CollectionCallback<E, this, T>, thisArg?: any): T[];
+  filter(callback: CollectionCallback<E, this, unknown>, thisArg?: any): E[];
+  find(callback: CollectionCallback<E, this, unknown>, thisArg?: any): E | undefined;
+  some(callback: CollectionCallback<E, this, unknown>, thisArg?: any): boolean;
+  every(callback: CollectionCallback<E, this, unknown>, thisArg?: any): boolean;
+  reduce<T>(callback: (previousValue: T, element: E, index: number, array: E[]) => T, initialValue: T): T;
+
+  // Utility methods
+  first(): E | null;
+  last(): E | null;
+  at(index: number): E | null;
+  isEmpty(): boolean;
+
+  // DOM manipulation helpers
+  addClass(className: string): this;
+  removeClass(className: string): this;
+  toggleClass(className: string): this;
+  setProperty(prop: string, value: unknown): this;
+  setAttribute(attr: string, value: string): this;
+  setStyle(styles: Partial<CSSStyleDeclaration>): this;
+  /** Event name may carry a namespace: `'click.menu'` */
+  on(event: string, handler: EventListenerOrEventListenerObject | ((event: any) => void), options?: boolean | AddEventListenerOptions): this;
+  /** Without a handler, removes every tracked listener for the type and/or namespace */
+  off(event: string, handler?: EventListenerOrEventListenerObject | ((event: any) => void), options?: boolean | EventListenerOptions): this;
+  /** Single listener on a root matching the collection with closest(); returns an unsubscribe function */
+  delegate(event: string, handler: DelegateHandler<E>, options?: DelegateOptions): () => void;
+
+  // Filtering helpers
+  visible(): E[];
+  hidden(): E[];
+  enabled(): E[];
+  disabled(): E[];
+
+  /** Awaitable while animation keys (optionally staggered) are running */
+  update(updates: UpdateObject<E>, options?: UpdateOptions & { diff?: false }): this;
+  update(updates: UpdateObject<E>, options: UpdateOptions & { diff: true }): CollectionChangeRecord<this>;
+}
+
+export interface EnhancedCollection<E extends Element = HTMLElement> extends EnhancedCollectionBase<E> {
+  readonly _originalCollection: HTMLCollectionOf<E> | NodeListOf<E> | E[];
+  readonly _type: CollectionType | 'elements' | 'empty';
+  readonly _value: string;
+  readonly _cachedAt: number;
+  namedItem(name: string): E | null;
+}
+
+/** `Collections.ClassName.item` or `Collections.ClassName('item')` */
+export interface CollectionAccessor {
+  <E extends Element = HTMLElement>(value: string): EnhancedCollection<E>;
+  readonly [value: string]: EnhancedCollection;
+}
+
+export interface CollectionRequest {
+  type: CollectionType;
+  value: string;
+  as?: string;
+}
+
+export interface CollectionsAPI {
+  ClassName: CollectionAccessor;
+  TagName: CollectionAccessor;
+  Name: CollectionAccessor;
+  helper: ProductionCollectionHelper;
+  stats(): CollectionsStats;
+  clear(): void;
+  destroy(): void;
+  configure(options: CollectionsOptions): CollectionsAPI;
+  /** New instance rooted at `root`, with its own cache and MutationObserver */
+  scope(root: ScopeRoot, options?: CollectionsOptions): CollectionsAPI;
+  isCached(type: CollectionType, value: string): boolean;
+  getMultiple(requests: CollectionRequest[]): Record<string, EnhancedCollection>;
+  waitFor(type: CollectionType, value: string, minCount?: number, options?: number | WaitForOptions): Promise<EnhancedCollection>;
+  /** Enhanced collection over a snapshot of any list of elements */
+  from<E extends Element = HTMLElement>(elements: ArrayLike<E> | Iterable<E>): EnhancedCollection<E>;
+  enableEnhancedSyntax(): ProductionCollectionHelper;
+  disableEnhancedSyntax(): ProductionCollectionHelper;
+}
+
+export declare class ProductionCollectionHelper {
+  constructor(options?: CollectionsOptions);
+  readonly ClassName: CollectionAccessor;
+  readonly TagName: CollectionAccessor;
+  readonly Name: CollectionAccessor;
+  readonly root: ScopeRoot;
+  options: CollectionsOptions;
+  isDestroyed: boolean;
+  getStats(): CollectionsStats;
+  clearCache(): void;
+  destroy(): void;
+  isCached(type: CollectionType, value: string): boolean;
+  getCacheSnapshot(): string[];
+  getMultiple(requests: CollectionRequest[]): Record<string, EnhancedCollection>;
+  waitForElements(type: CollectionType, value: string, minCount?: number, options?: number | WaitForOptions): Promise<EnhancedCollection>;
+  fromElements<E extends Element = HTMLElement>(elements: ArrayLike<E> | Iterable<E>): EnhancedCollection<E>;
+  enableEnhancedSyntax(): this;
+  disableEnhancedSyntax(): this;
+}
+
+/** `null` when loaded without a global `document`; use createCollections() there */
+export declare const Collections: CollectionsAPI;
+
+/** Independent Collections API with its own cache and observer */
+export declare function createCollections(options?: CollectionsOptions): CollectionsAPI;
@@ -0,0 +1,75 @@
+/**
+ * Components - TypeScript Declarations
+ */
+
+import { EnhancedElement } from './update';
+import { ElementsProxy } from './elements';
+import { SelectorAPI } from './selector';
+
+/** Attribute change on a component root, passed to update() */
+export interface ComponentChange {
+  name: string;
+  oldValue: string | null;
+  newValue: string | null;
+}
+
+/** Passed to the lifecycle hooks of each mounted element */
+export interface ComponentContext<E extends Element = HTMLElement> {
+  /** Name passed to component() */
+  readonly component: string;
+  readonly element: EnhancedElement<E>;
+  /** data-ref descendants by name, read on each access; the first one wins */
+  readonly refs: Record<string, EnhancedElement<HTMLElement> | undefined>;
+  /** Elements scoped to the subtree, created on first use */
+  readonly Elements: ElementsProxy;
+  /** Selector scoped to the subtree, created on first use */
+  readonly Selector: SelectorAPI;
+  /** Listen on the root; removed on unmount */
+  on(eventName: string, handler: EventListener, options?: boolean | AddEventListenerOptions): () => void;
+  /** Listen on an element or a ref by name; removed on unmount */
+  on(target: Element | string, eventName: string, handler: EventListener, options?: boolean | AddEventListenerOptions): () => void;
+}
+
+export interface ComponentDefinition<E extends Element = HTMLElement> {
+  /** A returned function runs on unmount */
+  mount?(context: ComponentContext<E>): void | (() => void);
+  /** An attribute of the root changed */
+  update?(context: ComponentContext<E>, change: ComponentChange): void;
+  unmount?(context: ComponentContext<E>): void;
+  /** Limit update() to these attribute names */
+  attributes?: string[];
+}
+
+export declare class Component<E extends Element = HTMLElement> {
+  readonly name: string;
+  readonly selector: string;
+  readonly definition: ComponentDefinition<E>;
+  isDestroyed: boolean;
+  get(element: Element): ComponentContext<E> | null;
+  all(): ComponentContext<E>[];
+  /** Re-run the match, e.g. after changes the observer cannot see */
+  refresh(): this;
+  /** Unmount every instance and stop matching new elements */
+  destroy(): void;
+}
+
+export interface ComponentRegistryOptions {
+  Elements?: ElementsProxy | null;
+  Selector: SelectorAPI;
+  /** Warn about errors thrown by hooks; defaults to the Elements helper's setting */
+  enableLogging?: boolean;
+}
+
+export declare class ComponentRegistry {
+  constructor(options: ComponentRegistryOptions);
+  /**
+   * Mount a behavior on every element matching an attribute name
+   * ('data-widget') or selector ('.carousel'), including ones inserted later
+   */
+  component<E extends Element = HTMLElement>(name: string, definition: ComponentDefinition<E>): Component<E>;
+  get(name: string): Component | null;
+  /** Unmount and unregister every component */
+  destroy(): void;
+}
+
+export declare function createComponents(options: ComponentRegistryOptions): ComponentRegistry;
@@ -0,0 +1,141 @@
+/**
+ * DOM Helpers - Combined TypeScript Declarations
+ */
+
+import { ElementsProxy, ElementsStats, ElementsOptions, ProductionElementsHelper } from './elements';
+import { CollectionsAPI, CollectionsStats, CollectionsOptions, ProductionCollectionHelper } from './collections';
+import { SelectorAPI, SelectorStats, SelectorOptions, ProductionSelectorHelper } from './selector';
+import { batch, measure, configureHTML, sanitizeHTML } from './update';
+import { createStore } from './store';
+import { virtualList, VirtualListOptions, VirtualList } from './virtual-list';
+import { create, fragment, CreateFunction, CreateChild } from './element-factory';
+import { template, Template } from './template';
+import { form, FormController, FormValues } from './form';
+import { validator } from './validation';
+import { UpdateHistory, createHistory } from './history';
+import { ComponentRegistry, createComponents } from './components';
+import { trapFocus, announce, rovingTabindex } from './a11y';
+
+export interface DOMHelpersStats {
+  elements?: ElementsStats;
+  collections?: CollectionsStats;
+  selector?: SelectorStats;
+}
+
+export interface DOMHelpersOptions {
+  elements?: ElementsOptions;
+  collections?: CollectionsOptions;
+  selector?: SelectorOptions;
+}
+
+export interface CreateDOMHelpersOptions
+  extends Omit<ElementsOptions & CollectionsOptions & SelectorOptions, 'root' | 'window'> {
+  /** Defaults to `window.document` */
+  document?: Document;
+  /** Defaults to `document.defaultView` */
+  window?: Window;
+}
+
+/** Helpers bound to one injected DOM; call destroy() when done */
+export interface DOMHelpersInstance {
+  Elements: ElementsProxy;
+  Collections: CollectionsAPI;
+  Selector: SelectorAPI;
+  /** create() and fragment() making nodes in the injected document */
+  create: CreateFunction;
+  fragment(...children: CreateChild[]): DocumentFragment;
+  /** template(), form() and virtualList() looking IDs up in the injected document */
+  template(templateIdOrEl: string | HTMLTemplateElement): Template;
+  form<T extends object = FormValues>(formIdOrEl: string | Element): FormController<T>;
+  virtualList<T, R extends Element = HTMLElement>(
+    container: Element | string,
+    options: VirtualListOptions<T, R>
+  ): VirtualList<T, R>;
+  /** Components mounted in the injected DOM */
+  component: ComponentRegistry['component'];
+  /** Unmounts the components, disconnects the observers and stops the cleanup timers */
+  destroy(): void;
+}
+
+/**
+ * Create Elements, Collections and Selector bound to an injected DOM, without
+ * globals, e.g. `createDOMHelpers({ window: new JSDOM(html).window })`
+ */
+export declare function createDOMHelpers(options: CreateDOMHelpersOptions): DOMHelpersInstance;
+
+export interface DOMHelpersAPI {
+  Elements: ElementsProxy;
+  Collections: CollectionsAPI;
+  Selector: SelectorAPI;
+  ProductionElementsHelper: typeof ProductionElementsHelper;
+  ProductionCollectionHelper: typeof ProductionCollectionHelper;
+  ProductionSelectorHelper: typeof ProductionSelectorHelper;
+  createStore: typeof createStore;
+  virtualList: typeof virtualList;
+  create: typeof create;
+  fragment: typeof fragment;
+  template: typeof template;
+  form: typeof form;
+  validator: typeof validator;
+  batch: typeof batch;
+  measure: typeof measure;
+  configureHTML: typeof configureHTML;
+  sanitizeHTML: typeof sanitizeHTML;
+  trapFocus: typeof trapFocus;
+  announce: typeof announce;
+  rovingTabindex: typeof rovingTabindex;
+  history: UpdateHistory;
+  createHistory: typeof createHistory;
+  createDOMHelpers: typeof createDOMHelpers;
+  /** Behaviors mounted on matching elements, including ones inserted later */
+  component: ComponentRegistry['component'];
+  createComponents: typeof createComponents;
+  version: string;
+  isReady(): boolean;
+  getStats(): DOMHelpersStats;
+  clearAll(): void;
+  destroyAll(): void;
+  configure(options: DOMHelpersOptions): DOMHelpersAPI;
+}
+
+export declare const DOMHelpers: DOMHelpersAPI;
+
+/** Behaviors mounted on matching elements, including ones inserted later */
+export declare const component: ComponentRegistry['component'];
+
+// Values the package entry exports; everything else in the module
+// declarations is re-exported as types only
+export { Elements, ProductionElementsHelper } from './elements';
+export { Collections, ProductionCollectionHelper } from './collections';
+export { Selector, ProductionSelectorHelper } from './selector';
+export { createStore } from './store';
+export { virtualList } from './virtual-list';
+export { create, fragment } from './element-factory';
+export { template } from './template';
+export { form } from './form';
+export { validator } from './validation';
+export { batch, measure, configureHTML, sanitizeHTML } from './update';
+export { trapFocus, announce, rovingTabindex } from './a11y';
+export { history, createHistory } from './history';
+export { createComponents } from './components';
+
+export type * from './update';
+export type * from './store';
+export type * from './elements';
+export type * from './collections';
+export type * from './selector';
+export type * from './virtual-list';
+export type * from './element-factory';
+export type * from './template';
+export type * from './form';
+export type * from './validation';
+export type * from './history';
+export type * from './components';
+export type * from './a11y';
+
+declare global {
+  const DOMHelpers: DOMHelpersAPI;
+  const Elements: ElementsProxy;
+  const Collections: CollectionsAPI;
+  const Selector: SelectorAPI;
+}
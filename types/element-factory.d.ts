@@ -0,0 +1,32 @@
+/**
+ * Element Factory - TypeScript Declarations
+ */
+
+import { EnhancedElement, UpdateObject } from './update';
+
+/** Anything create() and fragment() accept as a child; booleans and null are skipped */
+export type CreateChild = Node | string | number | boolean | null | undefined | Iterable<CreateChild>;
+
+/** Element type created for a tag name; custom elements are HTMLElement */
+export type ElementForTag<K extends string> =
+  K extends keyof HTMLElementTagNameMap ? HTMLElementTagNameMap[K] : HTMLElement;
+
+export interface CreateFunction {
+  <K extends string>(
+    tag: K,
+    updates?: UpdateObject<ElementForTag<K>> | null,
+    ...children: CreateChild[]
+  ): EnhancedElement<ElementForTag<K>>;
+  <K extends string>(tag: K, ...children: CreateChild[]): EnhancedElement<ElementForTag<K>>;
+  fragment(...children: CreateChild[]): DocumentFragment;
+}
+
+export declare const create: CreateFunction;
+
+export declare function fragment(...children: CreateChild[]): DocumentFragment;
+
+/** create() and fragment() bound to another document, e.g. a jsdom window's */
+export declare function createElementFactory(doc: Document): {
+  create: CreateFunction;
+  fragment(...children: CreateChild[]): DocumentFragment;
+};
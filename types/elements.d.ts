@@ -0,0 +1,208 @@
+/**
+ * Elements Helper - TypeScript Declarations
+ */
+
+import { EnhancedElement, UpdateObject } from './update';
+import { BindableStore } from './store';
+
+declare global {
+  /**
+   * Map of the element IDs a project knows about. Augment it to get
+   * autocomplete and element types on `Elements.<id>`:
+   *
+   * ```ts
+   * declare global {
+   *   interface DOMHelpersElementMap {
+   *     submitBtn: HTMLButtonElement;
+   *     'user-form': HTMLFormElement;
+   *   }
+   * }
+   * ```
+   */
+  interface DOMHelpersElementMap {}
+}
+
+export type ElementIdMap = DOMHelpersElementMap;
+
+/** Element type for an ID: the declared type for known IDs, HTMLElement otherwise */
+export type ElementById<K extends string> =
+  K extends keyof DOMHelpersElementMap ? DOMHelpersElementMap[K] : HTMLElement;
+
+/** A cache entry as handed to a custom eviction policy */
+export interface CacheEntryInfo {
+  key: string;
+  cachedAt: number;
+  lastAccess: number;
+  hits: number;
+  /** Selector helper only: the selector the entry was queried with */
+  selector?: string;
+}
+
+/**
+ * 'lru' drops the least recently used entry, 'fifo' the oldest one. A function
+ * receives the entries in cache order and returns the key to drop; unknown
+ * keys fall back to the first entry.
+ */
+export type EvictionPolicy = 'lru' | 'fifo' | ((entries: CacheEntryInfo[]) => string | undefined);
+
+/** Entries removed other than by eviction, by cause */
+export interface CacheInvalidations {
+  /** Dropped by the MutationObserver */
+  mutation: number;
+  /** Found stale by the periodic cleanup */
+  cleanup: number;
+  /** Cleared with `clear()` */
+  manual: number;
+  /** Outlived `cacheTTL` */
+  expired: number;
+  /** Found stale when looked up */
+  stale: number;
+}
+
+export interface ElementsStats {
+  hits: number;
+  misses: number;
+  cacheSize: number;
+  /** Entries dropped to stay under `maxCacheSize` */
+  evictions: number;
+  invalidations: CacheInvalidations;
+  /** Lookups timed so far and their total duration in ms */
+  lookups: number;
+  lookupTime: number;
+  /** Mean lookup duration in ms, hits and misses together */
+  averageLookupTime: number;
+  hitRate: number;
+  uptime: number;
+  lastCleanup: number;
+}
+
+/** Where a helper looks elements up: a container, shadow root or (iframe) document */
+export type ScopeRoot = Element | ShadowRoot | DocumentFragment | Document;
+
+export interface ElementsOptions {
+  /** Defaults to `window.document`, else `document`; fixed once the helper is created */
+  root?: ScopeRoot;
+  /** Supplies MutationObserver, getComputedStyle etc.; defaults to the root's `defaultView` */
+  window?: Window;
+  enableLogging?: boolean;
+  autoCleanup?: boolean;
+  cleanupInterval?: number;
+  maxCacheSize?: number;
+  /** Milliseconds an entry stays valid after it was cached; 0 (default) never expires */
+  cacheTTL?: number;
+  /** Which entry to drop when `maxCacheSize` is reached; defaults to 'lru' */
+  evictionPolicy?: EvictionPolicy;
+  debounceDelay?: number;
+}
+
+export interface WaitForOptions {
+  /** Milliseconds before rejecting; defaults to 5000, `Infinity` waits indefinitely */
+  timeout?: number;
+  signal?: AbortSignal;
+}
+
+/** Rejection of a timed-out wait */
+export interface WaitForTimeoutError extends Error {
+  /** IDs or selectors still missing, or how many elements are still missing */
+  missing: string[] | number;
+}
+
+/** Handlers for `Elements.observe()` */
+export interface ObserveHandlers<E extends Element = HTMLElement> {
+  /** An element with the ID appeared; runs right away if it already exists */
+  onMount?(element: EnhancedElement<E>): void;
+  /** The element left the root or lost the ID */
+  onUnmount?(element: E): void;
+  /** An attribute of the mounted element changed */
+  onAttributeChange?(element: EnhancedElement<E>, name: string, oldValue: string | null, newValue: string | null): void;
+  /** Limit onAttributeChange to these attribute names */
+  attributes?: string[];
+}
+
+type ElementsRecord<K extends string> = { [P in K]: EnhancedElement<ElementById<P>> };
+type OptionalElementsRecord<K extends string> = { [P in K]: EnhancedElement<ElementById<P>> | null };
+
+export interface ElementsAPI {
+  helper: ProductionElementsHelper;
+  stats(): ElementsStats;
+  clear(): void;
+  destroy(): void;
+  configure(options: ElementsOptions): ElementsProxy;
+  /** New instance rooted at `root`, with its own cache and MutationObserver */
+  scope(root: ScopeRoot, options?: ElementsOptions): ElementsProxy;
+  isCached(id: string): boolean;
+  destructure<K extends string>(...ids: K[]): OptionalElementsRecord<K>;
+  getRequired<K extends string>(...ids: K[]): ElementsRecord<K>;
+  waitFor<K extends string>(...ids: K[]): Promise<ElementsRecord<K>>;
+  waitFor<K extends string>(...args: [...ids: K[], options: WaitForOptions]): Promise<ElementsRecord<K>>;
+  bind<K extends string, S>(
+    id: K,
+    store: BindableStore<S>,
+    mapping: (state: S) => UpdateObject<ElementById<K>>
+  ): () => void;
+  unbind(id: string): number;
+  /** Returns a function that stops observing without calling onUnmount */
+  observe<K extends string>(
+    id: K,
+    handlers: ObserveHandlers<ElementById<K>> | ((element: EnhancedElement<ElementById<K>>) => void)
+  ): () => void;
+  removeAllListeners(id: string, eventName?: string): number;
+  get<K extends string, F = null>(id: K, fallback?: F): EnhancedElement<ElementById<K>> | F;
+  exists(id: string): boolean;
+  getMultiple<K extends string>(...ids: K[]): OptionalElementsRecord<K>;
+  setProperty(id: string, property: string, value: unknown): boolean;
+  getProperty<T = unknown>(id: string, property: string, fallback?: T): T;
+  setAttribute(id: string, attribute: string, value: string): boolean;
+  getAttribute(id: string, attribute: string, fallback?: string | null): string | null;
+}
+
+/**
+ * The global `Elements` proxy: helper methods, declared IDs typed from
+ * DOMHelpersElementMap, and any other ID as `HTMLElement | null`
+ */
+export type ElementsProxy =
+  ElementsAPI &
+  { readonly [K in keyof DOMHelpersElementMap]: EnhancedElement<DOMHelpersElementMap[K]> } &
+  { readonly [id: string]: EnhancedElement<HTMLElement> | null };
+
+export declare class ProductionElementsHelper {
+  constructor(options?: ElementsOptions);
+  readonly Elements: ElementsProxy;
+  readonly root: ScopeRoot;
+  options: ElementsOptions;
+  isDestroyed: boolean;
+  getStats(): ElementsStats;
+  clearCache(): void;
+  destroy(): void;
+  isCached(id: string): boolean;
+  getCacheSnapshot(): string[];
+  destructure<K extends string>(...ids: K[]): OptionalElementsRecord<K>;
+  getRequired<K extends string>(...ids: K[]): ElementsRecord<K>;
+  waitFor<K extends string>(...ids: K[]): Promise<ElementsRecord<K>>;
+  waitFor<K extends string>(...args: [...ids: K[], options: WaitForOptions]): Promise<ElementsRecord<K>>;
+  bind<K extends string, S>(
+    id: K,
+    store: BindableStore<S>,
+    mapping: (state: S) => UpdateObject<ElementById<K>>
+  ): () => void;
+  unbind(id: string): number;
+  /** Returns a function that stops observing without calling onUnmount */
+  observe<K extends string>(
+    id: K,
+    handlers: ObserveHandlers<ElementById<K>> | ((element: EnhancedElement<ElementById<K>>) => void)
+  ): () => void;
+  removeAllListeners(id: string, eventName?: string): number;
+  get<K extends string, F = null>(id: K, fallback?: F): EnhancedElement<ElementById<K>> | F;
+  exists(id: string): boolean;
+  getMultiple<K extends string>(...ids: K[]): OptionalElementsRecord<K>;
+  setProperty(id: string, property: string, value: unknown): boolean;
+  getProperty<T = unknown>(id: string, property: string, fallback?: T): T;
+  setAttribute(id: string, attribute: string, value: string): boolean;
+  getAttribute(id: string, attribute: string, fallback?: string | null): string | null;
+}
+
+/** `null` when loaded without a global `document`; use createElements() there */
+export declare const Elements: ElementsProxy;
+
+/** Independent Elements API with its own cache and observer, e.g. bound to a jsdom window */
+export declare function createElements(options?: ElementsOptions): ElementsProxy;
@@ -0,0 +1,55 @@
+/**
+ * Form Helper - TypeScript Declarations
+ */
+
+/** Shape produced by values(): nested objects and arrays built from field names */
+export interface FormValues {
+  [name: string]: FormValue;
+}
+
+export type FormValue =
+  | string
+  | number
+  | boolean
+  | null
+  | File
+  | FormValue[]
+  | FormValues;
+
+export interface FillOptions {
+  /** Dispatch bubbling input and change events on controls whose value changed */
+  events?: boolean;
+}
+
+export interface FormField {
+  name: string;
+  controls: Element[];
+  value: FormValue | undefined;
+}
+
+export declare class FormController<T extends object = FormValues> {
+  constructor(element: Element);
+  readonly element: Element;
+
+  /** Nested object built from names such as `user[address][city]` and `tags[]` */
+  values(): T;
+  /** Controls sharing `name`; `value` is undefined when all are disabled or none exist */
+  getField(name: string): FormField;
+  /** Write values back; names missing from `obj` are left unchanged */
+  fill(obj: Partial<T> | FormValues, options?: FillOptions): this;
+  /** Name/value pairs in browser submission order */
+  entries(): Array<[string, string | File]>;
+  toFormData(): FormData;
+  /** Files are sent as their file name */
+  toURLSearchParams(): URLSearchParams;
+}
+
+/** `"user[tags][]"` → `['user', 'tags', '']` */
+export declare function parseFieldName(name: string): string[];
+
+/** Controller for a form (or any container of controls); one instance per element */
+export declare function form<T extends object = FormValues>(
+  formIdOrEl: string | Element,
+  /** `document` is where an ID is looked up; defaults to the global document */
+  options?: { document?: Document }
+): FormController<T>;
@@ -0,0 +1,41 @@
+/**
+ * Update History - TypeScript Declarations
+ */
+
+import { RecordedChange } from './update';
+
+export interface UpdateHistoryOptions {
+  /** Steps kept for undo; default 100 */
+  limit?: number;
+  /** Close a step at the end of each task; default true */
+  autoCheckpoint?: boolean;
+  /** Only record changes to this element and its descendants */
+  root?: Element | null;
+  /** Called after steps are added, undone, redone or cleared */
+  onChange?: ((history: UpdateHistory) => void) | null;
+}
+
+export declare class UpdateHistory {
+  constructor(options?: UpdateHistoryOptions);
+  options: UpdateHistoryOptions;
+  readonly undoStack: RecordedChange[][];
+  readonly redoStack: RecordedChange[][];
+  readonly isRecording: boolean;
+
+  start(): this;
+  stop(): this;
+  /** Close the current step */
+  checkpoint(): this;
+  /** Record every change made while fn runs (or until its promise settles) as one step */
+  group<T>(fn: () => T): T;
+  undo(): boolean;
+  redo(): boolean;
+  canUndo(): boolean;
+  canRedo(): boolean;
+  clear(): this;
+}
+
+export declare function createHistory(options?: UpdateHistoryOptions): UpdateHistory;
+
+/** Shared instance exposed as `DOMHelpers.history`; call `start()` to record */
+export declare const history: UpdateHistory;
@@ -0,0 +1,135 @@
+/**
+ * Selector Helper - TypeScript Declarations
+ */
+
+import { EnhancedElement } from './update';
+import { WaitForOptions, ScopeRoot, CacheInvalidations, EvictionPolicy } from './elements';
+import { EnhancedCollectionBase } from './collections';
+
+export interface SelectorStats {
+  hits: number;
+  misses: number;
+  cacheSize: number;
+  /** Entries dropped to stay under `maxCacheSize` */
+  evictions: number;
+  invalidations: CacheInvalidations;
+  /** Lookups timed so far and their total duration in ms */
+  lookups: number;
+  lookupTime: number;
+  /** Mean lookup duration in ms, hits and misses together */
+  averageLookupTime: number;
+  hitRate: number;
+  uptime: number;
+  lastCleanup: number;
+  selectorTypes: Map<string, number>;
+  selectorBreakdown: Record<string, number>;
+}
+
+export interface SelectorOptions {
+  /** Defaults to `window.document`, else `document`; fixed once the helper is created */
+  root?: ScopeRoot;
+  /** Supplies MutationObserver, getComputedStyle etc.; defaults to the root's `defaultView` */
+  window?: Window;
+  enableLogging?: boolean;
+  autoCleanup?: boolean;
+  cleanupInterval?: number;
+  maxCacheSize?: number;
+  /** Milliseconds an entry stays valid after it was cached; 0 (default) never expires */
+  cacheTTL?: number;
+  /** Which entry to drop when `maxCacheSize` is reached; defaults to 'lru' */
+  evictionPolicy?: EvictionPolicy;
+  debounceDelay?: number;
+  enableSmartCaching?: boolean;
+  enableEnhancedSyntax?: boolean;
+}
+
+export interface EnhancedSelectorCollection<E extends Element = HTMLElement> extends EnhancedCollectionBase<E> {
+  readonly _originalNodeList: NodeListOf<E> | E[];
+  readonly _selector: string;
+  readonly _cachedAt: number;
+
+  entries(): IterableIterator<[number, E]>;
+  keys(): IterableIterator<number>;
+  values(): IterableIterator<E>;
+
+  /** Query within each element of the collection */
+  within<T extends Element = HTMLElement>(selector: string): EnhancedSelectorCollection<T>;
+}
+
+export type LiveSelectorListener<E extends Element = HTMLElement> =
+  (this: LiveSelectorCollection<E>, element: EnhancedElement<E>, collection: LiveSelectorCollection<E>) => void;
+
+/** Returned by `Selector.live()`: membership follows the DOM until disconnect() */
+export interface LiveSelectorCollection<E extends Element = HTMLElement> extends EnhancedSelectorCollection<E> {
+  /** Elements entering or leaving the match set */
+  on(event: 'added' | 'removed', handler: LiveSelectorListener<E>): this;
+  /** Other event types are DOM events on the current elements */
+  on(event: string, handler: EventListenerOrEventListenerObject | ((event: any) => void), options?: boolean | AddEventListenerOptions): this;
+  off(event: 'added' | 'removed', handler?: LiveSelectorListener<E>): this;
+  off(event: string, handler?: EventListenerOrEventListenerObject | ((event: any) => void), options?: boolean | EventListenerOptions): this;
+  /** Re-run the query now and emit events for the difference */
+  refresh(): this;
+  /** Stop tracking and drop the added/removed listeners */
+  disconnect(): this;
+}
+
+/**
+ * `Selector.query('#id')` or shortcut properties:
+ * `Selector.query.idSubmitBtn` → `#submit-btn`, `Selector.query.btnPrimary` → `.btn-primary`
+ */
+export interface QueryAccessor {
+  <E extends Element = HTMLElement>(selector: string): EnhancedElement<E> | null;
+  readonly [shortcut: string]: EnhancedElement | null;
+}
+
+export interface QueryAllAccessor {
+  <E extends Element = HTMLElement>(selector: string): EnhancedSelectorCollection<E>;
+  readonly [shortcut: string]: EnhancedSelectorCollection;
+}
+
+export interface ScopedQueries {
+  within<E extends Element = HTMLElement>(container: string | Element, selector: string): E | null;
+  withinAll<E extends Element = HTMLElement>(container: string | Element, selector: string): EnhancedSelectorCollection<E>;
+}
+
+export interface SelectorAPI {
+  query: QueryAccessor;
+  queryAll: QueryAllAccessor;
+  Scoped: ScopedQueries;
+  helper: ProductionSelectorHelper;
+  stats(): SelectorStats;
+  clear(): void;
+  destroy(): void;
+  waitFor<E extends Element = HTMLElement>(selector: string, options?: number | WaitForOptions): Promise<EnhancedElement<E>>;
+  waitForAll<E extends Element = HTMLElement>(selector: string, minCount?: number, options?: number | WaitForOptions): Promise<EnhancedSelectorCollection<E>>;
+  /** Throws a SyntaxError for invalid selectors */
+  live<E extends Element = HTMLElement>(selector: string): LiveSelectorCollection<E>;
+  /** Independent instance that only queries inside root */
+  scope(root: ScopeRoot, options?: SelectorOptions): SelectorAPI;
+  enableEnhancedSyntax(): ProductionSelectorHelper;
+  disableEnhancedSyntax(): ProductionSelectorHelper;
+  configure(options: SelectorOptions): SelectorAPI;
+}
+
+export declare class ProductionSelectorHelper {
+  constructor(options?: SelectorOptions);
+  query: QueryAccessor;
+  queryAll: QueryAllAccessor;
+  readonly Scoped: ScopedQueries;
+  options: SelectorOptions;
+  isDestroyed: boolean;
+  getStats(): SelectorStats;
+  clearCache(): void;
+  destroy(): void;
+  waitForSelector<E extends Element = HTMLElement>(selector: string, options?: number | WaitForOptions): Promise<EnhancedElement<E>>;
+  waitForSelectorAll<E extends Element = HTMLElement>(selector: string, minCount?: number, options?: number | WaitForOptions): Promise<EnhancedSelectorCollection<E>>;
+  live<E extends Element = HTMLElement>(selector: string): LiveSelectorCollection<E>;
+  enableEnhancedSyntax(): this;
+  disableEnhancedSyntax(): this;
+}
+
+/** `null` when loaded without a global `document`; use createSelector() there */
+export declare const Selector: SelectorAPI;
+
+/** Independent Selector API with its own cache and observer */
+export declare function createSelector(options?: SelectorOptions): SelectorAPI;
@@ -0,0 +1,22 @@
+/**
+ * Reactive Store - TypeScript Declarations
+ */
+
+export type StoreListener<S> = (state: S, previousState: S) => void;
+
+/** Anything Elements.bind() can subscribe to */
+export interface BindableStore<S> {
+  getState(): S;
+  subscribe(listener: StoreListener<S>): () => void;
+}
+
+export declare class ObservableStore<S = Record<string, unknown>> implements BindableStore<S> {
+  constructor(initialState?: S);
+  state: S;
+  getState(): S;
+  /** Plain objects are shallow-merged into the current state */
+  setState(partial: Partial<S> | S | ((state: S) => Partial<S> | S | undefined)): S;
+  subscribe(listener: StoreListener<S>): () => void;
+}
+
+export declare function createStore<S = Record<string, unknown>>(initialState?: S): ObservableStore<S>;
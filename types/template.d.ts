@@ -0,0 +1,26 @@
+/**
+ * Templates - TypeScript Declarations
+ */
+
+export declare class Template {
+  constructor(element: HTMLTemplateElement);
+  readonly element: HTMLTemplateElement;
+  /**
+   * Clone the template and fill `{{path}}` placeholders, data-bind,
+   * data-bind-html, data-bind-attr, data-each and data-if hooks; root
+   * elements of the returned fragment have .update()
+   */
+  render(data?: object): DocumentFragment;
+}
+
+/** Added to <template> elements enhanced with .update(), e.g. `Elements.rowTemplate` */
+export interface RenderableTemplate {
+  render(data?: object): DocumentFragment;
+}
+
+/** Renderer for a <template> element or its ID; throws a TypeError if there is none */
+export declare function template(
+  templateIdOrEl: string | HTMLTemplateElement,
+  /** `document` is where an ID is looked up; defaults to the global document */
+  options?: { document?: Document }
+): Template;
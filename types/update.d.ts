@@ -0,0 +1,255 @@
+/**
+ * Universal .update() - TypeScript Declarations
+ */
+
+import { RenderableTemplate } from './template';
+
+/** CSS properties that can be assigned through `element.style[prop]` */
+export type StyleProperty = {
+  [K in keyof CSSStyleDeclaration]-?: CSSStyleDeclaration[K] extends string ? K : never;
+}[keyof CSSStyleDeclaration];
+
+export type StyleUpdates = {
+  [K in StyleProperty]?: string | number | null;
+};
+
+export interface ClassListUpdates {
+  add?: string | string[];
+  remove?: string | string[];
+  toggle?: string | string[];
+  replace?: [oldClass: string, newClass: string];
+  /** Logs the result to the console; mainly for debugging */
+  contains?: string | string[];
+}
+
+export type UpdateEventHandler = EventListenerOrEventListenerObject | ((event: any) => void);
+
+export type UpdateListenerOptions = boolean | AddEventListenerOptions;
+
+/** Duration in milliseconds, or timing options */
+export type AnimationTiming = number | (KeyframeAnimationOptions & { duration?: number });
+
+export interface AnimateUpdate {
+  keyframes: Keyframe[] | PropertyIndexedKeyframes;
+  options?: AnimationTiming;
+}
+
+export interface TransitionUpdate {
+  /** Target styles; each property gets a CSS transition */
+  to: StyleUpdates;
+  /** Milliseconds, default 300 */
+  duration?: number;
+  easing?: string;
+  delay?: number;
+}
+
+export type AriaValue = string | number | boolean | Element | Array<string | Element> | null | undefined;
+
+/**
+ * Keys handled specially by .update() before falling back to DOM methods,
+ * properties and attributes
+ */
+export interface SpecialUpdateKeys {
+  style?: StyleUpdates;
+  classList?: ClassListUpdates;
+  dataset?: Record<string, string | number | boolean>;
+  /**
+   * ARIA attributes: `{ expanded: true, controls: 'menu' }`. Booleans become
+   * 'true'/'false', elements their ID, arrays an ID list; null removes
+   */
+  aria?: Record<string, AriaValue>;
+  /** null removes the role attribute */
+  role?: string | null;
+  /** Applied after the other keys; false blurs the element. `[options]` is also accepted */
+  focus?: boolean | FocusOptions | [options?: FocusOptions];
+  setAttribute?: [name: string, value: string | number | boolean];
+  removeAttribute?: string | string[];
+  getAttribute?: string;
+  /** Markup sanitized against the configureHTML() allowlist, then set as innerHTML */
+  safeHTML?: string | null;
+  /** Event name may carry a namespace: `'click.menu'` */
+  addEventListener?: [eventName: string, handler: UpdateEventHandler, options?: UpdateListenerOptions];
+  /** `'click'`, `'click.menu'` or `'.menu'` removes tracked listeners without the handler */
+  removeEventListener?: string | [eventName: string, handler?: UpdateEventHandler, options?: UpdateListenerOptions];
+  /** Web Animations API; `[keyframes, options]` is also accepted */
+  animate?: AnimateUpdate | [keyframes: Keyframe[] | PropertyIndexedKeyframes, options?: AnimationTiming];
+  transition?: TransitionUpdate;
+  /** Shows the element (hidden / display: none) and fades it in */
+  fadeIn?: boolean | AnimationTiming;
+  /** Fades out, then sets display: none */
+  fadeOut?: boolean | AnimationTiming;
+  slideDown?: boolean | AnimationTiming;
+  /** Slides up, then sets display: none */
+  slideUp?: boolean | AnimationTiming;
+  /** Collections only: delay each element's animations by index * stagger ms */
+  stagger?: number;
+}
+
+type MethodKeys<E> = {
+  [K in keyof E]-?: E[K] extends (...args: any[]) => any ? K : never;
+}[keyof E];
+
+type IfEquals<X, Y, A, B> =
+  (<T>() => T extends X ? 1 : 2) extends (<T>() => T extends Y ? 1 : 2) ? A : B;
+
+type WritableKeys<E> = {
+  [K in keyof E]-?: IfEquals<{ [Q in K]: E[K] }, { -readonly [Q in K]: E[K] }, K, never>;
+}[keyof E];
+
+/** DOM methods called with an argument array, or a single argument */
+export type MethodCallUpdates<E> = {
+  [K in Exclude<MethodKeys<E>, keyof SpecialUpdateKeys>]?:
+    E[K] extends (...args: infer P) => any ? P | P[0] : never;
+};
+
+/** Writable DOM properties assigned directly */
+export type PropertyUpdates<E> = {
+  [K in Exclude<WritableKeys<E>, MethodKeys<E> | keyof SpecialUpdateKeys>]?: E[K];
+};
+
+/**
+ * The object accepted by .update(). Known keys are type checked; any other
+ * key is applied with setAttribute()
+ */
+export type UpdateObject<E = HTMLElement> =
+  SpecialUpdateKeys &
+  MethodCallUpdates<E> &
+  PropertyUpdates<E> &
+  { [attribute: string]: unknown };
+
+export interface UpdateOptions {
+  /** Skip writes that repeat the last value applied in diff mode */
+  diff?: boolean;
+}
+
+export interface UpdateChangeRecord<E = HTMLElement> {
+  element: E;
+  /** Key paths written, e.g. `'textContent'`, `'style.color'`, `'classList.active'` */
+  applied: string[];
+  /** Key paths skipped because the value did not change */
+  skipped: string[];
+  changed: boolean;
+}
+
+export interface CollectionChangeRecord<C> {
+  collection: C;
+  records: Array<UpdateChangeRecord<Element>>;
+  changed: boolean;
+}
+
+/** Key function, or the name of the item property holding the key */
+export type SyncKey<T> = ((item: T, index: number) => string | number) | keyof T;
+
+export interface SyncOptions<T, C extends Element = HTMLElement> {
+  /** Creates the element for a new key; defaults to a tag suited to the container */
+  create?(item: T, index: number): C;
+  /** Tag for new children when create() is not given, e.g. 'li' */
+  tag?: string;
+}
+
+export interface UpdatableElement<E = HTMLElement> {
+  /**
+   * While animation keys are running the returned value has a `finished`
+   * promise, so `await el.update({ fadeOut: 200 }).finished` waits for them
+   */
+  update(updates: UpdateObject<E>, options?: UpdateOptions & { diff?: false }): EnhancedElement<E>;
+  update(updates: UpdateObject<E>, options: UpdateOptions & { diff: true }): UpdateChangeRecord<E>;
+  /** Set while animation keys from update() run; resolves with the element */
+  readonly finished?: Promise<EnhancedElement<E>>;
+  /**
+   * Reconcile the element's children with items: children are matched by
+   * data-key, reused, moved as little as possible and removed when their
+   * key disappears
+   */
+  sync<T, C extends Element = HTMLElement>(
+    items: ArrayLike<T> | Iterable<T>,
+    key: SyncKey<T>,
+    render: (element: EnhancedElement<C>, item: T, index: number) => void,
+    options?: SyncOptions<T, C>
+  ): EnhancedElement<E>;
+}
+
+/** A DOM element carrying the .update() method; <template> elements also render() */
+export type EnhancedElement<E = HTMLElement> = E & UpdatableElement<E> &
+  (E extends HTMLTemplateElement ? RenderableTemplate : {});
+
+/**
+ * Queue every .update() made while fn runs and apply them in one animation
+ * frame, after reads scheduled with measure(). If fn throws, its queued
+ * updates are discarded. Diff-mode calls inside a batch return the element,
+ * not a change record.
+ */
+export declare function batch<T>(fn: () => T): Promise<T>;
+
+/** Schedule a layout read for the next flush, before any batched write */
+export declare function measure<T>(read: () => T): Promise<T>;
+
+/** Apply pending reads and writes now instead of on the next frame */
+export declare function flushBatch(): void;
+
+/** True while batched writes are pending or being applied */
+export declare function isBatching(): boolean;
+
+export type RecordedChangeType = 'property' | 'style' | 'attribute' | 'class' | 'dataset' | 'children';
+
+/** One value changed by .update(), as reported to update recorders */
+export interface RecordedChange {
+  element: Element;
+  type: RecordedChangeType;
+  /**
+   * Property, style property, attribute, class or dataset key; for 'children'
+   * the update key (textContent, innerText, innerHTML or safeHTML), with the
+   * element's child nodes as before and after
+   */
+  name: string;
+  before: unknown;
+  after: unknown;
+}
+
+/** Receive the changes each applied update makes; returns an unregister function */
+export declare function registerUpdateRecorder(recorder: (changes: RecordedChange[]) => void): () => void;
+
+export type HTMLMode = 'raw' | 'sanitize' | 'strict';
+
+/** Allowed attribute names per tag, `'*'` for every tag; `'aria-*'` matches a prefix */
+export type AllowedAttributes = Record<string, string[]>;
+
+export interface HTMLPolicyOptions {
+  /**
+   * How innerHTML, outerHTML and insertAdjacentHTML updates are handled:
+   * 'raw' (default) writes them as is, 'sanitize' sanitizes them and
+   * 'strict' refuses them; TrustedHTML values are always written
+   */
+  mode?: HTMLMode;
+  allowedTags?: string[];
+  allowedAttributes?: AllowedAttributes;
+  /** Replaces the built-in sanitizer, e.g. `html => DOMPurify.sanitize(html)` */
+  sanitizer?: ((html: string) => string) | null;
+  /** Trusted Types policy name, default 'dom-helpers'; null to not create one */
+  trustedTypesPolicy?: string | null;
+}
+
+export interface HTMLPolicy extends Required<HTMLPolicyOptions> {}
+
+/** Change how HTML sinks in .update() are handled; returns the resulting settings */
+export declare function configureHTML(options?: HTMLPolicyOptions): HTMLPolicy;
+
+/** Sanitize markup with the built-in allowlist sanitizer */
+export declare function sanitizeHTML(
+  html: string | null | undefined,
+  options?: Pick<HTMLPolicyOptions, 'allowedTags' | 'allowedAttributes'>,
+  doc?: Document
+): string;
+
+/** true for relative URLs and http(s), mailto and tel; false for javascript: and other schemes */
+export declare function isSafeURL(url: string): boolean;
+
+/** Run enhancer for every element enhanced with .update() from now on */
+export declare function registerElementEnhancer(enhancer: (element: Element) => void): () => void;
+
+/** Write a recorded before/after value back without going through .update() */
+export declare function restoreRecordedValue(
+  element: Element,
+  target: Pick<RecordedChange, 'type' | 'name'>,
+  value: unknown
+): void;
@@ -0,0 +1,106 @@
+/**
+ * Form Validation - TypeScript Declarations
+ */
+
+import { FormController, FormValue, FormValues } from './form';
+
+export interface ValidatorContext {
+  name: string;
+  /** Every form value, for cross-field rules */
+  values: FormValues;
+  controls: Element[];
+  form: FormController;
+}
+
+/** Return true/undefined to pass, false to fail with the default message, or a message string */
+export type CustomValidator = (
+  value: FormValue,
+  context: ValidatorContext
+) => boolean | string | null | undefined | void | Promise<boolean | string | null | undefined | void>;
+
+export type RuleName = 'required' | 'min' | 'max' | 'minLength' | 'maxLength' | 'pattern' | 'validate';
+
+export type ValidationMessage = string | ((ruleValue: any) => string);
+
+export interface FieldRules {
+  required?: boolean;
+  min?: number;
+  max?: number;
+  /** Characters for strings, items for arrays */
+  minLength?: number;
+  maxLength?: number;
+  /** Strings are anchored: `'\\d+'` must match the whole value */
+  pattern?: RegExp | string;
+  validate?: CustomValidator | CustomValidator[];
+  /** Re-validate this field when these fields change */
+  dependsOn?: string | string[];
+  messages?: Partial<Record<RuleName, ValidationMessage>>;
+}
+
+export type ValidationRules = Record<string, FieldRules>;
+
+export interface FieldResult {
+  valid: boolean;
+  message: string;
+  /** Failing rule; 'native' for Constraint Validation API failures */
+  rule: RuleName | 'native' | null;
+}
+
+export interface FieldState extends FieldResult {
+  controls: Element[];
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  values: FormValues;
+  errors: Record<string, string>;
+  fields: Record<string, FieldResult>;
+  /** First invalid control in document order */
+  firstInvalid: Element | null;
+}
+
+export interface ValidatorOptions {
+  /** Events that re-validate the changed field; 'blur' listens for focusout. Default ['change'] */
+  validateOn?: string | string[];
+  /** Default 'is-invalid' */
+  errorClass?: string;
+  validClass?: string | null;
+  /** Also check native constraints such as type="email". Default true */
+  nativeValidation?: boolean;
+  /** Focus the first invalid control on a failed submit. Default true */
+  focusInvalid?: boolean;
+  /** Defaults to the `[data-error-for="name"]` element inside the form */
+  messageElement?: (name: string, controls: Element[]) => Element | null;
+  onFieldValidated?: (name: string, result: FieldResult, controls: Element[]) => void;
+  /** Warn about validators that throw or reject. Default false */
+  enableLogging?: boolean;
+}
+
+export declare class Validator {
+  constructor(form: string | Element | FormController, rules?: ValidationRules, options?: ValidatorOptions);
+  readonly form: FormController;
+  readonly element: Element;
+  rules: ValidationRules;
+  options: ValidatorOptions;
+  readonly state: Record<string, FieldState>;
+  isDestroyed: boolean;
+
+  validateField(name: string, values?: FormValues): Promise<FieldState>;
+  validate(): Promise<ValidationResult>;
+  /** Prevents default submission; handler runs only when valid. Returns an unsubscribe function */
+  onSubmit(
+    handler: (result: ValidationResult, event: SubmitEvent) => void,
+    onInvalid?: (result: ValidationResult, event: SubmitEvent) => void
+  ): () => void;
+  reset(): this;
+  destroy(): void;
+}
+
+/** Default messages; replace entries to localize */
+export declare const messages: Record<RuleName, ValidationMessage>;
+
+export declare function validator(
+  form: string | Element | FormController,
+  rules: ValidationRules,
+  options?: ValidatorOptions
+): Validator;
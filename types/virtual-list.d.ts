@@ -0,0 +1,51 @@
+/**
+ * Virtual List - TypeScript Declarations
+ */
+
+import { UpdateObject } from './update';
+import { EnhancedCollection } from './collections';
+
+/** Update object for a row, a string/number used as its text, or nothing when render() mutated the row itself */
+export type VirtualRowContent<R extends Element = HTMLElement> = UpdateObject<R> | string | number | null | undefined | void;
+
+export interface VirtualListOptions<T, R extends Element = HTMLElement> {
+  items?: ArrayLike<T> | Iterable<T>;
+  /** Fixed row height in pixels */
+  itemHeight: number;
+  render(item: T, index: number, row: R): VirtualRowContent<R>;
+  /** Extra rows rendered above and below the viewport; defaults to 3 */
+  overscan?: number;
+  /** Defaults to 'div' */
+  rowTag?: string;
+  /** Defaults to 'virtual-row'; pass an empty string for none */
+  rowClass?: string;
+  /** Where a container ID is looked up; defaults to the global document */
+  document?: Document;
+}
+
+export interface VirtualListRange {
+  start: number;
+  /** Exclusive */
+  end: number;
+}
+
+export declare class VirtualList<T = unknown, R extends Element = HTMLElement> {
+  constructor(container: Element | string, options: VirtualListOptions<T, R>);
+  readonly container: Element;
+  readonly spacer: HTMLDivElement;
+  items: T[];
+  isDestroyed: boolean;
+  /** Visible rows in item order; an enhanced collection when Collections is loaded */
+  readonly rows: EnhancedCollection<R>;
+  setItems(items: ArrayLike<T> | Iterable<T>): this;
+  refresh(): this;
+  scrollToIndex(index: number, align?: 'start' | 'center' | 'end'): this;
+  getRange(): VirtualListRange;
+  getRow(index: number): R | null;
+  destroy(): void;
+}
+
+export declare function virtualList<T, R extends Element = HTMLElement>(
+  container: Element | string,
+  options: VirtualListOptions<T, R>
+): VirtualList<T, R>;